@@ -2,7 +2,8 @@
 'use strict';
 
 require('dotenv').config();
-const { ShipStationAPI } = require('./shipstation-add-item'); // Use the working version!
+const { ShipStationAPI } = require('./shipstation-api');
+const customsManager = require('./utils/customs-manager');
 
 async function batchAddItems() {
   // YOUR ORDER LIST
@@ -29,7 +30,7 @@ async function batchAddItems() {
   const api = new ShipStationAPI();
   
   // Load CUSMA database
-  const loaded = await api.loadCUSMA('./data/CUSMA.csv');
+  const loaded = await customsManager.loadCUSMADatabase('./data/CUSMA.csv');
   console.log(loaded ? '✅ CUSMA database loaded\n' : '⚠️ Using defaults\n');
   
   // Track results
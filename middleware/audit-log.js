@@ -0,0 +1,83 @@
+// Audit middleware - records every mutating /api request once the response is sent
+
+const { recordAudit, summarizeBody, extractTargetIds } = require('../utils/audit-log');
+
+// Path prefix -> tool name (first match wins, so keep specific prefixes first)
+const TOOL_PREFIXES = [
+  ['/api/shipstation/orders/add-item', 'order-item-adder'],
+  ['/api/shipstation/orders/load-cusma', 'order-item-adder'],
+  ['/api/shipstation/snapshots', 'order-snapshots'],
+  ['/api/shipstation', 'shipstation-customs'],
+  ['/api/webhooks/shopify', 'shopify-webhooks'],
+  ['/api/webhooks/subscriptions', 'webhook-admin'],
+  ['/api/order-formatter', 'order-formatter'],
+  ['/api/order-change-detector', 'order-change-detector'],
+  ['/api/vip-customers', 'vip-customers'],
+  ['/api/customs-rules', 'customs-rules'],
+  ['/api/products', 'products'],
+  ['/api/tags', 'products']
+];
+
+// POST endpoints that only read (previews, dry runs, validation)
+const READ_ONLY_PATHS = new Set([
+  '/api/customs-rules/evaluate',
+  '/api/customs-rules/test-bench',
+  '/api/products/validate-pick-numbers',
+  '/api/products/import/preview',
+  '/api/labels',
+  '/api/warehouse/suggest-pick-numbers',
+  '/api/notifications/test'
+]);
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+function toolForPath(path) {
+  const match = TOOL_PREFIXES.find(([prefix]) => path.startsWith(prefix));
+  return match ? match[1] : path.split('/')[2] || 'unknown';
+}
+
+function auditLog(req, res, next) {
+  const path = req.path;
+  if (!MUTATING_METHODS.has(req.method) || !path.startsWith('/api/') || READ_ONLY_PATHS.has(path)) {
+    return next();
+  }
+
+  const started = Date.now();
+
+  // Keep the JSON body so the outcome/error can be recorded
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    const failed = res.statusCode >= 400 || responseBody?.success === false;
+    // Bulk endpoints return 200 with per-order failure counts
+    const failedItems = Number(responseBody?.failed ?? responseBody?.results?.failed ?? 0);
+    const error = failed
+      ? (typeof responseBody?.error === 'string' ? responseBody.error : responseBody?.message || null)
+      : null;
+
+    recordAudit({
+      actor: req.session?.userEmail || (path.startsWith('/api/webhooks/shopify/') ? 'shopify-webhook' : null),
+      tool: toolForPath(path),
+      action: `${req.method} ${req.route?.path || path}`,
+      method: req.method,
+      path: req.originalUrl,
+      targetIds: extractTargetIds(req.params, req.body),
+      summary: summarizeBody(req.body),
+      statusCode: res.statusCode,
+      outcome: failed ? 'failure' : (failedItems > 0 ? 'partial' : 'success'),
+      error,
+      durationMs: Date.now() - started,
+      ip: req.ip
+    });
+  });
+
+  next();
+}
+
+module.exports = auditLog;
+module.exports.toolForPath = toolForPath;
@@ -0,0 +1,12 @@
+-- Migration: 001_create_products_tables.down.sql
+-- Reverts 001_create_products_tables.sql: drops the product tables, views and helper function
+
+DROP VIEW IF EXISTS variants_missing_fields;
+DROP VIEW IF EXISTS duplicate_pick_numbers;
+
+DROP TABLE IF EXISTS metafield_config;
+DROP TABLE IF EXISTS product_sync_log;
+DROP TABLE IF EXISTS variants;
+DROP TABLE IF EXISTS products;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
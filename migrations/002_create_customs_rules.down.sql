@@ -0,0 +1,4 @@
+-- Migration: 002_create_customs_rules.down.sql
+-- Reverts 002_create_customs_rules.sql (the trigger goes with the table)
+
+DROP TABLE IF EXISTS customs_rules;
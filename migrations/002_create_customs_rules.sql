@@ -0,0 +1,45 @@
+-- Migration: 002_create_customs_rules.sql
+-- Creates the customs_rules table used by the customs description/HS rules engine
+
+-- ============================================================================
+-- CUSTOMS RULES TABLE
+-- ============================================================================
+-- Ordered title-keyword / HS-prefix -> product type -> HS code + description rules.
+-- Rules are evaluated by ascending position; the first enabled rule whose
+-- conditions all match wins. Seeded from DEFAULT_CUSTOMS_RULES in
+-- utils/customs-rules.js when the table is empty.
+CREATE TABLE IF NOT EXISTS customs_rules (
+    id SERIAL PRIMARY KEY,
+    position INTEGER NOT NULL DEFAULT 0,
+    name TEXT NOT NULL,
+    product_type TEXT,                 -- 'sticker', 'planner', 'notebook-b5', ...
+
+    -- Match conditions (at least one required, all given must match)
+    title_pattern TEXT,                -- case-insensitive regex tested against the item title
+    hs_prefix TEXT,                    -- digits the current (normalized) HS code must start with
+
+    -- Outcome
+    hs_code TEXT,                      -- when set, overrides the HS code on the customs line
+    description TEXT NOT NULL,         -- customs description to apply
+
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    updated_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT customs_rules_has_condition CHECK (
+        NULLIF(title_pattern, '') IS NOT NULL OR NULLIF(hs_prefix, '') IS NOT NULL
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_customs_rules_position ON customs_rules(position, id);
+
+DROP TRIGGER IF EXISTS update_customs_rules_updated_at ON customs_rules;
+CREATE TRIGGER update_customs_rules_updated_at
+    BEFORE UPDATE ON customs_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE customs_rules IS 'Ordered, editable rules mapping item titles / HS codes to customs HS code + description';
+COMMENT ON COLUMN customs_rules.hs_code IS 'HS code forced onto the customs line when this rule fires (NULL keeps the existing code)';
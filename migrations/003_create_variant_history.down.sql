@@ -0,0 +1,4 @@
+-- Migration: 003_create_variant_history.down.sql
+-- Reverts 003_create_variant_history.sql
+
+DROP TABLE IF EXISTS variant_history;
@@ -0,0 +1,22 @@
+-- Migration: 003_create_variant_history.sql
+-- Creates the variant_history table: one row per changed variant field
+
+-- ============================================================================
+-- VARIANT HISTORY TABLE
+-- ============================================================================
+-- Written by updateVariant, batchUpdateVariants and bulkUpsertProducts in
+-- utils/product-db.js whenever a tracked field (SKU, price, weight, HS code,
+-- country, pick number, location, archived flag...) actually changes.
+-- Values are stored as text so every field fits one column.
+CREATE TABLE IF NOT EXISTS variant_history (
+    id BIGSERIAL PRIMARY KEY,
+    shopify_variant_id BIGINT NOT NULL,   -- no FK: history outlives deleted variants
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    source TEXT NOT NULL,                 -- product_manager, sync, webhook
+    changed_by TEXT,                      -- session email; NULL for scheduled syncs and webhooks
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_variant_history_variant ON variant_history(shopify_variant_id, changed_at DESC);
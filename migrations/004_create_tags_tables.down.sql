@@ -0,0 +1,5 @@
+-- Migration: 004_create_tags_tables.down.sql
+-- Reverts 004_create_tags_tables.sql
+
+DROP TABLE IF EXISTS variant_tags;
+DROP TABLE IF EXISTS tags;
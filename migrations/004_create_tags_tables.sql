@@ -0,0 +1,28 @@
+-- Migration: 004_create_tags_tables.sql
+-- Creates the tags and variant_tags tables behind /api/tags and /api/products/tags.
+-- These existed only in databases where they had been created by hand; IF NOT EXISTS
+-- leaves those copies as they are.
+
+-- ============================================================================
+-- TAGS TABLE
+-- ============================================================================
+-- Product manager labels (name + badge color) applied to variants
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,         -- duplicate names surface as 'Tag already exists'
+    color TEXT NOT NULL DEFAULT '#6c757d',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- VARIANT TAGS TABLE
+-- ============================================================================
+-- Which tags are on which variant; deleting a tag removes it from every variant
+CREATE TABLE IF NOT EXISTS variant_tags (
+    variant_id TEXT NOT NULL,          -- Shopify variant ID (as sent by the product manager)
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (variant_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_variant_tags_tag ON variant_tags(tag_id);
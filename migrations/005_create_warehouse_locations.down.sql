@@ -0,0 +1,8 @@
+-- Migration: 005_create_warehouse_locations.down.sql
+-- Reverts 005_create_warehouse_locations.sql (variants.warehouse_location values are kept)
+
+DROP INDEX IF EXISTS idx_variants_location_code;
+DROP TABLE IF EXISTS warehouse_bins;
+DROP TABLE IF EXISTS warehouse_shelves;
+DROP TABLE IF EXISTS warehouse_aisles;
+DROP TABLE IF EXISTS warehouse_zones;
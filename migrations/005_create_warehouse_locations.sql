@@ -0,0 +1,99 @@
+-- Migration: 005_create_warehouse_locations.sql
+-- Creates the warehouse layout behind /warehouse: zones > aisles > shelves > bins.
+-- A variant's warehouse_location names a bin by its location_code (e.g. A-01-2-B); once any bin
+-- exists, /api/products/update and the spreadsheet import only accept codes of real bins.
+
+-- ============================================================================
+-- ZONES
+-- ============================================================================
+-- Top level of the walk. pick_start/pick_end optionally reserve a pick number range for the
+-- zone's bins (e.g. 9000-9999 for imperfects); suggestions stay inside it.
+CREATE TABLE IF NOT EXISTS warehouse_zones (
+    id SERIAL PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,         -- upper-case letters/digits; first part of location codes
+    name TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    pick_start INTEGER,
+    pick_end INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT warehouse_zones_pick_range CHECK (
+        (pick_start IS NULL AND pick_end IS NULL) OR
+        (pick_start > 0 AND pick_end >= pick_start)
+    )
+);
+
+-- ============================================================================
+-- AISLES AND SHELVES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS warehouse_aisles (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES warehouse_zones(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    name TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (zone_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS warehouse_shelves (
+    id SERIAL PRIMARY KEY,
+    aisle_id INTEGER NOT NULL REFERENCES warehouse_aisles(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    name TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (aisle_id, code)
+);
+
+-- ============================================================================
+-- BINS
+-- ============================================================================
+-- location_code is zone-aisle-shelf-bin, built by utils/warehouse-locations.js when the bin is
+-- created (codes can't be renamed, so it never goes stale). Walk order is zone, aisle, shelf and
+-- bin position; pick number suggestions follow it.
+CREATE TABLE IF NOT EXISTS warehouse_bins (
+    id SERIAL PRIMARY KEY,
+    shelf_id INTEGER NOT NULL REFERENCES warehouse_shelves(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    name TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    capacity INTEGER CHECK (capacity > 0),  -- most variants the bin holds; NULL = no limit
+    location_code TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (shelf_id, code)
+);
+
+-- Variants are matched to bins on UPPER(TRIM(warehouse_location))
+CREATE INDEX IF NOT EXISTS idx_variants_location_code ON variants(UPPER(TRIM(warehouse_location)));
+
+DROP TRIGGER IF EXISTS update_warehouse_zones_updated_at ON warehouse_zones;
+CREATE TRIGGER update_warehouse_zones_updated_at
+    BEFORE UPDATE ON warehouse_zones
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_warehouse_aisles_updated_at ON warehouse_aisles;
+CREATE TRIGGER update_warehouse_aisles_updated_at
+    BEFORE UPDATE ON warehouse_aisles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_warehouse_shelves_updated_at ON warehouse_shelves;
+CREATE TRIGGER update_warehouse_shelves_updated_at
+    BEFORE UPDATE ON warehouse_shelves
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_warehouse_bins_updated_at ON warehouse_bins;
+CREATE TRIGGER update_warehouse_bins_updated_at
+    BEFORE UPDATE ON warehouse_bins
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE warehouse_bins IS 'Bins of the warehouse layout; variants.warehouse_location holds a bin location_code';
+COMMENT ON COLUMN warehouse_zones.pick_start IS 'First pick number reserved for the zone (NULL = zone shares the global sequence)';
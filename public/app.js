@@ -11,6 +11,7 @@
   let baseline = new Map();    // ORIGINAL values at last refresh (for accurate diffing)
   let HS_MAP = new Map();      // HS -> { desc, country }
   let dataSource = 'db';       // 'db' or 'shopify'
+  let productStatus = 'active'; // active | draft | archived (archived lists variants whose pick #s can be released)
   let needsSync = false;
 
   // Track current label generation type
@@ -32,7 +33,8 @@
     { id: 'inventory', label: 'Inventory', visible: true, width: 80 },
     { id: 'weight', label: 'Weight (g)', visible: true, width: 80 },
     { id: 'hsCode', label: 'HS Code', visible: true, width: 100 },
-    { id: 'country', label: 'Country', visible: true, width: 70 }
+    { id: 'country', label: 'Country', visible: true, width: 70 },
+    { id: 'history', label: 'History', visible: true, width: 70 }
   ];
 
   // Tags state
@@ -83,6 +85,7 @@
   window.generateSkusForMissing = generateSkusForMissing;
   window.exportShipStationCSV = exportShipStationCSV;
   window.promptLoadHsMap = promptLoadHsMap;
+  window.promptImportVariants = promptImportVariants;
   window.syncFromShopify = syncFromShopify;
   window.syncToShipStation = syncToShipStation;
   window.importShipStationNames = importShipStationNames;
@@ -95,6 +98,7 @@
   window.closeLabelPreview = closeLabelPreview;
   window.downloadLabels = downloadLabels;
   window.generatePickNumbers = generatePickNumbers;
+  window.releaseArchived = releaseArchived;
   window.handleCheckboxClick = handleCheckboxClick;
   // Column settings functions
   window.openColumnSettings = openColumnSettings;
@@ -102,6 +106,8 @@
   window.toggleColumn = toggleColumn;
   window.resetColumns = resetColumns;
   // Tag functions
+  window.openVariantHistory = openVariantHistory;
+  window.closeVariantHistory = closeVariantHistory;
   window.openTagManager = openTagManager;
   window.closeTagManager = closeTagManager;
   window.createTag = createTag;
@@ -117,9 +123,17 @@
   let sortColumn = null;
   let sortDirection = 'asc'; // 'asc' or 'desc'
 
-  // Pick number suggestion tracking
-  let pickSuggestionCounter = null;
-  let usedPickNumbers = new Set();
+  // Pick number suggestions from /api/warehouse/suggest-pick-numbers (variantId -> { pick, bin, reason })
+  let pickSuggestions = new Map();
+  let pickSuggestionTimer = null;
+  let pickSuggestionRequest = 0; // only the latest request's answer is applied
+  const NO_BIN_REASONS = {
+    year_range: 'year/imperfect range',
+    sku_prefix: 'next to the same SKU prefix',
+    product_type: 'next to the same product type'
+  };
+  // Location codes of the warehouse layout's bins; empty until a layout exists (nothing is checked)
+  let warehouseBins = new Set();
 
   // Expose sorting and suggestion functions
   window.sortByColumn = sortByColumn;
@@ -192,8 +206,12 @@
     loadingText.textContent = 'Loading products from database...';
     statusBar.className = 'status-bar';
 
+    productStatus = document.getElementById('productStatusFilter')?.value || 'active';
+    const releaseBtn = document.getElementById('releaseBtn');
+    if (releaseBtn) releaseBtn.style.display = productStatus === 'archived' ? '' : 'none';
+
     try {
-      const response = await fetch('/api/products');
+      const response = await fetch(`/api/products?status=${encodeURIComponent(productStatus)}`);
       const data = await response.json();
       if (!response.ok) throw new Error(data.error);
 
@@ -239,12 +257,13 @@
 
       // Load tags
       await loadTags();
+      await loadWarehouseBins();
 
       renderTable();
       updateStats();
       populateCategoryFilter();
       updateLabelButtons();
-      initPickSuggestions();
+      loadPickSuggestions();
 
       statusBar.className = 'status-bar active success';
       statusMessage.textContent = `Loaded ${products.length} products (${products.reduce((s, p) => s + p.variants.length, 0)} variants) from ${dataSource}`;
@@ -291,6 +310,8 @@
         const isDuplicatePick = !!pickNumber && duplicatePickNumbers.has(pickNumber);
         const isMissingPick = !pickNumber;
         const isMissingLocation = !warehouseLocation;
+        const isUnknownLocation = !!warehouseLocation && warehouseBins.size > 0 &&
+          !warehouseBins.has(String(warehouseLocation).trim().toUpperCase());
 
         // Render cells based on column config
         columnConfig.forEach(col => {
@@ -308,6 +329,12 @@
 
             case 'status':
               const badges = [];
+              if (variant.is_archived) {
+                // Archived variants only matter for what they still hold
+                cell.innerHTML = '<span class="archived-indicator">ARCHIVED</span>';
+                break;
+              }
+              if (product.status === 'draft') badges.push('<span class="draft-indicator">DRAFT</span>');
               if (isMissingSku) badges.push('<span class="missing-indicator">NO SKU</span>');
               else if (isDuplicateSku) badges.push('<span class="duplicate-indicator">DUP SKU</span>');
               if (isDuplicatePick) badges.push('<span class="dup-pick-indicator">DUP PICK</span>');
@@ -348,11 +375,12 @@
 
             case 'pickNumber':
               cell.className = isDuplicatePick ? 'editable sku-error' : 'editable';
-              if (isDuplicatePick || isMissingPick) {
-                const suggestion = getNextAvailablePickNumber(variantId);
+              if ((isDuplicatePick || isMissingPick) && pickSuggestions.has(variantId)) {
+                const { pick: suggestion, bin, reason } = pickSuggestions.get(variantId);
+                const why = bin ? ` (${reason === 'bin_order' ? 'in walk order for' : 'out of walk order for'} bin ${bin})` : ` (no bin: ${NO_BIN_REASONS[reason] || 'next free number'})`;
                 cell.innerHTML = `
                   <span onclick="makeEditable(this, '${variantId}', 'pick_number')">${pickNumber}</span>
-                  <button class="pick-suggest-btn" onclick="acceptPickSuggestion('${variantId}', '${suggestion}')" title="Use suggested pick #${suggestion}">→${suggestion}</button>
+                  <button class="pick-suggest-btn" onclick="acceptPickSuggestion('${variantId}', '${suggestion}')" title="Use suggested pick #${suggestion}${why}">→${suggestion}</button>
                 `;
               } else {
                 cell.innerHTML = `<span onclick="makeEditable(this, '${variantId}', 'pick_number')">${pickNumber}</span>`;
@@ -361,7 +389,8 @@
               break;
 
             case 'location':
-              cell.className = 'editable';
+              cell.className = isUnknownLocation ? 'editable sku-error' : 'editable';
+              if (isUnknownLocation) cell.title = 'Not a bin in the warehouse layout';
               cell.innerHTML = `<span onclick="makeEditable(this, '${variantId}', 'warehouse_location')">${warehouseLocation}</span>`;
               if (staged.warehouse_location !== undefined) cell.classList.add('cell-modified');
               break;
@@ -406,6 +435,10 @@
               cell.style.cursor = 'pointer';
               cell.onclick = (e) => openTagEditor(variantId, e);
               break;
+
+            case 'history':
+              cell.innerHTML = `<button class="btn-history" onclick="openVariantHistory('${variantId}')" title="Change history">History</button>`;
+              break;
           }
         });
 
@@ -447,7 +480,7 @@
       th.style.minWidth = '40px';
 
       // Add sort indicator
-      const sortable = !['select'].includes(col.id);
+      const sortable = !['select', 'history'].includes(col.id);
       if (sortable) {
         th.onclick = (e) => {
           if (!e.target.closest('.sort-icon') && !e.target.closest('.resize-handle')) {
@@ -875,6 +908,7 @@
       recomputeDuplicates();
       renderTable();
     }
+    if (field === 'pick_number' || field === 'warehouse_location' || field === 'sku') loadPickSuggestions();
 
     updateStats();
   }
@@ -1125,9 +1159,10 @@
       const result = await response.json();
 
       if (!response.ok) {
-        // Check for validation errors
-        if (result.conflicts) {
-          const conflictMsg = result.conflicts.map(c => c.message).join('\n');
+        // Check for validation errors (duplicate pick numbers, locations that aren't bins)
+        const problems = result.conflicts || result.locationProblems;
+        if (problems) {
+          const conflictMsg = problems.map(c => c.message).join('\n');
           showStatus(`Save failed: ${conflictMsg}`, 'error');
           return;
         }
@@ -1156,25 +1191,49 @@
   }
 
   // ===== Sync operations ====================================================
-  async function syncFromShopify() {
+  // mode: 'incremental' (products changed since the last sync) or 'full'
+  async function syncFromShopify(mode = 'incremental') {
     const loading = document.getElementById('loading');
     const loadingText = document.getElementById('loadingText');
 
     loading.classList.add('active');
-    loadingText.textContent = 'Syncing products from Shopify (this may take a minute)...';
+    loadingText.textContent = `Queuing ${mode} product sync from Shopify...`;
 
     try {
       const response = await fetch('/api/products/sync', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mode: 'full' })
+        body: JSON.stringify({ mode })
       });
-      const result = await response.json();
+      const queued = await response.json();
+
+      if (!response.ok) throw new Error(queued.error);
+
+      // The sync runs as a background job; poll it until it finishes
+      let job = queued.job;
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const jobResponse = await fetch(`/api/jobs/${queued.jobId}`);
+        const data = await jobResponse.json();
+        if (!jobResponse.ok) throw new Error(data.error);
+        job = data.job;
+
+        const { done, total, message } = job.progress;
+        loadingText.textContent = `Syncing products from Shopify (job #${job.id})` +
+          (total ? ` - ${done}/${total}` : '') + (message ? `: ${message}` : '...');
+      }
 
-      if (!response.ok) throw new Error(result.error);
+      if (job.status !== 'completed') {
+        throw new Error(job.error || `Job #${job.id} ${job.status}`);
+      }
 
+      const result = job.result;
+      const archived = result.products_archived || result.variants_archived
+        ? ` (archived ${result.products_archived} products, ${result.variants_archived} variants)`
+        : '';
       showStatus(
-        `Synced ${result.products_synced} products, ${result.variants_synced} variants in ${result.duration_seconds}s`,
+        `${result.mode === 'full' ? 'Full' : 'Incremental'} sync: ${result.products_synced} products, ` +
+        `${result.variants_synced} variants in ${result.duration_seconds}s${archived}`,
         'success'
       );
 
@@ -1529,6 +1588,109 @@
     inp.click();
   }
 
+  // ===== Spreadsheet import (CSV/XLSX) =======================================
+  // The server validates the file and diffs it against the DB; valid rows are staged in
+  // modifiedData like inline edits and go through Save Changes (/api/products/update).
+  function promptImportVariants() {
+    const inp = document.getElementById('variantImportFile');
+    if (!inp) return showStatus('Import input not found', 'error');
+    inp.onchange = async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        await importVariantFile(file);
+      } catch (err) {
+        showStatus('Import failed: ' + err.message, 'error');
+      } finally {
+        e.target.value = '';
+      }
+    };
+    inp.click();
+  }
+
+  async function importVariantFile(file) {
+    showStatus(`Checking ${file.name}...`, 'info');
+    const result = await fetchJSON(`/api/products/import/preview?filename=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+
+    const loaded = new Set();
+    products.forEach(p => p.variants.forEach(v => loaded.add(String(v.id))));
+
+    const problems = [];
+    let stagedRows = 0;
+    let stagedFields = 0;
+    let notLoaded = 0;
+
+    for (const row of result.rows) {
+      const label = `Row ${row.row}${row.sku ? ` (${row.sku})` : ''}`;
+      row.errors.forEach(message => problems.push({ label, message, type: 'error' }));
+      row.warnings.forEach(message => problems.push({ label, message, type: 'warning' }));
+
+      const changes = Object.entries(row.changes);
+      if (row.errors.length > 0 || changes.length === 0) continue;
+      if (!loaded.has(row.variantId)) {
+        problems.push({ label, message: `Not in the ${productStatus} list; switch the status filter and import again`, type: 'warning' });
+        notLoaded++;
+        continue;
+      }
+
+      if (!modifiedData.has(row.variantId)) modifiedData.set(row.variantId, {});
+      for (const [field, change] of changes) {
+        modifiedData.get(row.variantId)[field] = change.to;
+        patchLocalVariant(row.variantId, field, change.to);
+        stagedFields++;
+      }
+      stagedRows++;
+    }
+
+    if (result.ignoredColumns?.length > 0) {
+      problems.unshift({ label: file.name, message: `Ignored columns: ${result.ignoredColumns.join(', ')}`, type: 'warning' });
+    }
+    showImportProblems(file.name, problems);
+
+    // Show only the staged rows so the diff can be reviewed before saving
+    if (stagedRows > 0) document.getElementById('showModifiedOnly').checked = true;
+    recomputeDuplicates();
+    renderTable();
+    updateStats();
+    filterTable();
+
+    let msg = `Staged ${stagedFields} changes on ${stagedRows} variants from ${file.name}`;
+    if (stagedRows > 0) msg += ' - review and Save Changes';
+    if (result.summary.invalid > 0) msg += ` | ${result.summary.invalid} rows with errors (see Error Log)`;
+    if (notLoaded > 0) msg += ` | ${notLoaded} not in this list`;
+    showStatus(msg, result.summary.invalid > 0 || notLoaded > 0 ? 'warning' : 'success');
+  }
+
+  // List import errors/warnings in the Error Log panel
+  function showImportProblems(filename, problems) {
+    const content = document.getElementById('errorPanelContent');
+    const count = document.getElementById('errorCount');
+    if (!content) return;
+
+    content.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.style.cssText = 'font-weight:600;margin-bottom:.5rem;';
+    heading.textContent = problems.length > 0 ? `Import of ${filename}` : `Import of ${filename}: no problems`;
+    content.appendChild(heading);
+
+    for (const problem of problems) {
+      const item = document.createElement('div');
+      item.style.cssText = `padding:.4rem 0;border-bottom:1px solid #eee;font-size:.85rem;color:${problem.type === 'error' ? '#c33' : '#8a6d3b'};`;
+      item.textContent = `${problem.label}: ${problem.message}`;
+      content.appendChild(item);
+    }
+
+    const errors = problems.filter(p => p.type === 'error').length;
+    if (count) {
+      count.textContent = String(errors);
+      count.style.display = errors > 0 ? '' : 'none';
+    }
+  }
+
   function loadHsMapFromCSV(csvText) {
     HS_MAP.clear();
     const rows = parseCSV(csvText);
@@ -1615,6 +1777,8 @@
     });
     const genPickBtn = document.getElementById('genPickBtn');
     if (genPickBtn) genPickBtn.disabled = !hasSelection;
+    const releaseBtn = document.getElementById('releaseBtn');
+    if (releaseBtn) releaseBtn.disabled = !hasSelection;
     document.getElementById('selectedCount').textContent = `${selectedIds.size} selected`;
 
     // Update tag selection count in tag manager
@@ -1708,6 +1872,11 @@
 
     info.textContent = `Ready to generate ${typeNames[labelType]} for ${selected.length} variants with pick numbers.`;
 
+    const formatSelect = document.getElementById('labelFormat');
+    const dpiSelect = document.getElementById('labelDpi');
+    if (formatSelect) formatSelect.value = localStorage.getItem('LABEL_FORMAT') || 'pdf';
+    if (dpiSelect) dpiSelect.value = localStorage.getItem('LABEL_DPI') || '203';
+
     preview.classList.add('active');
   }
 
@@ -1717,197 +1886,63 @@
   }
 
   // ===== Pick Number Suggestions =============================================
-  // Smart suggestion system that groups by product type and SKU prefix
-
-  // Maps to store pick numbers grouped by category
-  let picksByProductType = {};  // { productType: [pickNumbers] }
-  let picksBySkuPrefix = {};    // { skuPrefix: [pickNumbers] }
-  let globalMaxPick = 0;
-
-  function initPickSuggestions() {
-    // Build set of all used pick numbers (including staged edits)
-    usedPickNumbers.clear();
-    picksByProductType = {};
-    picksBySkuPrefix = {};
-    globalMaxPick = 0;
+  // Suggested by the server from the warehouse layout: a variant's number falls between the picks of
+  // the bins before and after its own, so pick order follows the walk (see utils/warehouse-locations.js)
 
-    products.forEach(p => {
-      const productType = (p.product_type || 'Unknown').toLowerCase();
-
-      p.variants.forEach(v => {
-        const vid = String(v.id);
-        const staged = modifiedData.get(vid) || {};
-        const pick = staged.pick_number !== undefined ? staged.pick_number : v.pick_number;
-        const sku = staged.sku !== undefined ? staged.sku : v.sku || '';
-
-        if (pick && String(pick).trim()) {
-          const pickNum = parseInt(pick);
-          if (!isNaN(pickNum)) {
-            usedPickNumbers.add(String(pickNum));
-
-            // Track max
-            if (pickNum > globalMaxPick) globalMaxPick = pickNum;
-
-            // Group by product type
-            if (!picksByProductType[productType]) picksByProductType[productType] = [];
-            picksByProductType[productType].push(pickNum);
-
-            // Group by SKU prefix (first segment before dash)
-            const skuPrefix = sku.split('-')[0].toUpperCase();
-            if (skuPrefix) {
-              if (!picksBySkuPrefix[skuPrefix]) picksBySkuPrefix[skuPrefix] = [];
-              picksBySkuPrefix[skuPrefix].push(pickNum);
-            }
-          }
-        }
-      });
-    });
-
-    // Sort all pick number arrays
-    for (const key of Object.keys(picksByProductType)) {
-      picksByProductType[key].sort((a, b) => a - b);
-    }
-    for (const key of Object.keys(picksBySkuPrefix)) {
-      picksBySkuPrefix[key].sort((a, b) => a - b);
-    }
-
-    pickSuggestionCounter = globalMaxPick + 1;
-  }
-
-  function getNextAvailablePickNumber(variantId) {
-    // Initialize if needed
-    if (pickSuggestionCounter === null) {
-      initPickSuggestions();
-    }
-
-    // Find the variant's product and SKU
-    let productType = 'unknown';
-    let productTitle = '';
-    let skuPrefix = '';
-    let sku = '';
-
-    for (const p of products) {
-      for (const v of p.variants) {
-        if (String(v.id) === String(variantId)) {
-          productType = (p.product_type || 'Unknown').toLowerCase();
-          productTitle = p.title || '';
-          const staged = modifiedData.get(String(v.id)) || {};
-          sku = staged.sku !== undefined ? staged.sku : v.sku || '';
-          skuPrefix = sku.split('-')[0].toUpperCase();
-          break;
-        }
-      }
-    }
-
-    // Detect year and imperfect status from SKU and title
-    const skuUpper = sku.toUpperCase();
-    const titleLower = productTitle.toLowerCase();
-
-    const is2026 = skuUpper.includes('2026') || skuUpper.startsWith('26-') || skuUpper.startsWith('26Q');
-    const is2025 = skuUpper.includes('2025') || skuUpper.startsWith('25-') || skuUpper.startsWith('25Q');
-    const isImperfect = skuUpper.includes('-IM') || skuUpper.endsWith('IM') || titleLower.includes('imperfect');
-
-    // Determine target range based on year and imperfect status
-    let targetRange = null;
-
-    if (is2026 || isImperfect) {
-      // 2026 products and imperfects go in the 9000s
-      targetRange = { min: 9000, max: 9999 };
-    } else if (is2025) {
-      // 2025 products typically in 1000-2000
-      targetRange = { min: 1000, max: 1999 };
-    }
-
-    // Try to find a suggestion in the same neighborhood
-    let suggestion = null;
-
-    // Strategy 1: If we have a target range, search within it first
-    if (targetRange) {
-      suggestion = findInRange(targetRange.min, targetRange.max);
-    }
-
-    // Strategy 2: Look for picks with the same SKU prefix
-    if (suggestion === null && skuPrefix && picksBySkuPrefix[skuPrefix] && picksBySkuPrefix[skuPrefix].length > 0) {
-      suggestion = findSmartSuggestion(picksBySkuPrefix[skuPrefix]);
-    }
-
-    // Strategy 3: Fall back to product type
-    if (suggestion === null && picksByProductType[productType] && picksByProductType[productType].length > 0) {
-      suggestion = findSmartSuggestion(picksByProductType[productType]);
-    }
-
-    // Strategy 4: Global fallback
-    if (suggestion === null) {
-      while (usedPickNumbers.has(String(pickSuggestionCounter))) {
-        pickSuggestionCounter++;
-      }
-      suggestion = pickSuggestionCounter;
+  async function loadWarehouseBins() {
+    try {
+      const data = await fetchJSON('/api/warehouse/bins');
+      warehouseBins = new Set((data.bins || []).map(b => b.location_code));
+    } catch (err) {
+      console.warn('Could not load warehouse bins:', err.message);
+      warehouseBins = new Set();
     }
-
-    // Reserve this number
-    usedPickNumbers.add(String(suggestion));
-
-    return suggestion;
   }
 
-  function findInRange(min, max) {
-    // Find first available number in the range
-    for (let candidate = min; candidate <= max; candidate++) {
-      if (!usedPickNumbers.has(String(candidate))) {
-        return candidate;
-      }
-    }
-    return null;
+  // Edits come in bursts (accepting suggestions, typing through cells): ask once things settle
+  function loadPickSuggestions() {
+    clearTimeout(pickSuggestionTimer);
+    pickSuggestionTimer = setTimeout(fetchPickSuggestions, 300);
   }
 
-  function findSmartSuggestion(existingPicks) {
-    if (!existingPicks || existingPicks.length === 0) return null;
-
-    // Find the range (min, max) for this group
-    const minPick = Math.min(...existingPicks);
-    const maxPick = Math.max(...existingPicks);
-
-    // Strategy A: Look for a gap within the existing range
-    // Check for gaps of reasonable size (not too big)
-    const sorted = [...existingPicks].sort((a, b) => a - b);
-    for (let i = 0; i < sorted.length - 1; i++) {
-      const gap = sorted[i + 1] - sorted[i];
-      if (gap > 1 && gap <= 10) {
-        // There's a small gap - find an available number in it
-        for (let candidate = sorted[i] + 1; candidate < sorted[i + 1]; candidate++) {
-          if (!usedPickNumbers.has(String(candidate))) {
-            return candidate;
-          }
-        }
-      }
-    }
+  // Suggestions for every live variant with a missing or duplicate pick number, taking staged edits into account
+  async function fetchPickSuggestions() {
+    const request = ++pickSuggestionRequest;
+    const variantIds = [];
+    products.forEach(p => p.variants.forEach(v => {
+      if (v.is_archived) return;
+      const vid = String(v.id);
+      const staged = modifiedData.get(vid) || {};
+      const pick = String((staged.pick_number !== undefined ? staged.pick_number : v.pick_number) || '').trim();
+      if (!pick || duplicatePickNumbers.has(pick)) variantIds.push(vid);
+    }));
 
-    // Strategy B: Extend from the max of this group
-    let candidate = maxPick + 1;
-    let attempts = 0;
-    while (usedPickNumbers.has(String(candidate)) && attempts < 100) {
-      candidate++;
-      attempts++;
+    if (variantIds.length === 0) {
+      pickSuggestions = new Map();
+      return;
     }
 
-    if (!usedPickNumbers.has(String(candidate))) {
-      return candidate;
-    }
+    const staged = [];
+    modifiedData.forEach((fields, id) => {
+      const edit = {};
+      if (fields.pick_number !== undefined) edit.pick_number = fields.pick_number;
+      if (fields.warehouse_location !== undefined) edit.warehouse_location = fields.warehouse_location;
+      if (fields.sku !== undefined) edit.sku = fields.sku;
+      if (Object.keys(edit).length) staged.push({ id, ...edit });
+    });
 
-    // Strategy C: Try extending from before the min (for filling in earlier ranges)
-    if (minPick > 1) {
-      candidate = minPick - 1;
-      attempts = 0;
-      while (candidate > 0 && usedPickNumbers.has(String(candidate)) && attempts < 50) {
-        candidate--;
-        attempts++;
-      }
-      if (candidate > 0 && !usedPickNumbers.has(String(candidate))) {
-        return candidate;
-      }
+    try {
+      const data = await fetchJSON('/api/warehouse/suggest-pick-numbers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variantIds: variantIds.slice(0, 5000), staged })
+      });
+      if (request !== pickSuggestionRequest) return; // a newer edit asked again
+      pickSuggestions = new Map(Object.entries(data.suggestions || {}));
+      renderTable();
+    } catch (err) {
+      console.warn('Could not load pick number suggestions:', err.message);
     }
-
-    return null;
   }
 
   function acceptPickSuggestion(variantId, suggestion) {
@@ -1926,9 +1961,13 @@
       }
     }
 
-    // Re-render to show the change
+    // Re-render to show the change; the other suggestions move past this number once reloaded
+    pickSuggestions.delete(vid);
+    for (const [id, s] of pickSuggestions) if (String(s.pick) === String(suggestion)) pickSuggestions.delete(id);
+    recomputeDuplicates();
     renderTable();
     updateStats();
+    loadPickSuggestions();
     showStatus(`Set pick #${suggestion} for variant. Remember to save changes.`, 'success');
   }
 
@@ -2002,6 +2041,44 @@
     }
   }
 
+  // Free the pick numbers / locations held by selected archived variants (Archived view)
+  async function releaseArchived() {
+    const toRelease = [];
+    products.forEach(p => p.variants.forEach(v => {
+      if (selectedIds.has(String(v.id)) && v.is_archived && (v.pick_number || v.warehouse_location)) {
+        toRelease.push(v);
+      }
+    }));
+
+    if (toRelease.length === 0) {
+      showStatus('None of the selected archived variants hold a pick number or location', 'warning');
+      return;
+    }
+
+    const confirmMsg = `Release the pick numbers and locations of ${toRelease.length} archived variants?\n` +
+      'They are cleared here and in Shopify, and can be assigned to other products.';
+    if (!confirm(confirmMsg)) return;
+
+    try {
+      const response = await fetchJSON('/api/products/release-archived', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variantIds: toRelease.map(v => String(v.id)) })
+      });
+
+      const failed = response.results.filter(r => !r.ok);
+      let msg = `Released ${response.released} archived variants`;
+      if (failed.length > 0) msg += `, ${failed.length} failed: ${failed.map(r => `${r.sku || r.id} (${r.error})`).join(', ')}`;
+      showStatus(msg, failed.length > 0 ? 'warning' : 'success');
+
+      clearSelection();
+      await refreshProducts();
+    } catch (err) {
+      console.error('Release archived error:', err);
+      showStatus(`Error: ${err.message}`, 'error');
+    }
+  }
+
   function generateDetailedLabels() {
     showLabelPreview('detailed');
   }
@@ -2010,13 +2087,80 @@
     showLabelPreview('qrinv');
   }
 
-  function downloadLabels() {
+  // PDF and ZPL are rendered by /api/labels from saved values; HTML is built here from the table
+  async function downloadLabels() {
     const selected = getSelectedVariantsWithPick();
     if (selected.length === 0) {
       closeLabelPreview();
       return;
     }
 
+    const format = document.getElementById('labelFormat')?.value || 'pdf';
+    const dpi = document.getElementById('labelDpi')?.value || '203';
+    localStorage.setItem('LABEL_FORMAT', format);
+    localStorage.setItem('LABEL_DPI', dpi);
+
+    if (format === 'html') {
+      downloadLabelsHTML(selected);
+      return;
+    }
+
+    const unsaved = selected.filter(item => {
+      const diff = buildDiffPayload(item.variantId);
+      return diff && ['sku', 'pick_number', 'warehouse_location'].some(f => f in diff);
+    });
+    if (unsaved.length > 0) {
+      showStatus(`Save changes first: ${unsaved.length} selected variants have unsaved SKU, pick # or location edits`, 'warning');
+      return;
+    }
+
+    const btn = document.getElementById('downloadLabelsBtn');
+    btn.disabled = true;
+    btn.textContent = 'Rendering...';
+
+    try {
+      const res = await fetch('/api/labels', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          variantIds: selected.map(item => String(item.variantId)),
+          type: currentLabelType,
+          format,
+          dpi: Number(dpi)
+        })
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+
+      const filename = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1]
+        || `shelf-labels-${currentLabelType}.${format}`;
+      saveBlob(await res.blob(), filename);
+
+      const count = res.headers.get('X-Labels-Count') || selected.length;
+      const skipped = Number(res.headers.get('X-Labels-Skipped-Count')) || 0;
+      const noBarcodeCount = Number(res.headers.get('X-Labels-No-Barcode-Count')) || 0;
+      // The header lists at most 50 SKUs, URI-encoded
+      const noBarcode = (res.headers.get('X-Labels-No-Barcode') || '').split(',').filter(Boolean).map(decodeURIComponent);
+      let msg = `Downloaded ${count} labels (${currentLabelType}, ${format.toUpperCase()})`;
+      if (skipped > 0) msg += ` | ${skipped} skipped without a saved pick number`;
+      if (noBarcodeCount > 0) {
+        const more = noBarcodeCount > noBarcode.length ? ` and ${noBarcodeCount - noBarcode.length} more` : '';
+        msg += ` | no barcode for SKUs Code 128 can't encode: ${noBarcode.join(', ')}${more}`;
+      }
+      showStatus(msg, skipped > 0 || noBarcodeCount > 0 ? 'warning' : 'success');
+      closeLabelPreview();
+    } catch (err) {
+      showStatus('Failed to render labels: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Download Labels';
+    }
+  }
+
+  function downloadLabelsHTML(selected) {
     let html = '';
     switch (currentLabelType) {
       case 'detailed':
@@ -2030,20 +2174,22 @@
         return;
     }
 
-    // Download as HTML file
-    const blob = new Blob([html], { type: 'text/html' });
+    const date = new Date().toISOString().slice(0, 10);
+    saveBlob(new Blob([html], { type: 'text/html' }), `shelf-labels-${currentLabelType}-${date}.html`);
+
+    showStatus(`Downloaded ${selected.length} labels (${currentLabelType})`, 'success');
+    closeLabelPreview();
+  }
+
+  function saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    const date = new Date().toISOString().slice(0, 10);
-    a.download = `shelf-labels-${currentLabelType}-${date}.html`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-
-    showStatus(`Downloaded ${selected.length} labels (${currentLabelType})`, 'success');
-    closeLabelPreview();
   }
 
   // ===== Label HTML Generators ===============================================
@@ -2348,6 +2494,93 @@
     filterTable();
   }
 
+  // ===== Variant history ====================================================
+  const HISTORY_FIELD_LABELS = {
+    sku: 'SKU',
+    variant_title: 'Variant',
+    price: 'Price',
+    weight_grams: 'Weight (g)',
+    barcode: 'Barcode',
+    harmonized_system_code: 'HS Code',
+    country_code_of_origin: 'Country',
+    pick_number: 'Pick #',
+    warehouse_location: 'Location',
+    is_archived: 'Archived'
+  };
+
+  const HISTORY_SOURCE_LABELS = { product_manager: 'Product Manager', sync: 'Sync', webhook: 'Webhook' };
+
+  async function openVariantHistory(variantId) {
+    const panel = document.getElementById('variantHistoryPanel');
+    const body = document.getElementById('variantHistoryBody');
+    if (!panel || !body) return;
+
+    let label = variantId;
+    for (const p of products) {
+      const v = p.variants.find(v => String(v.id) === String(variantId));
+      if (v) {
+        label = `${p.title}${v.title && v.title !== 'Default Title' ? ' - ' + v.title : ''}`;
+        break;
+      }
+    }
+    document.getElementById('variantHistoryTitle').textContent = `History: ${label}`;
+    body.textContent = 'Loading...';
+    panel.classList.add('active');
+
+    try {
+      const data = await fetchJSON(`/api/products/variants/${encodeURIComponent(variantId)}/history`);
+      renderVariantHistory(body, data.history || []);
+    } catch (err) {
+      body.textContent = `Failed to load history: ${err.message}`;
+    }
+  }
+
+  function renderVariantHistory(body, history) {
+    body.innerHTML = '';
+    if (history.length === 0) {
+      body.innerHTML = '<p class="settings-hint">No changes recorded for this variant yet.</p>';
+      return;
+    }
+
+    history.forEach(h => {
+      const entry = document.createElement('div');
+      entry.className = 'history-entry';
+
+      const meta = document.createElement('div');
+      meta.className = 'history-entry-meta';
+      const source = document.createElement('span');
+      source.className = `history-source ${h.source}`;
+      source.textContent = HISTORY_SOURCE_LABELS[h.source] || h.source;
+      const when = document.createElement('span');
+      when.textContent = new Date(h.changed_at).toLocaleString();
+      meta.append(source, when);
+      if (h.changed_by) {
+        const who = document.createElement('span');
+        who.textContent = h.changed_by;
+        meta.append(who);
+      }
+
+      const change = document.createElement('div');
+      const field = document.createElement('strong');
+      field.textContent = `${HISTORY_FIELD_LABELS[h.field] || h.field}: `;
+      const oldValue = document.createElement('span');
+      oldValue.className = 'history-old';
+      oldValue.textContent = h.old_value ?? '(empty)';
+      const newValue = document.createElement('span');
+      newValue.className = 'history-new';
+      newValue.textContent = h.new_value ?? '(empty)';
+      change.append(field, oldValue, ' → ', newValue);
+
+      entry.append(meta, change);
+      body.appendChild(entry);
+    });
+  }
+
+  function closeVariantHistory() {
+    const panel = document.getElementById('variantHistoryPanel');
+    if (panel) panel.classList.remove('active');
+  }
+
   function openTagManager() {
     const panel = document.getElementById('tagManagerPanel');
     if (!panel) return;
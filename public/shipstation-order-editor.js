@@ -32,6 +32,10 @@
     statusEl.className = `status show ${kind === 'ok' ? 'ok' : 'err'}`;
   };
 
+  const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+
   // Always include cookies; robust JSON parsing; friendly network errors
   async function fetchJSON(url, opts = {}) {
     try {
@@ -52,6 +56,27 @@
     }
   }
 
+  // Queue a background job and poll it until it finishes; onProgress gets the job on each poll
+  async function runJob(type, params, onProgress) {
+    const queued = await fetchJSON('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, params })
+    });
+    if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const data = await fetchJSON(`/api/jobs/${queued.jobId}`);
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      const job = data.job;
+      if (onProgress) onProgress(job);
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') throw new Error(job.error || `Job #${job.id} failed`);
+      if (job.status === 'cancelled') throw new Error(`Job #${job.id} was cancelled`);
+    }
+  }
+
 function renderBulkTable(candidates) {
   bulkTbody.innerHTML = '';
   (candidates || []).forEach(c => {
@@ -107,16 +132,15 @@ btnBulkPreview?.addEventListener('click', async () => {
   }, 1000);
   
   try {
-    const qs = new URLSearchParams({
-      days: String(days),
-      pageSize: String(pageSize),
-      maxPages: String(maxPages)
-    }).toString();
-    
     showBulk(`Scanning ${days} days of orders${warning}...`, 'ok');
     
-    const data = await fetchJSON(`/api/shipstation/orders/scan?${qs}`);
-    if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+    // Runs as a background job so a long scan survives navigation (see /jobs)
+    const job = await runJob('shipstation-scan', { days, pageSize, maxPages }, j => {
+      const { done, total, message } = j.progress;
+      if (message) showBulk(`Scanning (job #${j.id})${total ? ` ${done}/${total}` : ''}: ${message}`, 'ok');
+      if (j.log?.length) document.getElementById('scanLogContent').innerHTML = j.log.map(escapeHtml).join('<br>');
+    });
+    const data = job.result || {};
     
     clearInterval(timerInterval);
     const totalTime = Math.round((Date.now() - startTime) / 1000);
@@ -224,7 +248,14 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
       if (!resp._ok) throw new Error(typeof resp.error === 'string' ? resp.error : `HTTP ${resp._status}`);
       const ok = resp.updated || 0;
       const fail = resp.failed || 0;
-      showBulk(`Done. Updated ${ok} orders, ${fail} failed. See console for details.`, 'ok');
+      showBulk(`Done. Updated ${ok} orders, ${fail} failed. See console for details. `, 'ok');
+      if (resp.runId && ok) {
+        // Link to the write history where the whole run can be rolled back
+        const undo = document.createElement('a');
+        undo.href = `/order-snapshots?run=${encodeURIComponent(resp.runId)}`;
+        undo.textContent = 'Undo this run';
+        bulkStatus.appendChild(undo);
+      }
       console.log('Bulk results:', resp.results);
     } catch (e) {
       showBulk(e.message || 'Bulk update failed', 'err');
@@ -346,118 +377,71 @@ document.getElementById('btnExport50')?.addEventListener('click', () => {
     }
   }, 2000);
 });
-// Add handler for ALL orders export
-// Replace the export ALL handler with this version that includes a live timer:
-document.getElementById('btnExportAllOrders')?.addEventListener('click', () => {
-  const days = document.getElementById('allExportDays').value || 30;
-  const maxOrders = document.getElementById('allExportMax').value || 2000;
-  
-  const qs = new URLSearchParams({
-    days: String(days),
-    limit: String(maxOrders),
-    all: 'true'
-  }).toString();
+// Export ALL US orders - runs as a background job; the CSV downloads when it finishes (also available from /jobs)
+document.getElementById('btnExportAllOrders')?.addEventListener('click', async () => {
+  const days = Number(document.getElementById('allExportDays').value || 30);
+  const maxOrders = Number(document.getElementById('allExportMax').value || 2000);
   
   // UI elements
   const statusEl = document.getElementById('allExportStatus');
-  const btn = document.getElementById('btnExportAll');
+  const btn = document.getElementById('btnExportAllOrders');
+  const btnLabel = btn ? btn.innerHTML : '';
   
-  // Estimate based on 40 API calls per minute
-  const estimatedMinutes = Math.round(maxOrders * 1.5 / 60);
-  const estimatedSeconds = estimatedMinutes * 60;
-  
-  // Start timer
   const startTime = Date.now();
-  let timerInterval;
-  
-  // Timer update function
-  const updateTimer = () => {
+  const renderStatus = (job) => {
     const elapsed = Math.floor((Date.now() - startTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
-    
-    // Calculate estimated remaining
-    const progress = Math.min(elapsed / estimatedSeconds, 1);
-    const remainingSeconds = Math.max(0, estimatedSeconds - elapsed);
-    const remainingMin = Math.floor(remainingSeconds / 60);
-    const remainingSec = remainingSeconds % 60;
-    
-    // Update status display
+    const { done, total, message } = job?.progress || {};
+    const pct = total ? Math.min(100, Math.round((done / total) * 100)) : 0;
     if (statusEl) {
-      let statusHTML = `
+      statusEl.innerHTML = `
         <div style="font-weight: 600; margin-bottom: 8px;">
-          ⏱️ Exporting ALL US Orders...
+          ⏱️ Exporting ALL US Orders${job ? ` (job <a href="/jobs?job=${job.id}">#${job.id}</a>, ${escapeHtml(job.status)})` : '...'}
         </div>
-        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; font-size: 0.9em;">
-          <div>
-            <strong>Elapsed:</strong> ${minutes}:${seconds.toString().padStart(2, '0')}
-          </div>
-          <div>
-            <strong>Est. Remaining:</strong> ${remainingMin}:${remainingSec.toString().padStart(2, '0')}
-          </div>
+        <div style="font-size: 0.9em;">
+          <strong>Elapsed:</strong> ${Math.floor(elapsed / 60)}:${(elapsed % 60).toString().padStart(2, '0')}
+          ${total ? ` &middot; ${done} of ${total} orders` : ''}
         </div>
+        ${message ? `<div style="margin-top: 4px; font-size: 0.85em; color: #6b7280;">${escapeHtml(message)}</div>` : ''}
         <div style="margin-top: 8px;">
           <div style="background: #e5e7eb; border-radius: 4px; height: 8px; overflow: hidden;">
-            <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: ${Math.round(progress * 100)}%; transition: width 1s;"></div>
+            <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: ${pct}%; transition: width 1s;"></div>
           </div>
         </div>
         <div style="margin-top: 6px; font-size: 0.85em; color: #6b7280;">
-          Processing ~${Math.round(progress * maxOrders)} of ${maxOrders} orders (estimate)
+          You can leave this page; the export keeps running and the file stays on the Background Jobs page.
         </div>
       `;
-      statusEl.innerHTML = statusHTML;
       statusEl.className = 'status show ok';
     }
-    
-    // Stop timer after reasonable max time (2 hours)
-    if (elapsed > 7200) {
-      clearInterval(timerInterval);
-      if (statusEl) {
-        statusEl.innerHTML = 'Export is taking longer than expected. Check browser downloads or console for status.';
-        statusEl.className = 'status show err';
-      }
-    }
   };
   
-  // Start the timer
-  timerInterval = setInterval(updateTimer, 1000);
-  updateTimer(); // Initial call
+  if (btn) btn.disabled = true;
+  renderStatus(null);
   
-  // Disable button
-  if (btn) {
-    btn.disabled = false;
-    btn.innerHTML = '📥 Export ALL US Orders (40+ min)';  // Update this text to match
-  }
-  
-  // Start download
-  const downloadUrl = `/api/shipstation/orders/export-all.csv?${qs}`;
-  
-  // Create hidden iframe for download (allows page to stay responsive)
-  window.location.href = downloadUrl;
-
-  
-  // Clean up after estimated time + buffer
-  setTimeout(() => {
-    clearInterval(timerInterval);
+  try {
+    const job = await runJob('shipstation-export-all', { days, limit: maxOrders }, renderStatus);
+    
+    // Start download
+    window.location.href = `/api/jobs/${job.id}/download`;
     
     if (statusEl) {
       statusEl.innerHTML = `
         <div style="font-weight: 600;">✅ Export Complete!</div>
-        <div style="margin-top: 4px; font-size: 0.9em;">Check your downloads folder for the CSV file.</div>
+        <div style="margin-top: 4px; font-size: 0.9em;">${job.result?.rows || 0} rows from ${job.result?.orders || 0} orders. Check your downloads folder, or <a href="/api/jobs/${job.id}/download">download again</a>.</div>
       `;
       statusEl.className = 'status show ok';
     }
-    
+  } catch (e) {
+    if (statusEl) {
+      statusEl.textContent = 'Export failed: ' + e.message;
+      statusEl.className = 'status show err';
+    }
+  } finally {
     if (btn) {
       btn.disabled = false;
-      btn.innerHTML = '📥 Export ALL US Orders (40+ min)';
+      btn.innerHTML = btnLabel;
     }
-    
-    // Remove iframe
-    if (iframe && iframe.parentNode) {
-      iframe.parentNode.removeChild(iframe);
-    }
-  }, (estimatedSeconds + 60) * 1000); // Add 1 min buffer
+  }
 });
   // -------- renderer ----------
   function renderDiffAndAnalysis(diff, analysis) {
@@ -466,7 +450,7 @@ document.getElementById('btnExportAllOrders')?.addEventListener('click', () => {
       lines.push('// Analysis of customs items:');
       analysis.forEach(a => {
         const hsNote = a.hsNew && a.hsNew !== a.hs ? ` HS ${a.hs} → ${a.hsNew}` : ` HS ${a.hs}`;
-        lines.push(`#${a.index + 1}${hsNote} rule=${a.rule} FROM: "${a.from}"  ->  TO: "${a.mapped}"  ${a.willChange ? '🎯 CHANGE' : '— no change'}`);
+        lines.push(`#${a.index + 1}${hsNote} rule=${a.ruleName && a.ruleName !== String(a.rule) ? `${a.rule} (${a.ruleName})` : a.rule} FROM: "${a.from}"  ->  TO: "${a.mapped}"  ${a.willChange ? '🎯 CHANGE' : '— no change'}`);
       });
       lines.push('');
     }
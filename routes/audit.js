@@ -0,0 +1,55 @@
+// Audit log routes - search who changed what across all tools
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requirePermission, requirePermissionApi } = require('../utils/auth-middleware');
+const { searchAudit, getAuditFacets } = require('../utils/audit-log');
+
+// Load HTML template
+const auditHTML = fs.readFileSync(path.join(__dirname, '../views/audit.html'), 'utf8');
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/audit', requirePermission('audit.view'), (req, res) => {
+  res.send(auditHTML);
+});
+
+// ============================================================================
+// API: AUDIT LOG
+// ============================================================================
+
+/**
+ * GET /api/audit
+ * Search audit entries, newest first
+ * Query: ?user=&tool=&outcome=&target=&q=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=100&offset=0
+ */
+router.get('/api/audit', requirePermissionApi('audit.view'), async (req, res) => {
+  try {
+    const { user, tool, outcome, target, q, from, to, limit, offset } = req.query;
+    const result = await searchAudit({ user, tool, outcome, target, q, from, to, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Audit API] Search error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/audit/facets
+ * Distinct users and tools for the filter dropdowns
+ */
+router.get('/api/audit/facets', requirePermissionApi('audit.view'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getAuditFacets()) });
+  } catch (err) {
+    console.error('[Audit API] Facets error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const fs = require('fs');
 const path = require('path');
+const { getUserRole, permissionsForRole } = require('../utils/user-roles');
 
 // Allowed email domain
 const ALLOWED_DOMAIN = 'hemlockandoak.com';
@@ -114,17 +115,38 @@ router.get('/logout', (req, res) => {
   });
 });
 
-// API endpoint to get current user info
-router.get('/api/auth/user', (req, res) => {
+// Sign-in without Google for the offline test harness (test/harness). Only exists when
+// ALLOW_TEST_LOGIN=true and NODE_ENV is not production; never set it on a deployed server.
+if (process.env.ALLOW_TEST_LOGIN === 'true' && process.env.NODE_ENV !== 'production') {
+  console.warn('[Auth] ALLOW_TEST_LOGIN is on - POST /auth/test-login signs in any email');
+  router.post('/auth/test-login', (req, res) => {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email) return res.status(400).json({ success: false, error: 'email is required' });
+    req.session.userId = `test:${email}`;
+    req.session.userEmail = email;
+    req.session.userName = email;
+    res.json({ success: true, email });
+  });
+}
+
+// API endpoint to get current user info (including role and permissions)
+router.get('/api/auth/user', async (req, res, next) => {
   if (!req.session.userId) {
     return res.status(401).json({ error: 'Not authenticated' });
   }
-  res.json({
-    id: req.session.userId,
-    email: req.session.userEmail,
-    name: req.session.userName,
-    picture: req.session.userPicture
-  });
+  try {
+    const role = await getUserRole(req.session.userEmail);
+    res.json({
+      id: req.session.userId,
+      email: req.session.userEmail,
+      name: req.session.userName,
+      picture: req.session.userPicture,
+      role,
+      permissions: permissionsForRole(role)
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 module.exports = router;
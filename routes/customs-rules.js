@@ -0,0 +1,247 @@
+// Customs rules editor routes - CRUD over the customs_rules table
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+
+const productDb = require('../utils/product-db');
+const {
+  loadCustomsRulesFromDb,
+  getCustomsRulesStatus,
+  validateCustomsRule,
+  pickCustomsDescription
+} = require('../utils/customs-rules');
+const { listCorpusFiles, runCustomsTestBench } = require('../utils/customs-test-bench');
+
+// Load HTML template
+const customsRulesHTML = fs.readFileSync(path.join(__dirname, '../views/customs-rules.html'), 'utf8');
+const customsTestBenchHTML = fs.readFileSync(path.join(__dirname, '../views/customs-test-bench.html'), 'utf8');
+
+// customs_rules.id is a SERIAL (int4); anything else can't match a rule and Postgres would reject it
+const isRuleId = id => /^\d+$/.test(String(id)) && Number(id) <= 2147483647;
+
+// Pull only editable fields out of a request body, normalizing blanks to null
+function ruleFromBody(body = {}) {
+  const rule = {};
+  for (const key of ['name', 'product_type', 'title_pattern', 'hs_prefix', 'hs_code', 'description', 'notes']) {
+    if (body[key] !== undefined) {
+      const val = body[key] === null ? '' : String(body[key]).trim();
+      rule[key] = val === '' ? null : val;
+    }
+  }
+  if (rule.hs_prefix) rule.hs_prefix = rule.hs_prefix.replace(/[^0-9]/g, '');
+  if (rule.hs_code) rule.hs_code = rule.hs_code.replace(/[^0-9]/g, '');
+  if (body.enabled !== undefined) rule.enabled = body.enabled !== false && body.enabled !== 'false';
+  if (body.position !== undefined && body.position !== '' && body.position !== null) {
+    // A non-numeric position is kept as NaN so validateCustomsRule reports it
+    rule.position = /^-?\d+$/.test(String(body.position).trim()) ? Number(body.position) : NaN;
+  }
+  return rule;
+}
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/customs-rules', requireAuth, (req, res) => {
+  res.send(customsRulesHTML);
+});
+
+router.get('/customs-rules/test-bench', requireAuth, (req, res) => {
+  res.send(customsTestBenchHTML);
+});
+
+// ============================================================================
+// API: CUSTOMS RULES
+// ============================================================================
+
+/**
+ * GET /api/customs-rules
+ * Returns all rules in evaluation order plus the engine's load status
+ */
+router.get('/api/customs-rules', requireAuthApi, async (req, res) => {
+  try {
+    const rules = await productDb.getCustomsRules();
+    res.json({ success: true, rules, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] List error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/customs-rules
+ * Create a rule
+ * Body: { name, description, title_pattern?, hs_prefix?, hs_code?, product_type?, position?, enabled?, notes? }
+ */
+router.post('/api/customs-rules', requirePermissionApi('customs-rules.edit'), async (req, res) => {
+  try {
+    const rule = ruleFromBody(req.body);
+    const errors = validateCustomsRule(rule);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    rule.updated_by = req.session.userEmail || null;
+    const created = await productDb.createCustomsRule(rule);
+    await loadCustomsRulesFromDb();
+
+    console.log(`[Customs Rules API] Created rule ${created.id} (${created.name}) by ${rule.updated_by}`);
+    res.json({ success: true, rule: created, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] Create error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/customs-rules/:id
+ * Update a rule (partial)
+ */
+router.put('/api/customs-rules/:id', requirePermissionApi('customs-rules.edit'), async (req, res) => {
+  if (!isRuleId(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Rule id must be a number' });
+  }
+
+  try {
+    const existing = await productDb.getCustomsRuleById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    const updates = ruleFromBody(req.body);
+    const errors = validateCustomsRule({ ...existing, ...updates });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    updates.updated_by = req.session.userEmail || null;
+    const updated = await productDb.updateCustomsRule(req.params.id, updates);
+    await loadCustomsRulesFromDb();
+
+    res.json({ success: true, rule: updated, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] Update error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/customs-rules/:id
+ */
+router.delete('/api/customs-rules/:id', requirePermissionApi('customs-rules.edit'), async (req, res) => {
+  if (!isRuleId(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Rule id must be a number' });
+  }
+
+  try {
+    const deleted = await productDb.deleteCustomsRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    await loadCustomsRulesFromDb();
+
+    console.log(`[Customs Rules API] Deleted rule ${deleted.id} (${deleted.name}) by ${req.session.userEmail}`);
+    res.json({ success: true, rule: deleted, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] Delete error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/customs-rules/reorder
+ * Set evaluation order
+ * Body: { ids: number[] }  (first ID is evaluated first)
+ */
+router.post('/api/customs-rules/reorder', requirePermissionApi('customs-rules.edit'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'ids must be a non-empty array' });
+    }
+    if (!ids.every(isRuleId)) {
+      return res.status(400).json({ success: false, error: 'ids must be rule ids (numbers)' });
+    }
+
+    const rules = await productDb.reorderCustomsRules(ids.map(id => parseInt(id, 10)), req.session.userEmail || null);
+    await loadCustomsRulesFromDb();
+
+    res.json({ success: true, rules, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] Reorder error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/customs-rules/reload
+ * Re-read rules from the database into the running engine
+ */
+router.post('/api/customs-rules/reload', requirePermissionApi('customs-rules.edit'), async (req, res) => {
+  try {
+    const rules = await loadCustomsRulesFromDb();
+    res.json({ success: true, count: rules.length, engine: getCustomsRulesStatus() });
+  } catch (err) {
+    console.error('[Customs Rules API] Reload error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/customs-rules/evaluate
+ * Run the active rules against a title / HS code and report which rule fired
+ * Body: { title: string, hs?: string }
+ */
+router.post('/api/customs-rules/evaluate', requireAuthApi, (req, res) => {
+  const { title = '', hs = '' } = req.body || {};
+  res.json({ success: true, result: pickCustomsDescription(hs, title), engine: getCustomsRulesStatus() });
+});
+
+// ============================================================================
+// API: TEST BENCH
+// ============================================================================
+
+/**
+ * GET /api/customs-rules/test-bench/corpus
+ * Lists the stored order exports (exports/*.csv) that can be replayed
+ */
+router.get('/api/customs-rules/test-bench/corpus', requireAuthApi, async (req, res) => {
+  try {
+    res.json({ success: true, files: await listCorpusFiles() });
+  } catch (err) {
+    console.error('[Customs Rules API] Corpus list error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/customs-rules/test-bench
+ * Replays a stored export through buildCustomsPatch with the active rules and
+ * with a candidate rule set, reporting changed lines grouped by the rule that fired
+ * Body: { file: string, candidate: rule[] | { rules: rule[] }, maxChanges?: number }
+ */
+router.post('/api/customs-rules/test-bench', requireAuthApi, async (req, res) => {
+  try {
+    const { file, candidate } = req.body || {};
+    const maxChanges = Math.max(1, Math.min(10000, Number(req.body?.maxChanges || 1000)));
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'file is required' });
+    }
+
+    const started = Date.now();
+    const result = await runCustomsTestBench({ file, candidate, maxChanges });
+    console.log(`[Customs Rules API] Test bench on ${result.file}: ${result.summary.changedLines}/${result.summary.lines} lines would change (${Date.now() - started}ms)`);
+
+    res.json({ success: true, engine: getCustomsRulesStatus(), ...result });
+  } catch (err) {
+    const status = err.status || (err.code === 'ENOENT' ? 404 : 500);
+    if (status === 500) console.error('[Customs Rules API] Test bench error:', err);
+    res.status(status).json({ success: false, error: err.code === 'ENOENT' ? 'Export file not found' : err.message });
+  }
+});
+
+module.exports = router;
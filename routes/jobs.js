@@ -0,0 +1,164 @@
+// Background job routes - queue, follow, cancel and download long-running operations
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { getUserRole, roleHasPermission } = require('../utils/user-roles');
+const {
+  getJobHandler,
+  listJobTypes,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob
+} = require('../utils/job-queue');
+
+// Load HTML template
+const jobsHTML = fs.readFileSync(path.join(__dirname, '../views/jobs.html'), 'utf8');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Jobs without a permission are open to any signed-in user
+async function canRunType(req, type) {
+  const permission = getJobHandler(type)?.permission;
+  if (!permission) return true;
+  const role = await getUserRole(req.session.userEmail);
+  return !!role && roleHasPermission(role, permission);
+}
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/jobs', requireAuth, (req, res) => {
+  res.send(jobsHTML);
+});
+
+// ============================================================================
+// API: JOBS
+// ============================================================================
+
+/**
+ * GET /api/jobs
+ * Recent jobs, newest first (no log/result bodies)
+ * Query: ?status=running&type=shipstation-scan&limit=50
+ */
+router.get('/api/jobs', requireAuthApi, async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = await listJobs({ status, type, limit });
+    res.json({ success: true, jobs });
+  } catch (err) {
+    console.error('[Jobs API] List error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/jobs/types
+ * Registered job types and the permission each needs
+ */
+router.get('/api/jobs/types', requireAuthApi, (req, res) => {
+  res.json({ success: true, types: listJobTypes() });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Full job including log and result
+ */
+router.get('/api/jobs/:id', requireAuthApi, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, { full: true });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('[Jobs API] Get error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue a job
+ * Body: { type: 'shipstation-export-all', params: { days: 30 } }
+ */
+router.post('/api/jobs', requireAuthApi, async (req, res) => {
+  try {
+    const { type, params } = req.body || {};
+    if (!type || !getJobHandler(type)) {
+      return res.status(400).json({ success: false, error: `Unknown job type: ${type}` });
+    }
+    if (!(await canRunType(req, type))) {
+      return res.status(403).json({ success: false, error: `Your role does not allow ${getJobHandler(type).permission}` });
+    }
+
+    const job = await enqueueJob(type, params || {}, { createdBy: req.session.userEmail || null });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Jobs API] Enqueue error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued job, or ask a running one to stop at its next checkpoint
+ */
+router.post('/api/jobs/:id/cancel', requireAuthApi, async (req, res) => {
+  try {
+    const existing = await getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    const isOwner = existing.createdBy && existing.createdBy === req.session.userEmail;
+    if (!isOwner && !(await canRunType(req, existing.type))) {
+      return res.status(403).json({ success: false, error: 'You can only cancel your own jobs' });
+    }
+
+    const job = await cancelJob(req.params.id, req.session.userEmail || null);
+    console.log(`[Jobs API] Cancel requested for #${job.id} (${job.type}) by ${req.session.userEmail}`);
+    res.json({ success: true, job });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Jobs API] Cancel error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/download
+ * The job's result file (e.g. export CSV), or its JSON result when it has none
+ */
+router.get('/api/jobs/:id/download', requireAuthApi, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, { full: true });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.resultFile) {
+      const filePath = path.resolve(PROJECT_ROOT, job.resultFile);
+      if (!filePath.startsWith(PROJECT_ROOT + path.sep) || !fs.existsSync(filePath)) {
+        return res.status(404).json({ success: false, error: 'Result file is no longer available' });
+      }
+      return res.download(filePath, path.basename(filePath));
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(400).json({ success: false, error: `Job is ${job.status}` });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="job-${job.id}-${job.type}.json"`);
+    res.json(job.result);
+  } catch (err) {
+    console.error('[Jobs API] Download error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+// Shelf label routes - PDF and ZPL labels rendered from the product DB (utils/label-renderer.js)
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { requirePermissionApi } = require('../utils/auth-middleware');
+const productDb = require('../utils/product-db');
+const { isVariantId } = require('../utils/variant-import');
+const { LABEL_TYPES, FORMATS, DEFAULT_DPI, renderLabelsPdf, renderLabelsZpl, skusWithoutBarcode } = require('../utils/label-renderer');
+
+const MAX_LABELS = 2000;
+const PRINTER_DPIS = [203, 300];
+// Header lists stop here (a full request can skip 2000 IDs); the -Count headers have the totals
+const HEADER_LIST_MAX = 50;
+
+// Comma-separated, URI-encoded values for a response header, capped at HEADER_LIST_MAX
+const headerList = values => values.slice(0, HEADER_LIST_MAX).map(encodeURIComponent).join(',');
+
+// Label fields from a variants row, as the product manager builds them
+function labelItem(variant) {
+  const variantTitle = variant.variant_title && !/^Default( Title)?$/i.test(variant.variant_title) ? variant.variant_title : '';
+  return {
+    variantId: String(variant.shopify_variant_id),
+    pick: String(variant.pick_number).trim(),
+    sku: (variant.sku || '').trim(),
+    name: variantTitle ? `${variant.product_title} - ${variantTitle}` : variant.product_title || '',
+    location: (variant.warehouse_location || '').trim()
+  };
+}
+
+// Numeric pick numbers first, in order; the rest after them alphabetically
+function comparePick(a, b) {
+  const numA = parseInt(a.pick, 10);
+  const numB = parseInt(b.pick, 10);
+  if (Number.isNaN(numA) !== Number.isNaN(numB)) return Number.isNaN(numA) ? 1 : -1;
+  return (numA - numB) || a.pick.localeCompare(b.pick);
+}
+
+// ============================================================================
+// API: LABELS
+// ============================================================================
+
+/**
+ * POST /api/labels
+ * Shelf labels for variants, sorted by pick number, as a download
+ * Body: { variantIds: [...], type: 'detailed' | 'qrinv', format: 'pdf' | 'zpl', dpi?: 203 | 300 }
+ * Variants without a pick number are left out: X-Labels-Skipped-Count has how many and X-Labels-Skipped
+ * the first 50 IDs. Detailed labels for SKUs Code 128 can't encode print without the barcode:
+ * X-Labels-No-Barcode-Count and X-Labels-No-Barcode (first 50 SKUs, URI-encoded) report them.
+ * Uses saved values only - unsaved edits in the product manager are not on the labels.
+ */
+router.post('/api/labels', requirePermissionApi('labels.print'), async (req, res) => {
+  const { variantIds, type = 'detailed', format = 'pdf', dpi = DEFAULT_DPI } = req.body || {};
+
+  if (!Array.isArray(variantIds) || variantIds.length === 0) {
+    return res.status(400).json({ error: 'No variant IDs provided' });
+  }
+  if (variantIds.length > MAX_LABELS) {
+    return res.status(400).json({ error: `At most ${MAX_LABELS} labels per request` });
+  }
+  if (!variantIds.every(isVariantId)) {
+    return res.status(400).json({ error: 'Invalid variant ID' });
+  }
+  if (!LABEL_TYPES[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(LABEL_TYPES).join(', ')}` });
+  }
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+  }
+  if (!PRINTER_DPIS.includes(Number(dpi))) {
+    return res.status(400).json({ error: `dpi must be one of: ${PRINTER_DPIS.join(', ')}` });
+  }
+
+  try {
+    const ids = [...new Set(variantIds.map(String))];
+    const variants = await productDb.getVariantsByIdsOrSkus(ids, []);
+    const withPick = variants.filter(v => String(v.pick_number || '').trim());
+    const items = withPick.map(labelItem).sort(comparePick);
+
+    const found = new Set(withPick.map(v => String(v.shopify_variant_id)));
+    const skipped = ids.filter(id => !found.has(id));
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'None of the variants have a pick number', skipped });
+    }
+
+    const noBarcode = skusWithoutBarcode(type, items);
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `shelf-labels-${type}-${date}.${format}`;
+    const body = format === 'pdf'
+      ? renderLabelsPdf(type, items, { dpi: Number(dpi) })
+      : renderLabelsZpl(type, items, { dpi: Number(dpi) });
+
+    console.log(`[Labels] ${req.session.userEmail} rendered ${items.length} ${type} labels as ${format.toUpperCase()}`);
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Labels-Count': String(items.length),
+      'X-Labels-Skipped': headerList(skipped),
+      'X-Labels-Skipped-Count': String(skipped.length),
+      'X-Labels-No-Barcode': headerList(noBarcode),
+      'X-Labels-No-Barcode-Count': String(noBarcode.length)
+    });
+    res.send(body);
+  } catch (err) {
+    console.error('[Labels] Render error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
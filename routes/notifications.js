@@ -0,0 +1,121 @@
+// Notification routes - per-user subscriptions (email / chat webhook, instant or daily digest)
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const {
+  TOPICS,
+  MODES,
+  DIGEST_HOUR,
+  listChannels,
+  getSubscriptions,
+  setSubscriptions,
+  sendDigests,
+  sendTest,
+  listRecentNotifications
+} = require('../utils/notifications');
+
+// Load HTML template
+const notificationsHTML = fs.readFileSync(path.join(__dirname, '../views/notifications.html'), 'utf8');
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/notifications', requireAuth, (req, res) => {
+  res.send(notificationsHTML);
+});
+
+// ============================================================================
+// API: SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * GET /api/notifications/settings
+ * Topics, channels (and whether the server has them configured) and the current user's subscriptions
+ */
+router.get('/api/notifications/settings', requireAuthApi, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      topics: Object.entries(TOPICS).map(([topic, label]) => ({ topic, label })),
+      channels: listChannels(),
+      modes: MODES,
+      digestHour: DIGEST_HOUR,
+      userEmail: req.session.userEmail,
+      subscriptions: await getSubscriptions(req.session.userEmail)
+    });
+  } catch (err) {
+    console.error('[Notifications API] Settings error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/notifications/subscriptions
+ * Replace the current user's subscriptions
+ * Body: { subscriptions: [{ topic, channel: 'email'|'chat', target?, mode: 'instant'|'digest', enabled }] }
+ * Email targets are the user's login email (the default) or a company address; chat targets are the
+ * names of the configured webhooks (default: "default", i.e. NOTIFY_CHAT_WEBHOOK_URL)
+ */
+router.put('/api/notifications/subscriptions', requirePermissionApi('notifications.subscribe'), async (req, res) => {
+  try {
+    const subscriptions = await setSubscriptions(req.session.userEmail, req.body.subscriptions);
+    res.json({ success: true, subscriptions });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Notifications API] Save error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/notifications/test
+ * Send a test message
+ * Body: { channel, target? } - target defaults like a subscription's
+ */
+router.post('/api/notifications/test', requirePermissionApi('notifications.subscribe'), async (req, res) => {
+  try {
+    const { channel, target } = req.body;
+    const resolved = target || (channel === 'email' ? req.session.userEmail : 'default');
+    await sendTest(channel, resolved, { userEmail: req.session.userEmail });
+    res.json({ success: true, channel, target: resolved });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Notifications API] Test error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/notifications/recent
+ * Latest notifications with the current user's delivery status for each
+ * Query: ?limit=50
+ */
+router.get('/api/notifications/recent', requireAuthApi, async (req, res) => {
+  try {
+    const notifications = await listRecentNotifications(req.session.userEmail, { limit: req.query.limit });
+    res.json({ success: true, notifications });
+  } catch (err) {
+    console.error('[Notifications API] Recent error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/notifications/digest/run
+ * Send all pending digest deliveries now instead of waiting for NOTIFY_DIGEST_HOUR
+ */
+router.post('/api/notifications/digest/run', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await sendDigests()) });
+  } catch (err) {
+    console.error('[Notifications API] Digest error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,32 @@ const fs = require('fs');
 const path = require('path');
 const { ShipStationAPI } = require('../shipstation-api.js');
 const { ShopifyAPI } = require('../shopify-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const { verifyShopifyWebhook } = require('../utils/shopify-webhooks');
+const { compareOrders } = require('../utils/order-change-detector-job');
+const {
+  STATUSES,
+  ACTIVE_STATUSES,
+  recordCheck,
+  recordCheckError,
+  getOrderState,
+  getOrderStates,
+  markTagged,
+  markUntagged,
+  setStatus,
+  listDiscrepancies,
+  getOrderHistory
+} = require('../utils/order-change-state');
+const { SYNCABLE_STATUSES, buildItemSyncPlan } = require('../utils/order-item-sync');
+const {
+  classifyLine,
+  ensurePromoRulesLoaded,
+  getPromoRulesStatus,
+  listPromoRules,
+  addPromoRule,
+  deletePromoRule,
+  updatePromoSettings
+} = require('../utils/promo-rules');
 
 // Initialize APIs
 const shipstation = new ShipStationAPI();
@@ -21,122 +46,6 @@ router.get('/order-change-detector', requireAuth, (req, res) => {
 
 // ===== Helper Functions =====
 
-/**
- * Compare Shopify and ShipStation line items to detect changes
- * Returns: { hasChanges: boolean, changes: Array, details: Object }
- */
-function compareOrderItems(shopifyOrder, shipstationOrder) {
-  // Extract line items from both orders
-  const shopifyItems = shopifyOrder.line_items || [];
-  const shipstationItems = shipstationOrder.items || [];
-  
-  // Create normalized item maps for comparison
-  // Using SKU as the primary identifier, with name as fallback
-  const shopifyItemMap = new Map();
-  const shipstationItemMap = new Map();
-  
-  // Build Shopify item map
-  // Each entry: { sku: { quantity, name, price } }
-  shopifyItems.forEach(item => {
-    const sku = item.sku || item.name; // Use name as fallback if no SKU
-    const existing = shopifyItemMap.get(sku);
-    
-    if (existing) {
-      // If SKU already exists, add quantities (for multiple line items with same SKU)
-      existing.quantity += item.quantity;
-    } else {
-      shopifyItemMap.set(sku, {
-        quantity: item.quantity,
-        name: item.name,
-        price: parseFloat(item.price),
-        variantId: item.variant_id
-      });
-    }
-  });
-  
-  // Build ShipStation item map
-  // Each entry: { sku: { quantity, name, price } }
-  shipstationItems.forEach(item => {
-    const sku = item.sku || item.name; // Use name as fallback if no SKU
-    const existing = shipstationItemMap.get(sku);
-    
-    if (existing) {
-      // If SKU already exists, add quantities
-      existing.quantity += item.quantity;
-    } else {
-      shipstationItemMap.set(sku, {
-        quantity: item.quantity,
-        name: item.name,
-        price: parseFloat(item.unitPrice || 0)
-      });
-    }
-  });
-  
-  // Detect changes
-  const changes = [];
-  let hasChanges = false;
-  
-  // Check for items in Shopify that are missing or have different quantities in ShipStation
-  for (const [sku, shopifyItem] of shopifyItemMap) {
-    const shipstationItem = shipstationItemMap.get(sku);
-    
-    if (!shipstationItem) {
-      // Item exists in Shopify but NOT in ShipStation = REMOVED from ShipStation
-      hasChanges = true;
-      changes.push({
-        type: 'removed',
-        sku: sku,
-        name: shopifyItem.name,
-        quantity: shopifyItem.quantity,
-        description: `Item "${shopifyItem.name}" (SKU: ${sku}) was removed from ShipStation (${shopifyItem.quantity} units)`
-      });
-    } else if (shipstationItem.quantity !== shopifyItem.quantity) {
-      // Item exists in both but with DIFFERENT quantities = QUANTITY CHANGED
-      hasChanges = true;
-      const difference = shipstationItem.quantity - shopifyItem.quantity;
-      const changeType = difference > 0 ? 'increased' : 'decreased';
-      
-      changes.push({
-        type: 'quantity_changed',
-        sku: sku,
-        name: shopifyItem.name,
-        shopifyQuantity: shopifyItem.quantity,
-        shipstationQuantity: shipstationItem.quantity,
-        difference: Math.abs(difference),
-        changeType: changeType,
-        description: `Item "${shopifyItem.name}" (SKU: ${sku}) quantity ${changeType} from ${shopifyItem.quantity} to ${shipstationItem.quantity}`
-      });
-    }
-  }
-  
-  // Check for items in ShipStation that DON'T exist in Shopify = ADDED to ShipStation
-  for (const [sku, shipstationItem] of shipstationItemMap) {
-    const shopifyItem = shopifyItemMap.get(sku);
-    
-    if (!shopifyItem) {
-      // Item exists in ShipStation but NOT in Shopify = ADDED to ShipStation
-      hasChanges = true;
-      changes.push({
-        type: 'added',
-        sku: sku,
-        name: shipstationItem.name,
-        quantity: shipstationItem.quantity,
-        description: `Item "${shipstationItem.name}" (SKU: ${sku}) was added to ShipStation (${shipstationItem.quantity} units)`
-      });
-    }
-  }
-  
-  return {
-    hasChanges,
-    changes,
-    details: {
-      shopifyItemCount: shopifyItems.length,
-      shipstationItemCount: shipstationItems.length,
-      totalChanges: changes.length
-    }
-  };
-}
-
 /**
  * Get Shopify order by order number
  * ShipStation uses order numbers like "1001", while Shopify uses names like "#1001"
@@ -156,170 +65,284 @@ async function getShopifyOrderByNumber(orderNumber) {
   }
 }
 
+// Comma-separated ?status= filter; null when absent, throws 400 on unknown statuses
+function parseStatusFilter(value) {
+  if (!value) return null;
+  const statuses = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.filter(s => !STATUSES.includes(s));
+  if (invalid.length) {
+    throw Object.assign(new Error(`Unknown status: ${invalid.join(', ')} (use ${STATUSES.join(', ')})`), { status: 400 });
+  }
+  return statuses;
+}
+
+/**
+ * Change a discrepancy's status; resolving also takes the "ORDER CHANGE" tag off the ShipStation order
+ * @returns {Promise<{ state: object, tagRemoved: boolean }>}
+ */
+async function applyStatus(orderId, status, { actor, note, tagId }) {
+  let tagRemoved = false;
+  if (!(await getOrderState(orderId))?.status) {
+    throw Object.assign(new Error(`No detected change for order ${orderId}`), { status: 404 });
+  }
+  if (status === 'resolved' && tagId) {
+    const ssOrder = await shipstation.getOrder(orderId);
+    if ((ssOrder.tagIds || []).includes(tagId)) {
+      await shipstation.removeTagFromOrder(orderId, tagId);
+      tagRemoved = true;
+    }
+    await markUntagged(orderId, { actor, source: 'resolve' });
+  }
+  const state = await setStatus(orderId, status, { actor, note });
+  return { state, tagRemoved };
+}
+
+/**
+ * Fetch both sides of an order and plan the ShipStation items rebuild
+ * Throws 404 when either order is missing, 409 when ShipStation has already shipped/cancelled it
+ */
+async function loadItemSyncPlan(orderId) {
+  const ssOrder = await shipstation.getOrder(orderId);
+  if (!ssOrder) {
+    throw Object.assign(new Error(`ShipStation order ${orderId} not found`), { status: 404 });
+  }
+  if (!SYNCABLE_STATUSES.includes(ssOrder.orderStatus)) {
+    throw Object.assign(new Error(`Order ${ssOrder.orderNumber} is ${ssOrder.orderStatus}; items can only be synced on ${SYNCABLE_STATUSES.join(', ')} orders`), { status: 409 });
+  }
+  const shopifyOrder = await getShopifyOrderByNumber(ssOrder.orderNumber);
+  if (!shopifyOrder) {
+    throw Object.assign(new Error(`Shopify order ${ssOrder.orderNumber} not found`), { status: 404 });
+  }
+  await ensurePromoRulesLoaded();
+  return { ssOrder, shopifyOrder, plan: buildItemSyncPlan(shopifyOrder, ssOrder) };
+}
+
 // ===== API Endpoints =====
 
 /**
- * API: Scan for orders with changes
- * Compares ShipStation orders with Shopify to find discrepancies
+ * Compare recent awaiting_shipment ShipStation orders with Shopify
+ * @param {object} params - { days, maxOrders, status } (status filters the returned orders)
+ * @param {object} options - record: store each result in the detector state; without it the statuses
+ *   shown are the stored ones (or 'open' for a discrepancy that isn't stored yet) and nothing is written
  */
-router.get('/api/order-change-detector/scan', requireAuthApi, async (req, res) => {
-  try {
-    const days = Number(req.query.days || 30);
-    const maxOrders = Number(req.query.maxOrders || 200);
-    
-    console.log(`[Order Change Detector] Scanning last ${days} days for order changes (max: ${maxOrders})...`);
-    
-    // Calculate date range
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    const createDateStart = startDate.toISOString().split('T')[0];
-    
-    // STEP 1: Fetch orders from ShipStation
-    // We'll check "awaiting_shipment" orders since those are active and may have been edited
-    console.log('[Order Change Detector] Fetching ShipStation orders...');
-    const shipstationOrders = await shipstation.searchOrders({
-      orderStatus: 'awaiting_shipment',
-      createDateStart,
-      pageSize: Math.min(maxOrders, 500),
-      page: 1,
-      sortBy: 'OrderDate',
-      sortDir: 'DESC'
-    });
-    
-    console.log(`[Order Change Detector] Found ${shipstationOrders.length} ShipStation orders`);
+async function scanForChanges(params, { record }) {
+  const statusFilter = parseStatusFilter(params.status);
+  const days = Number(params.days || 30);
+  const maxOrders = Number(params.maxOrders || 200);
+  await ensurePromoRulesLoaded();
+  
+  console.log(`[Order Change Detector] ${record ? 'Scanning' : 'Previewing'} last ${days} days for order changes (max: ${maxOrders})...`);
+  
+  // Calculate date range
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  const createDateStart = startDate.toISOString().split('T')[0];
+  
+  // STEP 1: Fetch orders from ShipStation
+  // We'll check "awaiting_shipment" orders since those are active and may have been edited
+  console.log('[Order Change Detector] Fetching ShipStation orders...');
+  const shipstationOrders = await shipstation.searchOrders({
+    orderStatus: 'awaiting_shipment',
+    createDateStart,
+    pageSize: Math.min(maxOrders, 500),
+    page: 1,
+    sortBy: 'OrderDate',
+    sortDir: 'DESC'
+  });
+  
+  console.log(`[Order Change Detector] Found ${shipstationOrders.length} ShipStation orders`);
+  const storedStates = record ? null : await getOrderStates(shipstationOrders.map(o => o.orderId));
+  
+  // STEP 2: Check each order against Shopify
+  const ordersWithChanges = [];
+  const scannedOrders = [];
+  let processedCount = 0;
+  
+  for (const ssOrder of shipstationOrders) {
+    processedCount++;
     
-    // STEP 2: Check each order against Shopify
-    const ordersWithChanges = [];
-    const scannedOrders = [];
-    let processedCount = 0;
+    // Progress logging every 10 orders
+    if (processedCount % 10 === 0) {
+      console.log(`[Order Change Detector] Progress: ${processedCount}/${shipstationOrders.length} orders checked`);
+    }
     
-    for (const ssOrder of shipstationOrders) {
-      processedCount++;
+    try {
+      // Get corresponding Shopify order
+      const shopifyOrder = await getShopifyOrderByNumber(ssOrder.orderNumber);
       
-      // Progress logging every 10 orders
-      if (processedCount % 10 === 0) {
-        console.log(`[Order Change Detector] Progress: ${processedCount}/${shipstationOrders.length} orders checked`);
-      }
-      
-      try {
-        // Get corresponding Shopify order
-        const shopifyOrder = await getShopifyOrderByNumber(ssOrder.orderNumber);
-        
-        if (!shopifyOrder) {
-          console.log(`[Order Change Detector] âš ï¸ No matching Shopify order found for #${ssOrder.orderNumber}`);
-          
-          // Track as scanned but no Shopify match
-          scannedOrders.push({
+      if (!shopifyOrder) {
+        console.log(`[Order Change Detector] âš ï¸ No matching Shopify order found for #${ssOrder.orderNumber}`);
+        if (record) {
+          await recordCheckError({
             orderId: ssOrder.orderId,
             orderNumber: ssOrder.orderNumber,
-            status: 'no_shopify_match',
-            customerName: ssOrder.shipTo?.name || 'Unknown',
-            orderDate: ssOrder.orderDate
+            source: 'manual scan',
+            error: 'no_shopify_match'
           });
-          
-          continue;
         }
         
-        // Compare the orders
-        const comparison = compareOrderItems(shopifyOrder, ssOrder);
-        
-        // Track this order as scanned
+        // Track as scanned but no Shopify match
         scannedOrders.push({
           orderId: ssOrder.orderId,
           orderNumber: ssOrder.orderNumber,
-          status: comparison.hasChanges ? 'has_changes' : 'no_changes',
+          status: 'no_shopify_match',
           customerName: ssOrder.shipTo?.name || 'Unknown',
-          orderDate: ssOrder.orderDate,
-          changeCount: comparison.changes.length
+          orderDate: ssOrder.orderDate
         });
         
-        // If changes detected, add to results
-        if (comparison.hasChanges) {
-          ordersWithChanges.push({
-            orderId: ssOrder.orderId,
-            orderNumber: ssOrder.orderNumber,
-            orderKey: ssOrder.orderKey,
-            orderDate: ssOrder.orderDate,
-            customerName: ssOrder.shipTo?.name || 'Unknown',
-            customerEmail: ssOrder.customerEmail,
-            changes: comparison.changes,
-            changeCount: comparison.changes.length,
-            shopifyItemCount: comparison.details.shopifyItemCount,
-            shipstationItemCount: comparison.details.shipstationItemCount,
-            // Include current tag status
-            currentTags: ssOrder.tagIds || [],
-            hasOrderChangeTag: false // Will be updated after checking tag
-          });
-        }
-        
-        // Rate limiting between Shopify API calls (550ms as per Shopify API rate limits)
-        await new Promise(resolve => setTimeout(resolve, 550));
-        
-      } catch (error) {
-        console.error(`[Order Change Detector] Error processing order ${ssOrder.orderNumber}:`, error.message);
-        
-        // Track as error
-        scannedOrders.push({
+        continue;
+      }
+      
+      // Compare the orders and store the result (keeps resolved/ignored discrepancies closed)
+      const comparison = compareOrders(shopifyOrder, ssOrder);
+      const state = record
+        ? (await recordCheck({
           orderId: ssOrder.orderId,
           orderNumber: ssOrder.orderNumber,
-          status: 'error',
-          customerName: ssOrder.shipTo?.name || 'Unknown',
+          hasChanges: comparison.hasChanges,
+          changes: comparison.changes,
+          source: 'manual scan'
+        })).state
+        : previewState(storedStates.get(String(ssOrder.orderId)));
+      
+      // Track this order as scanned
+      scannedOrders.push({
+        orderId: ssOrder.orderId,
+        orderNumber: ssOrder.orderNumber,
+        status: comparison.hasChanges ? 'has_changes' : 'no_changes',
+        customerName: ssOrder.shipTo?.name || 'Unknown',
+        orderDate: ssOrder.orderDate,
+        changeCount: comparison.changes.length
+      });
+      
+      // If changes detected, add to results
+      if (comparison.hasChanges) {
+        ordersWithChanges.push({
+          orderId: ssOrder.orderId,
+          orderNumber: ssOrder.orderNumber,
+          orderKey: ssOrder.orderKey,
           orderDate: ssOrder.orderDate,
-          error: error.message
+          customerName: ssOrder.shipTo?.name || 'Unknown',
+          customerEmail: ssOrder.customerEmail,
+          changes: comparison.changes,
+          changeCount: comparison.changes.length,
+          shopifyItemCount: comparison.details.shopifyItemCount,
+          shipstationItemCount: comparison.details.shipstationItemCount,
+          // Include current tag status
+          currentTags: ssOrder.tagIds || [],
+          hasOrderChangeTag: false, // Will be updated after checking tag
+          // Resolution workflow
+          status: state.status,
+          statusBy: state.statusBy,
+          statusAt: state.statusAt,
+          statusNote: state.statusNote,
+          firstSeenAt: state.firstSeenAt,
+          taggedBy: state.tagged ? state.taggedBy : null
         });
       }
-    }
-    
-    console.log(`[Order Change Detector] âœ… Scan complete: Found ${ordersWithChanges.length} orders with changes`);
-    
-    // STEP 3: Check if "ORDER CHANGE" tag already exists on any of these orders
-    if (ordersWithChanges.length > 0) {
-      console.log('[Order Change Detector] Checking for existing "ORDER CHANGE" tags...');
       
-      // Get the tag ID for "ORDER CHANGE"
-      const orderChangeTagId = await shipstation.getTagId('ORDER CHANGE');
+    } catch (error) {
+      console.error(`[Order Change Detector] Error processing order ${ssOrder.orderNumber}:`, error.message);
       
-      if (orderChangeTagId) {
-        // Update each order's tag status
-        ordersWithChanges.forEach(order => {
-          order.hasOrderChangeTag = order.currentTags.includes(orderChangeTagId);
-        });
-        
-        const alreadyTaggedCount = ordersWithChanges.filter(o => o.hasOrderChangeTag).length;
-        console.log(`[Order Change Detector] ${alreadyTaggedCount} orders already have "ORDER CHANGE" tag`);
-      } else {
-        console.log('[Order Change Detector] âš ï¸ "ORDER CHANGE" tag does not exist yet - will need to be created');
-      }
+      // Track as error
+      scannedOrders.push({
+        orderId: ssOrder.orderId,
+        orderNumber: ssOrder.orderNumber,
+        status: 'error',
+        customerName: ssOrder.shipTo?.name || 'Unknown',
+        orderDate: ssOrder.orderDate,
+        error: error.message
+      });
     }
+  }
+  
+  console.log(`[Order Change Detector] âœ… Scan complete: Found ${ordersWithChanges.length} orders with changes`);
+  
+  // STEP 3: Check if "ORDER CHANGE" tag already exists on any of these orders
+  if (ordersWithChanges.length > 0) {
+    console.log('[Order Change Detector] Checking for existing "ORDER CHANGE" tags...');
     
-    // STEP 4: Return results
-    res.json({
-      success: true,
-      totalScanned: scannedOrders.length,
-      ordersWithChanges: ordersWithChanges.length,
-      ordersAlreadyTagged: ordersWithChanges.filter(o => o.hasOrderChangeTag).length,
-      orders: ordersWithChanges,
-      scanSummary: {
-        hasChanges: ordersWithChanges.length,
-        noChanges: scannedOrders.filter(o => o.status === 'no_changes').length,
-        noShopifyMatch: scannedOrders.filter(o => o.status === 'no_shopify_match').length,
-        errors: scannedOrders.filter(o => o.status === 'error').length
-      }
-    });
+    // Get the tag ID for "ORDER CHANGE"
+    const orderChangeTagId = await shipstation.getTagId('ORDER CHANGE');
     
-  } catch (error) {
-    console.error('[Order Change Detector] Scan failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (orderChangeTagId) {
+      // Update each order's tag status
+      ordersWithChanges.forEach(order => {
+        order.hasOrderChangeTag = order.currentTags.includes(orderChangeTagId);
+      });
+      
+      const alreadyTaggedCount = ordersWithChanges.filter(o => o.hasOrderChangeTag).length;
+      console.log(`[Order Change Detector] ${alreadyTaggedCount} orders already have "ORDER CHANGE" tag`);
+    } else {
+      console.log('[Order Change Detector] âš ï¸ "ORDER CHANGE" tag does not exist yet - will need to be created');
+    }
   }
-});
+  
+  // STEP 4: Return results (filtered by resolution status when asked)
+  const statusCounts = Object.fromEntries(STATUSES.map(status => [status, ordersWithChanges.filter(o => o.status === status).length]));
+  const orders = statusFilter ? ordersWithChanges.filter(o => statusFilter.includes(o.status)) : ordersWithChanges;
+  const promoStatus = getPromoRulesStatus();
+  
+  return {
+    success: true,
+    stored: record,
+    // The variant check is on but its SKUs couldn't be loaded: promo lines were classified without it
+    variantError: promoStatus.settings.variantCheck ? promoStatus.variantError : null,
+    totalScanned: scannedOrders.length,
+    ordersWithChanges: ordersWithChanges.length,
+    ordersAlreadyTagged: ordersWithChanges.filter(o => o.hasOrderChangeTag).length,
+    statusFilter,
+    statusCounts,
+    orders,
+    scanSummary: {
+      hasChanges: ordersWithChanges.length,
+      noChanges: scannedOrders.filter(o => o.status === 'no_changes').length,
+      noShopifyMatch: scannedOrders.filter(o => o.status === 'no_shopify_match').length,
+      errors: scannedOrders.filter(o => o.status === 'error').length
+    }
+  };
+}
+
+// What a preview shows for an order with changes: its stored discrepancy, else a discrepancy about to open
+function previewState(stored) {
+  if (stored?.hasChanges && stored.status) return stored;
+  return { status: 'open', statusBy: null, statusAt: null, statusNote: null, firstSeenAt: null, tagged: false };
+}
+
+function scanHandler(record) {
+  return async (req, res) => {
+    try {
+      res.json(await scanForChanges(record ? { ...req.query, ...req.body } : req.query, { record }));
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('[Order Change Detector] Scan failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * API: Preview a scan for orders with changes (read-only: nothing is stored or tagged)
+ * Query: ?days=30&maxOrders=200&status=open,acknowledged (status filters the returned orders)
+ */
+router.get('/api/order-change-detector/scan', requireAuthApi, scanHandler(false));
+
+/**
+ * API: Scan for orders with changes and store each result in the detector state
+ * (opens, updates and resolves discrepancies like the background job)
+ * Body: { days, maxOrders, status } as for the preview
+ */
+router.post('/api/order-change-detector/scan', requirePermissionApi('orders.bulk'), scanHandler(true));
 
 /**
  * API: Tag a single order with "ORDER CHANGE"
  */
-router.post('/api/order-change-detector/tag-order', requireAuthApi, async (req, res) => {
+router.post('/api/order-change-detector/tag-order', requirePermissionApi('orders.edit'), async (req, res) => {
   try {
     const { orderId } = req.body;
     
@@ -345,6 +368,7 @@ router.post('/api/order-change-detector/tag-order', requireAuthApi, async (req,
     
     // Add tag to order
     await shipstation.addTagToOrder(orderId, tagId);
+    await markTagged(orderId, { actor: req.session.userEmail || 'unknown', source: 'manual' });
     
     console.log(`[Order Change Detector] âœ… Tagged order ${orderId}`);
     
@@ -366,7 +390,7 @@ router.post('/api/order-change-detector/tag-order', requireAuthApi, async (req,
 /**
  * API: Bulk tag orders with "ORDER CHANGE"
  */
-router.post('/api/order-change-detector/bulk-tag', requireAuthApi, async (req, res) => {
+router.post('/api/order-change-detector/bulk-tag', requirePermissionApi('orders.bulk'), async (req, res) => {
   try {
     const { orderIds } = req.body;
     
@@ -404,6 +428,7 @@ router.post('/api/order-change-detector/bulk-tag', requireAuthApi, async (req, r
       try {
         // Add tag to order
         await shipstation.addTagToOrder(orderId, tagId);
+        await markTagged(orderId, { actor: req.session.userEmail || 'unknown', source: 'bulk' });
         results.success++;
         
         // Progress logging every 10 orders
@@ -411,11 +436,6 @@ router.post('/api/order-change-detector/bulk-tag', requireAuthApi, async (req, r
           console.log(`[Order Change Detector] Bulk tag progress: ${i + 1}/${orderIds.length} orders`);
         }
         
-        // Rate limiting: wait 150ms between requests
-        if (i < orderIds.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 150));
-        }
-        
       } catch (error) {
         // Check if error is because tag already exists
         if (error.message && error.message.includes('already')) {
@@ -446,6 +466,381 @@ router.post('/api/order-change-detector/bulk-tag', requireAuthApi, async (req, r
   }
 });
 
+/**
+ * API: Open discrepancies stored by the background job and webhook checks (no rescan)
+ * Query: ?limit=500
+ */
+router.get('/api/order-change-detector/discrepancies', requireAuthApi, async (req, res) => {
+  try {
+    const status = parseStatusFilter(req.query.status) || ACTIVE_STATUSES;
+    const discrepancies = await listDiscrepancies({ status, limit: req.query.limit });
+    res.json({
+      success: true,
+      status,
+      count: discrepancies.length,
+      discrepancies
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('[Order Change Detector] Discrepancies failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Set the resolution status of one order's discrepancy
+ * Body: { orderId, status: 'acknowledged' | 'resolved' | 'ignored' | 'open', note? }
+ * Resolving removes the "ORDER CHANGE" tag in ShipStation
+ */
+router.post('/api/order-change-detector/status', requirePermissionApi('orders.edit'), async (req, res) => {
+  try {
+    const { orderId, status, note } = req.body;
+    
+    if (!orderId || !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'orderId and status are required'
+      });
+    }
+    
+    const tagId = status === 'resolved' ? await shipstation.getTagId('ORDER CHANGE') : null;
+    const { state, tagRemoved } = await applyStatus(orderId, status, { actor: req.session.userEmail || 'unknown', note: note || null, tagId });
+    
+    console.log(`[Order Change Detector] Order ${orderId} marked ${status} by ${req.session.userEmail}${tagRemoved ? ' (tag removed)' : ''}`);
+    
+    res.json({
+      success: true,
+      orderId,
+      state,
+      tagRemoved
+    });
+    
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('[Order Change Detector] Status update failed:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Set the same resolution status on several orders
+ * Body: { orderIds: [...], status, note? }
+ */
+router.post('/api/order-change-detector/bulk-status', requirePermissionApi('orders.bulk'), async (req, res) => {
+  try {
+    const { orderIds, status, note } = req.body;
+    
+    if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0 || !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'orderIds array and status are required'
+      });
+    }
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status "${status}" (use ${STATUSES.join(', ')})`
+      });
+    }
+    
+    const tagId = status === 'resolved' ? await shipstation.getTagId('ORDER CHANGE') : null;
+    const results = {
+      success: 0,
+      failed: 0,
+      tagsRemoved: 0,
+      errors: []
+    };
+    
+    for (const orderId of orderIds) {
+      try {
+        const { tagRemoved } = await applyStatus(orderId, status, { actor: req.session.userEmail || 'unknown', note: note || null, tagId });
+        results.success++;
+        if (tagRemoved) results.tagsRemoved++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          orderId,
+          error: error.message
+        });
+      }
+    }
+    
+    console.log(`[Order Change Detector] Bulk ${status}: ${results.success} updated, ${results.failed} failed`);
+    
+    res.json({
+      success: true,
+      results
+    });
+    
+  } catch (error) {
+    console.error('[Order Change Detector] Bulk status failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Detector history for one order (ShipStation order ID or order number)
+ * Events: detected, changed, cleared, tagged, untagged, acknowledged, resolved, ignored, reopened, error
+ */
+router.get('/api/order-change-detector/history/:orderId', requireAuthApi, async (req, res) => {
+  try {
+    const history = await getOrderHistory(req.params.orderId);
+    res.json({
+      success: true,
+      orderId: req.params.orderId,
+      history
+    });
+  } catch (error) {
+    console.error('[Order Change Detector] History failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Preview rebuilding a ShipStation order's items from the current Shopify line items
+ * Query: ?orderId= (ShipStation order ID). Returns the diff, the items kept as ShipStation-only
+ * and a planHash to pass to POST /sync-items
+ */
+router.get('/api/order-change-detector/sync-items/preview', requireAuthApi, async (req, res) => {
+  try {
+    const { orderId } = req.query;
+    if (!orderId) {
+      return res.status(400).json({
+        success: false,
+        error: 'orderId is required'
+      });
+    }
+    
+    const { ssOrder, plan } = await loadItemSyncPlan(orderId);
+    
+    res.json({
+      success: true,
+      orderId: ssOrder.orderId,
+      orderNumber: ssOrder.orderNumber,
+      ...plan
+    });
+    
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('[Order Change Detector] Sync preview failed:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Rebuild a ShipStation order's items and customs lines from Shopify
+ * Body: { orderId, planHash } - planHash from the preview; 409 if either order changed since
+ * The write is snapshotted (source 'item-sync'); the order is re-checked and the discrepancy resolved
+ * unless something other than items still differs
+ */
+router.post('/api/order-change-detector/sync-items', requirePermissionApi('orders.edit'), async (req, res) => {
+  try {
+    const { orderId, planHash } = req.body;
+    const actor = req.session.userEmail || 'unknown';
+    
+    if (!orderId || !planHash) {
+      return res.status(400).json({
+        success: false,
+        error: 'orderId and planHash are required'
+      });
+    }
+    
+    const { ssOrder, shopifyOrder, plan } = await loadItemSyncPlan(orderId);
+    if (plan.planHash !== planHash) {
+      return res.status(409).json({
+        success: false,
+        error: 'The order changed since the preview - preview again before syncing'
+      });
+    }
+    if (!plan.hasChanges) {
+      return res.status(409).json({
+        success: false,
+        error: `Order ${ssOrder.orderNumber} items already match Shopify`
+      });
+    }
+    
+    const result = await shipstation.replaceOrderItems(ssOrder, plan.items, plan.customsItems, { actor });
+    
+    const comparison = compareOrders(shopifyOrder, { ...ssOrder, items: plan.items });
+    await recordCheck({
+      orderId: ssOrder.orderId,
+      orderNumber: ssOrder.orderNumber,
+      hasChanges: comparison.hasChanges,
+      changes: comparison.changes,
+      source: 'item sync'
+    });
+    
+    // Address/shipping/note differences aren't fixed by an item sync; those keep the discrepancy open
+    let tagRemoved = false;
+    if (!comparison.hasChanges && (await getOrderState(ssOrder.orderId))?.status) {
+      const tagId = await shipstation.getTagId('ORDER CHANGE');
+      ({ tagRemoved } = await applyStatus(ssOrder.orderId, 'resolved', { actor, note: 'Items synced from Shopify', tagId }));
+    }
+    
+    console.log(`[Order Change Detector] Synced items on order ${ssOrder.orderNumber} from Shopify by ${actor}`);
+    
+    res.json({
+      success: true,
+      orderId: ssOrder.orderId,
+      orderNumber: ssOrder.orderNumber,
+      diff: plan.diff,
+      itemsCount: result.itemsCount,
+      customsCount: result.customsCount,
+      stillDiffers: comparison.hasChanges,
+      tagRemoved
+    });
+    
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('[Order Change Detector] Item sync failed:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Promo/discount line allow and deny lists, detection settings and cache status
+ */
+router.get('/api/order-change-detector/promo-rules', requireAuthApi, async (req, res) => {
+  try {
+    await ensurePromoRulesLoaded();
+    res.json({
+      success: true,
+      rules: await listPromoRules(),
+      status: getPromoRulesStatus()
+    });
+  } catch (error) {
+    console.error('[Order Change Detector] Promo rules failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Add an allow/deny entry
+ * Body: { list: 'allow' | 'deny', matchType: 'sku' | 'name', pattern, note? } - name patterns are case-insensitive regexes
+ */
+router.post('/api/order-change-detector/promo-rules', requirePermissionApi('promo-rules.edit'), async (req, res) => {
+  try {
+    const { list, matchType, pattern, note } = req.body;
+    const rule = await addPromoRule({ list, matchType, pattern, note: note || null }, req.session.userEmail || null);
+    
+    console.log(`[Order Change Detector] Promo rule #${rule.id} added (${rule.list} ${rule.matchType} ${rule.pattern}) by ${req.session.userEmail}`);
+    res.json({
+      success: true,
+      rule,
+      status: getPromoRulesStatus()
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('[Order Change Detector] Add promo rule failed:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Remove an allow/deny entry
+ */
+router.delete('/api/order-change-detector/promo-rules/:id', requirePermissionApi('promo-rules.edit'), async (req, res) => {
+  try {
+    const rule = await deletePromoRule(req.params.id);
+    
+    console.log(`[Order Change Detector] Promo rule #${rule.id} deleted by ${req.session.userEmail}`);
+    res.json({
+      success: true,
+      rule,
+      status: getPromoRulesStatus()
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('[Order Change Detector] Delete promo rule failed:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: Turn SKU/name heuristics and the product DB variant check on or off
+ * Body: { heuristics?: boolean, variantCheck?: boolean }
+ */
+router.post('/api/order-change-detector/promo-settings', requirePermissionApi('promo-rules.edit'), async (req, res) => {
+  try {
+    const { heuristics, variantCheck } = req.body;
+    for (const [name, value] of Object.entries({ heuristics, variantCheck })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be true or false`
+        });
+      }
+    }
+    
+    const status = await updatePromoSettings({ heuristics, variantCheck }, req.session.userEmail || null);
+    
+    console.log(`[Order Change Detector] Promo settings updated by ${req.session.userEmail}:`, status.settings);
+    res.json({
+      success: true,
+      status
+    });
+  } catch (error) {
+    console.error('[Order Change Detector] Promo settings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API: How the current rules classify one line
+ * Query: ?sku=&name=&price=
+ */
+router.get('/api/order-change-detector/promo-rules/test', requireAuthApi, async (req, res) => {
+  try {
+    await ensurePromoRulesLoaded();
+    const { sku = '', name = '', price } = req.query;
+    res.json({
+      success: true,
+      sku,
+      name,
+      price: price === undefined || price === '' ? null : price,
+      ...classifyLine(sku, name, price === undefined || price === '' ? null : price)
+    });
+  } catch (error) {
+    console.error('[Order Change Detector] Promo rule test failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * API: Get background job status
  */
@@ -469,7 +864,7 @@ router.get('/api/order-change-detector/job-status', requireAuthApi, (req, res) =
 /**
  * API: Manually trigger background job
  */
-router.post('/api/order-change-detector/run-job', requireAuthApi, async (req, res) => {
+router.post('/api/order-change-detector/run-job', requirePermissionApi('orders.bulk'), async (req, res) => {
   try {
     const { triggerManualRun } = require('../utils/order-change-detector-job');
     const results = await triggerManualRun();
@@ -486,4 +881,40 @@ router.post('/api/order-change-detector/run-job', requireAuthApi, async (req, re
   }
 });
 
+// ============================================================================
+// SHOPIFY ORDER WEBHOOKS - re-check a single order as soon as it changes
+// ============================================================================
+
+/**
+ * Acknowledge right away (Shopify expects a response within 5s) and queue a
+ * debounced check of that order against ShipStation
+ */
+function orderWebhookHandler(topic, getOrderId) {
+  return (req, res) => {
+    const shopifyOrderId = getOrderId(req.body || {});
+    console.log(`[Webhook] ${topic}:`, shopifyOrderId, req.body?.name || '');
+    res.status(200).send('OK');
+
+    if (!shopifyOrderId) return;
+    const { queueWebhookCheck } = require('../utils/order-change-detector-job');
+    queueWebhookCheck(shopifyOrderId, topic);
+  };
+}
+
+/**
+ * POST /api/webhooks/shopify/orders/updated
+ */
+router.post('/api/webhooks/shopify/orders/updated', verifyShopifyWebhook, orderWebhookHandler('orders/updated', body => body.id));
+
+/**
+ * POST /api/webhooks/shopify/orders/edited
+ * Payload is { order_edit: { order_id, line_items: { additions, removals } } }
+ */
+router.post('/api/webhooks/shopify/orders/edited', verifyShopifyWebhook, orderWebhookHandler('orders/edited', body => body.order_edit?.order_id));
+
+/**
+ * POST /api/webhooks/shopify/orders/cancelled
+ */
+router.post('/api/webhooks/shopify/orders/cancelled', verifyShopifyWebhook, orderWebhookHandler('orders/cancelled', body => body.id));
+
 module.exports = router;
@@ -6,7 +6,9 @@ const path = require('path');
 const { ShipStationAPI } = require('../shipstation-api.js');
 const { ShopifyAPI } = require('../shopify-api.js'); 
 const shopify = new ShopifyAPI(); // NEW!
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const { newRunId } = require('../utils/order-snapshots');
+const { registerJobHandler, enqueueJob } = require('../utils/job-queue');
 
 // Initialize ShipStation API
 const shipstation = new ShipStationAPI();
@@ -304,7 +306,7 @@ function formatCustomizations(items) {
  * 
  * WORKAROUND: We'll append "[SKU: ABC123]" to the description field
  */
-async function fillCustomsSKUs(orderId) {
+async function fillCustomsSKUs(orderId, { runId, actor } = {}) {
   try {
     console.log(`[SKU Filler] Filling customs SKUs for order ${orderId}`);
     
@@ -450,15 +452,12 @@ async function fillCustomsSKUs(orderId) {
     
     // Update the order with filled SKUs
     if (filledCount > 0) {
-      const updatedOrder = {
-        ...order,
+      await shipstation.upsertOrder(order, {
         advancedOptions: {
           ...order.advancedOptions,
           customsItems: updatedCustomsItems
         }
-      };
-      
-      await shipstation.createOrUpdateOrder(updatedOrder);
+      }, { source: 'order-formatter-skus', runId, actor });
       console.log(`[SKU Filler] ✅ Appended ${filledCount} SKUs to customs descriptions`);
       
       return { 
@@ -557,9 +556,6 @@ router.get('/api/order-formatter/scan', requireAuthApi, async (req, res) => {
         console.log(`[Order Formatter] Safety limit: stopped at page 10`);
         break;
       }
-      
-      // Rate limiting between pages
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
     
     const trimmedOrders = orders.slice(0, maxOrders);
@@ -638,7 +634,7 @@ router.get('/api/order-formatter/scan', requireAuthApi, async (req, res) => {
 /**
  * API: Tag single order
  */
-router.post('/api/order-formatter/tag-order', requireAuthApi, async (req, res) => {
+router.post('/api/order-formatter/tag-order', requirePermissionApi('orders.edit'), async (req, res) => {
   try {
     const { orderId, tag } = req.body;
     
@@ -682,7 +678,7 @@ router.post('/api/order-formatter/tag-order', requireAuthApi, async (req, res) =
 /**
  * API: Format single order (update Gift Note)
  */
-router.post('/api/order-formatter/format-order', requireAuthApi, async (req, res) => {
+router.post('/api/order-formatter/format-order', requirePermissionApi('orders.edit'), async (req, res) => {
   try {
     const { orderId, formattedText, shopifyNote } = req.body; // ADD shopifyNote
     
@@ -697,40 +693,11 @@ router.post('/api/order-formatter/format-order', requireAuthApi, async (req, res
     
     const order = await shipstation.getOrder(orderId);
     
-    const updatedOrder = {
-      orderId: order.orderId,
-      orderNumber: order.orderNumber,
-      orderKey: order.orderKey,
-      orderDate: order.orderDate,
-      orderStatus: order.orderStatus,
-      customerId: order.customerId,
-      customerEmail: order.customerEmail,
-      billTo: order.billTo,
-      shipTo: order.shipTo,
-      items: order.items,
-      orderTotal: order.orderTotal,
-      amountPaid: order.amountPaid,
-      taxAmount: order.taxAmount,
-      shippingAmount: order.shippingAmount,
-      customerNotes: order.customerNotes,
+    const runId = newRunId('order-formatter');
+    await shipstation.upsertOrder(order, {
       internalNotes: shopifyNote || order.internalNotes || '', // SYNC SHOPIFY NOTE HERE
-      giftMessage: formattedText,
-      paymentMethod: order.paymentMethod,
-      requestedShippingService: order.requestedShippingService,
-      carrierCode: order.carrierCode,
-      serviceCode: order.serviceCode,
-      packageCode: order.packageCode,
-      confirmation: order.confirmation,
-      shipDate: order.shipDate,
-      weight: order.weight,
-      dimensions: order.dimensions,
-      insuranceOptions: order.insuranceOptions,
-      internationalOptions: order.internationalOptions,
-      advancedOptions: order.advancedOptions,
-      tagIds: order.tagIds
-    };
-    
-    await shipstation.createOrUpdateOrder(updatedOrder);
+      giftMessage: formattedText
+    }, { source: 'order-formatter', runId, actor: req.session.userEmail || null });
     
     console.log(`[Order Formatter] ✅ Formatted order ${orderId}`);
     if (shopifyNote) {
@@ -740,6 +707,7 @@ router.post('/api/order-formatter/format-order', requireAuthApi, async (req, res
     res.json({
       success: true,
       orderId,
+      runId,
       syncedNote: !!shopifyNote
     });
     
@@ -755,7 +723,7 @@ router.post('/api/order-formatter/format-order', requireAuthApi, async (req, res
 /**
  * API: Fill customs SKUs for single order
  */
-router.post('/api/order-formatter/fill-skus', requireAuthApi, async (req, res) => {
+router.post('/api/order-formatter/fill-skus', requirePermissionApi('orders.edit'), async (req, res) => {
   try {
     const { orderId } = req.body;
     
@@ -766,9 +734,10 @@ router.post('/api/order-formatter/fill-skus', requireAuthApi, async (req, res) =
       });
     }
     
-    const result = await fillCustomsSKUs(orderId);
+    const runId = newRunId('order-formatter-skus');
+    const result = await fillCustomsSKUs(orderId, { runId, actor: req.session.userEmail || null });
     
-    res.json(result);
+    res.json({ ...result, runId });
     
   } catch (error) {
     console.error('[Order Formatter] Fill SKUs failed:', error);
@@ -779,241 +748,204 @@ router.post('/api/order-formatter/fill-skus', requireAuthApi, async (req, res) =
   }
 });
 
+// ===== Bulk operations (run as background jobs) =====
+
 /**
- * API: Bulk tag orders
+ * Tag each order ({ orderId, tag }) - 'order-formatter-bulk-tag' job
  */
-router.post('/api/order-formatter/bulk-tag', requireAuthApi, async (req, res) => {
-  try {
-    const { orders } = req.body; // Array of { orderId, tag }
-    
-    if (!orders || !Array.isArray(orders) || orders.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'orders array is required'
-      });
-    }
-    
-    console.log(`[Order Formatter] Bulk tagging ${orders.length} orders`);
-    
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: []
-    };
+async function bulkTagOrders({ orders }, ctx) {
+  console.log(`[Order Formatter] Bulk tagging ${orders.length} orders`);
+  
+  const results = {
+    success: 0,
+    failed: 0,
+    errors: []
+  };
+  
+  // Process in batches to avoid rate limits
+  for (let i = 0; i < orders.length; i++) {
+    const order = orders[i];
+    await ctx.progress(i, orders.length, `Tagging order ${order.orderId}`);
     
-    // Process in batches to avoid rate limits
-    for (let i = 0; i < orders.length; i++) {
-      const order = orders[i];
+    try {
+      // Get tag ID
+      const tagId = await shipstation.getTagId(order.tag);
       
-      try {
-        // Get tag ID
-        const tagId = await shipstation.getTagId(order.tag);
-        
-        if (!tagId) {
-          throw new Error(`Tag "${order.tag}" not found`);
-        }
-        
-        // Add tag
-        await shipstation.addTagToOrder(order.orderId, tagId);
-        results.success++;
-        
-        // Rate limiting: wait 100ms between requests
-        if (i < orders.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          orderId: order.orderId,
-          error: error.message
-        });
+      if (!tagId) {
+        throw new Error(`Tag "${order.tag}" not found`);
       }
+      
+      // Add tag
+      await shipstation.addTagToOrder(order.orderId, tagId);
+      results.success++;
+      
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        orderId: order.orderId,
+        error: error.message
+      });
+      ctx.log(`Order ${order.orderId}: ${error.message}`);
     }
-    
-    console.log(`[Order Formatter] Bulk tag complete: ${results.success} success, ${results.failed} failed`);
-    
-    res.json({
-      success: true,
-      results
-    });
-    
-  } catch (error) {
-    console.error('[Order Formatter] Bulk tag failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
   }
-});
+  
+  console.log(`[Order Formatter] Bulk tag complete: ${results.success} success, ${results.failed} failed`);
+  return { results };
+}
 
 /**
- * API: Bulk format orders
+ * Write formattedText into each order's gift message ({ orderId, formattedText }) - 'order-formatter-bulk-format' job
  */
-router.post('/api/order-formatter/bulk-format', requireAuthApi, async (req, res) => {
-  try {
-    const { orders } = req.body; // Array of { orderId, formattedText }
+async function bulkFormatOrders({ orders }, ctx) {
+  console.log(`[Order Formatter] Bulk formatting ${orders.length} orders`);
+  
+  const runId = newRunId('order-formatter');
+  const results = {
+    success: 0,
+    failed: 0,
+    errors: []
+  };
+  
+  for (let i = 0; i < orders.length; i++) {
+    const orderData = orders[i];
+    await ctx.progress(i, orders.length, `Formatting order ${orderData.orderId}`);
     
-    if (!orders || !Array.isArray(orders) || orders.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'orders array is required'
+    try {
+      // Fetch the full order
+      const order = await shipstation.getOrder(orderData.orderId);
+      
+      // Send update
+      await shipstation.upsertOrder(order, { giftMessage: orderData.formattedText }, {
+        source: 'order-formatter', runId, actor: ctx.createdBy
       });
-    }
-    
-    console.log(`[Order Formatter] Bulk formatting ${orders.length} orders`);
-    
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: []
-    };
-    
-    // Process in batches to avoid rate limits
-    for (let i = 0; i < orders.length; i++) {
-      const orderData = orders[i];
+      results.success++;
       
-      try {
-        // Fetch the full order
-        const order = await shipstation.getOrder(orderData.orderId);
-        
-        // Update gift message
-        const updatedOrder = {
-          orderId: order.orderId,
-          orderNumber: order.orderNumber,
-          orderKey: order.orderKey,
-          orderDate: order.orderDate,
-          orderStatus: order.orderStatus,
-          customerId: order.customerId,
-          customerEmail: order.customerEmail,
-          billTo: order.billTo,
-          shipTo: order.shipTo,
-          items: order.items,
-          orderTotal: order.orderTotal,
-          amountPaid: order.amountPaid,
-          taxAmount: order.taxAmount,
-          shippingAmount: order.shippingAmount,
-          customerNotes: order.customerNotes,
-          internalNotes: order.internalNotes,
-          giftMessage: orderData.formattedText,
-          paymentMethod: order.paymentMethod,
-          requestedShippingService: order.requestedShippingService,
-          carrierCode: order.carrierCode,
-          serviceCode: order.serviceCode,
-          packageCode: order.packageCode,
-          confirmation: order.confirmation,
-          shipDate: order.shipDate,
-          weight: order.weight,
-          dimensions: order.dimensions,
-          insuranceOptions: order.insuranceOptions,
-          internationalOptions: order.internationalOptions,
-          advancedOptions: order.advancedOptions,
-          tagIds: order.tagIds
-        };
-        
-        // Send update
-        await shipstation.createOrUpdateOrder(updatedOrder);
-        results.success++;
-        
-        // Rate limiting: wait 200ms between requests (formatting is slower)
-        if (i < orders.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-        
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          orderId: orderData.orderId,
-          error: error.message
-        });
-      }
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        orderId: orderData.orderId,
+        error: error.message
+      });
+      ctx.log(`Order ${orderData.orderId}: ${error.message}`);
     }
-    
-    console.log(`[Order Formatter] Bulk format complete: ${results.success} success, ${results.failed} failed`);
-    
-    res.json({
-      success: true,
-      results
-    });
-    
-  } catch (error) {
-    console.error('[Order Formatter] Bulk format failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
   }
-});
+  
+  console.log(`[Order Formatter] Bulk format complete: ${results.success} success, ${results.failed} failed`);
+  return { runId, results };
+}
 
 /**
- * API: Bulk fill customs SKUs
+ * Append SKUs to customs descriptions for each order ({ orderId }) - 'order-formatter-bulk-fill-skus' job
  */
-router.post('/api/order-formatter/bulk-fill-skus', requireAuthApi, async (req, res) => {
-  try {
-    const { orders } = req.body; // Array of { orderId }
-    
-    if (!orders || !Array.isArray(orders) || orders.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'orders array is required'
-      });
-    }
-    
-    console.log(`[Order Formatter] Bulk filling SKUs for ${orders.length} orders`);
-    
-    const results = {
-      success: 0,
-      failed: 0,
-      totalFilled: 0,
-      errors: []
-    };
+async function bulkFillCustomsSKUs({ orders }, ctx) {
+  console.log(`[Order Formatter] Bulk filling SKUs for ${orders.length} orders`);
+  
+  const runId = newRunId('order-formatter-skus');
+  const results = {
+    success: 0,
+    failed: 0,
+    totalFilled: 0,
+    errors: []
+  };
+  
+  // Process orders sequentially
+  for (let i = 0; i < orders.length; i++) {
+    const orderData = orders[i];
+    await ctx.progress(i, orders.length, `Filling SKUs for order ${orderData.orderId}`);
     
-    // Process orders sequentially
-    for (let i = 0; i < orders.length; i++) {
-      const orderData = orders[i];
+    try {
+      const result = await fillCustomsSKUs(orderData.orderId, { runId, actor: ctx.createdBy });
       
-      try {
-        const result = await fillCustomsSKUs(orderData.orderId);
-        
-        if (result.success) {
-          results.success++;
-          results.totalFilled += result.filledCount || 0;
-        } else {
-          results.failed++;
-          results.errors.push({
-            orderId: orderData.orderId,
-            error: result.error
-          });
-        }
-        
-        // Rate limiting: wait 200ms between requests
-        if (i < orders.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-        
-      } catch (error) {
+      if (result.success) {
+        results.success++;
+        results.totalFilled += result.filledCount || 0;
+      } else {
         results.failed++;
         results.errors.push({
           orderId: orderData.orderId,
-          error: error.message
+          error: result.error
         });
+        ctx.log(`Order ${orderData.orderId}: ${result.error}`);
       }
+      
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        orderId: orderData.orderId,
+        error: error.message
+      });
+      ctx.log(`Order ${orderData.orderId}: ${error.message}`);
     }
-    
-    console.log(`[Order Formatter] Bulk SKU fill complete: ${results.success} success, ${results.totalFilled} SKUs filled, ${results.failed} failed`);
-    
-    res.json({
-      success: true,
-      results
-    });
-    
-  } catch (error) {
-    console.error('[Order Formatter] Bulk SKU fill failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
   }
+  
+  console.log(`[Order Formatter] Bulk SKU fill complete: ${results.success} success, ${results.totalFilled} SKUs filled, ${results.failed} failed`);
+  return { runId, results };
+}
+
+registerJobHandler('order-formatter-bulk-tag', {
+  label: 'Order formatter: bulk tag',
+  permission: 'orders.bulk',
+  run: bulkTagOrders
 });
 
+registerJobHandler('order-formatter-bulk-format', {
+  label: 'Order formatter: bulk gift-note format',
+  permission: 'orders.bulk',
+  run: bulkFormatOrders
+});
+
+registerJobHandler('order-formatter-bulk-fill-skus', {
+  label: 'Order formatter: bulk customs SKU fill',
+  permission: 'orders.bulk',
+  run: bulkFillCustomsSKUs
+});
+
+// Shared handler: validate the orders array and queue the job (202 + job)
+function enqueueBulkRoute(jobType) {
+  return async (req, res) => {
+    try {
+      const { orders } = req.body;
+      
+      if (!orders || !Array.isArray(orders) || orders.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'orders array is required'
+        });
+      }
+      
+      const job = await enqueueJob(jobType, { orders }, { createdBy: req.session.userEmail || null });
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job
+      });
+      
+    } catch (error) {
+      console.error(`[Order Formatter] Failed to queue ${jobType}:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * API: Bulk tag orders (queued; poll /api/jobs/:id)
+ * Body: { orders: [{ orderId, tag }] }
+ */
+router.post('/api/order-formatter/bulk-tag', requirePermissionApi('orders.bulk'), enqueueBulkRoute('order-formatter-bulk-tag'));
+
+/**
+ * API: Bulk format orders (queued; poll /api/jobs/:id)
+ * Body: { orders: [{ orderId, formattedText }] }
+ */
+router.post('/api/order-formatter/bulk-format', requirePermissionApi('orders.bulk'), enqueueBulkRoute('order-formatter-bulk-format'));
+
+/**
+ * API: Bulk fill customs SKUs (queued; poll /api/jobs/:id)
+ * Body: { orders: [{ orderId }] }
+ */
+router.post('/api/order-formatter/bulk-fill-skus', requirePermissionApi('orders.bulk'), enqueueBulkRoute('order-formatter-bulk-fill-skus'));
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,10 @@
 // routes/order-item-adder.js - Route handler for adding items to ShipStation orders
 const express = require('express');
 const router = express.Router();
-const { ShipStationAPIEnhanced } = require('../shipstation-api-enhanced');
+const { ShipStationAPI } = require('../shipstation-api');
+const { requireAuth, requirePermissionApi } = require('../utils/auth-middleware');
 const customsManager = require('../utils/customs-manager');
+const { newRunId } = require('../utils/order-snapshots');
 const path = require('path');
 
 // Initialize customs manager on startup
@@ -39,7 +41,7 @@ const path = require('path');
 /**
  * GET /order-item-adder - Serve the UI page
  */
-router.get('/order-item-adder', (req, res) => {
+router.get('/order-item-adder', requireAuth, (req, res) => {
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -471,7 +473,7 @@ router.get('/order-item-adder', (req, res) => {
 /**
  * POST /api/shipstation/orders/add-item - Add item to orders
  */
-router.post('/api/shipstation/orders/add-item', async (req, res) => {
+router.post('/api/shipstation/orders/add-item', requirePermissionApi('orders.bulk'), async (req, res) => {
   try {
     const { orderNumbers, item, customsOnly } = req.body;
     
@@ -480,7 +482,11 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
     }
     
     // Initialize ShipStation API
-    const shipstation = new ShipStationAPIEnhanced();
+    const shipstation = new ShipStationAPI();
+    
+    // All writes from this request share a run so they can be rolled back together
+    const runId = newRunId('item-adder');
+    const actor = req.session.userEmail || null;
     
     // Process based on mode
     let results;
@@ -488,6 +494,7 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
     if (customsOnly) {
       // Only update customs declarations
       results = {
+        runId,
         total: orderNumbers.length,
         successful: 0,
         failed: 0,
@@ -496,7 +503,7 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
       
       for (const orderNumber of orderNumbers) {
         try {
-          const result = await shipstation.updateOrderCustomsDeclarations(orderNumber);
+          const result = await shipstation.updateOrderCustomsDeclarations(orderNumber, { runId, actor });
           results.successful++;
           results.details.push({
             orderNumber,
@@ -512,9 +519,6 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
             error: error.message
           });
         }
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
       }
     } else {
       // Add item to orders
@@ -545,7 +549,7 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
       }
       
       // Use batch function
-      results = await shipstation.batchAddItemToOrders(orderNumbers, itemToAdd);
+      results = await shipstation.batchAddItemToOrders(orderNumbers, itemToAdd, { runId, actor });
     }
     
     res.json(results);
@@ -562,7 +566,7 @@ router.post('/api/shipstation/orders/add-item', async (req, res) => {
 /**
  * POST /api/shipstation/orders/load-cusma - Load CUSMA database
  */
-router.post('/api/shipstation/orders/load-cusma', async (req, res) => {
+router.post('/api/shipstation/orders/load-cusma', requirePermissionApi('system.admin'), async (req, res) => {
   try {
     const { csvPath } = req.body;
     
@@ -0,0 +1,130 @@
+// Order snapshot routes - history of ShipStation order writes and rollback
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { ShipStationAPI } = require('../shipstation-api.js');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const {
+  listSnapshots,
+  listRuns,
+  getSnapshot,
+  rollbackSnapshot,
+  rollbackRun
+} = require('../utils/order-snapshots');
+
+// Initialize ShipStation API
+const shipstation = new ShipStationAPI();
+
+// Load HTML template
+const orderSnapshotsHTML = fs.readFileSync(path.join(__dirname, '../views/order-snapshots.html'), 'utf8');
+
+function isForce(body) {
+  return body?.force === true || body?.force === 'true';
+}
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/order-snapshots', requireAuth, (req, res) => {
+  res.send(orderSnapshotsHTML);
+});
+
+// ============================================================================
+// API: SNAPSHOTS
+// ============================================================================
+
+/**
+ * GET /api/shipstation/snapshots/runs
+ * Recent write runs (one per bulk/single request), newest first
+ * Query: ?source=customs-bulk&limit=50
+ */
+router.get('/api/shipstation/snapshots/runs', requireAuthApi, async (req, res) => {
+  try {
+    const runs = await listRuns({ source: req.query.source, limit: req.query.limit });
+    res.json({ success: true, runs });
+  } catch (err) {
+    console.error('[Order Snapshots API] Run list error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/shipstation/snapshots
+ * Snapshot list without bodies
+ * Query: ?orderId=123 (order ID or number) &runId=...&source=...&limit=100
+ */
+router.get('/api/shipstation/snapshots', requireAuthApi, async (req, res) => {
+  try {
+    const { orderId, runId, source, limit } = req.query;
+    const snapshots = await listSnapshots({ orderId, runId, source, limit });
+    res.json({ success: true, snapshots });
+  } catch (err) {
+    console.error('[Order Snapshots API] List error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/shipstation/snapshots/:id
+ * Full snapshot including before, payload and after
+ */
+router.get('/api/shipstation/snapshots/:id', requireAuthApi, async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    res.json({ success: true, snapshot });
+  } catch (err) {
+    console.error('[Order Snapshots API] Get error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/shipstation/snapshots/runs/:runId/rollback
+ * Re-post the "before" payload of every order written in a run
+ * Body: { force?: boolean }  (restore even if the order changed since the write)
+ */
+router.post('/api/shipstation/snapshots/runs/:runId/rollback', requirePermissionApi('orders.bulk'), async (req, res) => {
+  try {
+    const actor = req.session.userEmail || null;
+    const result = await rollbackRun(shipstation, req.params.runId, { actor, force: isForce(req.body) });
+    console.log(`[Order Snapshots API] Run ${req.params.runId} rolled back by ${actor}: ${result.restored} restored, ${result.failed} failed`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Order Snapshots API] Run rollback error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/shipstation/snapshots/:id/rollback
+ * Re-post the "before" payload of a single snapshot
+ * Body: { force?: boolean }
+ */
+router.post('/api/shipstation/snapshots/:id/rollback', requirePermissionApi('orders.edit'), async (req, res) => {
+  try {
+    const actor = req.session.userEmail || null;
+    const result = await rollbackSnapshot(shipstation, req.params.id, { actor, force: isForce(req.body) });
+    if (!result.ok) {
+      return res.status(result.conflict ? 409 : 400).json({ success: false, ...result });
+    }
+    console.log(`[Order Snapshots API] Snapshot ${req.params.id} (order ${result.orderNumber}) rolled back by ${actor}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Order Snapshots API] Rollback error:', err);
+    res.status(status).json({
+      success: false,
+      error: err.response?.data?.Message || err.response?.data?.message || err.message
+    });
+  }
+});
+
+module.exports = router;
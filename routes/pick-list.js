@@ -0,0 +1,186 @@
+// Pick list routes - ShipStation orders totalled by SKU and sorted by pick number (utils/pick-list.js)
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { ShipStationAPI } = require('../shipstation-api');
+const { requireAuthApi } = require('../utils/auth-middleware');
+const { OPEN_STATUSES, formatShipStationError } = require('../utils/shipstation-helpers');
+const productDb = require('../utils/product-db');
+const { SORTS, buildPickList, pickListCsv, renderPickListPdf } = require('../utils/pick-list');
+
+const shipstation = new ShipStationAPI();
+
+const FORMATS = ['pdf', 'csv', 'json'];
+const MAX_ORDERS = 1000;
+const MAX_BATCH = 100;
+const PAGE_SIZE = 500;
+
+const badRequest = (message, status = 400) => Object.assign(new Error(message), { status });
+
+function parseDate(value, name) {
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw badRequest(`${name} must be a date like 2026-10-01`);
+  }
+  return text;
+}
+
+/**
+ * Which orders the query asks for: exactly one of tag, batch (order numbers) or from/to (order dates)
+ */
+function parseSelection(query) {
+  const given = ['tag', 'batch', 'from'].filter(key => String(query[key] ?? '').trim());
+  if (given.length !== 1) {
+    throw badRequest('Give exactly one of tag, batch (order numbers) or from/to (order dates)');
+  }
+
+  const statuses = String(query.status || 'awaiting_shipment').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = statuses.find(s => !OPEN_STATUSES.has(s));
+  if (unknown || statuses.length === 0) {
+    throw badRequest(`status must be one or more of: ${[...OPEN_STATUSES].join(', ')}`);
+  }
+
+  if (given[0] === 'tag') {
+    return { kind: 'tag', tag: String(query.tag).trim(), statuses };
+  }
+  if (given[0] === 'batch') {
+    const orderNumbers = [...new Set(String(query.batch).split(/[\s,]+/).filter(Boolean))];
+    if (orderNumbers.length > MAX_BATCH) throw badRequest(`At most ${MAX_BATCH} order numbers per batch`);
+    return { kind: 'batch', orderNumbers, statuses };
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = query.to ? parseDate(query.to, 'to') : from;
+  if (to < from) throw badRequest('to must not be before from');
+  return { kind: 'dates', from, to, statuses };
+}
+
+function selectionTitle(selection) {
+  if (selection.kind === 'tag') return `Pick list - tag ${selection.tag}`;
+  if (selection.kind === 'batch') return `Pick list - batch of ${selection.orderNumbers.length} orders`;
+  return selection.from === selection.to
+    ? `Pick list - orders of ${selection.from}`
+    : `Pick list - orders of ${selection.from} to ${selection.to}`;
+}
+
+// Every page of a ShipStation order listing, up to MAX_ORDERS
+async function listAll(fetchPage) {
+  const orders = [];
+  for (let page = 1; ; page++) {
+    const list = await fetchPage(page);
+    orders.push(...list);
+    if (orders.length > MAX_ORDERS) throw badRequest(`More than ${MAX_ORDERS} orders match; narrow the selection`);
+    if (list.length < PAGE_SIZE) return orders;
+  }
+}
+
+/**
+ * Fetch the selected orders, oldest first
+ * @returns {Promise<{orders: Array<object>, skipped: Array<{orderNumber, reason}>}>} skipped is for batches:
+ *   order numbers that weren't found or aren't in one of the statuses
+ */
+async function fetchOrders(selection) {
+  const found = [];
+  const skipped = [];
+
+  if (selection.kind === 'tag') {
+    const tagId = await shipstation.getTagId(selection.tag);
+    if (!tagId) throw badRequest(`ShipStation has no tag "${selection.tag}"`, 404);
+    for (const status of selection.statuses) {
+      found.push(...await listAll(page => shipstation.listOrdersByTag(tagId, status, { page, pageSize: PAGE_SIZE })));
+    }
+  } else if (selection.kind === 'dates') {
+    for (const status of selection.statuses) {
+      found.push(...await listAll(page => shipstation.searchOrders({
+        orderDateStart: `${selection.from}T00:00:00`,
+        orderDateEnd: `${selection.to}T23:59:59`,
+        orderStatus: status,
+        sortBy: 'OrderDate',
+        sortDir: 'ASC',
+        page,
+        pageSize: PAGE_SIZE
+      })));
+    }
+  } else {
+    for (const orderNumber of selection.orderNumbers) {
+      // ShipStation's orderNumber filter isn't an exact match; keep the exact one
+      const order = (await shipstation.searchOrders({ orderNumber })).find(o => String(o.orderNumber) === orderNumber);
+      if (!order) skipped.push({ orderNumber, reason: 'not found' });
+      else if (!selection.statuses.includes(order.orderStatus)) skipped.push({ orderNumber, reason: order.orderStatus });
+      else found.push(order);
+    }
+  }
+
+  const byId = new Map(found.map(order => [order.orderId, order]));
+  const orders = [...byId.values()].sort((a, b) =>
+    String(a.orderDate || '').localeCompare(String(b.orderDate || '')) ||
+    String(a.orderNumber).localeCompare(String(b.orderNumber), undefined, { numeric: true }));
+  return { orders, skipped };
+}
+
+// ============================================================================
+// API: PICK LIST
+// ============================================================================
+
+/**
+ * GET /api/pick-list
+ * Items of the selected ShipStation orders totalled by SKU, with each variant's pick number and location
+ * Query: one of tag=<ShipStation tag name> | batch=<order numbers, comma or space separated> |
+ *   from=YYYY-MM-DD[&to=YYYY-MM-DD] (order date), plus status (default awaiting_shipment; comma separated),
+ *   sort ('pick' | 'location') and format ('pdf' | 'csv' | 'json')
+ * Lines without a pick number are flagged (shaded in the PDF, the flag column in the CSV);
+ * X-Pick-List-Flagged has their count and X-Pick-List-Skipped the batch order numbers that were left out.
+ */
+router.get('/api/pick-list', requireAuthApi, async (req, res) => {
+  const { format = 'pdf', sort = 'pick' } = req.query;
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+  }
+  if (!SORTS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${SORTS.join(', ')}` });
+  }
+
+  try {
+    const selection = parseSelection(req.query);
+    const { orders, skipped } = await fetchOrders(selection);
+    if (orders.length === 0) {
+      return res.status(404).json({ error: `No ${selection.statuses.join('/')} orders match`, skipped });
+    }
+
+    const skus = [...new Set(orders.flatMap(o => (o.items || []).map(i => String(i.sku ?? '').trim()).filter(Boolean)))];
+    const [variants, bins] = await Promise.all([
+      productDb.getVariantsByIdsOrSkus([], skus),
+      productDb.getWarehouseBins()
+    ]);
+    const pickList = buildPickList(orders, variants, { bins, sort });
+
+    const title = selectionTitle(selection);
+    console.log(`[Pick List] ${req.session.userEmail}: ${title} - ${pickList.summary.lines} lines from ${orders.length} orders (${pickList.summary.flagged} flagged) as ${format.toUpperCase()}`);
+
+    if (format === 'json') {
+      return res.json({ success: true, title, ...pickList, skipped });
+    }
+
+    const now = new Date();
+    const date = now.toISOString().slice(0, 10);
+    res.set({
+      'Content-Disposition': `attachment; filename="pick-list-${date}.${format}"`,
+      'X-Pick-List-Orders': String(orders.length),
+      'X-Pick-List-Flagged': String(pickList.summary.flagged),
+      'X-Pick-List-Skipped': skipped.map(s => s.orderNumber).join(',')
+    });
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(pickListCsv(pickList));
+    } else {
+      const generatedAt = `${date} ${now.toISOString().slice(11, 16)} UTC`;
+      res.type('application/pdf').send(renderPickListPdf(pickList, { title, generatedAt }));
+    }
+  } catch (err) {
+    const { status, message } = formatShipStationError(err);
+    if (!err.status) console.error('[Pick List] Error:', message);
+    res.status(err.status || status || 500).json({ error: message });
+  }
+});
+
+module.exports = router;
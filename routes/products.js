@@ -6,10 +6,14 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const { ShopifyAPI } = require('../shopify-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
 
 // Database utilities
 const productDb = require('../utils/product-db');
+const { registerJobHandler, enqueueJob, createInlineContext } = require('../utils/job-queue');
+const { verifyShopifyWebhook } = require('../utils/shopify-webhooks');
+const { getProductSyncSchedule } = require('../utils/product-sync-scheduler');
+const variantImport = require('../utils/variant-import');
 
 // ShipStation API
 const { ShipStationAPI } = require('../shipstation-api');
@@ -44,7 +48,8 @@ router.get('/', requireAuth, (req, res) => {
  * Returns products and variants from the database
  * Query params:
  *   - source=shopify : bypass DB and fetch directly from Shopify (debug mode)
- *   - status=active|archived|draft : filter by product status
+ *   - status=active|archived|draft : filter by product status; archived lists archived variants
+ *     (including ones deleted from live products) with the pick numbers and locations they still hold
  */
 router.get('/api/products', requireAuthApi, async (req, res) => {
   try {
@@ -158,7 +163,7 @@ router.get('/api/products', requireAuthApi, async (req, res) => {
  * Updates variants in DB and syncs to Shopify (and optionally ShipStation)
  * Body: { updates: [{ id, sku, price, weight, harmonized_system_code, country_code_of_origin, pick_number, warehouse_location }] }
  */
-router.post('/api/products/update', requireAuthApi, async (req, res) => {
+router.post('/api/products/update', requirePermissionApi('products.edit'), async (req, res) => {
   const { updates } = req.body || {};
   if (!Array.isArray(updates) || updates.length === 0) {
     return res.status(400).json({ error: 'Invalid update data' });
@@ -189,6 +194,21 @@ router.post('/api/products/update', requireAuthApi, async (req, res) => {
       });
     }
 
+    // Locations must be bins of the warehouse layout (once it has any), within their capacity
+    const locationCheck = await productDb.validateWarehouseLocations(updates);
+    if (locationCheck.problems.length > 0) {
+      return res.status(400).json({
+        error: 'Warehouse location validation failed',
+        locationProblems: locationCheck.problems,
+        message: locationCheck.problems.map(p => p.message).join('; ')
+      });
+    }
+    // Store the bin's own code when it matched with different case or spacing
+    for (const update of updates) {
+      const code = locationCheck.locations[String(update.id)];
+      if (code) update.warehouse_location = code;
+    }
+
     // Check for required fields (warning only - don't block)
     for (const update of updates) {
       if (update.pick_number !== undefined && !update.pick_number?.trim()) {
@@ -248,7 +268,10 @@ router.post('/api/products/update', requireAuthApi, async (req, res) => {
         }
 
         if (Object.keys(dbUpdate).length > 0) {
-          await productDb.updateVariant(update.id, dbUpdate);
+          await productDb.updateVariant(update.id, dbUpdate, {
+            source: 'product_manager',
+            user: req.session.userEmail || null
+          });
         }
       } catch (dbError) {
         console.error(`[Products API] DB update failed for variant ${update.id}:`, dbError.message);
@@ -287,27 +310,63 @@ router.post('/api/products/update', requireAuthApi, async (req, res) => {
 // API: SYNC OPERATIONS
 // ============================================================================
 
+const SYNC_MODES = ['full', 'incremental'];
+
+// Drafts and archived products are synced too, so their variants' pick numbers stay visible
+const SYNCED_STATUSES = 'active,draft,archived';
+
+// Incremental syncs start this far before the cursor: Shopify's updated_at and our clock can disagree
+const INCREMENTAL_OVERLAP_MS = 5 * 60 * 1000;
+
 /**
- * POST /api/products/sync
- * Triggers a sync from Shopify to the database
- * Body: { mode: 'full' | 'incremental' }
+ * Sync products from Shopify into the database.
+ *   full        - every product (active, draft and archived) plus every variant metafield
+ *   incremental - products updated since the last successful sync started, with metafields for just
+ *                 their variants (runs as full when there is no earlier sync)
+ * Both archive products deleted from Shopify and variants removed from the fetched products; variants
+ * of archived products are archived by the upsert itself.
+ * Runs inline for POST /api/products/sync and as the 'products-sync' job (also queued on a schedule,
+ * see utils/product-sync-scheduler.js).
  */
-router.post('/api/products/sync', requireAuthApi, async (req, res) => {
-  const mode = req.body.mode || 'full';
+async function syncProductsFromShopify({ mode = 'full' } = {}, ctx) {
+  if (!SYNC_MODES.includes(mode)) {
+    throw Object.assign(new Error(`mode must be one of: ${SYNC_MODES.join(', ')}`), { status: 400 });
+  }
+
+  // Apply any pending migrations (no-op when the schema is current)
+  await productDb.runMigrations();
+
+  let since = null;
+  if (mode === 'incremental') {
+    const cursor = await productDb.getLastSyncTimestamp(SYNC_MODES);
+    if (cursor) {
+      since = new Date(new Date(cursor).getTime() - INCREMENTAL_OVERLAP_MS);
+    } else {
+      ctx.log('No earlier successful sync, running a full sync instead');
+      mode = 'full';
+    }
+  }
 
-  console.log(`[Products API] Starting ${mode} sync from Shopify...`);
+  console.log(`[Products API] Starting ${mode} sync from Shopify${since ? ` (changes since ${since.toISOString()})` : ''}...`);
 
   // Create sync log entry
   const syncLog = await productDb.createSyncLog(mode, 'inbound');
   const startTime = Date.now();
 
   try {
-    // Ensure database tables exist
-    await productDb.runMigrations();
-
-    // Fetch products from Shopify with metafields
-    console.log('[Products API] Fetching products from Shopify with metafields...');
-    const products = await shopify.getAllProductsWithMetafields('active');
+    let products;
+    let shopifyProductIds;
+    if (since) {
+      await ctx.progress(0, 3, `Fetching products changed since ${since.toISOString()}`);
+      products = await shopify.getProductsWithMetafieldsUpdatedSince(since, SYNCED_STATUSES);
+      shopifyProductIds = await shopify.getAllProductIds(SYNCED_STATUSES);
+    } else {
+      // Fetch products from Shopify with metafields
+      console.log('[Products API] Fetching products from Shopify with metafields...');
+      await ctx.progress(0, 3, 'Fetching products from Shopify');
+      products = await shopify.getAllProductsWithMetafields(SYNCED_STATUSES);
+      shopifyProductIds = products.map(p => p.id);
+    }
 
     // Debug: Count how many variants have pick_number or warehouse_location
     let withPick = 0, withLoc = 0;
@@ -318,16 +377,28 @@ router.post('/api/products/sync', requireAuthApi, async (req, res) => {
     console.log(`[Products API] DEBUG: ${withPick} variants with pick_number, ${withLoc} with warehouse_location`);
 
     console.log(`[Products API] Fetched ${products.length} products, syncing to database...`);
+    ctx.log(`Fetched ${products.length} products from Shopify`);
+    await ctx.progress(1, 3, `Saving ${products.length} products to the database`);
 
     // Bulk upsert to database
-    const upsertStats = await productDb.bulkUpsertProducts(products);
+    const upsertStats = await productDb.bulkUpsertProducts(products, { source: 'sync', user: ctx.createdBy || null });
+
+    // Products deleted from Shopify, and variants deleted from fetched products
+    await ctx.progress(2, 3, 'Archiving products removed from Shopify');
+    const archiveBy = { source: 'sync', user: ctx.createdBy || null };
+    const removedVariants = await productDb.archiveVariantsNotIn(products, archiveBy);
+    const archived = await productDb.archiveProductsNotIn(shopifyProductIds, archiveBy);
 
     const elapsed = Math.round((Date.now() - startTime) / 1000);
 
     // Complete sync log
     const counts = {
+      since: since ? since.toISOString() : null,
+      products_fetched: products.length,
       products_synced: upsertStats.products,
       variants_synced: upsertStats.variants,
+      products_archived: archived.products,
+      variants_archived: archived.variants + removedVariants,
       errors: upsertStats.errors.length,
       duration_seconds: elapsed
     };
@@ -339,21 +410,43 @@ router.post('/api/products/sync', requireAuthApi, async (req, res) => {
       upsertStats.errors.length > 0 ? JSON.stringify(upsertStats.errors) : null
     );
 
-    console.log(`[Products API] Sync complete: ${upsertStats.products} products, ${upsertStats.variants} variants in ${elapsed}s`);
+    console.log(`[Products API] ${mode} sync complete: ${upsertStats.products} products, ${upsertStats.variants} variants, ${counts.products_archived} products archived in ${elapsed}s`);
+    ctx.log(`Synced ${upsertStats.products} products, ${upsertStats.variants} variants; archived ${counts.products_archived} products, ${counts.variants_archived} variants in ${elapsed}s`);
 
-    res.json({
+    return {
       success: true,
       mode,
-      products_synced: upsertStats.products,
-      variants_synced: upsertStats.variants,
-      errors: upsertStats.errors,
-      duration_seconds: elapsed
-    });
+      ...counts,
+      errors: upsertStats.errors
+    };
   } catch (err) {
-    console.error('[Products API] Sync error:', err);
-
     // Log the failure
     await productDb.completeSyncLog(syncLog.id, false, {}, err.message);
+    throw err;
+  }
+}
+
+/**
+ * POST /api/products/sync
+ * Queues a sync from Shopify to the database as a background job (202 + job; follow it at /api/jobs/:id)
+ * Body: { mode: 'full' | 'incremental' }
+ * Query: ?wait=true runs the sync inside the request and returns its result (scripts)
+ */
+router.post('/api/products/sync', requirePermissionApi('products.sync'), async (req, res) => {
+  try {
+    const mode = req.body.mode || 'full';
+    if (!SYNC_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SYNC_MODES.join(', ')}` });
+    }
+    if (req.query.wait === 'true') {
+      const ctx = { ...createInlineContext('Products Sync'), createdBy: req.session.userEmail || null };
+      return res.json(await syncProductsFromShopify({ mode }, ctx));
+    }
+
+    const job = await enqueueJob('products-sync', { mode }, { createdBy: req.session.userEmail || null });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (err) {
+    console.error('[Products API] Sync error:', err);
 
     const status = err.response?.status || err.status || 500;
     const msg = err.response?.data?.message || err.response?.data || err.message;
@@ -361,14 +454,20 @@ router.post('/api/products/sync', requireAuthApi, async (req, res) => {
   }
 });
 
+registerJobHandler('products-sync', {
+  label: 'Product sync from Shopify',
+  permission: 'products.sync',
+  run: (params, ctx) => syncProductsFromShopify(params, ctx)
+});
+
 /**
  * GET /api/products/sync-status
- * Returns the current sync status
+ * Returns the current sync status and the automatic sync schedule
  */
 router.get('/api/products/sync-status', requireAuthApi, async (req, res) => {
   try {
     const status = await productDb.getSyncStatus();
-    res.json(status);
+    res.json({ ...status, schedule: getProductSyncSchedule() });
   } catch (err) {
     console.error('[Products API] Sync status error:', err);
     res.status(500).json({ error: err.message });
@@ -416,10 +515,12 @@ router.get('/api/products/missing', requireAuthApi, async (req, res) => {
 
 /**
  * POST /api/products/generate-pick-numbers
- * Generates sequential pick numbers for selected variants that don't have one
+ * Assigns pick numbers to selected variants that don't have one, in the walk order of their bins
+ * (see suggestPickNumbers in utils/warehouse-locations.js); variants without a bin follow the
+ * year/imperfect ranges, then their SKU prefix or product type
  * Body: { variantIds: [id1, id2, ...] }
  */
-router.post('/api/products/generate-pick-numbers', requireAuthApi, async (req, res) => {
+router.post('/api/products/generate-pick-numbers', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { variantIds } = req.body || {};
     if (!Array.isArray(variantIds) || variantIds.length === 0) {
@@ -428,14 +529,6 @@ router.post('/api/products/generate-pick-numbers', requireAuthApi, async (req, r
 
     const pool = productDb.getPool();
 
-    // Get the current max pick number
-    const maxResult = await pool.query(`
-      SELECT MAX(CAST(pick_number AS INTEGER)) as max_pick
-      FROM variants
-      WHERE pick_number ~ '^[0-9]+$'
-    `);
-    let nextPick = (maxResult.rows[0]?.max_pick || 0) + 1;
-
     // Get selected variants that don't have pick numbers
     const variantsResult = await pool.query(`
       SELECT shopify_variant_id, sku, pick_number
@@ -454,34 +547,27 @@ router.post('/api/products/generate-pick-numbers', requireAuthApi, async (req, r
       });
     }
 
-    // Check for duplicates - make sure the pick numbers we're about to assign don't already exist
-    const existingPicks = await pool.query(`
-      SELECT pick_number FROM variants WHERE pick_number IS NOT NULL
-    `);
-    const existingSet = new Set(existingPicks.rows.map(r => r.pick_number));
+    const suggestions = await productDb.suggestPickNumbersFor(variantsResult.rows.map(v => String(v.shopify_variant_id)));
 
     // Assign pick numbers
     const assignments = [];
     for (const variant of variantsResult.rows) {
-      // Find next available pick number
-      while (existingSet.has(String(nextPick))) {
-        nextPick++;
-      }
-
-      await pool.query(
-        'UPDATE variants SET pick_number = $1 WHERE shopify_variant_id = $2',
-        [String(nextPick), variant.shopify_variant_id]
+      const { pick, bin, reason } = suggestions[String(variant.shopify_variant_id)];
+      await productDb.updateVariant(
+        variant.shopify_variant_id,
+        { pick_number: String(pick) },
+        { source: 'product_manager', user: req.session.userEmail || null }
       );
 
       assignments.push({
         variantId: variant.shopify_variant_id,
         sku: variant.sku,
-        pickNumber: nextPick
+        pickNumber: pick,
+        bin,
+        reason
       });
-
-      existingSet.add(String(nextPick));
-      nextPick++;
     }
+    assignments.sort((a, b) => a.pickNumber - b.pickNumber);
 
     console.log(`[Products API] Generated ${assignments.length} pick numbers, starting from ${assignments[0]?.pickNumber}`);
 
@@ -520,21 +606,195 @@ router.post('/api/products/validate-pick-numbers', requireAuthApi, async (req, r
   }
 });
 
+/**
+ * POST /api/products/release-archived
+ * Clears the pick number and/or warehouse location of archived variants so they can be reused,
+ * deleting the metafields in Shopify too (otherwise the next sync would bring them back)
+ * Body: { variantIds: [id1, id2, ...], fields?: ['pick_number', 'warehouse_location'] }
+ */
+router.post('/api/products/release-archived', requirePermissionApi('products.edit'), async (req, res) => {
+  const RELEASABLE_FIELDS = ['pick_number', 'warehouse_location'];
+  const { variantIds, fields = RELEASABLE_FIELDS } = req.body || {};
+  if (!Array.isArray(variantIds) || variantIds.length === 0) {
+    return res.status(400).json({ error: 'No variant IDs provided' });
+  }
+  if (!variantIds.every(variantImport.isVariantId)) {
+    return res.status(400).json({ error: 'Invalid variant ID' });
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(f => !RELEASABLE_FIELDS.includes(f))) {
+    return res.status(400).json({ error: `fields must be a list of: ${RELEASABLE_FIELDS.join(', ')}` });
+  }
+
+  try {
+    const variants = await productDb.getReleasableVariants(variantIds.map(id => String(id)));
+    const results = [];
+
+    for (const variant of variants) {
+      const id = variant.shopify_variant_id;
+      try {
+        const cleared = {};
+        if (fields.includes('pick_number') && variant.pick_number) {
+          await shopify.setVariantMetafield(id, 'pick_number', '', variant.pick_metafield_id);
+          Object.assign(cleared, { pick_number: null, pick_metafield_id: null });
+        }
+        if (fields.includes('warehouse_location') && variant.warehouse_location) {
+          await shopify.setVariantMetafield(id, 'warehouse_location', '', variant.location_metafield_id);
+          Object.assign(cleared, { warehouse_location: null, location_metafield_id: null });
+        }
+        if (Object.keys(cleared).length) {
+          await productDb.updateVariant(id, cleared, { source: 'product_manager', user: req.session.userEmail || null });
+        }
+
+        results.push({
+          id,
+          sku: variant.sku,
+          ok: true,
+          pick_number: 'pick_number' in cleared ? variant.pick_number : undefined,
+          warehouse_location: 'warehouse_location' in cleared ? variant.warehouse_location : undefined
+        });
+      } catch (err) {
+        results.push({ id, sku: variant.sku, ok: false, error: err.response?.data?.errors || err.message });
+      }
+    }
+
+    const released = results.filter(r => r.ok).length;
+    console.log(`[Products API] Released pick numbers/locations of ${released} archived variants`);
+    res.json({
+      success: true,
+      released,
+      skipped: variantIds.length - variants.length,
+      results
+    });
+  } catch (err) {
+    console.error('[Products API] Release archived error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================================================
+// API: SPREADSHEET IMPORT
+// ============================================================================
+
+/**
+ * POST /api/products/import/preview
+ * Validates a CSV or XLSX file of variant fields and returns the changes it would make; nothing is saved.
+ * The product manager stages the valid rows and saves them through /api/products/update.
+ * Body: the file itself (any content type, up to 10 MB). Query: ?filename= (echoed back)
+ * Columns: variant_id and/or sku, plus any of pick_number, warehouse_location,
+ * harmonized_system_code, country_code_of_origin (common aliases accepted; blank cells are ignored)
+ */
+router.post('/api/products/import/preview', requirePermissionApi('products.edit'),
+  express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the CSV or XLSX file as the request body' });
+    }
+
+    try {
+      const { rows, ignoredColumns } = variantImport.readImportRows(req.body);
+
+      // Non-numeric and out-of-range IDs stay out of the query; planVariantImport reports them per row
+      const ids = [...new Set(rows.map(r => r.variantId).filter(variantImport.isVariantId))];
+      const skus = [...new Set(rows.filter(r => !r.variantId && r.sku).map(r => r.sku))];
+      const variants = await productDb.getVariantsByIdsOrSkus(ids, skus);
+
+      const planned = variantImport.planVariantImport(rows, variants);
+      const pickUpdates = variantImport.pickNumberUpdates(planned);
+      if (pickUpdates.length > 0) {
+        const conflicts = await productDb.validatePickNumberUniqueness(pickUpdates);
+        variantImport.addPickNumberConflicts(planned, conflicts);
+      }
+      const moves = variantImport.locationUpdates(planned);
+      if (moves.length > 0) {
+        variantImport.addLocationProblems(planned, await productDb.validateWarehouseLocations(moves));
+      }
+
+      const summary = variantImport.summarizeImport(planned);
+      console.log(`[Products API] Import preview ${req.query.filename || ''}: ${summary.changed} rows to change, ${summary.invalid} invalid`);
+      res.json({
+        success: true,
+        filename: req.query.filename || null,
+        ignoredColumns,
+        summary,
+        rows: planned
+      });
+    } catch (err) {
+      console.error('[Products API] Import preview error:', err.message);
+      res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+  });
+
+// ============================================================================
+// API: VARIANT HISTORY
+// ============================================================================
+
+/**
+ * GET /api/products/variants/:id/history
+ * Field-level changes to a variant, newest first, with where they came from
+ * (product_manager, sync or webhook) and who made them
+ * Query: ?limit= (default 200, max 1000)
+ */
+router.get('/api/products/variants/:id/history', requireAuthApi, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid variant ID' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+
+  try {
+    const history = await productDb.getVariantHistory(req.params.id, { limit });
+    res.json({ variantId: req.params.id, history });
+  } catch (err) {
+    console.error('[Products API] Variant history error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================================
 // API: DATABASE MANAGEMENT
 // ============================================================================
 
+/**
+ * GET /api/products/db/migrations
+ * Applied and pending migrations (schema_migrations vs migrations/)
+ */
+router.get('/api/products/db/migrations', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    res.json(await productDb.getMigrationStatus());
+  } catch (err) {
+    console.error('[Products API] Migration status error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * POST /api/products/db/migrate
- * Runs database migrations
+ * Applies pending migrations, or reverts applied ones with their .down.sql files
+ * Body: { direction?: 'up' | 'down', target?: version, steps?: number (down only, default 1) }
  */
-router.post('/api/products/db/migrate', requireAuthApi, async (req, res) => {
+router.post('/api/products/db/migrate', requirePermissionApi('system.admin'), async (req, res) => {
+  const { direction = 'up', target, steps } = req.body || {};
+  if (!['up', 'down'].includes(direction)) {
+    return res.status(400).json({ error: "direction must be 'up' or 'down'" });
+  }
+  const isVersion = v => Number.isInteger(v) && v >= 0;
+  if (target !== undefined && !isVersion(target)) {
+    return res.status(400).json({ error: 'target must be a migration version (integer)' });
+  }
+  if (steps !== undefined && !(isVersion(steps) && steps > 0)) {
+    return res.status(400).json({ error: 'steps must be a positive integer' });
+  }
+
   try {
-    await productDb.runMigrations();
-    res.json({ success: true, message: 'Migrations completed' });
+    if (direction === 'down') {
+      const result = await productDb.rollbackMigrations(target !== undefined ? { target } : { steps: steps || 1 });
+      console.log(`[Products API] Reverted ${result.reverted.length} migrations by ${req.session.userEmail}`);
+      return res.json({ success: true, direction, ...result });
+    }
+
+    const result = await productDb.runMigrations(target !== undefined ? { target } : {});
+    res.json({ success: true, direction, applied: result.applied, current: result.current });
   } catch (err) {
     console.error('[Products API] Migration error:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -561,7 +821,7 @@ router.get('/api/products/stats', requireAuthApi, async (req, res) => {
  * Syncs warehouse locations to ShipStation
  * Body: { mode: 'dirty' | 'full', variantIds?: [] }
  */
-router.post('/api/products/sync-shipstation', requireAuthApi, async (req, res) => {
+router.post('/api/products/sync-shipstation', requirePermissionApi('products.sync'), async (req, res) => {
   if (!shipstation) {
     return res.status(503).json({ error: 'ShipStation API not configured' });
   }
@@ -670,7 +930,7 @@ router.get('/api/products/shipstation-pending', requireAuthApi, async (req, res)
  * POST /api/products/import-shipstation-names
  * Imports product names from ShipStation into database
  */
-router.post('/api/products/import-shipstation-names', requireAuthApi, async (req, res) => {
+router.post('/api/products/import-shipstation-names', requirePermissionApi('products.sync'), async (req, res) => {
   if (!shipstation) {
     return res.status(503).json({ error: 'ShipStation API not configured' });
   }
@@ -715,7 +975,7 @@ router.get('/api/tags', requireAuthApi, async (req, res) => {
  * Create a new tag
  * Body: { name: string, color?: string }
  */
-router.post('/api/tags', requireAuthApi, async (req, res) => {
+router.post('/api/tags', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { name, color = '#6c757d' } = req.body;
     if (!name || !name.trim()) {
@@ -741,7 +1001,7 @@ router.post('/api/tags', requireAuthApi, async (req, res) => {
  * PUT /api/tags/:id
  * Update a tag
  */
-router.put('/api/tags/:id', requireAuthApi, async (req, res) => {
+router.put('/api/tags/:id', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, color } = req.body;
@@ -766,7 +1026,7 @@ router.put('/api/tags/:id', requireAuthApi, async (req, res) => {
  * DELETE /api/tags/:id
  * Delete a tag
  */
-router.delete('/api/tags/:id', requireAuthApi, async (req, res) => {
+router.delete('/api/tags/:id', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const pool = productDb.getPool();
@@ -783,7 +1043,7 @@ router.delete('/api/tags/:id', requireAuthApi, async (req, res) => {
  * Add tags to variants
  * Body: { variantIds: string[], tagIds: number[] }
  */
-router.post('/api/products/tags', requireAuthApi, async (req, res) => {
+router.post('/api/products/tags', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { variantIds, tagIds } = req.body;
     if (!Array.isArray(variantIds) || !Array.isArray(tagIds)) {
@@ -817,7 +1077,7 @@ router.post('/api/products/tags', requireAuthApi, async (req, res) => {
  * Remove tags from variants
  * Body: { variantIds: string[], tagIds: number[] }
  */
-router.delete('/api/products/tags', requireAuthApi, async (req, res) => {
+router.delete('/api/products/tags', requirePermissionApi('products.edit'), async (req, res) => {
   try {
     const { variantIds, tagIds } = req.body;
     if (!Array.isArray(variantIds) || !Array.isArray(tagIds)) {
@@ -994,15 +1254,7 @@ router.get('/api/products/debug/graphql-test', requireAuthApi, async (req, res)
 // SHOPIFY WEBHOOKS
 // ============================================================================
 
-/**
- * Verify Shopify webhook signature (optional but recommended)
- * For now, we'll process all requests but you can add HMAC verification later
- */
-function verifyShopifyWebhook(req, res, next) {
-  // TODO: Add HMAC verification using SHOPIFY_API_SECRET
-  // For now, just proceed
-  next();
-}
+// verifyShopifyWebhook (utils/shopify-webhooks.js) checks the HMAC and drops replayed deliveries
 
 /**
  * POST /api/webhooks/shopify/products/create
@@ -1038,7 +1290,7 @@ router.post('/api/webhooks/shopify/products/create', verifyShopifyWebhook, async
       await shopify.attachInventoryFields([fullProduct]);
 
       // Upsert to database
-      await productDb.bulkUpsertProducts([fullProduct]);
+      await productDb.bulkUpsertProducts([fullProduct], { source: 'webhook' });
       console.log('[Webhook] Product created and synced:', product.id);
     }
 
@@ -1080,7 +1332,8 @@ router.post('/api/webhooks/shopify/products/update', verifyShopifyWebhook, async
       await shopify.attachInventoryFields([fullProduct]);
 
       // Upsert to database
-      await productDb.bulkUpsertProducts([fullProduct]);
+      await productDb.bulkUpsertProducts([fullProduct], { source: 'webhook' });
+      await productDb.archiveVariantsNotIn([fullProduct], { source: 'webhook' });
       console.log('[Webhook] Product updated and synced:', product.id);
     }
 
@@ -1107,11 +1360,8 @@ router.post('/api/webhooks/shopify/products/delete', verifyShopifyWebhook, async
     // Mark product and its variants as archived in the database
     const pool = productDb.getPool();
 
-    // Mark variants as archived
-    await pool.query(
-      'UPDATE variants SET is_archived = TRUE WHERE shopify_product_id = $1',
-      [product.id]
-    );
+    // Mark variants as archived (no variants left in Shopify, so all of them; recorded in variant_history)
+    await productDb.archiveVariantsNotIn([{ id: product.id, variants: [] }], { source: 'webhook' });
 
     // Update product status
     await pool.query(
@@ -0,0 +1,22 @@
+// Rate limit routes - current budget of the shared Shopify/ShipStation limiters
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { requireAuthApi } = require('../utils/auth-middleware');
+const { getRateLimitStatus } = require('../utils/rate-limiter');
+
+/**
+ * GET /api/rate-limits
+ * Tokens left, queued requests, pause (after a 429) and the last server-reported budget per upstream API
+ */
+router.get('/api/rate-limits', requireAuthApi, (req, res) => {
+  try {
+    res.json({ success: true, limiters: getRateLimitStatus() });
+  } catch (err) {
+    console.error('[Rate Limits API] Status error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,4 @@
 'use strict';
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;  // Use fs.promises for async operations
@@ -7,12 +6,12 @@ const fsSync = require('fs');       // Keep sync version for readFileSync
 const path = require('path');
 
 const { ShipStationAPI } = require('../shipstation-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
 
 const { 
   getHS, 
-  pickCustomsDescription, 
   normHS,
+  buildCustomsPatch,
   identifyProductFromTitle,
   getCorrectHSAndDescription 
 } = require('../utils/customs-rules');
@@ -25,6 +24,10 @@ const {
   formatShipStationError,
   csvLine
 } = require('../utils/shipstation-helpers');
+const { newRunId } = require('../utils/order-snapshots');
+const { registerJobHandler, createInlineContext } = require('../utils/job-queue');
+const { getRateLimiter } = require('../utils/rate-limiter');
+const { publish } = require('../utils/notifications');
 
 // Client + API
 const shipstation = new ShipStationAPI();
@@ -184,56 +187,6 @@ async function fillMissingSkus(order) {
   return { patched: { ...order, items: updatedItems }, skuDiffs, resolutions: metaByIndex };
 }
 
-// Compute customs description + HS patch plan
-function buildCustomsPatch(order) {
-  if (!isUS(order)) return { canUpdate: false, reason: 'Order is not shipping to US.' };
-
-  const intl = order.internationalOptions || {};
-  const existing =
-    Array.isArray(intl.customsItems) ? intl.customsItems :
-    Array.isArray(order.customsItems) ? order.customsItems : [];
-
-  if (!existing.length) return { canUpdate: false, reason: 'No customsItems on this order to edit.' };
-
-  const itemTitles = (order.items || []).map(i => String(i.name || ''));
-  const analysis = [];
-
-  const updated = existing.map((ci, idx) => {
-    const hsRaw  = getHS(ci);
-    const hsNorm = normHS(hsRaw);
-    const cur    = String(ci.description || '');
-    const bestT  = cur || itemTitles.find(t => t) || '';
-
-    const pick = pickCustomsDescription(hsRaw, bestT);
-    const newDesc = pick.desc;
-    const descChanged = cur.trim() !== String(newDesc).trim();
-
-    const newHS = pick.overrideHS ? String(pick.overrideHS) : hsRaw;
-    const hsChanged = pick.overrideHS ? (normHS(hsRaw) !== normHS(pick.overrideHS)) : false;
-
-    analysis.push({
-      index: idx, hs: hsRaw, hsNormalized: hsNorm, hsNew: hsChanged ? newHS : hsRaw,
-      from: cur, mapped: newDesc, rule: pick.rule, willChange: descChanged || hsChanged
-    });
-
-    const out = { ...ci };
-    if (descChanged) out.description = newDesc;
-    if (hsChanged)   out.harmonizedTariffCode = newHS;
-    return out;
-  });
-
-  const diff = analysis.filter(a => a.willChange).map(a => ({
-    index: a.index, harmonizedCode: a.hs, harmonizedCodeNew: a.hsNew, from: a.from, to: a.mapped
-  }));
-
-  const anyCustomsChange = diff.length > 0;
-  const patchedOrder = anyCustomsChange
-    ? { ...order, internationalOptions: { ...(order.internationalOptions || {}), customsItems: updated } }
-    : { ...order };
-
-  return { canUpdate: true, diff, patchedOrder, analysis, anyCustomsChange };
-}
-
 // Lookup order by id → number → key
 async function loadOrderByAnyRef(ref) {
   try { const o = await shipstation.getOrder(ref); if (o && o.orderId) return o; }
@@ -243,11 +196,11 @@ async function loadOrderByAnyRef(ref) {
   return null;
 }
 
-// Wrapper for ShipStation update
-async function tryCreateOrUpdate(body, tag) {
-  console.log(`\n[ShipStation try ${tag}] keys: ${Object.keys(body).sort().join(', ')}`);
+// Wrapper for ShipStation update: full upsert payload for `order` with `patch`, snapshotted before writing
+async function tryCreateOrUpdate(order, patch, tag, { source, runId, actor } = {}) {
+  console.log(`\n[ShipStation try ${tag}] patching: ${Object.keys(patch).sort().join(', ')}`);
   try {
-    const updated = await shipstation.createOrUpdateOrder(body);
+    const updated = await shipstation.upsertOrder(order, patch, { source, runId, actor });
     console.log(`[ShipStation ${tag}] OK -> orderId=${updated?.orderId}`);
     return { ok: true, data: updated };
   } catch (e) {
@@ -260,123 +213,144 @@ async function tryCreateOrUpdate(body, tag) {
 /* --------------------------------- API ---------------------------------- */
 
 // SCAN ROUTE 
-router.get('/api/shipstation/orders/scan', requireAuthApi, async (req, res) => {
-  try {
-    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
-    const pageSize = Math.max(25, Math.min(200, Number(req.query.pageSize || 200)));
-    const maxPages = Math.max(1, Math.min(50, Number(req.query.maxPages || 10)));
-    
-    const since = new Date(Date.now() - days * 864e5).toISOString();
-    const statuses = ['awaiting_shipment','awaiting_payment','on_hold'];
-    const seen = new Set(), candidates = [];
-    const allUsOrders = []; // Track ALL US orders checked
-    
-    let totalScanned = 0;
-    let usOrders = 0;
-    let nonUsOrders = 0;
-    const scanLog = [];
-    
-    console.log(`Starting scan for ${days} days of orders...`);
-    scanLog.push(`Starting scan for ${days} days (since ${since.split('T')[0]})`);
+/**
+ * Scan recent open US orders for customs lines that need fixing.
+ * Runs inline for GET /api/shipstation/orders/scan and as the 'shipstation-scan' job.
+ */
+async function scanCustomsCandidates({ days = 30, pageSize = 200, maxPages = 10 } = {}, ctx) {
+  days = Math.max(1, Math.min(365, Number(days)));
+  pageSize = Math.max(25, Math.min(200, Number(pageSize)));
+  maxPages = Math.max(1, Math.min(50, Number(maxPages)));
+
+  const since = new Date(Date.now() - days * 864e5).toISOString();
+  const statuses = ['awaiting_shipment','awaiting_payment','on_hold'];
+  const seen = new Set(), candidates = [];
+  const allUsOrders = []; // Track ALL US orders checked
+
+  let totalScanned = 0;
+  let usOrders = 0;
+  let nonUsOrders = 0;
+  const scanLog = [];
+  const logLine = line => { scanLog.push(line); ctx.log(line); };
+
+  console.log(`Starting scan for ${days} days of orders...`);
+  logLine(`Starting scan for ${days} days (since ${since.split('T')[0]})`);
+
+  for (const status of statuses) {
+    let page = 1;
+    while (page <= maxPages) {
+      console.log(`Scanning ${status} - page ${page}...`);
+      logLine(`Fetching ${status} orders - page ${page}...`);
+      await ctx.progress(usOrders, null, `${status} page ${page} - ${candidates.length} need fixes so far`);
+
+      const list = await shipstation.searchOrders({
+        createDateStart: since,
+        orderStatus: status,
+        sortBy: 'OrderDate',
+        sortDir: 'DESC',
+        page,
+        pageSize
+      });
 
-    for (const status of statuses) {
-      let page = 1;
-      while (page <= maxPages) {
-        console.log(`Scanning ${status} - page ${page}...`);
-        scanLog.push(`Fetching ${status} orders - page ${page}...`);
-        
-        await delay(1500);
-        
-        const list = await shipstation.searchOrders({
-          createDateStart: since,
-          orderStatus: status,
-          sortBy: 'OrderDate',
-          sortDir: 'DESC',
-          page,
-          pageSize
+      console.log(`Got ${list.length} orders from page ${page}`);
+      if (!list.length) break;
+      logLine(`Found ${list.length} ${status} orders on page ${page}`);
+      totalScanned += list.length;
+
+      for (const o of list) {
+        if (seen.has(o.orderId)) continue;
+        seen.add(o.orderId);
+
+        if (!isUS(o)) {
+          nonUsOrders++;
+          continue;
+        }
+
+        usOrders++;
+        ctx.checkCancelled();
+
+        const full = await shipstation.getOrder(o.orderId);
+
+        // Track ALL US orders with their items
+        allUsOrders.push({
+          orderId: full.orderId,
+          orderNumber: full.orderNumber,
+          orderDate: full.orderDate,
+          shipTo: full.shipTo,
+          status: full.orderStatus,
+          items: (full.items || []).map(i => ({
+            name: i.name,
+            sku: i.sku,
+            quantity: i.quantity
+          }))
         });
-        
-        console.log(`Got ${list.length} orders from page ${page}`);
-        if (!list.length) break;
-        scanLog.push(`Found ${list.length} ${status} orders on page ${page}`);
-        totalScanned += list.length;
 
-        for (const o of list) {
-          if (seen.has(o.orderId)) continue;
-          seen.add(o.orderId);
-          
-          if (!isUS(o)) {
-            nonUsOrders++;
-            continue;
-          }
-          
-          usOrders++;
-          
-          await delay(100);
-          
-          const full = await shipstation.getOrder(o.orderId);
-          
-          // Track ALL US orders with their items
-          allUsOrders.push({
+        if (!isOpen(full)) continue;
+
+        const { canUpdate, diff, analysis } = buildCustomsPatch(full);
+        if (canUpdate && diff.length > 0) {
+          // Include item details with the candidates
+          candidates.push({
             orderId: full.orderId,
             orderNumber: full.orderNumber,
             orderDate: full.orderDate,
             shipTo: full.shipTo,
-            status: full.orderStatus,
+            changes: diff.length,
+            diff,
+            analysis,
             items: (full.items || []).map(i => ({
               name: i.name,
               sku: i.sku,
               quantity: i.quantity
             }))
           });
-          
-          if (!isOpen(full)) continue;
-          
-          const { canUpdate, diff, analysis } = buildCustomsPatch(full);
-          if (canUpdate && diff.length > 0) {
-            // Include item details with the candidates
-            candidates.push({
-              orderId: full.orderId,
-              orderNumber: full.orderNumber,
-              orderDate: full.orderDate,
-              shipTo: full.shipTo,
-              changes: diff.length,
-              diff,
-              analysis,
-              items: (full.items || []).map(i => ({
-                name: i.name,
-                sku: i.sku,
-                quantity: i.quantity
-              }))
-            });
-            scanLog.push(`✓ Order #${full.orderNumber} needs ${diff.length} fixes`);
-          }
+          logLine(`✓ Order #${full.orderNumber} needs ${diff.length} fixes`);
         }
-        
-        if (list.length < pageSize) break;
-        page++;
       }
+
+      if (list.length < pageSize) break;
+      page++;
     }
-    
-    scanLog.push(`Scan complete: ${totalScanned} total, ${usOrders} US, ${nonUsOrders} non-US, ${candidates.length} need fixes`);
-    console.log(`Scan complete. Scanned ${totalScanned} orders, found ${candidates.length} needing updates.`);
-    
-    res.json({ 
-      scannedDays: days, 
-      totalScanned, 
-      usOrders,
-      nonUsOrders,
-      totalCandidates: candidates.length, 
-      candidates,
-      allUsOrders,  // Now includes all US orders checked
-      scanLog 
+  }
+
+  logLine(`Scan complete: ${totalScanned} total, ${usOrders} US, ${nonUsOrders} non-US, ${candidates.length} need fixes`);
+  console.log(`Scan complete. Scanned ${totalScanned} orders, found ${candidates.length} needing updates.`);
+
+  if (candidates.length > 0) {
+    // Not awaited: publish() never throws and slow SMTP shouldn't hold up the scan response
+    const shown = candidates.slice(0, 30);
+    publish('customs-scan', {
+      title: `Customs scan: ${candidates.length} order${candidates.length === 1 ? '' : 's'} need customs fixes`,
+      body: `Scanned ${totalScanned} orders from the last ${days} days (${usOrders} US, ${nonUsOrders} non-US)` +
+        `${ctx.createdBy ? `, run by ${ctx.createdBy}` : ''}.\n\n` +
+        shown.map(c => `Order #${c.orderNumber}: ${c.changes} fix${c.changes === 1 ? '' : 'es'}`).join('\n') +
+        (candidates.length > shown.length ? `\n…and ${candidates.length - shown.length} more` : ''),
+      link: '/shipstation'
     });
+  }
+
+  return {
+    scannedDays: days,
+    totalScanned,
+    usOrders,
+    nonUsOrders,
+    totalCandidates: candidates.length,
+    candidates,
+    allUsOrders,  // Now includes all US orders checked
+    scanLog
+  };
+}
+
+router.get('/api/shipstation/orders/scan', requireAuthApi, async (req, res) => {
+  try {
+    const { days = 30, pageSize = 200, maxPages = 10 } = req.query;
+    res.json(await scanCustomsCandidates({ days, pageSize, maxPages }, createInlineContext('Scan')));
   } catch (err) {
     const status = err.response?.status || err.status || 500;
     const msg = err.response?.data?.message || err.response?.data || err.message;
     
     if (status === 429) {
-      console.log('Rate limit hit - consider increasing delays');
+      console.log('Rate limit hit - retries exhausted; see /api/rate-limits');
     }
     
     res.status(status).json({ error: msg });
@@ -403,8 +377,6 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
     for (const status of statuses) {
       let page = 1;
       while (page <= maxPages) {
-        await delay(1500); // Rate limit protection
-        
         const list = await shipstation.searchOrders({
           modifyDateStart: since,
           orderStatus: status,
@@ -421,7 +393,6 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
           seen.add(o.orderId);
           if (!isUS(o)) continue;
           
-          await delay(100); // Small delay between individual order fetches
           const full = await shipstation.getOrder(o.orderId);
           orders.push(full);
         }
@@ -573,13 +544,15 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
 });
 
 // Bulk update route
-router.post('/api/shipstation/orders/bulk-update', requireAuthApi, async (req, res) => {
+router.post('/api/shipstation/orders/bulk-update', requirePermissionApi('orders.bulk'), async (req, res) => {
   try {
     const { orderIds } = req.body || {};
     if (!Array.isArray(orderIds) || !orderIds.length) {
       return res.status(400).json({ error: 'Provide orderIds: string[]' });
     }
 
+    const runId = newRunId('customs-bulk');
+    const actor = req.session.userEmail || null;
     const results = [];
     for (const raw of orderIds) {
       const ref = String(raw);
@@ -601,86 +574,12 @@ router.post('/api/shipstation/orders/bulk-update', requireAuthApi, async (req, r
           getHS
         );
 
-        // USE THE SAME COMPLETE PAYLOAD AS SINGLE UPDATE
-        const payload = {
-          // Primary identifiers
-          orderId: order.orderId,
-          orderKey: order.orderKey,
-          orderNumber: order.orderNumber,
-          
-          // All dates
-          orderDate: order.orderDate,
-          paymentDate: order.paymentDate || order.orderDate,
-          shipByDate: order.shipByDate,
-          
-          // Status
-          orderStatus: order.orderStatus,
-          
-          // Customer
-          customerUsername: order.customerUsername || '',
-          customerEmail: order.customerEmail || '',
-          customerId: order.customerId,
-          
-          // Addresses
-          billTo: order.billTo,
-          shipTo: order.shipTo,
-          
-          // Financial
-          amountPaid: order.amountPaid || 0,
-          taxAmount: order.taxAmount || 0,
-          shippingAmount: order.shippingAmount || 0,
-          customerNotes: order.customerNotes || '',
-          internalNotes: order.internalNotes || '',
-          
-          // Gift
-          gift: order.gift || false,
-          giftMessage: order.giftMessage || '',
-          
-          // Shipping
-          requestedShippingService: order.requestedShippingService,
-          carrierCode: order.carrierCode,
-          serviceCode: order.serviceCode,
-          packageCode: order.packageCode,
-          confirmation: order.confirmation,
-          shipDate: order.shipDate,
-          
-          // Physical
-          weight: order.weight || {},
-          dimensions: order.dimensions || {},
-          
-          // Options
-          insuranceOptions: order.insuranceOptions || {},
-          advancedOptions: order.advancedOptions || {},
-          tagIds: order.tagIds || [],
-          
-          // Items
-          items: withCustomsSkus.items.map(item => ({
-            orderItemId: item.orderItemId,
-            lineItemKey: item.lineItemKey || '',
-            sku: item.sku || '',
-            name: item.name || '',
-            imageUrl: item.imageUrl || '',
-            weight: item.weight || {},
-            quantity: item.quantity || 1,
-            unitPrice: item.unitPrice || 0,
-            taxAmount: item.taxAmount || 0,
-            shippingAmount: item.shippingAmount || 0,
-            warehouseLocation: item.warehouseLocation || '',
-            options: item.options || [],
-            productId: item.productId,
-            fulfillmentSku: item.fulfillmentSku || '',
-            adjustment: item.adjustment || false,
-            upc: item.upc || ''
-          })),
-          
-          // International with updated customs
-          internationalOptions: {
-            ...intlBase,
-            customsItems: sanitized
-          }
+        const patch = {
+          items: withCustomsSkus.items,
+          internationalOptions: { ...intlBase, customsItems: sanitized }
         };
 
-        const final = await tryCreateOrUpdate(payload, `bulk:${ref}`);
+        const final = await tryCreateOrUpdate(order, patch, `bulk:${ref}`, { source: 'customs-bulk', runId, actor });
         if (!final.ok) { results.push({ ref, ok:false, status: final.status, error: final.message }); continue; }
 
         results.push({ ref, ok:true, updatedOrderId: final.data.orderId, changedDescriptions: diff.length });
@@ -690,7 +589,7 @@ router.post('/api/shipstation/orders/bulk-update', requireAuthApi, async (req, r
       }
     }
 
-    res.json({ updated: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, results });
+    res.json({ runId, updated: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, results });
   } catch (err) {
     const status = err.response?.status || err.status || 500;
     const msg = err.response?.data?.message || err.response?.data || err.message;
@@ -775,91 +674,21 @@ async function handleOrderUpdate(req, res) {
       getHS
     );
 
-    // COMPLETE PAYLOAD - ALL FIELDS NEEDED TO PREVENT DUPLICATE ORDERS
-    const payload = {
-      // Primary identifiers
-      orderId: order.orderId,
-      orderKey: order.orderKey,
-      orderNumber: order.orderNumber,
-      
-      // All dates
-      orderDate: order.orderDate,
-      paymentDate: order.paymentDate || order.orderDate,
-      shipByDate: order.shipByDate,
-      
-      // Status
-      orderStatus: order.orderStatus,
-      
-      // Customer
-      customerUsername: order.customerUsername || '',
-      customerEmail: order.customerEmail || '',
-      customerId: order.customerId,
-      
-      // Addresses
-      billTo: order.billTo,
-      shipTo: order.shipTo,
-      
-      // Financial
-      amountPaid: order.amountPaid || 0,
-      taxAmount: order.taxAmount || 0,
-      shippingAmount: order.shippingAmount || 0,
-      customerNotes: order.customerNotes || '',
-      internalNotes: order.internalNotes || '',
-      
-      // Gift
-      gift: order.gift || false,
-      giftMessage: order.giftMessage || '',
-      
-      // Shipping
-      requestedShippingService: order.requestedShippingService,
-      carrierCode: order.carrierCode,
-      serviceCode: order.serviceCode,
-      packageCode: order.packageCode,
-      confirmation: order.confirmation,
-      shipDate: order.shipDate,
-      
-      // Physical
-      weight: order.weight || {},
-      dimensions: order.dimensions || {},
-      
-      // Options
-      insuranceOptions: order.insuranceOptions || {},
-      advancedOptions: order.advancedOptions || {},
-      tagIds: order.tagIds || [],
-      
-      // Items - complete structure
-      items: withCustomsSkus.items.map(item => ({
-        orderItemId: item.orderItemId,
-        lineItemKey: item.lineItemKey || '',
-        sku: item.sku || '',
-        name: item.name || '',
-        imageUrl: item.imageUrl || '',
-        weight: item.weight || {},
-        quantity: item.quantity || 1,
-        unitPrice: item.unitPrice || 0,
-        taxAmount: item.taxAmount || 0,
-        shippingAmount: item.shippingAmount || 0,
-        warehouseLocation: item.warehouseLocation || '',
-        options: item.options || [],
-        productId: item.productId,
-        fulfillmentSku: item.fulfillmentSku || '',
-        adjustment: item.adjustment || false,
-        upc: item.upc || ''
-      })),
-      
-      // International with updated customs
-      internationalOptions: {
-        ...intlBase,
-        customsItems: sanitized
-      }
+    // Only items and customs change; buildOrderUpsertPayload carries the rest of the order over
+    const patch = {
+      items: withCustomsSkus.items,
+      internationalOptions: { ...intlBase, customsItems: sanitized }
     };
 
-    const result = await tryCreateOrUpdate(payload, 'single');
+    const runId = newRunId('customs-single');
+    const result = await tryCreateOrUpdate(order, patch, 'single', {
+      source: 'customs-single', runId, actor: req.session.userEmail || null
+    });
     if (!result.ok) {
-      return res.status(result.status || 400).json({ error: result.message || 'Update failed' });
+      return res.status(result.status || 400).json({ error: result.message || 'Update failed', runId });
     }
 
-    return res.json({ ok: true, updatedOrderId: result.data.orderId, changedDescriptions: diff.length, diff });
+    return res.json({ ok: true, runId, updatedOrderId: result.data.orderId, changedDescriptions: diff.length, diff });
   } catch (err) {
     const { status, message } = formatShipStationError(err);
     return res.status(status || 400).json({ error: message });
@@ -1130,8 +959,6 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
       const maxPages = 5;
       
       while (page <= maxPages && orders.length < limit) {
-        await delay(1500); // Rate limit protection
-        
         const list = await shipstation.searchOrders({
           modifyDateStart: since,
           orderStatus: status,
@@ -1150,7 +977,6 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
           
           if (!isUS(o)) continue;
           
-          await delay(100);
           const full = await shipstation.getOrder(o.orderId);
           orders.push(full);
           console.log(`  Added order ${orders.length}/${limit}: #${full.orderNumber}`);
@@ -1357,310 +1183,342 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
 });
 
 // Export ALL US orders route - CORRECTED VERSION
-router.get('/api/shipstation/orders/export-all.csv', requireAuthApi, async (req, res) => {
-  try {
-    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
-    const maxOrders = Math.max(50, Math.min(5000, Number(req.query.limit || 2000)));
+/**
+ * Fetch every US order modified in the window and build the full customs CSV, saving a copy
+ * under exports/. Runs inline for GET export-all.csv and as the 'shipstation-export-all' job.
+ */
+async function exportAllOrdersCsv({ days = 30, limit = 2000 } = {}, ctx) {
+  days = Math.max(1, Math.min(365, Number(days)));
+  const maxOrders = Math.max(50, Math.min(5000, Number(limit)));
+  
+  const since = new Date(Date.now() - days * 864e5).toISOString();
+  const statuses = ['awaiting_payment', 'awaiting_shipment', 'on_hold', 'shipped', 'cancelled'];
+  
+  // Pacing comes from the shared ShipStation limiter; this is only used for time estimates
+  const msPerCall = 1000 / getRateLimiter('shipstation').refillPerSec;
+  
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`BULK EXPORT: Fetching up to ${maxOrders} US orders from last ${days} days`);
+  console.log(`Rate limit: shared ShipStation budget (~${Math.round(msPerCall)}ms per call when saturated)`);
+  console.log(`Estimated time: ${Math.round(maxOrders * msPerCall / 60000)} minutes`);
+  console.log(`${'='.repeat(70)}`);
+  
+  const startTime = Date.now();
+  const orders = [];
+  const seen = new Set();
+  let totalScanned = 0;
+  let apiCalls = 0;
+  
+  // First, collect order IDs from the list endpoints
+  console.log('\nPhase 1: Collecting order IDs...');
+  const orderIdsToFetch = [];
+  
+  for (const status of statuses) {
+    if (orderIdsToFetch.length >= maxOrders) break;
     
-    const since = new Date(Date.now() - days * 864e5).toISOString();
-    const statuses = ['awaiting_payment', 'awaiting_shipment', 'on_hold', 'shipped', 'cancelled'];
-    
-    // Rate limiting: 40 calls per minute = 1 call every 1.5 seconds
-    const API_DELAY = 1600; // milliseconds between API calls
-    
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`BULK EXPORT: Fetching up to ${maxOrders} US orders from last ${days} days`);
-    console.log(`Rate limit: 40 calls/min (${API_DELAY}ms between calls)`);
-    console.log(`Estimated time: ${Math.round(maxOrders * API_DELAY / 60000)} minutes`);
-    console.log(`${'='.repeat(70)}`);
-    
-    const startTime = Date.now();
-    const orders = [];
-    const seen = new Set();
-    let totalScanned = 0;
-    let apiCalls = 0;
+    console.log(`\nScanning ${status} orders...`);
+    let page = 1;
+    const maxPages = 50;
     
-    // First, collect order IDs from the list endpoints
-    console.log('\nPhase 1: Collecting order IDs...');
-    const orderIdsToFetch = [];
-    
-    for (const status of statuses) {
-      if (orderIdsToFetch.length >= maxOrders) break;
+    while (page <= maxPages && orderIdsToFetch.length < maxOrders) {
+      await ctx.progress(0, null, `Collecting order IDs: ${status} page ${page} (${orderIdsToFetch.length} US orders so far)`);
+      apiCalls++;
       
-      console.log(`\nScanning ${status} orders...`);
-      let page = 1;
-      const maxPages = 50;
+      if (apiCalls % 20 === 0) {
+        const elapsed = Math.round((Date.now() - startTime) / 1000);
+        console.log(`  [${elapsed}s] API calls: ${apiCalls}`);
+      }
       
-      while (page <= maxPages && orderIdsToFetch.length < maxOrders) {
-        await delay(API_DELAY);
-        apiCalls++;
-        
-        if (apiCalls % 20 === 0) {
-          const elapsed = Math.round((Date.now() - startTime) / 1000);
-          console.log(`  [${elapsed}s] API calls: ${apiCalls}`);
-        }
-        
-        const list = await shipstation.searchOrders({
-          modifyDateStart: since,
-          orderStatus: status,
-          sortBy: 'ModifyDate',
-          sortDir: 'DESC',
-          page,
-          pageSize: 200
-        });
-        
-        if (!list.length) break;
-        
-        totalScanned += list.length;
-        console.log(`  Page ${page}: ${list.length} orders`);
+      const list = await shipstation.searchOrders({
+        modifyDateStart: since,
+        orderStatus: status,
+        sortBy: 'ModifyDate',
+        sortDir: 'DESC',
+        page,
+        pageSize: 200
+      });
+      
+      if (!list.length) break;
+      
+      totalScanned += list.length;
+      console.log(`  Page ${page}: ${list.length} orders`);
+      
+      for (const o of list) {
+        if (orderIdsToFetch.length >= maxOrders) break;
+        if (seen.has(o.orderId)) continue;
+        seen.add(o.orderId);
         
-        for (const o of list) {
-          if (orderIdsToFetch.length >= maxOrders) break;
-          if (seen.has(o.orderId)) continue;
-          seen.add(o.orderId);
-          
-          if (isUS(o)) {
-            orderIdsToFetch.push(o.orderId);
-          }
+        if (isUS(o)) {
+          orderIdsToFetch.push(o.orderId);
         }
-        
-        if (list.length < 200) break;
-        page++;
       }
+      
+      if (list.length < 200) break;
+      page++;
     }
+  }
+  
+  console.log(`\nPhase 1 complete: Found ${orderIdsToFetch.length} US orders (scanned ${totalScanned} total)`);
+  
+  // Phase 2: Fetch full order details
+  console.log(`\nPhase 2: Fetching full order details...`);
+  console.log(`This will take approximately ${Math.round(orderIdsToFetch.length * msPerCall / 60000)} minutes`);
+  
+  ctx.log(`Found ${orderIdsToFetch.length} US orders (scanned ${totalScanned} total)`);
+  
+  for (let i = 0; i < orderIdsToFetch.length; i++) {
+    await ctx.progress(i, orderIdsToFetch.length, `Fetching order details ${i + 1}/${orderIdsToFetch.length}`);
+    apiCalls++;
     
-    console.log(`\nPhase 1 complete: Found ${orderIdsToFetch.length} US orders (scanned ${totalScanned} total)`);
-    
-    // Phase 2: Fetch full order details
-    console.log(`\nPhase 2: Fetching full order details...`);
-    console.log(`This will take approximately ${Math.round(orderIdsToFetch.length * API_DELAY / 60000)} minutes`);
+    const orderId = orderIdsToFetch[i];
+    const full = await shipstation.getOrder(orderId);
+    orders.push(full);
     
-    for (let i = 0; i < orderIdsToFetch.length; i++) {
-      await delay(API_DELAY);
-      apiCalls++;
-      
-      const orderId = orderIdsToFetch[i];
-      const full = await shipstation.getOrder(orderId);
-      orders.push(full);
-      
-      // Progress updates
-      if ((i + 1) % 10 === 0) {
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
-        const pct = Math.round((i + 1) / orderIdsToFetch.length * 100);
-        const remaining = Math.round((orderIdsToFetch.length - i - 1) * API_DELAY / 60000);
-        console.log(`  [${elapsed}s] ${i + 1}/${orderIdsToFetch.length} orders (${pct}%) - ~${remaining} min remaining`);
-      }
+    // Progress updates
+    if ((i + 1) % 10 === 0) {
+      const elapsed = Math.round((Date.now() - startTime) / 1000);
+      const pct = Math.round((i + 1) / orderIdsToFetch.length * 100);
+      const remaining = Math.round((orderIdsToFetch.length - i - 1) * msPerCall / 60000);
+      console.log(`  [${elapsed}s] ${i + 1}/${orderIdsToFetch.length} orders (${pct}%) - ~${remaining} min remaining`);
     }
+  }
+  
+  const fetchTime = Math.round((Date.now() - startTime) / 1000);
+  console.log(`\nFetching complete in ${fetchTime} seconds (${apiCalls} API calls)`);
+  console.log('Processing orders for CSV export...\n');
+  
+  // Build CSV rows
+  const allRows = [];
+  
+  for (const order of orders) {
+    const { canUpdate, analysis } = buildCustomsPatch(order);
+    const items = Array.isArray(order.items) ? order.items : [];
+    const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
     
-    const fetchTime = Math.round((Date.now() - startTime) / 1000);
-    console.log(`\nFetching complete in ${fetchTime} seconds (${apiCalls} API calls)`);
-    console.log('Processing orders for CSV export...\n');
+    const availableCustomsIndices = new Set();
+    customs.forEach((_, idx) => availableCustomsIndices.add(idx));
     
-    // Build CSV rows
-    const allRows = [];
+    let isFirstRowForOrder = true;
     
-    for (const order of orders) {
-      const { canUpdate, analysis } = buildCustomsPatch(order);
-      const items = Array.isArray(order.items) ? order.items : [];
-      const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
-      
-      const availableCustomsIndices = new Set();
-      customs.forEach((_, idx) => availableCustomsIndices.add(idx));
+    // Process items
+    items.forEach((item, itemIdx) => {
+      const itemType = identifyProductFromTitle(item.name);
       
-      let isFirstRowForOrder = true;
+      let bestMatch = null;
+      let bestIdx = -1;
+      let matchMethod = 'NONE';
       
-      // Process items
-      items.forEach((item, itemIdx) => {
-        const itemType = identifyProductFromTitle(item.name);
+      // Match customs by product type
+      for (const cidx of availableCustomsIndices) {
+        const c = customs[cidx];
+        const customsDesc = String(c.description || '').toLowerCase();
+        const customsHS = getHS(c);
         
-        let bestMatch = null;
-        let bestIdx = -1;
-        let matchMethod = 'NONE';
+        let isMatch = false;
+        let matchReason = '';
         
-        // Match customs by product type
-        for (const cidx of availableCustomsIndices) {
-          const c = customs[cidx];
-          const customsDesc = String(c.description || '').toLowerCase();
-          const customsHS = getHS(c);
-          
-          let isMatch = false;
-          let matchReason = '';
+        if (itemType) {
+          const correctForType = getCorrectHSAndDescription(itemType);
           
-          if (itemType) {
-            const correctForType = getCorrectHSAndDescription(itemType);
-            
-            if (correctForType && customsHS && normHS(customsHS) === normHS(correctForType.hs)) {
-              isMatch = true;
-              matchReason = `HS_${itemType}`;
-            }
-            else if (
-              (itemType === 'notebook' && customsDesc.includes('notebook')) ||
-              (itemType === 'planner' && customsDesc.includes('planner')) ||
-              (itemType === 'sticker' && customsDesc.includes('sticker')) ||
-              (itemType === 'sticky' && customsDesc.includes('sticky')) ||
-              (itemType === 'insert' && (customsDesc.includes('insert') || customsDesc.includes('refill'))) ||
-              (itemType === 'notepad' && customsDesc.includes('notepad'))
-            ) {
-              isMatch = true;
-              matchReason = `TYPE_${itemType}`;
-            }
+          if (correctForType && customsHS && normHS(customsHS) === normHS(correctForType.hs)) {
+            isMatch = true;
+            matchReason = `HS_${itemType}`;
           }
-          
-          if (!isMatch) {
-            const itemLower = String(item.name || '').toLowerCase();
-            const rules = [
-              { item: ['notebook', 'journal'], customs: ['notebook', 'journal'] },
-              { item: ['planner', 'agenda'], customs: ['planner', 'agenda', 'diary'] },
-              { item: ['sticky'], customs: ['sticky', 'notepad'] },
-              { item: ['sticker', 'tab'], customs: ['sticker'] },
-              { item: ['insert', 'refill'], customs: ['insert', 'refill', 'loose'] }
-            ];
-            
-            for (const rule of rules) {
-              if (rule.item.some(k => itemLower.includes(k)) && 
-                  rule.customs.some(t => customsDesc.includes(t))) {
-                isMatch = true;
-                matchReason = `KEY_${rule.item[0]}`;
-                break;
-              }
-            }
+          else if (
+            (itemType === 'notebook' && customsDesc.includes('notebook')) ||
+            (itemType === 'planner' && customsDesc.includes('planner')) ||
+            (itemType === 'sticker' && customsDesc.includes('sticker')) ||
+            (itemType === 'sticky' && customsDesc.includes('sticky')) ||
+            (itemType === 'insert' && (customsDesc.includes('insert') || customsDesc.includes('refill'))) ||
+            (itemType === 'notepad' && customsDesc.includes('notepad'))
+          ) {
+            isMatch = true;
+            matchReason = `TYPE_${itemType}`;
           }
+        }
+        
+        if (!isMatch) {
+          const itemLower = String(item.name || '').toLowerCase();
+          const rules = [
+            { item: ['notebook', 'journal'], customs: ['notebook', 'journal'] },
+            { item: ['planner', 'agenda'], customs: ['planner', 'agenda', 'diary'] },
+            { item: ['sticky'], customs: ['sticky', 'notepad'] },
+            { item: ['sticker', 'tab'], customs: ['sticker'] },
+            { item: ['insert', 'refill'], customs: ['insert', 'refill', 'loose'] }
+          ];
           
-          if (isMatch) {
-            bestMatch = c;
-            bestIdx = cidx;
-            matchMethod = matchReason;
-            break;
+          for (const rule of rules) {
+            if (rule.item.some(k => itemLower.includes(k)) && 
+                rule.customs.some(t => customsDesc.includes(t))) {
+              isMatch = true;
+              matchReason = `KEY_${rule.item[0]}`;
+              break;
+            }
           }
         }
         
-        if (!bestMatch && availableCustomsIndices.size > 0) {
-          const firstAvailable = Array.from(availableCustomsIndices)[0];
-          bestMatch = customs[firstAvailable];
-          bestIdx = firstAvailable;
-          matchMethod = 'FALLBACK';
+        if (isMatch) {
+          bestMatch = c;
+          bestIdx = cidx;
+          matchMethod = matchReason;
+          break;
         }
+      }
+      
+      if (!bestMatch && availableCustomsIndices.size > 0) {
+        const firstAvailable = Array.from(availableCustomsIndices)[0];
+        bestMatch = customs[firstAvailable];
+        bestIdx = firstAvailable;
+        matchMethod = 'FALLBACK';
+      }
+      
+      if (bestIdx >= 0) {
+        availableCustomsIndices.delete(bestIdx);
+      }
+      
+      const bestAnalysis = bestIdx >= 0 ? analysis?.[bestIdx] : null;
+      const productType = itemType || '';
+      const correct = productType ? getCorrectHSAndDescription(productType) : null;
+      
+      allRows.push({
+        orderId: isFirstRowForOrder ? order.orderId : '',
+        orderNumber: isFirstRowForOrder ? order.orderNumber : '',
+        orderDate: isFirstRowForOrder ? (order.orderDate || '').split('T')[0] : '',
+        orderStatus: isFirstRowForOrder ? order.orderStatus : '',
+        shipToCity: isFirstRowForOrder ? (order?.shipTo?.city || '') : '',
+        shipToState: isFirstRowForOrder ? (order?.shipTo?.state || '') : '',
         
-        if (bestIdx >= 0) {
-          availableCustomsIndices.delete(bestIdx);
-        }
+        itemIndex: itemIdx,
+        itemName: item?.name || '',
+        itemSku: String(item?.sku || '').trim(),
+        itemQty: item?.quantity || 1,
+        itemUnitPrice: item?.unitPrice || '',
         
-        const bestAnalysis = bestIdx >= 0 ? analysis?.[bestIdx] : null;
-        const productType = itemType || '';
-        const correct = productType ? getCorrectHSAndDescription(productType) : null;
+        currentCustomsDesc: bestMatch?.description || '',
+        currentCustomsHS: bestMatch ? getHS(bestMatch) : '',
+        currentCustomsQty: bestMatch?.quantity || '',
+        currentCustomsValue: bestMatch?.value || '',
         
-        allRows.push({
-          orderId: isFirstRowForOrder ? order.orderId : '',
-          orderNumber: isFirstRowForOrder ? order.orderNumber : '',
-          orderDate: isFirstRowForOrder ? (order.orderDate || '').split('T')[0] : '',
-          orderStatus: isFirstRowForOrder ? order.orderStatus : '',
-          shipToCity: isFirstRowForOrder ? (order?.shipTo?.city || '') : '',
-          shipToState: isFirstRowForOrder ? (order?.shipTo?.state || '') : '',
-          
-          itemIndex: itemIdx,
-          itemName: item?.name || '',
-          itemSku: String(item?.sku || '').trim(),
-          itemQty: item?.quantity || 1,
-          itemUnitPrice: item?.unitPrice || '',
-          
-          currentCustomsDesc: bestMatch?.description || '',
-          currentCustomsHS: bestMatch ? getHS(bestMatch) : '',
-          currentCustomsQty: bestMatch?.quantity || '',
-          currentCustomsValue: bestMatch?.value || '',
-          
-          suggestedDesc: correct?.desc || bestAnalysis?.mapped || '',
-          suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
-          
-          matchMethod: matchMethod,
-          productTypeDetected: productType || ''
-        });
+        suggestedDesc: correct?.desc || bestAnalysis?.mapped || '',
+        suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
         
-        isFirstRowForOrder = false;
+        matchMethod: matchMethod,
+        productTypeDetected: productType || ''
       });
       
-      // Orphaned customs
-      availableCustomsIndices.forEach(cidx => {
-        const c = customs[cidx];
-        allRows.push({
-          orderId: '', orderNumber: '', orderDate: '', orderStatus: '', 
-          shipToCity: '', shipToState: '',
-          itemIndex: '',
-          itemName: '>>> UNMATCHED CUSTOMS <<<',
-          itemSku: c.sku || '',
-          itemQty: '',
-          itemUnitPrice: '',
-          currentCustomsDesc: c.description || '',
-          currentCustomsHS: getHS(c) || '',
-          currentCustomsQty: c.quantity || '',
-          currentCustomsValue: c.value || '',
-          suggestedDesc: '',
-          suggestedHS: '',
-          matchMethod: 'ORPHANED',
-          productTypeDetected: ''
-        });
-      });
-    }
-    
-    // Generate CSV
-    const headers = [
-      'orderId', 'orderNumber', 'orderDate', 'orderStatus',
-      'shipToCity', 'shipToState',
-      'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
-      'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
-      'suggestedDesc', 'suggestedHS',
-      'matchMethod', 'productTypeDetected'
-    ];
-    
-    const out = [csvLine(headers)];
-    allRows.forEach(r => out.push(csvLine(headers.map(h => r[h]))));
-    
-    const totalTime = Math.round((Date.now() - startTime) / 60000);
-    const stamp = new Date().toISOString().replace(/[:.]/g,'-');
-    
-    // Create the CSV string
-    const csv = out.join('\n');
+      isFirstRowForOrder = false;
+    });
     
-    // Save backup copy locally BEFORE sending response
-    try {
-      const exportsDir = path.join(__dirname, '../exports');
-      await fs.mkdir(exportsDir, { recursive: true });
-      const filename = `shipstation_ALL_${orders.length}_orders_${stamp}.csv`;
-      const filepath = path.join(exportsDir, filename);
-      await fs.writeFile(filepath, csv);
-      console.log(`✅ CSV saved locally: ${filepath}`);
-      console.log(`   To download: cat ${filepath} > ~/Desktop/${filename}`);
-    } catch (saveErr) {
-      console.error('Failed to save backup:', saveErr);
-      // Continue even if save fails - don't block the download
-    }
+    // Orphaned customs
+    availableCustomsIndices.forEach(cidx => {
+      const c = customs[cidx];
+      allRows.push({
+        orderId: '', orderNumber: '', orderDate: '', orderStatus: '', 
+        shipToCity: '', shipToState: '',
+        itemIndex: '',
+        itemName: '>>> UNMATCHED CUSTOMS <<<',
+        itemSku: c.sku || '',
+        itemQty: '',
+        itemUnitPrice: '',
+        currentCustomsDesc: c.description || '',
+        currentCustomsHS: getHS(c) || '',
+        currentCustomsQty: c.quantity || '',
+        currentCustomsValue: c.value || '',
+        suggestedDesc: '',
+        suggestedHS: '',
+        matchMethod: 'ORPHANED',
+        productTypeDetected: ''
+      });
+    });
+  }
+  
+  // Generate CSV
+  const headers = [
+    'orderId', 'orderNumber', 'orderDate', 'orderStatus',
+    'shipToCity', 'shipToState',
+    'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
+    'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
+    'suggestedDesc', 'suggestedHS',
+    'matchMethod', 'productTypeDetected'
+  ];
+  
+  const out = [csvLine(headers)];
+  allRows.forEach(r => out.push(csvLine(headers.map(h => r[h]))));
+  
+  const totalTime = Math.round((Date.now() - startTime) / 60000);
+  const stamp = new Date().toISOString().replace(/[:.]/g,'-');
+  
+  // Create the CSV string
+  const csv = out.join('\n');
+  
+  // Save a copy locally (this is also what the customs rule test bench replays)
+  const filename = `shipstation_ALL_${orders.length}_orders_${stamp}.csv`;
+  let savedPath = null;
+  try {
+    const exportsDir = path.join(__dirname, '../exports');
+    await fs.mkdir(exportsDir, { recursive: true });
+    const filepath = path.join(exportsDir, filename);
+    await fs.writeFile(filepath, csv);
+    savedPath = path.join('exports', filename);
+    console.log(`✅ CSV saved locally: ${filepath}`);
+    console.log(`   To download: cat ${filepath} > ~/Desktop/${filename}`);
+  } catch (saveErr) {
+    console.error('Failed to save backup:', saveErr);
+    // Continue even if save fails - don't block the download
+  }
+  if (savedPath) ctx.setResultFile(savedPath);
+  
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`EXPORT COMPLETE!`);
+  console.log(`- ${orders.length} orders exported`);
+  console.log(`- ${allRows.length} total CSV rows`);
+  console.log(`- ${apiCalls} API calls made`);
+  console.log(`- Total time: ${totalTime} minutes`);
+  console.log(`${'='.repeat(70)}\n`);
+  ctx.log(`Exported ${orders.length} orders (${allRows.length} rows) in ${totalTime} min`);
+  
+  return { csv, filename, savedPath, orders: orders.length, rows: allRows.length, apiCalls };
+}
+
+router.get('/api/shipstation/orders/export-all.csv', requireAuthApi, async (req, res) => {
+  try {
+    const { days = 30, limit = 2000 } = req.query;
+    const { csv, filename } = await exportAllOrdersCsv({ days, limit }, createInlineContext('Export All'));
     
-    // Send the response ONCE
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="shipstation_ALL_${orders.length}_orders_${stamp}.csv"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.send(csv);
-    
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`EXPORT COMPLETE!`);
-    console.log(`- ${orders.length} orders exported`);
-    console.log(`- ${allRows.length} total CSV rows`);
-    console.log(`- ${apiCalls} API calls made`);
-    console.log(`- Total time: ${totalTime} minutes`);
-    console.log(`${'='.repeat(70)}\n`);
-    
   } catch (err) {
     const status = err.response?.status || err.status || 500;
     const msg = err.response?.data?.message || err.response?.data || err.message;
     console.error('Export error:', msg);
     
     if (status === 429) {
-      console.error('Rate limit hit! Consider increasing delays.');
+      console.error('Rate limit hit! Retries exhausted; see /api/rate-limits.');
     }
     
     res.status(status).json({ error: msg });
   }
 });
 
-router.post('/api/shipstation/orders/:orderId/update', requireAuthApi, handleOrderUpdate);
-router.get('/api/shipstation/orders/:orderId/update', requireAuthApi, handleOrderUpdate);
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+registerJobHandler('shipstation-scan', {
+  label: 'ShipStation customs scan',
+  run: (params, ctx) => scanCustomsCandidates(params, ctx)
+});
+
+registerJobHandler('shipstation-export-all', {
+  label: 'ShipStation export all US orders (CSV)',
+  run: async (params, ctx) => {
+    const { csv, ...result } = await exportAllOrdersCsv(params, ctx);
+    if (!result.savedPath) throw new Error('Export finished but the CSV could not be saved');
+    return result;
+  }
+});
+
+router.post('/api/shipstation/orders/:orderId/update', requirePermissionApi('orders.edit'), handleOrderUpdate);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,94 @@
+// User role routes - assign viewer/warehouse/fulfillment/admin by email
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requirePermission, requirePermissionApi } = require('../utils/auth-middleware');
+const {
+  ROLES,
+  PERMISSIONS,
+  listUserRoles,
+  setUserRole,
+  removeUserRole
+} = require('../utils/user-roles');
+
+// Load HTML template
+const usersHTML = fs.readFileSync(path.join(__dirname, '../views/users.html'), 'utf8');
+
+function isSelf(req, email) {
+  return String(email || '').trim().toLowerCase() === String(req.session.userEmail || '').toLowerCase();
+}
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/users', requirePermission('users.manage'), (req, res) => {
+  res.send(usersHTML);
+});
+
+// ============================================================================
+// API: USER ROLES
+// ============================================================================
+
+/**
+ * GET /api/users/roles
+ * Role assignments, the default role, env admins and the permission matrix
+ */
+router.get('/api/users/roles', requirePermissionApi('users.manage'), async (req, res) => {
+  try {
+    const result = await listUserRoles();
+    res.json({ success: true, roles: ROLES, permissions: PERMISSIONS, ...result });
+  } catch (err) {
+    console.error('[Users API] List error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/users/roles/:email
+ * Assign a role
+ * Body: { role: 'viewer' | 'warehouse' | 'fulfillment' | 'admin' }
+ */
+router.put('/api/users/roles/:email', requirePermissionApi('users.manage'), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (isSelf(req, req.params.email) && role !== 'admin') {
+      return res.status(400).json({ success: false, error: 'You cannot remove your own admin role' });
+    }
+
+    const user = await setUserRole(req.params.email, role, req.session.userEmail || null);
+    console.log(`[Users API] ${user.email} -> ${user.role} by ${req.session.userEmail}`);
+    res.json({ success: true, user });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error('[Users API] Update error:', err);
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/users/roles/:email
+ * Remove an assignment (the user falls back to the default role)
+ */
+router.delete('/api/users/roles/:email', requirePermissionApi('users.manage'), async (req, res) => {
+  try {
+    if (isSelf(req, req.params.email)) {
+      return res.status(400).json({ success: false, error: 'You cannot remove your own admin role' });
+    }
+
+    const removed = await removeUserRole(req.params.email);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'No role assigned to that email' });
+    }
+    console.log(`[Users API] Removed role for ${req.params.email} by ${req.session.userEmail}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[Users API] Delete error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
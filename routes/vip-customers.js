@@ -5,7 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const { ShopifyAPI } = require('../shopify-api.js');
 const { ShipStationAPI } = require('../shipstation-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
 const { initDB } = require('../utils/database');
 const { getVIPCustomersFast, saveVIPCustomers, getSyncStatus } = require('../utils/vip-cache');
 
@@ -159,7 +159,7 @@ router.get('/api/vip-customers', requireAuthApi, async (req, res) => {
  * API: Sync VIP customers to ShipStation with 2026VIP tag
  * This endpoint tags all orders for VIP customers (>$1000 spent) in ShipStation
  */
-router.post('/api/vip-customers/sync-to-shipstation', requireAuthApi, async (req, res) => {
+router.post('/api/vip-customers/sync-to-shipstation', requirePermissionApi('orders.bulk'), async (req, res) => {
   try {
     const minSpent = Number(req.body.minSpent || 1000);
     const tag = req.body.tag || '2026VIP';
@@ -240,7 +240,7 @@ router.post('/api/vip-customers/sync-to-shipstation', requireAuthApi, async (req
 /**
  * API: Tag a single customer in ShipStation
  */
-router.post('/api/vip-customers/tag-single', requireAuthApi, async (req, res) => {
+router.post('/api/vip-customers/tag-single', requirePermissionApi('orders.edit'), async (req, res) => {
   try {
     const { email, tag = '2026VIP', onlyAwaitingShipment = false } = req.body;
     
@@ -306,7 +306,7 @@ router.get('/api/vip-customers/cache-status', requireAuthApi, async (req, res) =
 });
 
 // API: Clear cache (force refresh)
-router.post('/api/vip-customers/clear-cache', requireAuthApi, async (req, res) => {
+router.post('/api/vip-customers/clear-cache', requirePermissionApi('vip.clear-cache'), async (req, res) => {
   try {
     // Fetch fresh data and save to cache
     console.log('[VIP Customers] Manual cache refresh requested');
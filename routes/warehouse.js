@@ -0,0 +1,209 @@
+// Warehouse layout routes - zones > aisles > shelves > bins, and pick number suggestions in bin order
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+
+const productDb = require('../utils/product-db');
+const { nodeFromBody, validateNode, parseBinCodes } = require('../utils/warehouse-locations');
+
+// Load HTML template
+const warehouseHTML = fs.readFileSync(path.join(__dirname, '../views/warehouse.html'), 'utf8');
+
+// URL segment -> layout level
+const LEVEL_PATHS = { zones: 'zone', aisles: 'aisle', shelves: 'shelf', bins: 'bin' };
+const PARENT_KEYS = { aisle: 'zone_id', shelf: 'aisle_id', bin: 'shelf_id' };
+
+const MAX_SUGGESTIONS = 5000;
+
+function levelFromParams(req, res) {
+  const level = LEVEL_PATHS[req.params.levels];
+  if (!level || (req.params.id !== undefined && !/^\d+$/.test(req.params.id))) {
+    res.status(404).json({ success: false, error: `Unknown layout level or ID: ${req.originalUrl}` });
+    return null;
+  }
+  return level;
+}
+
+// ============================================================================
+// PAGE ROUTES
+// ============================================================================
+
+router.get('/warehouse', requireAuth, (req, res) => {
+  res.send(warehouseHTML);
+});
+
+// ============================================================================
+// API: LAYOUT
+// ============================================================================
+
+/**
+ * GET /api/warehouse/layout
+ * Zones with their aisles, shelves and bins in walk order; bins carry variant_count
+ */
+router.get('/api/warehouse/layout', requireAuthApi, async (req, res) => {
+  try {
+    const zones = await productDb.getWarehouseLayout();
+    res.json({ success: true, zones });
+  } catch (err) {
+    console.error('[Warehouse API] Layout error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/warehouse/bins
+ * Every bin in walk order (location_code, capacity, zone_code, pick range)
+ */
+router.get('/api/warehouse/bins', requireAuthApi, async (req, res) => {
+  try {
+    const bins = await productDb.getWarehouseBins();
+    res.json({ success: true, bins });
+  } catch (err) {
+    console.error('[Warehouse API] Bins error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/warehouse/unknown-locations
+ * Live variants whose warehouse_location isn't a bin of the layout
+ */
+router.get('/api/warehouse/unknown-locations', requireAuthApi, async (req, res) => {
+  try {
+    const variants = await productDb.getVariantsWithUnknownLocations();
+    res.json({ success: true, variants });
+  } catch (err) {
+    console.error('[Warehouse API] Unknown locations error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/warehouse/suggest-pick-numbers
+ * Pick numbers for the given variants that follow the walk order of their bins
+ * Body: { variantIds: [...], staged?: [{ id, pick_number?, warehouse_location?, sku? }] } (unsaved product manager edits)
+ * Returns { suggestions: { [variantId]: { pick, bin, reason } } }; nothing is saved
+ */
+router.post('/api/warehouse/suggest-pick-numbers', requireAuthApi, async (req, res) => {
+  const { variantIds, staged = [] } = req.body || {};
+  if (!Array.isArray(variantIds) || variantIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'No variant IDs provided' });
+  }
+  if (variantIds.length > MAX_SUGGESTIONS || !Array.isArray(staged)) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_SUGGESTIONS} variants; staged must be a list` });
+  }
+  if ([...variantIds, ...staged.map(e => e?.id)].some(id => !/^\d+$/.test(String(id)))) {
+    return res.status(400).json({ success: false, error: 'Variant IDs must be numeric' });
+  }
+
+  try {
+    const suggestions = await productDb.suggestPickNumbersFor(variantIds.map(String), staged);
+    res.json({ success: true, suggestions });
+  } catch (err) {
+    console.error('[Warehouse API] Suggest error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/warehouse/:levels   (zones | aisles | shelves | bins)
+ * Create a layout node. Body: { code, name?, position? } plus the parent (zone_id, aisle_id or
+ * shelf_id), pick_start/pick_end for zones, and for bins { shelf_id, codes: '1-6' | '01-12' | 'A-D' | '1,2,5', capacity? }
+ */
+router.post('/api/warehouse/:levels', requirePermissionApi('warehouse.layout'), async (req, res) => {
+  const level = levelFromParams(req, res);
+  if (!level) return;
+  const body = req.body || {};
+
+  try {
+    const parentKey = PARENT_KEYS[level];
+    const parentId = parentKey ? parseInt(body[parentKey], 10) : null;
+    if (parentKey && !Number.isInteger(parentId)) {
+      return res.status(400).json({ success: false, error: `${parentKey} is required` });
+    }
+
+    if (level === 'bin') {
+      const codes = parseBinCodes(body.codes ?? body.code);
+      const node = nodeFromBody('bin', body);
+      const errors = validateNode('bin', { code: codes[0], position: 0, capacity: node.capacity });
+      if (errors.length) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      const bins = await productDb.createWarehouseBins(parentId, codes, { capacity: node.capacity ?? null });
+      console.log(`[Warehouse API] ${req.session.userEmail} added ${bins.length} bins to shelf ${parentId}`);
+      return res.json({ success: true, bins });
+    }
+
+    const node = nodeFromBody(level, body, { create: true });
+    const errors = validateNode(level, { position: 0, ...node });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+    if (parentKey) node[parentKey] = parentId;
+
+    const created = await productDb.createWarehouseNode(level, node);
+    console.log(`[Warehouse API] ${req.session.userEmail} created ${level} ${created.code} (${created.id})`);
+    res.json({ success: true, [level]: created });
+  } catch (err) {
+    if (!err.status) console.error('[Warehouse API] Create error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/warehouse/:levels/:id
+ * Update name, position, capacity (bins) or pick_start/pick_end (zones). Codes can't be changed:
+ * they are part of the location codes stored on variants.
+ */
+router.put('/api/warehouse/:levels/:id', requirePermissionApi('warehouse.layout'), async (req, res) => {
+  const level = levelFromParams(req, res);
+  if (!level) return;
+
+  try {
+    const existing = await productDb.getWarehouseNode(level, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `${level} not found` });
+    }
+
+    const updates = nodeFromBody(level, req.body);
+    const errors = validateNode(level, { ...existing, ...updates });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const updated = await productDb.updateWarehouseNode(level, req.params.id, updates);
+    res.json({ success: true, [level]: updated });
+  } catch (err) {
+    console.error('[Warehouse API] Update error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/warehouse/:levels/:id
+ * Delete a node and everything under it; 409 while live variants are located in its bins
+ */
+router.delete('/api/warehouse/:levels/:id', requirePermissionApi('warehouse.layout'), async (req, res) => {
+  const level = levelFromParams(req, res);
+  if (!level) return;
+
+  try {
+    const deleted = await productDb.deleteWarehouseNode(level, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `${level} not found` });
+    }
+
+    console.log(`[Warehouse API] ${req.session.userEmail} deleted ${level} ${deleted.location_code || deleted.code} (${deleted.id})`);
+    res.json({ success: true, [level]: deleted });
+  } catch (err) {
+    if (!err.status) console.error('[Warehouse API] Delete error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
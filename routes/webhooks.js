@@ -0,0 +1,124 @@
+// Webhook admin routes - list, register and delete the store's Shopify webhook subscriptions
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { ShopifyAPI } = require('../shopify-api.js');
+const { requirePermissionApi } = require('../utils/auth-middleware');
+const { WEBHOOK_TOPICS, listRecentDeliveries } = require('../utils/shopify-webhooks');
+
+// Initialize Shopify API
+const shopify = new ShopifyAPI();
+
+// Public URL Shopify should deliver to (PUBLIC_BASE_URL, else the URL this request came in on)
+function getBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function shopifyError(err) {
+  const errors = err.response?.data?.errors;
+  if (!errors) return err.message;
+  return typeof errors === 'string' ? errors : JSON.stringify(errors);
+}
+
+// ============================================================================
+// API: WEBHOOK SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * GET /api/webhooks/subscriptions
+ * Store subscriptions (flagged when they point at this server) and handled topics that are missing
+ */
+router.get('/api/webhooks/subscriptions', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const webhooks = await shopify.listWebhooks();
+
+    const subscriptions = webhooks.map(w => ({
+      id: w.id,
+      topic: w.topic,
+      address: w.address,
+      format: w.format,
+      apiVersion: w.api_version,
+      createdAt: w.created_at,
+      pointsHere: String(w.address || '').startsWith(baseUrl),
+      handled: Boolean(WEBHOOK_TOPICS[w.topic])
+    }));
+
+    const topics = Object.entries(WEBHOOK_TOPICS).map(([topic, routePath]) => ({
+      topic,
+      address: baseUrl + routePath,
+      registered: subscriptions.some(s => s.topic === topic && s.address === baseUrl + routePath)
+    }));
+
+    res.json({ success: true, baseUrl, subscriptions, topics });
+  } catch (err) {
+    console.error('[Webhooks API] List error:', err);
+    res.status(err.response?.status || 500).json({ success: false, error: shopifyError(err) });
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Register a subscription
+ * Body: { topic: 'products/update', address?: string }  (address defaults to this server's route for the topic)
+ */
+router.post('/api/webhooks/subscriptions', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    const { topic } = req.body || {};
+    if (!topic) {
+      return res.status(400).json({ success: false, error: 'topic is required' });
+    }
+    if (!req.body.address && !WEBHOOK_TOPICS[topic]) {
+      return res.status(400).json({
+        success: false,
+        error: `No local route for ${topic}; pass an address or use one of: ${Object.keys(WEBHOOK_TOPICS).join(', ')}`
+      });
+    }
+
+    const address = req.body.address || getBaseUrl(req) + WEBHOOK_TOPICS[topic];
+    if (!/^https:\/\//.test(address)) {
+      return res.status(400).json({ success: false, error: `Shopify requires an https address (got ${address}); set PUBLIC_BASE_URL` });
+    }
+
+    const webhook = await shopify.createWebhook(topic, address);
+    console.log(`[Webhooks API] Registered ${topic} -> ${address} (id ${webhook.id}) by ${req.session.userEmail}`);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    if (status === 500) console.error('[Webhooks API] Register error:', err);
+    res.status(status).json({ success: false, error: shopifyError(err) });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/subscriptions/:id
+ * Remove a subscription from the store
+ */
+router.delete('/api/webhooks/subscriptions/:id', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    await shopify.deleteWebhook(req.params.id);
+    console.log(`[Webhooks API] Deleted subscription ${req.params.id} by ${req.session.userEmail}`);
+    res.json({ success: true });
+  } catch (err) {
+    const status = err.response?.status || 500;
+    if (status === 500) console.error('[Webhooks API] Delete error:', err);
+    res.status(status).json({ success: false, error: status === 404 ? 'Subscription not found' : shopifyError(err) });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Recently accepted (HMAC-verified) deliveries
+ * Query: ?limit=50
+ */
+router.get('/api/webhooks/deliveries', requirePermissionApi('system.admin'), async (req, res) => {
+  try {
+    res.json({ success: true, deliveries: await listRecentDeliveries(req.query.limit) });
+  } catch (err) {
+    console.error('[Webhooks API] Deliveries error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
 const sessionMiddleware = require('./middleware/session-config');
+const auditLog = require('./middleware/audit-log');
+const { captureRawBody } = require('./utils/shopify-webhooks');
 
 // Load environment variables
 dotenv.config();
@@ -13,7 +15,7 @@ const PORT = process.env.PORT || 8080;
 app.set('trust proxy', 1);
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody })); // raw bytes kept for webhook HMAC checks
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(sessionMiddleware);
@@ -29,6 +31,9 @@ app.use((req, res, next) => {
 // Serve static client assets
 app.use(express.static('public'));
 
+// Record every mutating API request (actor, tool, targets, outcome)
+app.use(auditLog);
+
 // ==================== ROUTES ====================
 
 // Import route modules
@@ -39,6 +44,17 @@ const vipCustomersRoutes = require('./routes/vip-customers');
 const orderFormatterRoutes = require('./routes/order-formatter');
 const orderChangeDetectorRoutes = require('./routes/order-change-detector');
 const orderItemAdderRoutes = require('./routes/order-item-adder'); // ← Move import here
+const customsRulesRoutes = require('./routes/customs-rules');
+const orderSnapshotsRoutes = require('./routes/order-snapshots');
+const auditRoutes = require('./routes/audit');
+const usersRoutes = require('./routes/users');
+const jobsRoutes = require('./routes/jobs');
+const rateLimitsRoutes = require('./routes/rate-limits');
+const webhooksRoutes = require('./routes/webhooks');
+const notificationsRoutes = require('./routes/notifications');
+const labelsRoutes = require('./routes/labels');
+const warehouseRoutes = require('./routes/warehouse');
+const pickListRoutes = require('./routes/pick-list');
 
 // Mount routes (ALL TOGETHER)
 app.use(authRoutes);
@@ -48,6 +64,17 @@ app.use(vipCustomersRoutes);
 app.use(orderFormatterRoutes);
 app.use(orderChangeDetectorRoutes);
 app.use(orderItemAdderRoutes); // ← ADD HERE, not at line 20
+app.use(customsRulesRoutes);
+app.use(orderSnapshotsRoutes);
+app.use(auditRoutes);
+app.use(usersRoutes);
+app.use(jobsRoutes);
+app.use(rateLimitsRoutes);
+app.use(webhooksRoutes);
+app.use(notificationsRoutes);
+app.use(labelsRoutes);
+app.use(warehouseRoutes);
+app.use(pickListRoutes);
 
 // ==================== ERROR HANDLING ====================
 
@@ -77,6 +104,42 @@ app.listen(PORT, () => {
     console.error('[Server] Failed to start order change detector job:', error.message);
   }
   
+  // Start the background job worker (re-queues jobs interrupted by a restart)
+  const { startJobWorker } = require('./utils/job-queue');
+  startJobWorker().catch(error => {
+    console.error('[Server] Failed to start job worker:', error.message);
+  });
+
+  // Incremental product syncs from Shopify (queued as 'products-sync' jobs)
+  const { startProductSyncScheduler } = require('./utils/product-sync-scheduler');
+  startProductSyncScheduler();
+
+  // Daily notification digests
+  const { startNotificationScheduler } = require('./utils/notifications');
+  startNotificationScheduler();
+
+  // Bring the product DB schema up to date, then load customs rules from it
+  // (built-in defaults stay active if either fails)
+  (async () => {
+    if (!process.env.PRODUCT_DATABASE_NEON && !process.env.DATABASE_URL) {
+      console.log('[Server] No product database configured, skipping migrations and using built-in customs rules');
+      return;
+    }
+    try {
+      const { runMigrations } = require('./utils/product-db');
+      await runMigrations();
+    } catch (error) {
+      console.error('[Server] Product DB migrations failed:', error.message);
+      return;
+    }
+    try {
+      const { loadCustomsRulesFromDb } = require('./utils/customs-rules');
+      await loadCustomsRulesFromDb();
+    } catch (error) {
+      console.error('[Server] Failed to load customs rules, using built-in defaults:', error.message);
+    }
+  })();
+
   // Background sync every 30 minutes (FAST MODE - no order fetching)
   setInterval(async () => {
     try {
@@ -102,6 +165,11 @@ app.listen(PORT, () => {
     ========================================
     - Product Manager:        http://localhost:${PORT}/
     - ShipStation Customs:    http://localhost:${PORT}/shipstation
+    - Customs Rules:          http://localhost:${PORT}/customs-rules
+    - Order Write History:    http://localhost:${PORT}/order-snapshots
+    - Background Jobs:        http://localhost:${PORT}/jobs
+    - Audit Log:              http://localhost:${PORT}/audit
+    - User Roles:             http://localhost:${PORT}/users
     - VIP Customers:          http://localhost:${PORT}/vip-customers
     - Order Formatter:        http://localhost:${PORT}/order-formatter
     - Order Change Detector:  http://localhost:${PORT}/order-change-detector
@@ -1,6 +1,21 @@
+// shipstation-api.js - the ShipStation client (orders, tags, products). Every route and job uses this one.
 'use strict';
 
 const axios = require('axios');
+const { attachRateLimiter } = require('./utils/rate-limiter');
+const customsManager = require('./utils/customs-manager');
+const { buildOrderUpsertPayload } = require('./utils/shipstation-helpers');
+const { newRunId, recordOrderWrite } = require('./utils/order-snapshots');
+
+// Item addItemToOrder() adds when none is given
+const DEFAULT_ADDED_ITEM = {
+  sku: 'LIST-DEF',
+  name: 'Complimentary stickers',
+  weight: { value: 0.1, units: 'ounces' },
+  quantity: 1,
+  unitPrice: 1.00,
+  fulfillmentSku: 'LIST-DEF'
+};
 
 class ShipStationAPI {
   constructor() {
@@ -10,27 +25,13 @@ class ShipStationAPI {
       throw new Error('Missing ShipStation credentials. Set SHIPSTATION_API_KEY and SHIPSTATION_API_SECRET in .env');
     }
     this.client = axios.create({
-      baseURL: 'https://ssapi.shipstation.com',
+      // SHIPSTATION_API_URL points at a stand-in (see test/harness)
+      baseURL: process.env.SHIPSTATION_API_URL || 'https://ssapi.shipstation.com',
       headers: { 'Content-Type': 'application/json' },
       auth: { username: this.key, password: this.secret }
     });
-  }
-
-  // Helper for retry logic on rate limits
-  async retryWithBackoff(fn, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await fn();
-      } catch (err) {
-        if (err.response?.status === 429 && i < maxRetries - 1) {
-          const backoff = Math.pow(2, i) * 2000; // 2s, 4s, 8s
-          console.log(`Rate limited, waiting ${backoff}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, backoff));
-        } else {
-          throw err;
-        }
-      }
-    }
+    // Shared 40 req/min budget with every other ShipStation client in the process
+    this.limiter = attachRateLimiter(this.client, 'shipstation');
   }
 
   /**
@@ -45,18 +46,33 @@ class ShipStationAPI {
 
   // ===== Orders =====
   async getOrder(orderId) {
-    return this.retryWithBackoff(async () => {
-      const { data } = await this.client.get(`/orders/${encodeURIComponent(orderId)}`);
-      return data;
-    });
+    const { data } = await this.client.get(`/orders/${encodeURIComponent(orderId)}`);
+    return data;
   }
 
   // Create or Update an order. If body contains orderId, it updates that order in-place.
+  // Prefer upsertOrder(), which builds the full payload and snapshots the write.
   async createOrUpdateOrder(orderBody) {
     const { data } = await this.client.post('/orders/createorder', orderBody);
     return data;
   }
 
+  /**
+   * Update an order in place: full createorder payload from buildOrderUpsertPayload(),
+   * written through recordOrderWrite() so it can be rolled back
+   * @param {object} order - the order as fetched
+   * @param {object} patch - writable fields to change
+   * @param {object} writeContext - { source, runId, actor } recorded with the snapshot
+   * @returns {Promise<object>} the updated order
+   */
+  async upsertOrder(order, patch = {}, { source, runId, actor } = {}) {
+    return recordOrderWrite({
+      source, runId, actor, before: order,
+      payload: buildOrderUpsertPayload(order, patch),
+      write: p => this.createOrUpdateOrder(p)
+    });
+  }
+
   // Robust list/search that tolerates different shapes {orders|results|items|[]}
   async searchOrders(params = {}) {
     const { data } = await this.client.get('/orders', { params });
@@ -68,6 +84,16 @@ class ShipStationAPI {
     return list;
   }
 
+  /**
+   * One page of the orders carrying a tag, with their items (ShipStation requires a status here)
+   * @param {number} tagId - numeric tag ID (see getTagId)
+   * @param {string} orderStatus - e.g. 'awaiting_shipment'
+   */
+  async listOrdersByTag(tagId, orderStatus, { page = 1, pageSize = 100 } = {}) {
+    const { data } = await this.client.get('/orders/listbytag', { params: { tagId, orderStatus, page, pageSize } });
+    return Array.isArray(data?.orders) ? data.orders : [];
+  }
+
   async getOrderByNumber(orderNumber) {
     const list = await this.searchOrders({ orderNumber: String(orderNumber) });
     return list[0] || null;
@@ -78,6 +104,190 @@ class ShipStationAPI {
     return list[0] || null;
   }
 
+  // ===== Order items (order item adder, order change detector) =====
+
+  /**
+   * Add a complimentary item to an order and update customs declarations
+   * @param {string|number} orderNumber - The order number to update
+   * @param {object} newItem - The item to add (optional, defaults to stickers)
+   * @param {object} writeContext - { runId, actor } recorded with the order snapshot
+   * @returns {object} Updated order
+   */
+  async addItemToOrder(orderNumber, newItem = null, { runId, actor } = {}) {
+    try {
+      console.log(`[ShipStation] Adding item to order: ${orderNumber}`);
+
+      const existingOrder = await this.getOrderByNumber(orderNumber);
+      if (!existingOrder) {
+        throw new Error(`Order ${orderNumber} not found`);
+      }
+
+      console.log(`[ShipStation] Found order ${orderNumber} with ${existingOrder.items?.length || 0} items`);
+
+      const itemToAdd = newItem || { ...DEFAULT_ADDED_ITEM, lineItemKey: `LIST-DEF-${Date.now()}` };
+
+      // Avoid duplicates
+      const existingItems = existingOrder.items || [];
+      const alreadyHasItem = existingItems.some(item =>
+        item.sku === itemToAdd.sku && item.name === itemToAdd.name
+      );
+
+      if (alreadyHasItem) {
+        console.log(`[ShipStation] Order already has ${itemToAdd.name}, skipping...`);
+        return {
+          success: true,
+          message: 'Item already exists in order',
+          order: existingOrder
+        };
+      }
+
+      // Customs lines for ALL items, including the new one
+      const updatedItems = [...existingItems, itemToAdd];
+      const customsItems = customsManager.createCustomsItems(updatedItems);
+      const note = `[Auto-added: ${itemToAdd.name} on ${new Date().toISOString()}]`;
+
+      console.log(`[ShipStation] Updating order with ${updatedItems.length} items and ${customsItems.length} customs declarations`);
+
+      const data = await this.upsertOrder(existingOrder, {
+        items: updatedItems,
+        internalNotes: existingOrder.internalNotes ? `${existingOrder.internalNotes}\n${note}` : note,
+        internationalOptions: { ...existingOrder.internationalOptions, customsItems }
+      }, { source: 'item-adder', runId, actor });
+
+      console.log(`[ShipStation] ✅ Successfully updated order ${orderNumber}`);
+
+      return {
+        success: true,
+        message: `Added ${itemToAdd.name} to order ${orderNumber}`,
+        itemsCount: updatedItems.length,
+        customsCount: customsItems.length,
+        order: data
+      };
+
+    } catch (error) {
+      console.error(`[ShipStation] Error adding item to order:`, error.message);
+      if (error.response?.data) {
+        console.error(`[ShipStation] API Error Details:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add items to multiple orders in batch
+   * @param {array} orderNumbers - Array of order numbers
+   * @param {object} newItem - Item to add (optional, defaults to stickers)
+   * @param {object} writeContext - { runId, actor }; a runId is generated when omitted
+   * @returns {object} Summary of results
+   */
+  async batchAddItemToOrders(orderNumbers, newItem = null, { runId = newRunId('item-adder'), actor } = {}) {
+    const results = {
+      runId,
+      total: orderNumbers.length,
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    };
+
+    for (const orderNumber of orderNumbers) {
+      try {
+        console.log(`\n[Batch] Processing order ${orderNumber}...`);
+        const result = await this.addItemToOrder(orderNumber, newItem, { runId, actor });
+
+        if (result.message.includes('already exists')) {
+          results.skipped++;
+        } else {
+          results.successful++;
+        }
+
+        results.details.push({
+          orderNumber,
+          status: 'success',
+          message: result.message,
+          itemsCount: result.itemsCount,
+          customsCount: result.customsCount
+        });
+
+      } catch (error) {
+        results.failed++;
+        results.details.push({
+          orderNumber,
+          status: 'error',
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Replace an order's items and customs lines (order change detector "Sync from Shopify")
+   * Totals are left as they are; only items, customs and an internal note change
+   * @param {object} existingOrder - ShipStation order the items were planned against
+   * @param {array} items - Full new items array
+   * @param {array} customsItems - Customs lines for those items
+   * @param {object} writeContext - { runId, actor }
+   */
+  async replaceOrderItems(existingOrder, items, customsItems, { runId, actor } = {}) {
+    try {
+      console.log(`[ShipStation] Replacing items on order ${existingOrder.orderNumber} (${existingOrder.items?.length || 0} -> ${items.length})`);
+
+      const note = `[Items synced from Shopify on ${new Date().toISOString()}]`;
+      const data = await this.upsertOrder(existingOrder, {
+        items,
+        internalNotes: existingOrder.internalNotes ? `${existingOrder.internalNotes}\n${note}` : note,
+        internationalOptions: { ...existingOrder.internationalOptions, customsItems }
+      }, { source: 'item-sync', runId, actor });
+
+      return {
+        success: true,
+        message: `Synced items on order ${existingOrder.orderNumber}`,
+        itemsCount: items.length,
+        customsCount: customsItems.length,
+        order: data
+      };
+
+    } catch (error) {
+      console.error(`[ShipStation] Error replacing order items:`, error.message);
+      if (error.response?.data) {
+        console.error(`[ShipStation] API Error Details:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update only the customs declarations for an order (without adding items)
+   */
+  async updateOrderCustomsDeclarations(orderNumber, { runId, actor } = {}) {
+    try {
+      console.log(`[ShipStation] Updating customs declarations for order: ${orderNumber}`);
+
+      const existingOrder = await this.getOrderByNumber(orderNumber);
+      if (!existingOrder) {
+        throw new Error(`Order ${orderNumber} not found`);
+      }
+
+      const customsItems = customsManager.createCustomsItems(existingOrder.items || []);
+      const data = await this.upsertOrder(existingOrder, {
+        internationalOptions: { ...existingOrder.internationalOptions, customsItems }
+      }, { source: 'item-adder', runId, actor });
+
+      return {
+        success: true,
+        message: `Updated customs for order ${orderNumber}`,
+        customsCount: customsItems.length,
+        order: data
+      };
+
+    } catch (error) {
+      console.error(`[ShipStation] Error updating customs:`, error.message);
+      throw error;
+    }
+  }
+
   // ===== NEW: Customer Tag Management =====
   
   /**
@@ -87,31 +297,29 @@ class ShipStationAPI {
    * @returns {Promise<Array>} Array of orders for this customer
    */
   async getOrdersByCustomerEmail(customerEmail, additionalParams = {}) {
-    return this.retryWithBackoff(async () => {
-      const params = {
-        customerEmail: customerEmail.trim(),
-        pageSize: 100,
-        page: 1,
-        ...additionalParams
-      };
-      
-      // Use orderStatusFilter if provided
-      if (additionalParams.orderStatusFilter) {
-        params.orderStatus = additionalParams.orderStatusFilter;
-        delete params.orderStatusFilter;
-      }
-      
-      const orders = await this.searchOrders(params);
-      
-      // Filter to only matching emails (ShipStation's email search doesn't work well)
-      const matchingOrders = orders.filter(o => 
-        o.customerEmail?.toLowerCase() === customerEmail.toLowerCase()
-      );
-      
-      console.log(`  Found ${matchingOrders.length} matching orders for ${customerEmail}`);
-      
-      return matchingOrders;
-    });
+    const params = {
+      customerEmail: customerEmail.trim(),
+      pageSize: 100,
+      page: 1,
+      ...additionalParams
+    };
+    
+    // Use orderStatusFilter if provided
+    if (additionalParams.orderStatusFilter) {
+      params.orderStatus = additionalParams.orderStatusFilter;
+      delete params.orderStatusFilter;
+    }
+    
+    const orders = await this.searchOrders(params);
+    
+    // Filter to only matching emails (ShipStation's email search doesn't work well)
+    const matchingOrders = orders.filter(o => 
+      o.customerEmail?.toLowerCase() === customerEmail.toLowerCase()
+    );
+    
+    console.log(`  Found ${matchingOrders.length} matching orders for ${customerEmail}`);
+    
+    return matchingOrders;
   }
 
   /**
@@ -173,13 +381,6 @@ class ShipStationAPI {
           await this.addTagToOrder(order.orderId, tagId);
           updated++;
 
-          // Rate limiting
-          if (updated % 10 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-          } else {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-
         } catch (orderError) {
           errors.push({
             orderId: order.orderId,
@@ -209,20 +410,34 @@ class ShipStationAPI {
    * @returns {Promise<object>} Response from API
    */
   async addTagToOrder(orderId, tagId) {
-    return this.retryWithBackoff(async () => {
-      const payload = {
-        orderId: orderId,
-        tagId: tagId
-      };
-      
-      console.log(`  Adding tag ${tagId} to order ${orderId}`);
-      
-      const { data } = await this.client.post('/orders/addtag', payload);
-      
-      console.log(`  ✅ Tag added successfully`);
-      
-      return data;
-    });
+    const payload = {
+      orderId: orderId,
+      tagId: tagId
+    };
+    
+    console.log(`  Adding tag ${tagId} to order ${orderId}`);
+    
+    const { data } = await this.client.post('/orders/addtag', payload);
+    
+    console.log(`  ✅ Tag added successfully`);
+    
+    return data;
+  }
+
+  /**
+   * Remove a tag from an order using ShipStation's removetag endpoint
+   * @param {number} orderId - ShipStation order ID
+   * @param {number} tagId - Tag ID to remove
+   * @returns {Promise<object>} Response from API
+   */
+  async removeTagFromOrder(orderId, tagId) {
+    console.log(`  Removing tag ${tagId} from order ${orderId}`);
+
+    const { data } = await this.client.post('/orders/removetag', { orderId, tagId });
+
+    console.log(`  ✅ Tag removed successfully`);
+
+    return data;
   }
 
   /**
@@ -333,18 +548,16 @@ class ShipStationAPI {
     const q = String(sku || '').trim();
     if (!q) return [];
 
-    return this.retryWithBackoff(async () => {
-      const { data } = await this.client.get('/products', { params: { sku: q, pageSize } });
-      const items =
-        Array.isArray(data)            ? data :
-        Array.isArray(data?.products)  ? data.products :
-        Array.isArray(data?.items)     ? data.items :
-        Array.isArray(data?.results)   ? data.results :
-        [];
+    const { data } = await this.client.get('/products', { params: { sku: q, pageSize } });
+    const items =
+      Array.isArray(data)            ? data :
+      Array.isArray(data?.products)  ? data.products :
+      Array.isArray(data?.items)     ? data.items :
+      Array.isArray(data?.results)   ? data.results :
+      [];
 
-      // Filter for exact SKU match
-      return items.filter(p => p.sku?.toLowerCase() === q.toLowerCase());
-    });
+    // Filter for exact SKU match
+    return items.filter(p => p.sku?.toLowerCase() === q.toLowerCase());
   }
 
   /**
@@ -365,10 +578,8 @@ class ShipStationAPI {
    * @returns {Promise<Object>} Created product
    */
   async createProduct(product) {
-    return this.retryWithBackoff(async () => {
-      const { data } = await this.client.post('/products', product);
-      return data;
-    });
+    const { data } = await this.client.post('/products', product);
+    return data;
   }
 
   /**
@@ -378,11 +589,9 @@ class ShipStationAPI {
    * @returns {Promise<Object>} Updated product
    */
   async updateProduct(productId, updates) {
-    return this.retryWithBackoff(async () => {
-      // ShipStation uses PUT to update products
-      const { data } = await this.client.put(`/products/${productId}`, updates);
-      return data;
-    });
+    // ShipStation uses PUT to update products
+    const { data } = await this.client.put(`/products/${productId}`, updates);
+    return data;
   }
 
   /**
@@ -430,10 +639,7 @@ class ShipStationAPI {
    * @returns {Promise<Object>} Summary of results
    */
   async batchUpsertProducts(products, options = {}) {
-    const {
-      batchSize = 10,
-      delayMs = 500
-    } = options;
+    const { batchSize = 10 } = options;
 
     const results = {
       total: products.length,
@@ -469,11 +675,6 @@ class ShipStationAPI {
           console.log(`[ShipStation] Progress: ${i + 1}/${products.length}`);
         }
 
-        // Rate limiting - only delay after API calls (not skipped items)
-        if (i < products.length - 1 && result.action === 'updated') {
-          await new Promise(resolve => setTimeout(resolve, delayMs));
-        }
-
       } catch (error) {
         results.failed++;
         results.errors.push({
@@ -558,32 +759,20 @@ class ShipStationAPI {
     console.log('[ShipStation] Fetching all products...');
 
     while (page <= maxPages) {
-      try {
-        const { data } = await this.client.get('/products', {
-          params: { page, pageSize, showInactive: true }
-        });
-
-        const products = Array.isArray(data?.products) ? data.products :
-                        Array.isArray(data) ? data : [];
+      const { data } = await this.client.get('/products', {
+        params: { page, pageSize, showInactive: true }
+      });
 
-        if (products.length === 0) break;
+      const products = Array.isArray(data?.products) ? data.products :
+                      Array.isArray(data) ? data : [];
 
-        allProducts.push(...products);
-        console.log(`[ShipStation] Fetched page ${page}: ${products.length} products (total: ${allProducts.length})`);
+      if (products.length === 0) break;
 
-        if (products.length < pageSize) break;
-        page++;
+      allProducts.push(...products);
+      console.log(`[ShipStation] Fetched page ${page}: ${products.length} products (total: ${allProducts.length})`);
 
-        // Rate limiting pause
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } catch (err) {
-        if (err.response?.status === 429) {
-          console.log('[ShipStation] Rate limited, waiting 5s...');
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        } else {
-          throw err;
-        }
-      }
+      if (products.length < pageSize) break;
+      page++;
     }
 
     console.log(`[ShipStation] Total products fetched: ${allProducts.length}`);
@@ -621,4 +810,4 @@ class ShipStationAPI {
   }
 }
 
-module.exports = { ShipStationAPI };
\ No newline at end of file
+module.exports = { ShipStationAPI, buildOrderUpsertPayload };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // shopify-api.js - OPTIMIZED - Extended version with customer methods + ORDER NOTES + METAFIELDS
 const axios = require('axios');
 const dotenv = require('dotenv');
+const { attachRateLimiter } = require('./utils/rate-limiter');
 
 dotenv.config();
 
@@ -23,13 +24,15 @@ class ShopifyAPI {
     this.store = process.env.SHOPIFY_STORE;
     this.accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
     this.apiVersion = '2024-01';
+    // SHOPIFY_ADMIN_URL points at a stand-in (see test/harness) instead of https://<store>
+    this.adminOrigin = process.env.SHOPIFY_ADMIN_URL || `https://${this.store}`;
 
     if (!this.store || !this.accessToken) {
       throw new Error('Missing Shopify credentials in .env file');
     }
 
     this.client = axios.create({
-      baseURL: `https://${this.store}/admin/api/${this.apiVersion}`,
+      baseURL: `${this.adminOrigin}/admin/api/${this.apiVersion}`,
       headers: {
         'X-Shopify-Access-Token': this.accessToken,
         'Content-Type': 'application/json'
@@ -38,28 +41,24 @@ class ShopifyAPI {
 
     // GraphQL client for efficient metafield queries
     this.graphqlClient = axios.create({
-      baseURL: `https://${this.store}/admin/api/${this.apiVersion}`,
+      baseURL: `${this.adminOrigin}/admin/api/${this.apiVersion}`,
       headers: {
         'X-Shopify-Access-Token': this.accessToken,
         'Content-Type': 'application/json'
       }
     });
 
-    // Shopify REST: ~2 rps; keep it gentle
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 550;
+    // Shared process-wide budgets (REST and GraphQL are throttled separately by Shopify)
+    this.limiter = attachRateLimiter(this.client, 'shopify');
+    attachRateLimiter(this.graphqlClient, 'shopify-graphql');
 
     // Metafield configuration
     this.metafieldConfig = METAFIELD_CONFIG;
   }
 
+  // Wait until the shared REST bucket has capacity (the request itself takes the token)
   async rateLimit() {
-    const now = Date.now();
-    const gap = now - this.lastRequestTime;
-    if (gap < this.minRequestInterval) {
-      await new Promise(r => setTimeout(r, this.minRequestInterval - gap));
-    }
-    this.lastRequestTime = Date.now();
+    await this.limiter.acquire(0);
   }
 
   // -------- Customer Methods -------------------------------------------
@@ -227,6 +226,20 @@ class ShopifyAPI {
     }
   }
   
+  /**
+   * Get order by Shopify order ID (null if it doesn't exist)
+   */
+  async getOrder(orderId) {
+    await this.rateLimit();
+    try {
+      const response = await this.client.get(`/orders/${orderId}.json`, { params: { status: 'any' } });
+      return response.data.order || null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+  
   /**
    * Get internal note for an order
    * Fetches the "note" field from Shopify which contains internal CS notes
@@ -316,17 +329,28 @@ class ShopifyAPI {
 
   // -------- Existing Product Methods (unchanged) ------------------------
   
-  async getAllProducts(status = 'active') {
+  /**
+   * @param {string} status - active | draft | archived, or a comma-separated list of them
+   * @param {object} options
+   * @param {Date|string} options.updatedAtMin - only products changed at or after this time
+   * @param {string} options.fields - comma-separated product fields to return (e.g. 'id')
+   */
+  async getAllProducts(status = 'active', { updatedAtMin = null, fields = null } = {}) {
     const products = [];
     let hasNextPage = true;
     let pageInfo = null;
     let pageCount = 0;
 
+    // page_info carries the filters; only limit and fields may be repeated with it
+    const filters = [`status=${status}`];
+    if (updatedAtMin) filters.push(`updated_at_min=${encodeURIComponent(new Date(updatedAtMin).toISOString())}`);
+    const fieldsParam = fields ? `&fields=${fields}` : '';
+
     while (hasNextPage) {
       await this.rateLimit();
       const query = pageInfo
-        ? `products.json?limit=250&page_info=${pageInfo}`
-        : `products.json?limit=250&status=${status}`;
+        ? `products.json?limit=250&page_info=${pageInfo}${fieldsParam}`
+        : `products.json?limit=250&${filters.join('&')}${fieldsParam}`;
 
       const response = await this.client.get(query);
       products.push(...response.data.products);
@@ -345,6 +369,14 @@ class ShopifyAPI {
     return products;
   }
 
+  /**
+   * IDs of every product with the given status (one light request per 250 products)
+   */
+  async getAllProductIds(status = 'active') {
+    const products = await this.getAllProducts(status, { fields: 'id' });
+    return products.map(p => p.id);
+  }
+
   async getAllProductsWithInventory(status = 'active') {
     const products = await this.getAllProducts(status);
     await this.attachInventoryFields(products);
@@ -546,39 +578,14 @@ class ShopifyAPI {
           const variant = edge.node;
           const variantId = variant.legacyResourceId;
 
-          const metafieldData = {
-            pick_number: null,
-            warehouse_location: null,
-            pick_metafield_id: null,
-            location_metafield_id: null
-          };
-
           // Debug: Log first variant with metafields
           if (variant.metafields.edges.length > 0 && totalMetafieldsFound < 3) {
             console.log(`[Shopify API] DEBUG: Sample variant ${variant.sku} has ${variant.metafields.edges.length} metafields:`,
               JSON.stringify(variant.metafields.edges.map(e => ({ ns: e.node.namespace, key: e.node.key, val: e.node.value }))));
           }
+          totalMetafieldsFound += variant.metafields.edges.length;
 
-          for (const mfEdge of variant.metafields.edges) {
-            const mf = mfEdge.node;
-            totalMetafieldsFound++;
-            // Note: When using keys filter, Shopify returns key as "namespace.key" format
-            // So we check for both formats: "pick_number" OR "custom.pick_number"
-            const isPickNumber = (mf.namespace === pickNs && mf.key === pickKey) ||
-                                 (mf.key === `${pickNs}.${pickKey}`);
-            const isWarehouseLocation = (mf.namespace === locNs && mf.key === locKey) ||
-                                        (mf.key === `${locNs}.${locKey}`);
-
-            if (isPickNumber) {
-              metafieldData.pick_number = mf.value;
-              metafieldData.pick_metafield_id = mf.legacyResourceId;
-            } else if (isWarehouseLocation) {
-              metafieldData.warehouse_location = mf.value;
-              metafieldData.location_metafield_id = mf.legacyResourceId;
-            }
-          }
-
-          metafieldsMap.set(String(variantId), metafieldData);
+          metafieldsMap.set(String(variantId), this.readVariantMetafields(variant));
         }
 
         hasNextPage = data.pageInfo.hasNextPage;
@@ -609,6 +616,111 @@ class ShopifyAPI {
     return metafieldsMap;
   }
 
+  /**
+   * Pick number / warehouse location (and their metafield IDs) from a GraphQL variant node
+   */
+  readVariantMetafields(variant) {
+    const { namespace: pickNs, key: pickKey } = this.metafieldConfig.pick_number;
+    const { namespace: locNs, key: locKey } = this.metafieldConfig.warehouse_location;
+
+    const metafieldData = {
+      pick_number: null,
+      warehouse_location: null,
+      pick_metafield_id: null,
+      location_metafield_id: null
+    };
+
+    for (const mfEdge of variant.metafields?.edges || []) {
+      const mf = mfEdge.node;
+      // Note: When using keys filter, Shopify returns key as "namespace.key" format
+      // So we check for both formats: "pick_number" OR "custom.pick_number"
+      const isPickNumber = (mf.namespace === pickNs && mf.key === pickKey) ||
+                           (mf.key === `${pickNs}.${pickKey}`);
+      const isWarehouseLocation = (mf.namespace === locNs && mf.key === locKey) ||
+                                  (mf.key === `${locNs}.${locKey}`);
+
+      if (isPickNumber) {
+        metafieldData.pick_number = mf.value;
+        metafieldData.pick_metafield_id = mf.legacyResourceId;
+      } else if (isWarehouseLocation) {
+        metafieldData.warehouse_location = mf.value;
+        metafieldData.location_metafield_id = mf.legacyResourceId;
+      }
+    }
+
+    return metafieldData;
+  }
+
+  /**
+   * Metafields for the given variants only (GraphQL nodes lookup, 100 per request)
+   * @returns {Map} variantId -> { pick_number, warehouse_location, pick_metafield_id, location_metafield_id }
+   */
+  async fetchVariantMetafields(variantIds) {
+    const { namespace: pickNs, key: pickKey } = this.metafieldConfig.pick_number;
+    const { namespace: locNs, key: locKey } = this.metafieldConfig.warehouse_location;
+
+    const query = `
+      query GetVariantMetafieldsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            legacyResourceId
+            metafields(first: 10, keys: ["${pickNs}.${pickKey}", "${locNs}.${locKey}"]) {
+              edges {
+                node {
+                  id
+                  namespace
+                  key
+                  value
+                  legacyResourceId
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const metafieldsMap = new Map();
+    const ids = [...new Set(variantIds.map(String))];
+    const chunkSize = 100;
+
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      await this.rateLimit();
+      const response = await this.graphqlClient.post('/graphql.json', {
+        query,
+        variables: { ids: ids.slice(i, i + chunkSize).map(id => `gid://shopify/ProductVariant/${id}`) }
+      });
+      if (response.data.errors?.length) {
+        throw new Error(`GraphQL metafield lookup failed: ${response.data.errors.map(e => e.message).join(', ')}`);
+      }
+
+      // Deleted variants come back as null nodes
+      for (const node of response.data.data?.nodes || []) {
+        if (node?.legacyResourceId) metafieldsMap.set(String(node.legacyResourceId), this.readVariantMetafields(node));
+      }
+    }
+
+    return metafieldsMap;
+  }
+
+  /**
+   * Products changed at or after `since`, with inventory fields and metafields (incremental sync)
+   */
+  async getProductsWithMetafieldsUpdatedSince(since, status = 'active') {
+    const startTime = Date.now();
+    const products = await this.getAllProducts(status, { updatedAtMin: since });
+    await this.attachInventoryFields(products);
+
+    const variantIds = products.flatMap(p => p.variants.map(v => v.id));
+    const metafieldsMap = variantIds.length ? await this.fetchVariantMetafields(variantIds) : new Map();
+    this.attachMetafields(products, metafieldsMap);
+
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    console.log(`[Shopify API] ${products.length} products (${variantIds.length} variants) changed since ${new Date(since).toISOString()}, fetched in ${elapsed}s`);
+    return products;
+  }
+
   /**
    * Get all products with inventory AND metafields
    * This is the comprehensive data fetch for the product database
@@ -625,6 +737,18 @@ class ShopifyAPI {
     const metafieldsMap = await this.fetchAllVariantMetafields();
 
     // Step 3: Merge metafields into products
+    const metafieldsAttached = this.attachMetafields(products, metafieldsMap);
+
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    console.log(`[Shopify API] Complete: ${products.length} products, ${metafieldsAttached} variants with metafields, in ${elapsed}s`);
+
+    return products;
+  }
+
+  /**
+   * Copy metafield values onto product variants; returns how many variants had an entry
+   */
+  attachMetafields(products, metafieldsMap) {
     let metafieldsAttached = 0;
     for (const product of products) {
       for (const variant of product.variants) {
@@ -643,11 +767,7 @@ class ShopifyAPI {
         }
       }
     }
-
-    const elapsed = Math.round((Date.now() - startTime) / 1000);
-    console.log(`[Shopify API] Complete: ${products.length} products, ${metafieldsAttached} variants with metafields, in ${elapsed}s`);
-
-    return products;
+    return metafieldsAttached;
   }
 
   /**
@@ -920,6 +1040,28 @@ class ShopifyAPI {
 
     return results;
   }
+
+  // -------- Webhook Subscriptions ----------------------------------------
+
+  async listWebhooks() {
+    await this.rateLimit();
+    const response = await this.client.get('/webhooks.json', { params: { limit: 250 } });
+    return response.data.webhooks || [];
+  }
+
+  async createWebhook(topic, address) {
+    await this.rateLimit();
+    const response = await this.client.post('/webhooks.json', {
+      webhook: { topic, address, format: 'json' }
+    });
+    return response.data.webhook;
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.rateLimit();
+    await this.client.delete(`/webhooks/${webhookId}.json`);
+    return { deleted: true, id: webhookId };
+  }
 }
 
 module.exports = { ShopifyAPI, METAFIELD_CONFIG };
\ No newline at end of file
@@ -2,9 +2,8 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
-// Use the FINAL versions
-const { ShipStationAPIEnhanced } = require('./shipstation-api-enhanced-FINAL');
-const customsManager = require('./utils/customs-manager-FINAL');
+const { ShipStationAPI } = require('./shipstation-api');
+const customsManager = require('./utils/customs-manager');
 
 async function testOrder46993() {
   console.log('🔧 Testing fix for Order 46993\n');
@@ -18,7 +17,7 @@ async function testOrder46993() {
     }
     
     // Initialize API
-    const shipstation = new ShipStationAPIEnhanced();
+    const shipstation = new ShipStationAPI();
     
     // Test with order 46993
     console.log('\n📦 Adding item to order 46993...\n');
@@ -4,8 +4,8 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
-// You can test with the enhanced API directly
-const { ShipStationAPIEnhanced } = require('./shipstation-api-enhanced');
+// You can test with the ShipStation client directly
+const { ShipStationAPI } = require('./shipstation-api');
 const customsManager = require('./utils/customs-manager');
 
 /**
@@ -20,7 +20,7 @@ async function testSingleOrder() {
     console.log('✅ CUSMA database loaded successfully');
     
     // Initialize ShipStation API
-    const shipstation = new ShipStationAPIEnhanced();
+    const shipstation = new ShipStationAPI();
     
     // Test order number - CHANGE THIS to a real order number from your ShipStation
     const testOrderNumber = 'HO-TEST-001';  // ⚠️ CHANGE THIS TO A REAL ORDER NUMBER
@@ -59,7 +59,7 @@ async function testBatchOrders() {
     console.log('✅ CUSMA database loaded successfully');
     
     // Initialize ShipStation API
-    const shipstation = new ShipStationAPIEnhanced();
+    const shipstation = new ShipStationAPI();
     
     // Test order numbers - CHANGE THESE to real order numbers
     const testOrderNumbers = [
@@ -134,7 +134,7 @@ async function testCustomsOnlyUpdate() {
   try {
     // Initialize
     await customsManager.loadCUSMADatabase('./data/CUSMA.csv');
-    const shipstation = new ShipStationAPIEnhanced();
+    const shipstation = new ShipStationAPI();
     
     // Test order number - CHANGE THIS
     const testOrderNumber = 'HO-TEST-001';  // ⚠️ CHANGE THIS TO A REAL ORDER NUMBER
@@ -0,0 +1,126 @@
+// test/audit-log.test.js - the audit middleware records mutating /api requests; searchAudit filters them
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+
+const auditLog = require('../middleware/audit-log');
+const { recordAudit, searchAudit, getAuditFacets, extractTargetIds, summarizeBody } = require('../utils/audit-log');
+const { getDB } = require('../utils/database');
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Send a fake request through the middleware and answer it with `status` and `body`
+function runRequest({ method, path: reqPath, routePath = reqPath, params = {}, body = {}, email = null }, status, response) {
+  const req = { method, path: reqPath, originalUrl: reqPath, route: { path: routePath }, params, body, session: { userEmail: email }, ip: '127.0.0.1' };
+  const res = Object.assign(new EventEmitter(), { statusCode: 200, json: () => res });
+  let passed = false;
+  auditLog(req, res, () => { passed = true; });
+  res.statusCode = status;
+  res.json(response);
+  res.emit('finish');
+  return passed;
+}
+
+// recordAudit runs after the response; wait for the expected number of rows
+async function entriesFor(filters, count) {
+  for (let i = 0; i < 50; i++) {
+    const result = await searchAudit(filters);
+    if (result.total >= count) return result.entries;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Expected ${count} audit entries for ${JSON.stringify(filters)}`);
+}
+
+test('a mutating /api request is recorded with actor, action, targets and outcome; reads are not', async () => {
+  assert.equal(runRequest({
+    method: 'POST',
+    path: '/api/products/update',
+    body: { updates: [{ id: '4510001', pick_number: '101' }, { id: '4510002', pick_number: '102' }], apiKey: 'abc' },
+    email: 'picker@hemlockandoak.com'
+  }, 200, { success: true }), true);
+
+  assert.equal(runRequest({
+    method: 'POST',
+    path: '/api/shipstation/orders/512300201/update',
+    routePath: '/api/shipstation/orders/:orderId/update',
+    params: { orderId: '512300201' },
+    email: 'packer@hemlockandoak.com'
+  }, 400, { error: 'Order status is shipped. Only open orders can be updated.' }), true);
+
+  runRequest({ method: 'GET', path: '/api/products', email: 'picker@hemlockandoak.com' }, 200, {});
+  runRequest({ method: 'POST', path: '/api/customs-rules/evaluate', email: 'picker@hemlockandoak.com' }, 200, {});
+
+  const [update] = await entriesFor({ user: 'picker@' }, 1);
+  assert.equal(update.actor, 'picker@hemlockandoak.com');
+  assert.equal(update.tool, 'products');
+  assert.equal(update.action, 'POST /api/products/update');
+  assert.deepEqual(update.targetIds, ['4510001', '4510002']);
+  assert.equal(update.outcome, 'success');
+  assert.match(update.summary, /"apiKey":"\[redacted\]"/);
+
+  const [failed] = await entriesFor({ user: 'packer@' }, 1);
+  assert.equal(failed.tool, 'shipstation-customs');
+  assert.equal(failed.action, 'POST /api/shipstation/orders/:orderId/update');
+  assert.deepEqual(failed.targetIds, ['512300201']);
+  assert.equal(failed.outcome, 'failure');
+  assert.equal(failed.statusCode, 400);
+  assert.match(failed.error, /Only open orders/);
+
+  // Neither the GET nor the read-only POST was recorded
+  assert.equal((await searchAudit({})).total, 2);
+});
+
+test('bulk responses with failed items are partial', async () => {
+  runRequest({
+    method: 'POST',
+    path: '/api/shipstation/orders/bulk-update',
+    body: { orderIds: ['2001', '2002'] },
+    email: 'bulk@hemlockandoak.com'
+  }, 200, { success: true, updated: 1, failed: 1 });
+
+  const [entry] = await entriesFor({ user: 'bulk@' }, 1);
+  assert.equal(entry.outcome, 'partial');
+  assert.deepEqual(entry.targetIds, ['2001', '2002']);
+});
+
+test('searchAudit filters by user, tool, outcome, target and date', async () => {
+  await recordAudit({ actor: 'system', tool: 'order-change-detector', action: 'auto-tag', targetIds: ['3001'] });
+  await recordAudit({ actor: 'old@hemlockandoak.com', tool: 'products', action: 'POST /api/products/update', targetIds: ['4519999'] });
+  const db = await getDB();
+  await db.run(`UPDATE audit_log SET created_at = '2026-01-15 10:00:00' WHERE actor = 'old@hemlockandoak.com'`);
+
+  assert.deepEqual((await searchAudit({ tool: 'products' })).entries.map(e => e.actor),
+    ['old@hemlockandoak.com', 'picker@hemlockandoak.com']);
+  assert.deepEqual((await searchAudit({ user: 'system' })).entries.map(e => e.action), ['auto-tag']);
+  assert.equal((await searchAudit({ outcome: 'failure' })).total, 1);
+  assert.deepEqual((await searchAudit({ target: '3001' })).entries.map(e => e.actor), ['system']);
+
+  // A bare `to` date includes that whole day
+  assert.deepEqual((await searchAudit({ from: '2026-01-15', to: '2026-01-15' })).entries.map(e => e.actor), ['old@hemlockandoak.com']);
+  assert.equal((await searchAudit({ to: '2026-01-14' })).total, 0);
+  assert.equal((await searchAudit({ from: '2026-01-16', tool: 'products' })).total, 1);
+
+  const facets = await getAuditFacets();
+  assert.ok(facets.users.includes('system'));
+  assert.ok(facets.tools.includes('shipstation-customs'));
+});
+
+test('target ids come from params, id fields, id lists and row arrays; secrets are redacted', () => {
+  assert.deepEqual(
+    extractTargetIds({ id: '7' }, { orderNumber: 1001, variantIds: ['1', '2'], orders: [{ orderId: 55 }, '56'] }),
+    ['7', '1001', '1', '2', '55', '56']
+  );
+  assert.deepEqual(summarizeBody({ password: 'x', nested: { accessToken: 'y', note: 'ok' } }),
+    { password: '[redacted]', nested: { accessToken: '[redacted]', note: 'ok' } });
+});
@@ -0,0 +1,83 @@
+// test/customs-rules.test.js - the default customs rules on real order lines, and rule validation
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_CUSTOMS_RULES,
+  createCustomsRuleEngine,
+  buildCustomsPatch,
+  validateCustomsRule
+} = require('../utils/customs-rules');
+const harnessOrders = require('./fixtures/harness/shipstation.json').orders;
+// Recorded ShipStation exchanges: { request, response } pairs
+const recordedOrders = require('./fixtures/shipstation/orders.json').flatMap(({ response }) => response.data?.orders || []);
+
+const order = (orders, orderNumber) => orders.find(o => String(o.orderNumber) === orderNumber);
+
+// Rules as loaded from customs_rules: numeric ids in position order
+const dbRules = DEFAULT_CUSTOMS_RULES.map((rule, i) => ({ ...rule, id: i + 1 }));
+const idOf = name => dbRules.find(r => r.name === name).id;
+
+test('each analysed line names the rule that fired by its id', () => {
+  const patch = buildCustomsPatch(order(harnessOrders, '2001'), createCustomsRuleEngine(dbRules));
+
+  assert.equal(patch.canUpdate, true);
+  assert.deepEqual(patch.analysis.map(a => [a.from, a.mapped, a.rule, a.ruleName, a.willChange]), [
+    // "Stationery" matches no title rule, so the planner HS code decides
+    ['Stationery', 'Planner agenda (bound diary)', idOf('hs-planner'), 'hs-planner', true],
+    ['Paper sticker', 'Paper sticker', idOf('title-sticker'), 'title-sticker', false]
+  ]);
+  assert.deepEqual(patch.diff, [
+    { index: 0, harmonizedCode: '4820102010', harmonizedCodeNew: '4820102010', from: 'Stationery', to: 'Planner agenda (bound diary)' }
+  ]);
+  assert.equal(patch.patchedOrder.internationalOptions.customsItems[0].description, 'Planner agenda (bound diary)');
+});
+
+test('the defaults leave an already-correct order alone and skip non-US orders', () => {
+  const engine = createCustomsRuleEngine(DEFAULT_CUSTOMS_RULES);
+
+  const correct = buildCustomsPatch(order(recordedOrders, '1002'), engine);
+  assert.deepEqual(correct.analysis.map(a => [a.rule, a.willChange]), [['title-planner', false]]);
+  assert.equal(correct.anyCustomsChange, false);
+
+  const canada = buildCustomsPatch(order(harnessOrders, '2002'), engine);
+  assert.equal(canada.canUpdate, false);
+  assert.match(canada.reason, /not shipping to US/);
+});
+
+test('title rules can override the HS code; lines nothing matches fall back to the title', () => {
+  const engine = createCustomsRuleEngine(dbRules);
+
+  assert.deepEqual(engine.pickCustomsDescription('4820102010', 'Dot Grid B5 Notebook'), {
+    desc: 'Notebook (sewn journal, B5 size)', rule: idOf('title-notebook-b5'), ruleName: 'title-notebook-b5',
+    productType: 'notebook-b5', overrideHS: '4820102030'
+  });
+  assert.deepEqual(engine.pickCustomsDescription('', 'Gift Card'),
+    { desc: 'Gift Card', rule: 'fallback', ruleName: 'fallback', productType: null });
+});
+
+test('disabled rules are skipped; invalid ones are skipped, or throw in strict mode', () => {
+  const withoutPlanner = dbRules.map(r => r.name === 'hs-planner' ? { ...r, enabled: false } : r);
+  const [line] = buildCustomsPatch(order(harnessOrders, '2003'), createCustomsRuleEngine(withoutPlanner)).analysis;
+  assert.equal(line.ruleName, 'hs-4820-generic');
+
+  const broken = [{ id: 99, name: 'broken', description: 'x', title_pattern: '(' }, ...dbRules];
+  assert.equal(createCustomsRuleEngine(broken).pickCustomsDescription('', 'Sticker').ruleName, 'title-sticker');
+  assert.throws(() => createCustomsRuleEngine(broken, { strict: true }), /Rule 99: /);
+});
+
+test('validateCustomsRule reports missing fields, bad patterns and non-integer positions', () => {
+  const valid = { name: 'title-bookmark', description: 'Paper bookmark', title_pattern: '\\bbookmarks?\\b' };
+  assert.deepEqual(validateCustomsRule(valid), []);
+  assert.deepEqual(validateCustomsRule({ ...valid, position: 25 }), []);
+
+  const errors = validateCustomsRule({ name: ' ', title_pattern: '(' });
+  assert.deepEqual(errors.slice(0, 2), ['name is required', 'description is required']);
+  assert.match(errors[2], /^title_pattern is not a valid regex/);
+  assert.equal(errors.length, 3);
+  for (const position of [NaN, 2.5, 'abc', 2 ** 31]) {
+    assert.deepEqual(validateCustomsRule({ ...valid, position }), ['position must be a whole number'], String(position));
+  }
+});
@@ -0,0 +1,70 @@
+// test/customs-test-bench.test.js - replaying a stored order export through the active and candidate customs rules
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseCsv } = require('../utils/shipstation-helpers');
+const { DEFAULT_CUSTOMS_RULES, createCustomsRuleEngine } = require('../utils/customs-rules');
+const { ordersFromExportRows, candidateEngineFrom, compareRuleSets } = require('../utils/customs-test-bench');
+
+// export-all.csv layout: order columns only on an order's first row, ORPHANED customs lines without an item
+const exportCsv = fs.readFileSync(path.join(__dirname, 'fixtures/exports/shipstation_ALL_sample.csv'), 'utf8');
+const orders = () => ordersFromExportRows(parseCsv(exportCsv));
+const activeEngine = createCustomsRuleEngine(DEFAULT_CUSTOMS_RULES);
+
+// The defaults, as uploaded to the bench: a reworded sticker rule and a refill rule ahead of title-pen
+const candidateRules = [
+  ...DEFAULT_CUSTOMS_RULES.map(({ id, ...rule }) =>
+    rule.name === 'title-sticker' ? { ...rule, description: 'Printed paper sticker' } : rule),
+  { name: 'title-pen-refill', position: 5, product_type: 'pen-refill', hs_code: '9608600000',
+    description: 'Refills for ballpoint pen', title_pattern: '\\brefills?\\b' }
+];
+
+test('export rows rebuild orders with their items and customs lines', () => {
+  const rebuilt = orders();
+
+  assert.deepEqual(rebuilt.map(o => [o.orderNumber, o.items.length, o.internationalOptions.customsItems.length]),
+    [['5001', 2, 2], ['5002', 1, 1], ['5003', 1, 2], ['5004', 1, 0]]);
+  assert.equal(rebuilt[0].shipTo.country, 'US');
+  assert.equal(rebuilt[1].items[0].name, 'Dot Grid Notebook, B5');
+  // The orphaned refill line has a customs line but no item
+  assert.deepEqual(rebuilt[2]._lines[1], { itemName: '', itemSku: 'PEN-RFL' });
+  assert.deepEqual(rebuilt[2].internationalOptions.customsItems[1],
+    { description: 'Gel pen refill', harmonizedTariffCode: '9608600000', quantity: 3, value: '6.00', sku: 'PEN-RFL' });
+});
+
+test('changed lines are grouped by the candidate rule that fired, with the active rule they replace', () => {
+  const { summary, byRule, changes } = compareRuleSets(orders(), candidateEngineFrom({ rules: candidateRules }), activeEngine);
+
+  // The gift card order has no customs lines; the planner, notebook and pen lines are unchanged
+  assert.deepEqual(summary, {
+    orders: 4, ordersWithCustoms: 3, lines: 5, changedLines: 2, descChanged: 2, hsChanged: 1, ordersAffected: 2
+  });
+
+  assert.deepEqual(byRule.map(g => [g.rule, g.count, g.descChanged, g.hsChanged, g.replacedRules]), [
+    ['title-sticker', 1, 1, 0, { 'title-sticker': 1 }],
+    ['title-pen-refill', 1, 1, 1, { 'title-pen': 1 }]
+  ]);
+
+  const refill = changes.find(c => c.itemSku === 'PEN-RFL');
+  assert.equal(refill.orderNumber, '5003');
+  assert.deepEqual(refill.baseline, { rule: 'title-pen', ruleName: 'title-pen', desc: 'Gel ink pen', hs: '9608100000' });
+  assert.deepEqual(refill.candidate,
+    { rule: 'title-pen-refill', ruleName: 'title-pen-refill', desc: 'Refills for ballpoint pen', hs: '9608600000' });
+  assert.equal(byRule[1].examples[0], refill);
+});
+
+test('the same rules as the active set change nothing', () => {
+  const { summary, byRule } = compareRuleSets(orders(), candidateEngineFrom(DEFAULT_CUSTOMS_RULES), activeEngine);
+  assert.equal(summary.changedLines, 0);
+  assert.deepEqual(byRule, []);
+});
+
+test('candidates must be a non-empty list of valid rules', () => {
+  assert.throws(() => candidateEngineFrom({ rules: [] }), err => err.status === 400);
+  assert.throws(() => candidateEngineFrom([{ name: 'broken', description: 'x', title_pattern: '(' }]),
+    err => err.status === 400 && /#1 broken: title_pattern is not a valid regex/.test(err.message));
+});
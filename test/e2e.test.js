@@ -0,0 +1,509 @@
+// test/e2e.test.js - server.js end-to-end against the fake Shopify and ShipStation servers (test/harness)
+// The products sync needs Postgres: set TEST_DATABASE_URL (e.g. postgres://localhost/pm_test?sslmode=disable)
+// to run it; every other test runs offline.
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, ADMIN_EMAIL } = require('./harness');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+const writes = () => harness.shipstation.state.requests.filter(r => r.method === 'POST' && r.path === '/orders/createorder');
+const findOrder = orderNumber => harness.shipstation.state.orders.find(o => o.orderNumber === orderNumber);
+
+// ===== Auth =====
+
+test('API routes reject requests without a session', async () => {
+  const res = await fetch(`${harness.baseUrl}/api/shipstation/orders/bulk-update`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ orderIds: ['2001'] })
+  });
+  assert.equal(res.status, 401);
+});
+
+test('test login signs in with the role from ADMIN_EMAILS', async () => {
+  const { status, body } = await harness.api('GET', '/api/auth/user');
+  assert.equal(status, 200);
+  assert.equal(body.email, ADMIN_EMAIL);
+  assert.equal(body.role, 'admin');
+});
+
+// ===== ShipStation =====
+
+test('bulk-update rewrites customs lines on open US orders and skips the rest', async () => {
+  const before = writes().length;
+
+  const { status, body } = await harness.api('POST', '/api/shipstation/orders/bulk-update', {
+    orderIds: ['2001', '2002', '2003', '9999']
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.updated, 1);
+  assert.equal(body.failed, 3);
+  assert.deepEqual(
+    body.results.map(r => [r.ref, r.ok, r.error]),
+    [['2001', true, undefined], ['2002', false, 'Not US'], ['2003', false, 'Status shipped'], ['9999', false, 'Not found']]
+  );
+  assert.equal(body.results[0].updatedOrderId, 512300201);
+
+  const sent = writes().slice(before);
+  assert.equal(sent.length, 1);
+  const payload = sent[0].body;
+  assert.equal(payload.orderId, 512300201);
+  assert.equal(payload.orderKey, '7120010001');
+  assert.equal('orderTotal' in payload, false);
+  assert.deepEqual(payload.items.map(i => i.sku), ['2026-WKL-SAG', 'STK-BOT']);
+  assert.deepEqual(
+    payload.internationalOptions.customsItems.map(c => [c.description, c.harmonizedTariffCode, c.sku]),
+    [
+      ['Planner agenda (bound diary)', '4820102010', '2026-WKL-SAG'],
+      ['Paper sticker', '4911998000', 'STK-BOT']
+    ]
+  );
+
+  const stored = findOrder('2001');
+  assert.equal(stored.items[1].sku, 'STK-BOT');
+  assert.equal(stored.internationalOptions.customsItems[0].description, 'Planner agenda (bound diary)');
+  assert.equal(findOrder('2003').internationalOptions.customsItems[0].description, 'Stationery');
+
+  const snapshots = await harness.api('GET', `/api/shipstation/snapshots?runId=${encodeURIComponent(body.runId)}`);
+  assert.equal(snapshots.body.snapshots.length, 1);
+  assert.equal(snapshots.body.snapshots[0].status, 'written');
+  assert.equal(snapshots.body.snapshots[0].actor, ADMIN_EMAIL);
+});
+
+test('bulk-update on an already fixed order makes no write', async () => {
+  const before = writes().length;
+
+  const { body } = await harness.api('POST', '/api/shipstation/orders/bulk-update', { orderIds: ['2001'] });
+
+  assert.deepEqual(body.results, [{ ref: '2001', ok: false, error: 'No customs changes' }]);
+  assert.equal(writes().length, before);
+});
+
+// ===== Shopify =====
+
+test('products read straight from Shopify follow pagination and attach inventory fields', async () => {
+  const { status, body } = await harness.api('GET', '/api/products?source=shopify');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.products.map(p => p.handle), ['2026-weekly-planner', 'botanical-sticker-sheet', 'dot-grid-notebook']);
+  const sticker = body.products[1].variants[0];
+  assert.equal(sticker.harmonized_system_code, '4911998000');
+  assert.equal(sticker.country_code_of_origin, 'CA');
+
+  const pages = harness.shopify.state.requests.filter(r => r.path.endsWith('/products.json'));
+  assert.equal(pages.length, 2);
+  assert.ok(pages[1].query.page_info);
+});
+
+test('products sync imports Shopify products, variants and metafields into the product DB', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  const { status, body } = await harness.api('POST', '/api/products/sync?wait=true', { mode: 'full' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.products_synced, 4);
+  assert.equal(body.variants_synced, 5);
+  assert.deepEqual(body.errors, []);
+
+  const list = await harness.api('GET', '/api/products');
+  const variants = list.body.products.flatMap(p => p.variants);
+  const sage = variants.find(v => v.sku === '2026-WKL-SAG');
+  assert.equal(sage.pick_number, '101');
+  assert.equal(sage.warehouse_location, 'A-01-1');
+  assert.equal(sage.harmonized_system_code, '4820102010');
+  assert.equal(variants.find(v => v.sku === 'STK-BOT').pick_number, '205');
+});
+
+test('incremental sync fetches changed products, including drafts, and archives removed variants', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  const now = new Date().toISOString();
+  const [planner, sticker, notebook] = harness.shopify.state.products;
+  sticker.title = 'Botanical Sticker Sheet (2nd edition)';
+  sticker.updated_at = now;
+  planner.variants = planner.variants.filter(v => v.sku !== '2026-WKL-RUS');
+  planner.updated_at = now;
+  notebook.status = 'draft';
+  notebook.updated_at = now;
+
+  const { status, body } = await harness.api('POST', '/api/products/sync?wait=true', { mode: 'incremental' });
+
+  assert.equal(status, 200);
+  assert.equal(body.mode, 'incremental');
+  assert.ok(body.since);
+  assert.equal(body.products_fetched, 3);
+  assert.equal(body.products_archived, 0);
+  assert.equal(body.variants_archived, 1);
+
+  const list = await harness.api('GET', '/api/products');
+  assert.deepEqual(list.body.products.map(p => p.title).sort(), ['2026 Weekly Planner', 'Botanical Sticker Sheet (2nd edition)']);
+  assert.deepEqual(list.body.products.flatMap(p => p.variants.map(v => v.sku)).sort(), ['2026-WKL-SAG', 'STK-BOT']);
+
+  const drafts = await harness.api('GET', '/api/products?status=draft');
+  assert.deepEqual(drafts.body.products.map(p => p.id).sort(), ['8100003', '8100004']);
+
+  const syncStatus = await harness.api('GET', '/api/products/sync-status');
+  assert.equal(syncStatus.body.lastIncrementalSync.counts.variants_archived, 1);
+});
+
+test('archived products keep their pick numbers until released', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  const sticker = harness.shopify.state.products.find(p => p.id === 8100002);
+  sticker.status = 'archived';
+  sticker.updated_at = new Date().toISOString();
+  harness.shopify.state.products = harness.shopify.state.products.filter(p => p.id !== 8100004);
+
+  const sync = await harness.api('POST', '/api/products/sync?wait=true', { mode: 'incremental' });
+  assert.equal(sync.body.products_fetched, 1);
+  assert.equal(sync.body.products_archived, 1);
+
+  const archived = await harness.api('GET', '/api/products?status=archived');
+  const variants = archived.body.products.flatMap(p => p.variants);
+  assert.deepEqual(variants.map(v => v.id).sort(), ['4510002', '4510003', '4510005']);
+  assert.ok(variants.every(v => v.is_archived));
+  assert.equal(variants.find(v => v.id === '4510003').pick_number, '205');
+
+  const { status, body } = await harness.api('POST', '/api/products/release-archived', {
+    variantIds: [4510001, 4510002, 4510003]
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.released, 1);
+  assert.equal(body.skipped, 2);
+  assert.deepEqual(body.results.map(r => [r.id, r.pick_number]), [['4510003', '205']]);
+  assert.equal(harness.shopify.state.metafields.some(m => m.owner_id === 4510003), false);
+
+  const after = await harness.api('GET', '/api/products?status=archived');
+  assert.equal(after.body.products.flatMap(p => p.variants).find(v => v.id === '4510003').pick_number, null);
+  const active = await harness.api('GET', '/api/products');
+  assert.equal(active.body.products.flatMap(p => p.variants).find(v => v.id === '4510001').pick_number, '101');
+});
+
+test('release-archived rejects variant ids that are not BIGINTs before touching the product DB', async () => {
+  for (const variantIds of [['4510003', 'abc'], ['4510003.5'], ['99999999999999999999']]) {
+    const { status, body } = await harness.api('POST', '/api/products/release-archived', { variantIds });
+    assert.equal(status, 400, JSON.stringify(variantIds));
+    assert.equal(body.error, 'Invalid variant ID');
+  }
+});
+
+test('variant history records manager edits and sync changes with their source', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  const update = await harness.api('POST', '/api/products/update', { updates: [{ id: '4510001', pick_number: '102' }] });
+  assert.equal(update.status, 200);
+
+  const pick = harness.shopify.state.metafields.find(m => m.owner_id === 4510001 && m.key === 'pick_number');
+  assert.equal(pick.value, '102');
+  pick.value = '103';
+  const sync = await harness.api('POST', '/api/products/sync?wait=true', { mode: 'full' });
+  assert.equal(sync.status, 200);
+
+  const { status, body } = await harness.api('GET', '/api/products/variants/4510001/history');
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.history.filter(h => h.field === 'pick_number').map(h => [h.source, h.changed_by, h.old_value, h.new_value]),
+    [
+      ['sync', ADMIN_EMAIL, '102', '103'],
+      ['product_manager', ADMIN_EMAIL, '101', '102']
+    ]
+  );
+});
+
+test('import preview rejects a file without a key column before touching the product DB', async () => {
+  const { status, body } = await harness.api('POST', '/api/products/import/preview?filename=picks.csv',
+    'title,pick_number\nPlanner,104\n', { contentType: 'text/csv' });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.match(body.error, /variant_id or sku column/);
+});
+
+test('spreadsheet import previews changes that then save through /api/products/update', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  // 2026-WKL-SAG holds pick 103 from the history test; moving it frees 103 for the notebook
+  const csv = [
+    'SKU,Pick #,Location,HS Code,Country',
+    '2026-WKL-SAG,104,A-01-2,4820.10.2010,CA',
+    'NB-DOT-A5,103,,,cn',
+    'STK-BOT,,,,Canada',
+    'STK-GONE,1,,,'
+  ].join('\n');
+
+  const { status, body } = await harness.api('POST', '/api/products/import/preview?filename=picks.csv', csv, { contentType: 'text/csv' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { rows: 4, invalid: 2, changed: 2, unchanged: 0, fieldChanges: 4 });
+  const [sage, notebook, sticker, gone] = body.rows;
+  assert.deepEqual(sage.changes, {
+    pick_number: { from: '103', to: '104' },
+    warehouse_location: { from: 'A-01-1', to: 'A-01-2' }
+  });
+  assert.equal(notebook.variantId, '4510004');
+  assert.deepEqual([notebook.changes.pick_number.to, notebook.changes.country_code_of_origin.to], ['103', 'CN']);
+  assert.deepEqual(sticker.warnings, ['Variant is archived']);
+  assert.match(sticker.errors[0], /ISO 3166-1 alpha-2/);
+  assert.deepEqual(gone.errors, ['No variant with SKU "STK-GONE"']);
+
+  const updates = [sage, notebook].map(r => ({
+    id: r.variantId,
+    ...Object.fromEntries(Object.entries(r.changes).map(([field, change]) => [field, change.to]))
+  }));
+  const update = await harness.api('POST', '/api/products/update', { updates });
+  assert.equal(update.status, 200);
+
+  const active = await harness.api('GET', '/api/products');
+  assert.equal(active.body.products.flatMap(p => p.variants).find(v => v.id === '4510001').pick_number, '104');
+  const drafts = await harness.api('GET', '/api/products?status=draft');
+  const saved = drafts.body.products.flatMap(p => p.variants).find(v => v.id === '4510004');
+  assert.deepEqual([saved.pick_number, saved.country_code_of_origin], ['103', 'CN']);
+});
+
+test('label requests are validated before touching the product DB', async () => {
+  const { status, body } = await harness.api('POST', '/api/labels', { variantIds: ['4510001'], type: 'detailed', format: 'svg' });
+
+  assert.equal(status, 400);
+  assert.match(body.error, /format must be one of: pdf, zpl/);
+
+  // Longer than a BIGINT: Postgres would fail the whole query
+  const tooLong = await harness.api('POST', '/api/labels', { variantIds: ['4510001', '99999999999999999999'], type: 'detailed' });
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.error, 'Invalid variant ID');
+});
+
+test('labels render saved pick numbers as PDF and ZPL in pick order', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  // Picks 104 (planner) and 103 (notebook) from the import test; 4519999 doesn't exist
+  const variantIds = ['4510001', '4510004', '4519999'];
+
+  const pdf = await harness.api('POST', '/api/labels', { variantIds, type: 'detailed', format: 'pdf' });
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.match(pdf.headers.get('content-disposition'), /filename="shelf-labels-detailed-\d{4}-\d{2}-\d{2}\.pdf"/);
+  assert.equal(pdf.headers.get('x-labels-count'), '2');
+  assert.equal(pdf.headers.get('x-labels-skipped'), '4519999');
+  assert.equal(pdf.headers.get('x-labels-skipped-count'), '1');
+  assert.equal(pdf.headers.get('x-labels-no-barcode-count'), '0');
+  assert.match(pdf.body, /^%PDF-1\.4/);
+
+  const zpl = await harness.api('POST', '/api/labels', { variantIds, type: 'qrinv', format: 'zpl', dpi: 300 });
+  assert.equal(zpl.status, 200);
+  assert.match(zpl.body, /\^PW1200/);
+  const picks = [...zpl.body.matchAll(/\^A0N,200,0\^FH_\^FD(\d+)\^FS/g)].map(m => m[1]);
+  assert.deepEqual(picks, ['103', '104']);
+});
+
+// ===== Warehouse layout =====
+
+test('customs rule routes reject non-numeric ids and positions before touching the product DB', async () => {
+  for (const [method, path, body] of [
+    ['PUT', '/api/customs-rules/abc', { name: 'Stickers' }],
+    ['DELETE', '/api/customs-rules/1e3'],
+    ['PUT', '/api/customs-rules/99999999999', { name: 'Stickers' }],
+    ['POST', '/api/customs-rules/reorder', { ids: [2, 'x'] }],
+    ['POST', '/api/customs-rules', { name: 'title-bookmark', description: 'Paper bookmark', title_pattern: 'bookmark', position: 'abc' }]
+  ]) {
+    const { status, body: res } = await harness.api(method, path, body);
+    assert.equal(status, 400, `${method} ${path}`);
+    assert.equal(res.success, false);
+  }
+});
+
+test('warehouse routes reject unknown layout levels before touching the product DB', async () => {
+  const { status, body } = await harness.api('PUT', '/api/warehouse/rooms/1', { name: 'Back room' });
+
+  assert.equal(status, 404);
+  assert.match(body.error, /Unknown layout level/);
+});
+
+test('a warehouse layout checks variant locations and orders pick suggestions by bin', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  const zone = await harness.api('POST', '/api/warehouse/zones', { code: 'a', name: 'Main floor' });
+  assert.equal(zone.status, 200);
+  const aisle = await harness.api('POST', '/api/warehouse/aisles', { zone_id: zone.body.zone.id, code: '01' });
+  const shelf = await harness.api('POST', '/api/warehouse/shelves', { aisle_id: aisle.body.aisle.id, code: '2' });
+  const bins = await harness.api('POST', '/api/warehouse/bins', { shelf_id: shelf.body.shelf.id, codes: '1-3', capacity: 1 });
+  assert.deepEqual(bins.body.bins.map(b => b.location_code), ['A-01-2-1', 'A-01-2-2', 'A-01-2-3']);
+
+  // With bins in place, locations must name one of them (the planner is at A-01-2 from the import test)
+  const rejected = await harness.api('POST', '/api/products/update', { updates: [{ id: '4510001', warehouse_location: 'A-01-2' }] });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.body.locationProblems.map(p => p.type), ['unknown_bin']);
+
+  const moved = await harness.api('POST', '/api/products/update', { updates: [{ id: '4510001', warehouse_location: ' a-01-2-1' }] });
+  assert.equal(moved.status, 200);
+  const full = await harness.api('POST', '/api/products/update', { updates: [{ id: '4510004', warehouse_location: 'A-01-2-1' }] });
+  assert.deepEqual(full.body.locationProblems.map(p => p.type), ['bin_full']);
+
+  // The notebook, staged into the next bin, gets a number after the planner's 104
+  const suggested = await harness.api('POST', '/api/warehouse/suggest-pick-numbers', {
+    variantIds: ['4510004'],
+    staged: [{ id: '4510004', warehouse_location: 'A-01-2-2' }]
+  });
+  assert.equal(suggested.status, 200);
+  const { pick, bin, reason } = suggested.body.suggestions['4510004'];
+  assert.deepEqual([bin, reason], ['A-01-2-2', 'bin_order']);
+  assert.ok(pick > 104);
+
+  // The zone can't go while the planner is in one of its bins
+  const blocked = await harness.api('DELETE', `/api/warehouse/zones/${zone.body.zone.id}`);
+  assert.equal(blocked.status, 409);
+  await harness.api('POST', '/api/products/update', { updates: [{ id: '4510001', warehouse_location: '' }] });
+  const deleted = await harness.api('DELETE', `/api/warehouse/zones/${zone.body.zone.id}`);
+  assert.equal(deleted.status, 200);
+});
+
+// ===== Pick lists =====
+
+test('pick list selections are validated before fetching orders', async () => {
+  const both = await harness.api('GET', '/api/pick-list?tag=VIP&from=2026-09-01');
+  assert.equal(both.status, 400);
+  assert.match(both.body.error, /exactly one of tag, batch/);
+
+  const shipped = await harness.api('GET', '/api/pick-list?from=2026-09-01&status=shipped');
+  assert.equal(shipped.status, 400);
+
+  const unknownTag = await harness.api('GET', '/api/pick-list?tag=Wholesale&format=csv');
+  assert.equal(unknownTag.status, 404);
+  assert.equal(unknownTag.body.error, 'ShipStation has no tag "Wholesale"');
+});
+
+test('pick lists total open order items by SKU with their pick numbers', {
+  skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database'
+}, async () => {
+  // 2001 and 2002 are awaiting shipment, 2003 has shipped; the sticker line on 2001 has no SKU
+  const { status, body } = await harness.api('GET', '/api/pick-list?batch=2001,2002 2003,9999&format=json');
+  assert.equal(status, 200);
+  assert.deepEqual(body.skipped, [{ orderNumber: '2003', reason: 'shipped' }, { orderNumber: '9999', reason: 'not found' }]);
+  assert.deepEqual(body.summary, { orders: 2, lines: 2, units: 3, flagged: 1 });
+  assert.deepEqual(body.lines.map(l => [l.pick, l.sku, l.quantity, l.orderNumbers, l.flag]), [
+    ['104', '2026-WKL-SAG', 2, ['2001', '2002'], null],
+    [null, '', 1, ['2001'], 'no_sku']
+  ]);
+
+  const csv = await harness.api('GET', '/api/pick-list?from=2026-09-28&format=csv');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-disposition'), /filename="pick-list-\d{4}-\d{2}-\d{2}\.csv"/);
+  assert.equal(csv.headers.get('x-pick-list-orders'), '2');
+  assert.equal(csv.body.split('\n')[1], '104,,2026-WKL-SAG,2026 Weekly Planner - Sage,2,2,2001 2002,');
+
+  const pdf = await harness.api('GET', '/api/pick-list?from=2026-09-01&to=2026-09-30&sort=location');
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.equal(pdf.headers.get('x-pick-list-flagged'), '1');
+  assert.match(pdf.body, /^%PDF-1\.4/);
+});
+
+// ===== Permissions =====
+
+test('a viewer cannot run bulk updates', async () => {
+  await harness.login('viewer@hemlockandoak.com');
+  try {
+    const { status } = await harness.api('POST', '/api/shipstation/orders/bulk-update', { orderIds: ['2001'] });
+    assert.equal(status, 403);
+  } finally {
+    await harness.login();
+  }
+});
+
+test('a viewer cannot update a single order, and there is no GET route that writes it', async () => {
+  const before = writes().length;
+
+  await harness.login('viewer@hemlockandoak.com');
+  try {
+    const { status } = await harness.api('POST', '/api/shipstation/orders/2001/update');
+    assert.equal(status, 403);
+    const get = await harness.api('GET', '/api/shipstation/orders/2001/update');
+    assert.equal(get.status, 404);
+  } finally {
+    await harness.login();
+  }
+
+  const get = await harness.api('GET', '/api/shipstation/orders/2001/update');
+  assert.equal(get.status, 404);
+  assert.equal(writes().length, before);
+});
+
+// ===== Audit log =====
+
+test('mutating API calls are audited and /api/audit filters them by user, tool and date', async () => {
+  const { status } = await harness.api('POST', '/api/shipstation/orders/bulk-update', { orderIds: ['9999'] });
+  assert.equal(status, 200);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const query = `user=${encodeURIComponent(ADMIN_EMAIL)}&tool=shipstation-customs&from=${today}&to=${today}`;
+  let entry;
+  for (let i = 0; i < 50 && !entry; i++) {
+    const { body } = await harness.api('GET', `/api/audit?${query}`);
+    entry = body.entries.find(e => e.targetIds.includes('9999'));
+    if (!entry) await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.ok(entry, 'the bulk update was audited');
+  assert.equal(entry.actor, ADMIN_EMAIL);
+  assert.equal(entry.action, 'POST /api/shipstation/orders/bulk-update');
+  assert.equal(entry.outcome, 'partial');
+
+  const otherTool = await harness.api('GET', `/api/audit?user=${encodeURIComponent(ADMIN_EMAIL)}&tool=products`);
+  assert.ok(otherTool.body.entries.every(e => e.tool === 'products'));
+  const otherUser = await harness.api('GET', `/api/audit?user=nobody@hemlockandoak.com`);
+  assert.equal(otherUser.body.total, 0);
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const earlier = await harness.api('GET', `/api/audit?tool=shipstation-customs&to=${yesterday}`);
+  assert.equal(earlier.body.total, 0);
+
+  // Reads are not audited
+  const reads = await harness.api('GET', '/api/audit?q=GET');
+  assert.equal(reads.body.entries.filter(e => e.method === 'GET').length, 0);
+});
+
+test('a viewer cannot change notification subscriptions or send tests', async () => {
+  await harness.login('viewer@hemlockandoak.com');
+  try {
+    const put = await harness.api('PUT', '/api/notifications/subscriptions', { subscriptions: [] });
+    assert.equal(put.status, 403);
+    const sent = await harness.api('POST', '/api/notifications/test', { channel: 'email' });
+    assert.equal(sent.status, 403);
+  } finally {
+    await harness.login();
+  }
+});
+
+test('the change detector scan preview stores nothing; the stored scan needs orders.bulk', async () => {
+  const before = await harness.api('GET', '/api/order-change-detector/discrepancies?status=open,acknowledged,resolved,ignored');
+  const preview = await harness.api('GET', '/api/order-change-detector/scan?days=3650');
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.stored, false);
+  assert.ok(preview.body.totalScanned > 0);
+  const after = await harness.api('GET', '/api/order-change-detector/discrepancies?status=open,acknowledged,resolved,ignored');
+  assert.deepEqual(after.body, before.body);
+
+  await harness.login('viewer@hemlockandoak.com');
+  try {
+    const { status } = await harness.api('POST', '/api/order-change-detector/scan', { days: 3650 });
+    assert.equal(status, 403);
+  } finally {
+    await harness.login();
+  }
+
+  const scan = await harness.api('POST', '/api/order-change-detector/scan', { days: 3650 });
+  assert.equal(scan.status, 200);
+  assert.equal(scan.body.stored, true);
+  assert.equal(scan.body.totalScanned, preview.body.totalScanned);
+});
@@ -0,0 +1,176 @@
+// test/harness/fake-shipstation.js
+// Stand-in for the ShipStation REST API (the subset shipstation-api.js uses), seeded from fixture JSON.
+// Orders, products and tags live in memory; createorder, addtag/removetag and product writes change them
+// so a test can assert on the resulting state as well as on the requests that were made.
+'use strict';
+
+const express = require('express');
+
+// Fields ShipStation computes itself; createorder never overwrites them
+const SERVER_ORDER_FIELDS = ['createDate', 'modifyDate', 'orderTotal', 'userId', 'externallyFulfilled'];
+
+const clone = value => JSON.parse(JSON.stringify(value ?? null));
+
+function page(list, query) {
+  const pageSize = Math.max(1, Math.min(500, Number(query.pageSize) || 100));
+  const pageNo = Math.max(1, Number(query.page) || 1);
+  return {
+    slice: list.slice((pageNo - 1) * pageSize, pageNo * pageSize),
+    total: list.length,
+    page: pageNo,
+    pages: Math.ceil(list.length / pageSize)
+  };
+}
+
+/**
+ * @param {object} seed - { orders: [], products: [], tags: [] } in ShipStation's GET shapes
+ * @param {object} credentials - { key, secret } expected in the Basic auth header
+ * @returns {{ app: express.Application, state: object }} state: { orders, products, tags, requests }
+ */
+function createFakeShipStation(seed = {}, { key, secret } = {}) {
+  const state = {
+    orders: clone(seed.orders || []),
+    products: clone(seed.products || []),
+    tags: clone(seed.tags || []),
+    requests: []
+  };
+  let nextOrderId = Math.max(100000, ...state.orders.map(o => o.orderId)) + 1;
+  let nextProductId = Math.max(100000, ...state.products.map(p => p.productId)) + 1;
+  const expectedAuth = 'Basic ' + Buffer.from(`${key}:${secret}`).toString('base64');
+
+  const findOrder = id => state.orders.find(o => String(o.orderId) === String(id));
+  const notFound = (res, what) => res.status(404).json({ Message: `${what} not found` });
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body });
+    if (key && req.get('authorization') !== expectedAuth) {
+      return res.status(401).json({ Message: 'Authorization has been denied for this request.' });
+    }
+    res.set({ 'X-Rate-Limit-Limit': '40', 'X-Rate-Limit-Remaining': '39', 'X-Rate-Limit-Reset': '60' });
+    next();
+  });
+
+  // ===== Orders =====
+
+  app.get('/orders', (req, res) => {
+    const q = req.query;
+    const list = state.orders.filter(o =>
+      (!q.orderNumber || String(o.orderNumber) === String(q.orderNumber)) &&
+      (!q.orderKey || String(o.orderKey) === String(q.orderKey)) &&
+      (!q.orderStatus || o.orderStatus === q.orderStatus) &&
+      (!q.customerEmail || String(o.customerEmail || '').toLowerCase().includes(String(q.customerEmail).toLowerCase())) &&
+      (!q.createDateStart || String(o.createDate) >= String(q.createDateStart)) &&
+      (!q.createDateEnd || String(o.createDate) <= String(q.createDateEnd)) &&
+      (!q.modifyDateStart || String(o.modifyDate) >= String(q.modifyDateStart)) &&
+      (!q.orderDateStart || String(o.orderDate) >= String(q.orderDateStart)) &&
+      (!q.orderDateEnd || String(o.orderDate) <= String(q.orderDateEnd)) &&
+      (!q.tagId || (o.tagIds || []).includes(Number(q.tagId)))
+    );
+    const { slice, total, page: pageNo, pages } = page(list, q);
+    res.json({ orders: slice, total, page: pageNo, pages });
+  });
+
+  app.get('/orders/listbytag', (req, res) => {
+    const q = req.query;
+    if (!q.tagId || !q.orderStatus) {
+      return res.status(400).json({ Message: 'The request is invalid.', ModelState: { request: ['tagId and orderStatus are required'] } });
+    }
+    const list = state.orders.filter(o => o.orderStatus === q.orderStatus && (o.tagIds || []).includes(Number(q.tagId)));
+    const { slice, total, page: pageNo, pages } = page(list, q);
+    res.json({ orders: slice, total, page: pageNo, pages });
+  });
+
+  app.get('/orders/:orderId', (req, res) => {
+    const order = findOrder(req.params.orderId);
+    return order ? res.json(order) : notFound(res, `Order ${req.params.orderId}`);
+  });
+
+  // With orderId (or a known orderKey) the order is replaced in place, otherwise a new one is created
+  app.post('/orders/createorder', (req, res) => {
+    const body = req.body || {};
+    if (!body.orderNumber || !body.orderDate || !body.orderStatus || !body.billTo || !body.shipTo) {
+      return res.status(400).json({
+        Message: 'The request is invalid.',
+        ModelState: { apiOrder: ['orderNumber, orderDate, orderStatus, billTo and shipTo are required'] }
+      });
+    }
+
+    const existing = findOrder(body.orderId) || (body.orderKey && state.orders.find(o => o.orderKey === body.orderKey));
+    const now = new Date().toISOString();
+    const order = {
+      ...clone(body),
+      orderId: existing ? existing.orderId : nextOrderId++,
+      createDate: existing?.createDate || now,
+      modifyDate: now,
+      orderTotal: existing?.orderTotal ?? (body.amountPaid || 0),
+      userId: existing?.userId ?? null,
+      externallyFulfilled: existing?.externallyFulfilled ?? false
+    };
+    for (const field of SERVER_ORDER_FIELDS) if (order[field] === undefined) order[field] = null;
+
+    if (existing) state.orders[state.orders.indexOf(existing)] = order;
+    else state.orders.push(order);
+    res.json(order);
+  });
+
+  app.post('/orders/addtag', (req, res) => {
+    const order = findOrder(req.body?.orderId);
+    if (!order) return notFound(res, `Order ${req.body?.orderId}`);
+    const tagId = Number(req.body.tagId);
+    order.tagIds = [...new Set([...(order.tagIds || []), tagId])];
+    res.json({ success: true, message: 'Tag added successfully.' });
+  });
+
+  app.post('/orders/removetag', (req, res) => {
+    const order = findOrder(req.body?.orderId);
+    if (!order) return notFound(res, `Order ${req.body?.orderId}`);
+    order.tagIds = (order.tagIds || []).filter(id => id !== Number(req.body.tagId));
+    res.json({ success: true, message: 'Tag removed successfully.' });
+  });
+
+  app.get('/accounts/listtags', (req, res) => {
+    res.json(state.tags);
+  });
+
+  // ===== Products =====
+
+  app.get('/products', (req, res) => {
+    const q = req.query;
+    const list = state.products.filter(p =>
+      (!q.sku || String(p.sku || '').toLowerCase().includes(String(q.sku).toLowerCase())) &&
+      (!q.name || String(p.name || '').toLowerCase().includes(String(q.name).toLowerCase())) &&
+      (q.showInactive === 'true' || p.active !== false)
+    );
+    const { slice, total, page: pageNo, pages } = page(list, q);
+    res.json({ products: slice, total, page: pageNo, pages });
+  });
+
+  app.get('/products/:productId', (req, res) => {
+    const product = state.products.find(p => String(p.productId) === req.params.productId);
+    return product ? res.json(product) : notFound(res, `Product ${req.params.productId}`);
+  });
+
+  app.post('/products', (req, res) => {
+    const product = { active: true, ...clone(req.body), productId: nextProductId++ };
+    state.products.push(product);
+    res.json(product);
+  });
+
+  app.put('/products/:productId', (req, res) => {
+    const index = state.products.findIndex(p => String(p.productId) === req.params.productId);
+    if (index === -1) return notFound(res, `Product ${req.params.productId}`);
+    state.products[index] = { ...state.products[index], ...clone(req.body), productId: state.products[index].productId };
+    res.json({ success: true, message: 'The requested product has been updated' });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ Message: `Fake ShipStation has no route for ${req.method} ${req.path}` });
+  });
+
+  return { app, state };
+}
+
+module.exports = { createFakeShipStation };
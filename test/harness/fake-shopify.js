@@ -0,0 +1,271 @@
+// test/harness/fake-shopify.js
+// Stand-in for the Shopify Admin API (the REST + GraphQL subset shopify-api.js uses), seeded from fixture JSON.
+// REST lives under /admin/api/:version with Link-header pagination; POST graphql.json answers the
+// productVariants / productVariant / nodes queries and the metafieldsSet mutation. Anything else is an error,
+// so a new call in shopify-api.js shows up as a failing test rather than a silent empty answer.
+'use strict';
+
+const express = require('express');
+
+const clone = value => JSON.parse(JSON.stringify(value ?? null));
+const encodeCursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decodeCursor = cursor => JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+const variantGid = id => `gid://shopify/ProductVariant/${id}`;
+const metafieldGid = id => `gid://shopify/Metafield/${id}`;
+
+/**
+ * @param {object} seed - { products, inventory_items, metafields, orders, customers, webhooks } in REST shapes;
+ *   metafields are { id, owner_id (variant id), namespace, key, value, type }
+ * @param {object} options - accessToken expected in X-Shopify-Access-Token; pageSize caps every page
+ *   (REST limit and GraphQL first) so small fixtures still exercise pagination
+ * @returns {{ app: express.Application, state: object }} state: the seed collections plus requests
+ */
+function createFakeShopify(seed = {}, { accessToken, pageSize = 250 } = {}) {
+  const state = {
+    products: clone(seed.products || []),
+    inventory_items: clone(seed.inventory_items || []),
+    metafields: clone(seed.metafields || []),
+    orders: clone(seed.orders || []),
+    customers: clone(seed.customers || []),
+    webhooks: clone(seed.webhooks || []),
+    requests: []
+  };
+  let nextId = 9000000000;
+
+  const allVariants = () => state.products.flatMap(p => p.variants || []);
+  const findVariant = id => allVariants().find(v => String(v.id) === String(id));
+  const notFound = res => res.status(404).json({ errors: 'Not Found' });
+
+  // One page of `list` plus the Link header Shopify sends for the next one
+  function restPage(req, res, list) {
+    const limit = Math.min(Number(req.query.limit) || 50, pageSize);
+    const cursor = req.query.page_info ? decodeCursor(req.query.page_info) : { offset: 0, filter: req.query };
+    const items = list(cursor.filter).slice(cursor.offset, cursor.offset + limit);
+    if (cursor.offset + limit < list(cursor.filter).length) {
+      const next = encodeCursor({ offset: cursor.offset + limit, filter: cursor.filter });
+      const url = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?limit=${limit}&page_info=${next}`;
+      res.set('Link', `<${url}>; rel="next"`);
+    }
+    return items;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body });
+    if (accessToken && req.get('x-shopify-access-token') !== accessToken) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+    res.set('X-Shopify-Shop-Api-Call-Limit', '1/40');
+    next();
+  });
+
+  const rest = express.Router();
+
+  // ===== Products & variants =====
+
+  rest.get('/products.json', (req, res) => {
+    const products = restPage(req, res, filter =>
+      state.products.filter(p =>
+        (!filter.status || filter.status === 'any' || String(filter.status).split(',').includes(p.status)) &&
+        (!filter.updated_at_min || Date.parse(p.updated_at) >= Date.parse(filter.updated_at_min))
+      )
+    );
+    const fields = req.query.fields ? String(req.query.fields).split(',') : null;
+    res.json({ products: fields ? products.map(p => Object.fromEntries(fields.map(f => [f, p[f]]))) : products });
+  });
+
+  rest.get('/products/:id.json', (req, res) => {
+    const product = state.products.find(p => String(p.id) === req.params.id);
+    return product ? res.json({ product }) : notFound(res);
+  });
+
+  rest.get('/variants/:id.json', (req, res) => {
+    const variant = findVariant(req.params.id);
+    return variant ? res.json({ variant }) : notFound(res);
+  });
+
+  rest.put('/variants/:id.json', (req, res) => {
+    const variant = findVariant(req.params.id);
+    if (!variant) return notFound(res);
+    // Like Shopify, a variant edit also bumps its product's updated_at
+    const now = new Date().toISOString();
+    Object.assign(variant, clone(req.body?.variant), { id: variant.id, updated_at: now });
+    const product = state.products.find(p => (p.variants || []).includes(variant));
+    if (product) product.updated_at = now;
+    res.json({ variant });
+  });
+
+  rest.get('/inventory_items.json', (req, res) => {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    res.json({ inventory_items: state.inventory_items.filter(it => ids.includes(String(it.id))) });
+  });
+
+  rest.put('/inventory_items/:id.json', (req, res) => {
+    const item = state.inventory_items.find(it => String(it.id) === req.params.id);
+    if (!item) return notFound(res);
+    Object.assign(item, clone(req.body?.inventory_item), { id: item.id });
+    res.json({ inventory_item: item });
+  });
+
+  rest.delete('/metafields/:id.json', (req, res) => {
+    const index = state.metafields.findIndex(m => String(m.id) === req.params.id);
+    if (index === -1) return notFound(res);
+    state.metafields.splice(index, 1);
+    res.json({});
+  });
+
+  // ===== Orders & customers =====
+
+  rest.get('/orders.json', (req, res) => {
+    const orders = state.orders.filter(o =>
+      (!req.query.name || o.name === req.query.name) &&
+      (!req.query.customer_id || String(o.customer?.id) === String(req.query.customer_id))
+    );
+    res.json({ orders: orders.slice(0, Math.min(Number(req.query.limit) || 50, 250)) });
+  });
+
+  rest.get('/orders/:id.json', (req, res) => {
+    const order = state.orders.find(o => String(o.id) === req.params.id);
+    return order ? res.json({ order }) : notFound(res);
+  });
+
+  rest.get('/customers.json', (req, res) => {
+    res.json({ customers: restPage(req, res, () => state.customers) });
+  });
+
+  // ===== Webhooks =====
+
+  rest.get('/webhooks.json', (req, res) => {
+    res.json({ webhooks: state.webhooks });
+  });
+
+  rest.post('/webhooks.json', (req, res) => {
+    const webhook = { id: nextId++, format: 'json', ...clone(req.body?.webhook), created_at: new Date().toISOString() };
+    state.webhooks.push(webhook);
+    res.status(201).json({ webhook });
+  });
+
+  rest.delete('/webhooks/:id.json', (req, res) => {
+    const index = state.webhooks.findIndex(w => String(w.id) === req.params.id);
+    if (index === -1) return notFound(res);
+    state.webhooks.splice(index, 1);
+    res.json({});
+  });
+
+  // ===== GraphQL =====
+
+  // metafields(first: N, keys: ["ns.key", ...]) selection for one variant
+  function metafieldConnection(variantId, query) {
+    const keysMatch = query.match(/keys:\s*\[([^\]]*)\]/);
+    const keys = keysMatch ? [...keysMatch[1].matchAll(/"([^"]+)"/g)].map(m => m[1]) : null;
+    const edges = state.metafields
+      .filter(m => String(m.owner_id) === String(variantId))
+      .filter(m => !keys || keys.includes(`${m.namespace}.${m.key}`))
+      .map(m => ({
+        node: { id: metafieldGid(m.id), namespace: m.namespace, key: m.key, value: m.value, legacyResourceId: String(m.id) }
+      }));
+    return { edges };
+  }
+
+  const variantNode = (variant, query) => ({
+    id: variantGid(variant.id),
+    legacyResourceId: String(variant.id),
+    sku: variant.sku,
+    metafields: metafieldConnection(variant.id, query)
+  });
+
+  function productVariants(query, variables) {
+    const first = Math.min(Number(query.match(/productVariants\(\s*first:\s*(\d+)/)?.[1]) || 250, pageSize);
+    const offset = variables.cursor ? decodeCursor(variables.cursor) : 0;
+    const variants = allVariants();
+    const slice = variants.slice(offset, offset + first);
+    return {
+      productVariants: {
+        pageInfo: { hasNextPage: offset + first < variants.length, endCursor: encodeCursor(offset + slice.length) },
+        edges: slice.map(v => ({ node: variantNode(v, query) }))
+      }
+    };
+  }
+
+  function productVariant(query, variables) {
+    const id = String(variables.id || '').split('/').pop();
+    const variant = findVariant(id);
+    return { productVariant: variant ? variantNode(variant, query) : null };
+  }
+
+  // nodes(ids: [...]) - only ProductVariant ids resolve; unknown ids are null like in Shopify
+  function nodes(query, variables) {
+    return {
+      nodes: (variables.ids || []).map(gid => {
+        const variant = String(gid).startsWith('gid://shopify/ProductVariant/') && findVariant(String(gid).split('/').pop());
+        return variant ? variantNode(variant, query) : null;
+      })
+    };
+  }
+
+  function metafieldsSet(query, variables) {
+    const metafields = [];
+    const userErrors = [];
+    for (const input of variables.metafields || []) {
+      const ownerId = String(input.ownerId || '').split('/').pop();
+      if (!findVariant(ownerId)) {
+        userErrors.push({ field: ['metafields', 'ownerId'], message: `Owner ${input.ownerId} does not exist` });
+        continue;
+      }
+      let metafield = state.metafields.find(m =>
+        String(m.owner_id) === ownerId && m.namespace === input.namespace && m.key === input.key
+      );
+      if (metafield) {
+        Object.assign(metafield, { value: input.value, type: input.type || metafield.type });
+      } else {
+        metafield = { id: nextId++, owner_id: Number(ownerId), namespace: input.namespace, key: input.key, value: input.value, type: input.type };
+        state.metafields.push(metafield);
+      }
+      metafields.push({
+        id: metafieldGid(metafield.id),
+        namespace: metafield.namespace,
+        key: metafield.key,
+        value: metafield.value,
+        legacyResourceId: String(metafield.id)
+      });
+    }
+    return { metafieldsSet: { metafields: userErrors.length ? [] : metafields, userErrors } };
+  }
+
+  const GRAPHQL_OPERATIONS = [
+    [/metafieldsSet\s*\(/, metafieldsSet],
+    [/\bnodes\s*\(/, nodes],
+    [/productVariants\s*\(/, productVariants],
+    [/productVariant\s*\(/, productVariant]
+  ];
+
+  rest.post('/graphql.json', (req, res) => {
+    const query = String(req.body?.query || '');
+    const operation = GRAPHQL_OPERATIONS.find(([pattern]) => pattern.test(query));
+    if (!operation) {
+      return res.json({ errors: [{ message: `Fake Shopify does not support this query: ${query.trim().slice(0, 80)}` }] });
+    }
+    res.json({
+      data: operation[1](query, req.body.variables || {}),
+      extensions: {
+        cost: {
+          requestedQueryCost: 10,
+          actualQueryCost: 10,
+          throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 }
+        }
+      }
+    });
+  });
+
+  app.use('/admin/api/:version', rest);
+
+  app.use((req, res) => {
+    res.status(404).json({ errors: `Fake Shopify has no route for ${req.method} ${req.path}` });
+  });
+
+  return { app, state };
+}
+
+module.exports = { createFakeShopify };
@@ -0,0 +1,178 @@
+// test/harness/index.js
+// Boots server.js as a child process against the fake Shopify and ShipStation servers so routes can be
+// exercised end-to-end without network access or real credentials. Each harness gets its own SQLite file,
+// ports and signed-in session; the product DB is only available when TEST_DATABASE_URL is set.
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeShopify } = require('./fake-shopify');
+const { createFakeShipStation } = require('./fake-shipstation');
+
+const ROOT = path.join(__dirname, '../..');
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/harness');
+
+const SHIPSTATION_CREDENTIALS = { key: 'harness-key', secret: 'harness-secret' };
+const SHOPIFY_TOKEN = 'shpat_harness';
+const ADMIN_EMAIL = 'harness-admin@hemlockandoak.com';
+
+// Variables a developer's .env may define; blanking them keeps the child off real services
+// (dotenv never overrides a variable that is already set, even to '')
+const BLANKED_ENV = [
+  'PRODUCT_DATABASE_NEON', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET',
+  'SMTP_HOST', 'SMTP_USER', 'SMTP_PASS', 'NOTIFY_CHAT_WEBHOOK_URL',
+  'SHOPIFY_WEBHOOK_SECRET', 'SHOPIFY_API_SECRET', 'PUBLIC_BASE_URL', 'SHIPSTATION_ONLY_SKUS'
+];
+
+function loadSeed(file) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = require('net').createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+function closeServer(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start the fakes and server.js.
+ * @param {object} options
+ * @param {object} options.shopify - Shopify seed (default test/fixtures/harness/shopify.json)
+ * @param {object} options.shipstation - ShipStation seed (default test/fixtures/harness/shipstation.json)
+ * @param {number} options.shopifyPageSize - page cap for the fake Shopify (default 2, to exercise pagination)
+ * @param {object} options.env - extra environment for server.js
+ * @param {number} options.startTimeoutMs - how long to wait for server.js to answer (default 20000)
+ * @returns {Promise<object>} { baseUrl, shopify, shipstation, api, login, logs, stop }
+ */
+async function startHarness({
+  shopify: shopifySeed = loadSeed('shopify.json'),
+  shipstation: shipstationSeed = loadSeed('shipstation.json'),
+  shopifyPageSize = 2,
+  env = {},
+  startTimeoutMs = 20000
+} = {}) {
+  const shopify = createFakeShopify(shopifySeed, { accessToken: SHOPIFY_TOKEN, pageSize: shopifyPageSize });
+  const shipstation = createFakeShipStation(shipstationSeed, SHIPSTATION_CREDENTIALS);
+  const servers = [await listen(shopify.app), await listen(shipstation.app)];
+  const [shopifyUrl, shipstationUrl] = servers.map(s => `http://127.0.0.1:${s.address().port}`);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'harness-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const childEnv = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    ...Object.fromEntries(BLANKED_ENV.map(name => [name, ''])),
+    NODE_ENV: 'test',
+    PORT: String(port),
+    ALLOW_TEST_LOGIN: 'true',
+    ADMIN_EMAILS: ADMIN_EMAIL,
+    SESSION_SECRET: 'harness-session-secret',
+    SQLITE_DB_PATH: path.join(tmpDir, 'harness.db'),
+    // Keep the one-time import away from the checked-in data/order-change-cache.json
+    ORDER_CHANGE_CACHE_FILE: path.join(tmpDir, 'order-change-cache.json'),
+    SHOPIFY_STORE: 'harness.myshopify.com',
+    SHOPIFY_ACCESS_TOKEN: SHOPIFY_TOKEN,
+    SHOPIFY_ADMIN_URL: shopifyUrl,
+    SHIPSTATION_API_KEY: SHIPSTATION_CREDENTIALS.key,
+    SHIPSTATION_API_SECRET: SHIPSTATION_CREDENTIALS.secret,
+    SHIPSTATION_API_URL: shipstationUrl,
+    ORDER_CHANGE_DETECTOR_ENABLED: 'false',
+    PRODUCT_SYNC_INTERVAL_MINUTES: '0',
+    DATABASE_URL: process.env.TEST_DATABASE_URL || '',
+    ...env
+  };
+
+  const logs = [];
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.stdout.on('data', chunk => logs.push(String(chunk)));
+  child.stderr.on('data', chunk => logs.push(String(chunk)));
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  let cookie = '';
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+    await Promise.all(servers.map(closeServer));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Call server.js with the harness session cookie.
+   * body is sent as JSON unless a contentType is given, then as-is (e.g. an uploaded file's Buffer).
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>} body is parsed JSON when possible
+   */
+  async function api(method, urlPath, body, { contentType } = {}) {
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers: { 'Content-Type': contentType || 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+      body: body === undefined || contentType ? body : JSON.stringify(body),
+      redirect: 'manual'
+    });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  // Sign in through /auth/test-login; later api() calls carry the session
+  async function login(email = ADMIN_EMAIL) {
+    const res = await fetch(`${baseUrl}/auth/test-login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    if (!res.ok) throw new Error(`Test login failed (${res.status}): ${await res.text()}`);
+    cookie = res.headers.getSetCookie().map(c => c.split(';')[0]).join('; ');
+    return email;
+  }
+
+  try {
+    const deadline = Date.now() + startTimeoutMs;
+    for (;;) {
+      if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+      try {
+        const res = await fetch(`${baseUrl}/login`);
+        if (res.ok) break;
+      } catch {}
+      if (Date.now() > deadline) throw new Error(`server.js did not answer within ${startTimeoutMs}ms`);
+      await sleep(100);
+    }
+    await login();
+  } catch (err) {
+    await stop();
+    err.message += `\n--- server.js output ---\n${logs.join('')}`;
+    throw err;
+  }
+
+  return { baseUrl, shopify, shipstation, api, login, logs, stop };
+}
+
+module.exports = { startHarness, ADMIN_EMAIL };
@@ -0,0 +1,59 @@
+// test/helpers/replay-adapter.js
+// Axios adapter that answers from recorded ShipStation exchanges instead of the network.
+// A fixture file is a JSON array of { request: { method, url, params? }, response: { status, data, headers? } };
+// a request matches when method and url are equal and every recorded param has the same value.
+// Unmatched requests fail loudly so a test can never reach the real API.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { AxiosError } = require('axios');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+function loadExchanges(...files) {
+  return files.flatMap(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')));
+}
+
+function paramsMatch(recorded = {}, actual = {}) {
+  return Object.entries(recorded).every(([key, value]) => String(actual?.[key]) === String(value));
+}
+
+/**
+ * @param {array} exchanges - recorded request/response pairs (see loadExchanges)
+ * @returns {{ adapter: function, requests: array }} requests collects { method, url, params, body } in order
+ */
+function createReplayAdapter(exchanges) {
+  const requests = [];
+
+  async function adapter(config) {
+    const method = String(config.method || 'get').toUpperCase();
+    const url = config.url;
+    const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+    requests.push({ method, url, params: config.params, body });
+
+    const match = exchanges.find(e =>
+      e.request.method === method && e.request.url === url && paramsMatch(e.request.params, config.params)
+    );
+    if (!match) {
+      throw new Error(`No recorded response for ${method} ${url} ${JSON.stringify(config.params || {})}`);
+    }
+
+    const response = {
+      data: JSON.parse(JSON.stringify(match.response.data)),
+      status: match.response.status,
+      statusText: String(match.response.status),
+      headers: match.response.headers || {},
+      config,
+      request: {}
+    };
+    if (!config.validateStatus(response.status)) {
+      throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response);
+    }
+    return response;
+  }
+
+  return { adapter, requests };
+}
+
+module.exports = { loadExchanges, createReplayAdapter };
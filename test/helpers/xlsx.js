@@ -0,0 +1,94 @@
+// test/helpers/xlsx.js
+// Builds small .xlsx workbooks in memory for import tests: one sheet, strings in sharedStrings.xml,
+// numbers as numeric cells. Entries are deflated; CRCs are left at 0 (utils/xlsx-reader.js ignores them).
+'use strict';
+
+const zlib = require('zlib');
+
+const escapeXml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * @param {Array<Array<string|number|null>>} rows - first row is the header; null leaves a cell out
+ * @returns {Buffer}
+ */
+function buildXlsx(rows) {
+  const strings = [];
+  const stringIndex = value => {
+    if (!strings.includes(value)) strings.push(value);
+    return strings.indexOf(value);
+  };
+
+  const sheetRows = rows.map((cells, r) => {
+    const xml = cells.map((value, c) => {
+      if (value === null || value === undefined) return '';
+      const ref = `${String.fromCharCode(65 + c)}${r + 1}`;
+      return typeof value === 'number'
+        ? `<c r="${ref}"><v>${value}</v></c>`
+        : `<c r="${ref}" t="s"><v>${stringIndex(String(value))}</v></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${xml}</row>`;
+  }).join('');
+
+  return buildXlsxSheet(sheetRows, strings);
+}
+
+/**
+ * Workbook around raw <sheetData> XML, for files a spreadsheet app wouldn't write
+ * @param {string|Buffer} sheetData - contents of <sheetData>
+ * @param {string[]} [strings] - shared strings
+ * @returns {Buffer}
+ */
+function buildXlsxSheet(sheetData, strings = []) {
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Variants" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8"?><worksheet><sheetData>${sheetData}</sheetData></worksheet>`,
+    'xl/sharedStrings.xml': `<?xml version="1.0" encoding="UTF-8"?><sst>${strings.map(s => `<si><t>${escapeXml(s)}</t></si>`).join('')}</sst>`
+  });
+}
+
+module.exports = { buildXlsx, buildXlsxSheet };
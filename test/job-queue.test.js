@@ -0,0 +1,108 @@
+// test/job-queue.test.js - persistent jobs: restart recovery (up to 3 attempts), failures and the job-failed notification
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+
+const { registerJobHandler, enqueueJob, getJob, cancelJob, startJobWorker } = require('../utils/job-queue');
+const { getDB } = require('../utils/database');
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const runs = [];
+registerJobHandler('test-ok', {
+  label: 'Test job',
+  run: async (params, ctx) => {
+    runs.push(params.name);
+    ctx.log(`ran ${params.name}`);
+    await ctx.progress(1, 1, 'done');
+    return { name: params.name, failed: params.failedItems || 0 };
+  }
+});
+registerJobHandler('test-broken', {
+  label: 'Broken test job',
+  run: async () => { throw new Error('ShipStation said no'); }
+});
+
+// Wait until the job leaves queued/running
+async function finished(id) {
+  for (let i = 0; i < 100; i++) {
+    const job = await getJob(id, { full: true });
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+const jobFailedNotifications = async () =>
+  (await (await getDB()).all(`SELECT title FROM notifications WHERE topic = 'job-failed' ORDER BY id`)).map(r => r.title);
+
+test('jobs running at a restart are re-queued until their third attempt, then failed', async () => {
+  const db = await getDB();
+  const insertRunning = async (name, attempts, cancelRequested = 0) => (await db.run(
+    `INSERT INTO jobs (type, params_json, created_by, status, attempts, cancel_requested) VALUES ('test-ok', ?, 'ops@hemlockandoak.com', 'running', ?, ?)`,
+    JSON.stringify({ name }), attempts, cancelRequested
+  )).lastID;
+
+  const retried = await insertRunning('second try', 2);
+  const exhausted = await insertRunning('fourth try', 3);
+  const cancelled = await insertRunning('cancelled', 1, 1);
+
+  await startJobWorker();
+
+  const done = await finished(retried);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.attempts, 3);
+  assert.deepEqual(done.result, { name: 'second try', failed: 0 });
+  assert.match(done.log.join('\n'), /ran second try/);
+
+  const failed = await getJob(exhausted);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Interrupted by restart 3 times');
+  assert.equal((await getJob(cancelled)).status, 'cancelled');
+  assert.deepEqual(runs, ['second try']);
+});
+
+test('a job that throws is failed with its error and sends a job-failed notification', async () => {
+  const before = await jobFailedNotifications();
+  const job = await enqueueJob('test-broken', {}, { createdBy: 'ops@hemlockandoak.com' });
+
+  const done = await finished(job.id);
+  assert.equal(done.status, 'failed');
+  assert.equal(done.error, 'ShipStation said no');
+  assert.equal(done.attempts, 1);
+  assert.match(done.log.at(-1), /Failed: ShipStation said no/);
+
+  const sent = (await jobFailedNotifications()).slice(before.length);
+  assert.deepEqual(sent, [`Broken test job #${job.id} failed: ShipStation said no`]);
+});
+
+test('a job that finishes with failed items notifies; a clean one does not', async () => {
+  const before = await jobFailedNotifications();
+
+  const partial = await enqueueJob('test-ok', { name: 'partial', failedItems: 2 });
+  assert.equal((await finished(partial.id)).status, 'completed');
+  const clean = await enqueueJob('test-ok', { name: 'clean' });
+  assert.equal((await finished(clean.id)).status, 'completed');
+
+  const sent = (await jobFailedNotifications()).slice(before.length);
+  assert.deepEqual(sent, [`Test job #${partial.id} finished with 2 failed items`]);
+});
+
+test('unknown types are refused and finished jobs cannot be cancelled', async () => {
+  await assert.rejects(enqueueJob('no-such-job'), err => err.status === 400);
+
+  const job = await enqueueJob('test-ok', { name: 'quick' });
+  await finished(job.id);
+  await assert.rejects(cancelJob(job.id), err => err.status === 400 && /already completed/.test(err.message));
+  await assert.rejects(cancelJob(99999), err => err.status === 404);
+});
@@ -0,0 +1,230 @@
+// test/labels.test.js - server-rendered shelf labels (utils/barcodes.js, utils/pdf-writer.js, utils/label-renderer.js)
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { encodeCode128, encodeQr, reedSolomon, qrFormatBits, qrVersionBits } = require('../utils/barcodes');
+const { createPdf, textWidth, fitText, wrapText } = require('../utils/pdf-writer');
+const { renderLabelsPdf, renderLabelsZpl, inventoryUrl, skusWithoutBarcode } = require('../utils/label-renderer');
+
+const items = [
+  { pick: '101', sku: '2026-WKL-SAG', name: '2026 Weekly Planner - Sage', location: 'A-01-1' },
+  { pick: '102', sku: 'STK_BOT^1', name: 'Botanical Sticker Sheet', location: 'B-02-3' },
+  { pick: '103', sku: 'NB-DOT', name: 'Dot Grid Notebook with a very long name that will not fit on the two lines a shelf label has room for, even at eight points', location: '' }
+];
+
+// ===== Code 128 =====
+
+test('Code 128 packs digit runs in set C and ends with the mod-103 checksum', () => {
+  const { codes, widths, modules } = encodeCode128('2026-WKL-SAG');
+  // Start C, "20" "26", Code B, "-WKL-SAG", checksum
+  assert.deepEqual(codes, [105, 20, 26, 100, 13, 55, 43, 44, 13, 51, 33, 39, 14]);
+  assert.equal(modules, 11 * codes.length + 13);
+  assert.equal(widths.reduce((a, b) => a + b, 0), modules);
+
+  // "AB" then an odd run of 5 digits: one digit in B, then set C for the pairs
+  assert.deepEqual(encodeCode128('AB12345').codes.slice(0, 6), [104, 33, 34, 17, 99, 23]);
+  assert.deepEqual(encodeCode128('A-1').codes, [104, 33, 13, 17, (104 + 33 + 13 * 2 + 17 * 3) % 103]);
+});
+
+test('Code 128 rejects empty and non-ASCII values', () => {
+  assert.throws(() => encodeCode128(''), err => err.status === 400);
+  assert.throws(() => encodeCode128('CAFÉ-1'), err => err.status === 400 && /can't encode/.test(err.message));
+});
+
+// ===== QR =====
+
+test('QR Reed-Solomon, format and version bits match the ISO 18004 examples', () => {
+  // "HELLO WORLD" at 1-M (alphanumeric data codewords from the spec's worked example)
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  assert.deepEqual(reedSolomon(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+
+  assert.equal(qrFormatBits(0).toString(2).padStart(15, '0'), '101010000010010');
+  assert.equal(qrFormatBits(5).toString(2).padStart(15, '0'), '100000011001110');
+  assert.equal(qrVersionBits(7).toString(2).padStart(18, '0'), '000111110010010100');
+});
+
+// Reads a single-block (version 1-3) level M symbol back to its bytes, independently of the encoder
+function decodeQr(modules) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  assert.ok(version >= 1 && version <= 3, 'decoder handles single-block versions only');
+
+  let format = 0;
+  for (let i = 0; i <= 5; i++) format |= (modules[i][8] ? 1 : 0) << i;
+  format |= (modules[7][8] ? 1 : 0) << 6;
+  format |= (modules[8][8] ? 1 : 0) << 7;
+  format |= (modules[8][7] ? 1 : 0) << 8;
+  for (let i = 9; i < 15; i++) format |= (modules[8][14 - i] ? 1 : 0) << i;
+  format ^= 0x5412;
+  assert.equal(format >>> 13, 0b00, 'error correction level M');
+  const mask = (format >>> 10) & 7;
+
+  const align = { 1: null, 2: 18, 3: 22 }[version];
+  const isFunction = (x, y) =>
+    x === 6 || y === 6 ||
+    (x <= 8 && y <= 8) || (x >= size - 8 && y <= 8) || (x <= 8 && y >= size - 8) ||
+    (align !== null && Math.abs(x - align) <= 2 && Math.abs(y - align) <= 2);
+  const masks = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  const bits = [];
+  let upward = true;
+  for (let right = size - 1; right > 0; right -= 2) {
+    if (right === 6) right--;
+    for (let n = 0; n < size; n++) {
+      const y = upward ? size - 1 - n : n;
+      for (const x of [right, right - 1]) {
+        if (!isFunction(x, y)) bits.push(modules[y][x] !== masks[mask](x, y) ? 1 : 0);
+      }
+    }
+    upward = !upward;
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  const dataCount = { 1: 16, 2: 28, 3: 44 }[version];
+  const ecCount = { 1: 10, 2: 16, 3: 26 }[version];
+  const dataWords = codewords.slice(0, dataCount);
+  assert.deepEqual(codewords.slice(dataCount, dataCount + ecCount), reedSolomon(dataWords, ecCount));
+
+  const stream = dataWords.map(b => b.toString(2).padStart(8, '0')).join('');
+  assert.equal(stream.slice(0, 4), '0100', 'byte mode');
+  const length = parseInt(stream.slice(4, 12), 2);
+  const bytes = [];
+  for (let i = 0; i < length; i++) bytes.push(parseInt(stream.slice(12 + i * 8, 20 + i * 8), 2));
+  return Buffer.from(bytes).toString('utf8');
+}
+
+test('QR codes decode back to their text', () => {
+  for (const text of ['A-01', 'STK-BOT', 'https://example.com/inventory?query=NB-DOT']) {
+    const qr = encodeQr(text);
+    assert.equal(qr.modules.length, qr.size);
+    assert.equal(decodeQr(qr.modules), text);
+  }
+});
+
+test('QR picks the smallest version that fits and rejects data past version 10', () => {
+  assert.equal(encodeQr('x'.repeat(14)).version, 1);
+  assert.equal(encodeQr('x'.repeat(15)).version, 2);
+  assert.equal(encodeQr(inventoryUrl('2026-WKL-SAG', 'hemlock-oak.myshopify.com')).version, 5);
+  assert.equal(encodeQr('x'.repeat(213)).version, 10);
+  assert.throws(() => encodeQr('x'.repeat(214)), err => err.status === 400);
+});
+
+test('inventory URLs use the store handle and encode the SKU', () => {
+  assert.equal(
+    inventoryUrl('A&B 1', 'https://my-shop.myshopify.com/'),
+    'https://admin.shopify.com/store/my-shop/products/inventory?query=A%26B%201'
+  );
+});
+
+// ===== PDF =====
+
+function pdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.equal(text.slice(startxref, startxref + 4), 'xref');
+  const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+  offsets.forEach((offset, i) => assert.equal(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+
+  const streams = [...text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(m => {
+    const start = m.index + m[0].length;
+    return zlib.inflateSync(buffer.subarray(start, start + Number(m[1]))).toString('latin1');
+  });
+  return { count: Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]), streams };
+}
+
+test('PDF text is measured with the Helvetica metrics and fitted with an ellipsis', () => {
+  assert.equal(textWidth('Hello', { size: 10 }), 22.78);
+  assert.equal(textWidth('Hello', { size: 10, bold: true }), 24.45);
+  assert.equal(fitText('Short', 100, { size: 10 }), 'Short');
+  assert.equal(fitText('Botanical Sticker Sheet', 50, { size: 10 }), 'Botanica…');
+  assert.deepEqual(wrapText('one two three four five', 40, { size: 10 }, 2), ['one two', 'three f…']);
+});
+
+test('the PDF writer produces a valid xref and identical bytes for identical input', () => {
+  const build = () => {
+    const pdf = createPdf({ width: 288, height: 432 });
+    pdf.addPage().rect(10, 10, 20, 20).text('Pick (1) \\ “A”', 10, 50, { size: 12, bold: true });
+    pdf.addPage().line(0, 54, 288, 54, { dash: [3, 2] });
+    return pdf.toBuffer();
+  };
+
+  const buffer = build();
+  assert.equal(buffer.subarray(0, 8).toString('latin1'), '%PDF-1.4');
+  assert.deepEqual(buffer, build());
+
+  const { count, streams } = pdfPages(buffer);
+  assert.equal(count, 2);
+  assert.match(streams[0], /0 g 10 402 20 20 re f/);
+  assert.match(streams[0], /\/F2 12 Tf 10 382 Td \(Pick \\\(1\\\) \\\\ \x93A\x94\) Tj/);
+  assert.match(streams[1], /\[3 2\] 0 d 0 378 m 288 378 l S/);
+});
+
+test('PDF labels fill 4x6 pages of 8 detailed or 6 QR labels', () => {
+  const many = Array.from({ length: 9 }, (_, i) => ({ ...items[i % 3], pick: String(200 + i) }));
+
+  const detailed = pdfPages(renderLabelsPdf('detailed', many));
+  assert.equal(detailed.count, 2);
+  assert.match(detailed.streams[0], /\(200\) Tj/);
+  assert.match(detailed.streams[1], /\(208\) Tj/);
+  // Long product names wrap to two lines and are cut with an ellipsis
+  assert.match(detailed.streams[0], /\(Dot Grid Notebook with a very long name that will not fit\) Tj/);
+  assert.match(detailed.streams[0], /\(on the two lines a shelf label has room for, even at eigh\x85\) Tj/);
+
+  const qr = pdfPages(renderLabelsPdf('qrinv', many));
+  assert.equal(qr.count, 2);
+  assert.match(qr.streams[1], /\(206\) Tj/);
+
+  assert.throws(() => renderLabelsPdf('round', many), err => err.status === 400);
+});
+
+test('detailed labels for SKUs Code 128 can\'t encode print without the barcode and are reported', () => {
+  const mixed = [{ pick: '401', sku: 'CAFÉ-1', name: 'Café Notebook', location: 'C-01-1' }, items[2]];
+
+  // One graphic per label for the pick arrows, plus the barcode on the ASCII SKU's label only
+  const zpl = renderLabelsZpl('detailed', mixed);
+  assert.equal(zpl.match(/\^GFA,/g).length, 3);
+  assert.equal(renderLabelsZpl('detailed', [items[2]]).match(/\^GFA,/g).length, 2);
+  assert.equal(pdfPages(renderLabelsPdf('detailed', mixed)).count, 1);
+
+  assert.deepEqual(skusWithoutBarcode('detailed', mixed), ['CAFÉ-1']);
+  assert.deepEqual(skusWithoutBarcode('qrinv', mixed), []);
+});
+
+// ===== ZPL =====
+
+test('ZPL has one format per 4x6 page sized for the printer resolution', () => {
+  const many = Array.from({ length: 7 }, (_, i) => ({ ...items[i % 3], pick: String(300 + i) }));
+
+  const zpl = renderLabelsZpl('qrinv', many);
+  assert.equal(zpl.match(/\^XA/g).length, 2);
+  assert.equal(zpl.match(/\^XZ/g).length, 2);
+  assert.match(zpl, /\^PW812\n\^LL1218\n/);
+  assert.equal(zpl.match(/\^GFA,/g).length, 7);
+
+  const zpl300 = renderLabelsZpl('detailed', items, { dpi: 300 });
+  assert.match(zpl300, /\^PW1200\n\^LL1800\n/);
+  assert.equal(zpl300.match(/\^XA/g).length, 1);
+});
+
+test('ZPL escapes field data and sizes graphic fields to their hex data', () => {
+  const zpl = renderLabelsZpl('detailed', items);
+  assert.match(zpl, /\^FH_\^FDSTK_5FBOT_5E1\^FS/);
+  assert.doesNotMatch(zpl, /\^FD[^\n]*STK_BOT/);
+
+  for (const [, total, perRow, hex] of zpl.matchAll(/\^GFA,(\d+),\d+,(\d+),([0-9A-F]+)\^FS/g)) {
+    assert.equal(hex.length, Number(total) * 2);
+    assert.equal(Number(total) % Number(perRow), 0);
+  }
+});
@@ -0,0 +1,117 @@
+// test/migration-runner.test.js - versioned migrations (utils/migration-runner.js)
+// Discovery runs offline. The up/down tests need Postgres: set TEST_DATABASE_URL; they work in a
+// throwaway schema so the database's own schema_migrations is left alone.
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { discoverMigrations, migrateUp, migrateDown, getMigrationStatus, MIGRATIONS_DIR } = require('../utils/migration-runner');
+
+const tmpDirs = [];
+
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  tmpDirs.push(dir);
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+// ===== Discovery =====
+
+test('every migration in migrations/ has a down file', () => {
+  const migrations = discoverMigrations(MIGRATIONS_DIR);
+
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((m, i) => i + 1));
+  assert.ok(migrations.every(m => m.downFile), 'missing .down.sql');
+});
+
+test('discovery orders by version and ignores other files', () => {
+  const dir = migrationsDir({
+    '010_later.sql': 'SELECT 1;',
+    '002_first.sql': 'SELECT 1;',
+    '002_first.down.sql': 'SELECT 1;',
+    'README.md': '',
+    'notes.sql': ''
+  });
+
+  const migrations = discoverMigrations(dir);
+
+  assert.deepEqual(migrations.map(m => [m.version, m.name, !!m.downFile]), [[2, 'first', true], [10, 'later', false]]);
+});
+
+test('discovery rejects two names for one version and down files without an up file', () => {
+  assert.throws(
+    () => discoverMigrations(migrationsDir({ '003_a.sql': '', '003_b.sql': '' })),
+    /version 3 is used by both a and b/
+  );
+  assert.throws(
+    () => discoverMigrations(migrationsDir({ '004_gone.down.sql': '' })),
+    /004_gone has a down file but no up file/
+  );
+});
+
+// ===== Postgres =====
+
+const pgSkip = !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a disposable Postgres database';
+const SCHEMA = `migration_runner_test_${process.pid}`;
+let pool;
+
+before(async () => {
+  if (pgSkip) return;
+  const { Pool } = require('pg');
+  const admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  await admin.query(`CREATE SCHEMA ${SCHEMA}`);
+  await admin.end();
+  pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL, options: `-c search_path=${SCHEMA}` });
+});
+
+after(async () => {
+  tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  if (!pool) return;
+  await pool.query(`DROP SCHEMA ${SCHEMA} CASCADE`);
+  await pool.end();
+});
+
+const tables = async () =>
+  (await pool.query('SELECT table_name FROM information_schema.tables WHERE table_schema = $1 ORDER BY 1', [SCHEMA]))
+    .rows.map(r => r.table_name);
+
+test('migrations run once, in order, and revert with their down files', { skip: pgSkip }, async () => {
+  const dir = migrationsDir({
+    '001_widgets.sql': 'CREATE TABLE widgets (id INT);',
+    '001_widgets.down.sql': 'DROP TABLE widgets;',
+    '002_gadgets.sql': 'CREATE TABLE gadgets (widget_id INT);',
+    '002_gadgets.down.sql': 'DROP TABLE gadgets;'
+  });
+
+  assert.deepEqual(await migrateUp(pool, { dir }), { applied: ['001_widgets', '002_gadgets'], current: 2 });
+  assert.deepEqual(await migrateUp(pool, { dir }), { applied: [], current: 2 });
+  assert.deepEqual(await tables(), ['gadgets', 'schema_migrations', 'widgets']);
+
+  assert.deepEqual(await migrateDown(pool, { dir }), { reverted: ['002_gadgets'], current: 1 });
+  const status = await getMigrationStatus(pool, { dir });
+  assert.equal(status.pending, 1);
+  assert.deepEqual(status.migrations.map(m => [m.version, m.applied]), [[1, true], [2, false]]);
+
+  assert.deepEqual(await migrateDown(pool, { dir, target: 0 }), { reverted: ['001_widgets'], current: null });
+  assert.deepEqual(await tables(), ['schema_migrations']);
+});
+
+test('a failing migration leaves neither its changes nor a schema_migrations row', { skip: pgSkip }, async () => {
+  const dir = migrationsDir({
+    '001_ok.sql': 'CREATE TABLE ok_table (id INT);',
+    '002_broken.sql': 'CREATE TABLE half_done (id INT); SELECT no_such_column FROM ok_table;'
+  });
+
+  await assert.rejects(migrateUp(pool, { dir }), /Migration 002_broken failed/);
+
+  assert.deepEqual(await tables(), ['ok_table', 'schema_migrations']);
+  const { current, pending } = await getMigrationStatus(pool, { dir });
+  assert.deepEqual({ current, pending }, { current: 1, pending: 1 });
+
+  await assert.rejects(migrateDown(pool, { dir }), err => err.status === 400 && /No down migration for version 1/.test(err.message));
+  assert.deepEqual(await tables(), ['ok_table', 'schema_migrations']);
+});
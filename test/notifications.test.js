@@ -0,0 +1,88 @@
+// test/notifications.test.js - notification targets: chat only to configured https webhooks, email only in-company
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+delete process.env.SMTP_HOST;
+delete process.env.NOTIFY_CHAT_WEBHOOK_URL;
+delete process.env.NOTIFY_EMAIL_DOMAIN;
+
+const { listChannels, getSubscriptions, setSubscriptions, sendTest } = require('../utils/notifications');
+const { getDB } = require('../utils/database');
+
+// Local HTTP sink that records every request it gets
+const received = [];
+const sink = http.createServer((req, res) => {
+  received.push(`${req.method} ${req.url}`);
+  res.end('ok');
+});
+let sinkUrl;
+
+before(async () => {
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+  sinkUrl = `http://127.0.0.1:${sink.address().port}/hook`;
+  process.env.NOTIFY_CHAT_WEBHOOKS = `sink=${sinkUrl},packing=https://hooks.example.test/packing`;
+});
+
+after(async () => {
+  await new Promise(resolve => sink.close(resolve));
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const USER = 'picker@hemlockandoak.com';
+
+test('chat offers only the configured https webhooks, by name', () => {
+  const chat = listChannels().find(c => c.name === 'chat');
+  assert.equal(chat.configured, true);
+  assert.deepEqual(chat.targets, ['packing']);
+});
+
+test('a test message to a user-entered or non-https webhook never reaches the sink', async () => {
+  for (const target of [sinkUrl, 'sink', 'http://169.254.169.254/latest/meta-data/']) {
+    await assert.rejects(sendTest('chat', target, { userEmail: USER }), err => {
+      assert.equal(err.status, 400);
+      assert.match(err.message, /not one of the configured webhooks/);
+      return true;
+    });
+  }
+  assert.deepEqual(received, []);
+});
+
+test('subscriptions accept configured webhooks and company email, reject everything else', async () => {
+  const sub = (channel, target) => ({ topic: 'job-failed', channel, target, mode: 'instant', enabled: true });
+
+  await assert.rejects(setSubscriptions(USER, [sub('chat', sinkUrl)]), /not one of the configured webhooks/);
+  await assert.rejects(setSubscriptions(USER, [sub('email', 'someone@gmail.com')]), err => {
+    assert.equal(err.status, 400);
+    assert.match(err.message, /own address or an @hemlockandoak\.com address/);
+    return true;
+  });
+  await assert.rejects(setSubscriptions(USER, [sub('email', 'x@hemlockandoak.com.evil.test')]), /own address/);
+
+  await setSubscriptions(USER, [
+    sub('chat', 'packing'),
+    { ...sub('chat', 'https://hooks.example.test/packing'), topic: 'order-changes' },
+    { ...sub('email', 'Picker@HemlockAndOak.com'), topic: 'order-changes' },
+    { ...sub('email', 'warehouse-leads@hemlockandoak.com'), topic: 'customs-scan' }
+  ]);
+  const saved = await getSubscriptions(USER);
+  assert.equal(saved.length, 4);
+  assert.deepEqual(received, []);
+});
+
+test('a user outside the company can still send email to their own login', async () => {
+  const outsider = 'contractor@partner.example';
+  await setSubscriptions(outsider, [{ topic: 'job-failed', channel: 'email', target: outsider, mode: 'digest', enabled: true }]);
+  await assert.rejects(
+    setSubscriptions(outsider, [{ topic: 'job-failed', channel: 'email', target: 'other@partner.example', mode: 'digest', enabled: true }]),
+    /own address/
+  );
+});
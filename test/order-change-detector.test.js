@@ -0,0 +1,93 @@
+// test/order-change-detector.test.js - comparing order details (compareOrderDetails in utils/order-change-detector-job.js)
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-change-detector-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+// The job builds API clients on load; nothing here calls them
+process.env.SHIPSTATION_API_KEY = 'test-key';
+process.env.SHIPSTATION_API_SECRET = 'test-secret';
+process.env.SHOPIFY_STORE = 'test.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+
+const { compareOrderDetails } = require('../utils/order-change-detector-job');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const shopifyAddress = {
+  name: 'Jordan Rivera',
+  company: '',
+  address1: '123 North Main Street',
+  address2: 'Apartment 4B',
+  city: 'Springfield',
+  province_code: 'IL',
+  zip: '62704',
+  country_code: 'US'
+};
+
+// ShipStation's cleaned-up version of the same address
+const shipTo = {
+  name: 'JORDAN RIVERA',
+  company: null,
+  street1: '123 N MAIN ST',
+  street2: '#4B',
+  street3: null,
+  city: 'SPRINGFIELD',
+  state: 'IL',
+  postalCode: '62704-1234',
+  country: 'US'
+};
+
+const compare = (address, ssShipTo) => compareOrderDetails(
+  { shipping_address: address, line_items: [] },
+  { shipTo: ssShipTo, items: [] }
+);
+
+test('ShipStation address cleanup (case, abbreviations, punctuation, ZIP+4) is not a change', () => {
+  assert.deepEqual(compare(shopifyAddress, shipTo), []);
+  assert.deepEqual(compare(
+    { ...shopifyAddress, address1: '77 Lakeshore Blvd. West, Suite 300', address2: '' },
+    { ...shipTo, street1: '77 LAKESHORE BOULEVARD W', street2: 'STE 300' }
+  ), []);
+  assert.deepEqual(compare(
+    { ...shopifyAddress, address1: 'P.O. Box 55', address2: '' },
+    { ...shipTo, street1: 'PO BOX 55', street2: '' }
+  ), []);
+});
+
+test('a unit moved between street lines is not a change', () => {
+  assert.deepEqual(compare(
+    { ...shopifyAddress, address1: '123 North Main Street Apt. 4B', address2: '' },
+    shipTo
+  ), []);
+});
+
+test('real address changes are reported field by field', () => {
+  const [change, ...rest] = compare(
+    { ...shopifyAddress, address1: '125 North Main Street', zip: '62711' },
+    shipTo
+  );
+  assert.equal(rest.length, 0);
+  assert.equal(change.type, 'address_changed');
+  assert.deepEqual(change.fields, [
+    { field: 'street 1', shopify: '125 North Main Street', shipstation: '123 N MAIN ST' },
+    { field: 'postal code', shopify: '62711', shipstation: '62704-1234' }
+  ]);
+
+  const [unit] = compare({ ...shopifyAddress, address2: 'Apartment 5B' }, shipTo);
+  assert.deepEqual(unit.fields.map(f => f.field), ['street 2']);
+});
+
+test('outside the US the whole postal code counts, ignoring case and spaces', () => {
+  const address = { ...shopifyAddress, province_code: 'ON', zip: 'm5v 2t6', country_code: 'CA' };
+  const ca = { ...shipTo, state: 'ON', postalCode: 'M5V2T6', country: 'CA' };
+  assert.deepEqual(compare(address, ca), []);
+  assert.deepEqual(compare({ ...address, zip: 'M5V 2T7' }, ca)[0].fields.map(f => f.field), ['postal code']);
+});
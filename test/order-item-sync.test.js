@@ -0,0 +1,99 @@
+// test/order-item-sync.test.js - rebuilding ShipStation items from Shopify (utils/order-item-sync.js)
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-item-sync-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+// The change detector job builds API clients on load; nothing here calls them
+process.env.SHIPSTATION_API_KEY = 'test-key';
+process.env.SHIPSTATION_API_SECRET = 'test-secret';
+process.env.SHOPIFY_STORE = 'test.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+
+const { buildItemSyncPlan } = require('../utils/order-item-sync');
+const customsManager = require('../utils/customs-manager');
+const { DEFAULT_CUSTOMS_RULES, setCustomsRules } = require('../utils/customs-rules');
+
+before(async () => {
+  await customsManager.loadCUSMADatabase(path.join(__dirname, 'fixtures/cusma.csv'));
+  // A rule the CUSMA fallback description trips, so new lines visibly go through the rules
+  setCustomsRules([
+    { name: 'title-general', product_type: 'stationery', hs_code: '4820900000', description: 'Stationery', title_pattern: 'general merchandise' },
+    ...DEFAULT_CUSTOMS_RULES
+  ], 'test');
+});
+
+after(() => {
+  setCustomsRules(DEFAULT_CUSTOMS_RULES, 'defaults');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const ssOrder = {
+  orderNumber: '3001',
+  modifyDate: '2026-10-01T10:00:00.000',
+  shipTo: { country: 'US' },
+  items: [
+    { orderItemId: 11, lineItemKey: '901', sku: '2025Q4-DAI-AUT', name: '2025 Daily Planner - Autumn', quantity: 1, unitPrice: 40,
+      options: [{ name: 'Gift note', value: 'Happy birthday' }] },
+    { orderItemId: 12, lineItemKey: '902', sku: 'OLD-PEN', name: 'Gel Pen', quantity: 1, unitPrice: 4 },
+    { orderItemId: 13, sku: 'LIST-DEF', name: 'Sticker freebie', quantity: 1, unitPrice: 0 }
+  ],
+  internationalOptions: {
+    contents: 'merchandise',
+    customsItems: [
+      // Fixed by hand / the customs rules after import; must survive the sync
+      { customsItemId: 501, sku: '2025Q4-DAI-AUT', description: 'Planner agenda (bound diary) - hardcover', quantity: 1, value: 40, harmonizedTariffCode: '4820102010', countryOfOrigin: 'CA' },
+      { customsItemId: 502, sku: 'OLD-PEN', description: 'Gel ink pen', quantity: 1, value: 4, harmonizedTariffCode: '9608100000', countryOfOrigin: 'JP' },
+      { customsItemId: 503, sku: 'LIST-DEF', description: 'Paper stickers (promotional material)', quantity: 1, value: 0, harmonizedTariffCode: '4821100010', countryOfOrigin: 'CA' }
+    ]
+  }
+};
+
+const shopifyOrder = {
+  line_items: [
+    { id: 901, product_id: 1, sku: '2025Q4-DAI-AUT', name: '2025 Daily Planner - Autumn', quantity: 2, price: '40.00',
+      properties: [{ name: 'Monogram', value: 'JR' }, { name: '_bundle_id', value: 'x1' }] },
+    { id: 903, product_id: 2, sku: 'MYSTERY-BOX', name: 'Mystery Box', quantity: 1, price: '25.00', properties: [] }
+  ]
+};
+
+test('kept items keep their customs lines; only added items get new lines, fixed by the customs rules', () => {
+  const plan = buildItemSyncPlan(shopifyOrder, ssOrder);
+
+  assert.deepEqual(plan.items.map(i => [i.sku, i.quantity]), [['2025Q4-DAI-AUT', 2], ['MYSTERY-BOX', 1], ['LIST-DEF', 1]]);
+  assert.deepEqual(plan.diff.removed.map(i => i.sku), ['OLD-PEN']);
+
+  assert.deepEqual(plan.customsItems.map(c => [c.description, c.harmonizedTariffCode, c.quantity]), [
+    ['Planner agenda (bound diary) - hardcover', '4820102010', 2],
+    ['Stationery', '4820900000', 1],
+    ['Paper stickers (promotional material)', '4821100010', 1]
+  ]);
+  assert.equal(plan.customsItems[0].customsItemId, 501);
+  assert.equal(plan.customsItems[2].customsItemId, 503);
+});
+
+test('matched items take the Shopify line properties as options and keep ShipStation-only ones', () => {
+  const [planner] = buildItemSyncPlan(shopifyOrder, ssOrder).items;
+  assert.equal(planner.orderItemId, 11);
+  assert.deepEqual(planner.options, [
+    { name: 'Monogram', value: 'JR' },
+    { name: 'Gift note', value: 'Happy birthday' }
+  ]);
+});
+
+test('without SKUs on the customs lines, one line per item is matched by position', () => {
+  const order = {
+    ...ssOrder,
+    internationalOptions: {
+      customsItems: ssOrder.internationalOptions.customsItems.map(({ sku, customsItemId, ...line }) => line)
+    }
+  };
+  const plan = buildItemSyncPlan(shopifyOrder, order);
+  assert.equal(plan.customsItems[0].description, 'Planner agenda (bound diary) - hardcover');
+  assert.equal(plan.customsItems[2].description, 'Paper stickers (promotional material)');
+});
@@ -0,0 +1,134 @@
+// test/pick-list.test.js - pick lists from ShipStation orders (utils/pick-list.js)
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parseCsv } = require('../utils/shipstation-helpers');
+const { buildPickList, pickListCsv, renderPickListPdf } = require('../utils/pick-list');
+
+const order = (orderNumber, items, shipTo = 'Jane Doe') => ({
+  orderId: 500000 + Number(orderNumber),
+  orderNumber,
+  shipTo: { name: shipTo },
+  items: items.map(([sku, quantity, name = sku]) => ({ sku, quantity, name }))
+});
+
+const orders = [
+  order('2001', [['2026-wkl-sag ', 1, '2026 Weekly Planner - Sage'], ['NB-DOT', 2], ['', 1, 'Botanical Sticker Sheet']]),
+  order('2002', [['2026-WKL-SAG', 2], ['STK-BOT', 1], ['LIST-DEF', 1, 'Complimentary stickers']], 'Sam Lee'),
+  { ...order('2003', [['NB-DOT', 1]]), items: [{ sku: 'NB-DOT', quantity: 1 }, { sku: '', name: 'Discount', quantity: 1, adjustment: true }] }
+];
+
+// variants rows as getVariantsByIdsOrSkus returns them
+const variants = [
+  { shopify_variant_id: '4510001', sku: '2026-WKL-SAG', product_title: '2026 Weekly Planner', variant_title: 'Sage', pick_number: '104', warehouse_location: 'A-01-2-1', is_archived: false },
+  { shopify_variant_id: '4510004', sku: 'NB-DOT', product_title: 'Dot Grid Notebook', variant_title: 'Default Title', pick_number: '', warehouse_location: 'A-01-1-1', is_archived: false },
+  { shopify_variant_id: '4510003', sku: 'STK-BOT', product_title: 'Botanical Sticker Sheet', variant_title: null, pick_number: '9', warehouse_location: 'B-02-3', is_archived: false },
+  { shopify_variant_id: '4510007', sku: 'STK-BOT', product_title: 'Botanical Sticker Sheet (old)', variant_title: null, pick_number: '8', warehouse_location: null, is_archived: true }
+];
+const bins = [{ location_code: 'A-01-1-1' }, { location_code: 'A-01-2-1' }];
+
+const summarize = lines => lines.map(l => [l.pick, l.sku, l.quantity, l.orderNumbers.join(' '), l.flag]);
+
+test('items are totalled by SKU and sorted by pick number, flagging lines without one', () => {
+  const pickList = buildPickList(orders, variants, { bins });
+
+  assert.deepEqual(summarize(pickList.lines), [
+    ['9', 'STK-BOT', 1, '2002', null],
+    ['104', '2026-WKL-SAG', 3, '2001 2002', null],
+    [null, 'NB-DOT', 3, '2001 2003', 'no_pick'],
+    [null, 'LIST-DEF', 1, '2002', 'unknown_sku'],
+    [null, '', 1, '2001', 'no_sku']
+  ]);
+  assert.deepEqual(pickList.summary, { orders: 3, lines: 5, units: 9, flagged: 3 });
+
+  const [sticker, planner, notebook] = pickList.lines;
+  assert.deepEqual([sticker.variantId, sticker.name, sticker.location], ['4510003', 'Botanical Sticker Sheet', 'B-02-3']);
+  assert.deepEqual([planner.name, notebook.name, notebook.flagMessage], ['2026 Weekly Planner - Sage', 'Dot Grid Notebook', 'No pick number']);
+  assert.equal(pickList.lines[4].name, 'Botanical Sticker Sheet');
+});
+
+test('location sort follows the bin walk order, then other locations, then none', () => {
+  const pickList = buildPickList(orders, variants, { bins, sort: 'location' });
+
+  assert.deepEqual(pickList.lines.map(l => [l.location, l.sku]), [
+    ['A-01-1-1', 'NB-DOT'],
+    ['A-01-2-1', '2026-WKL-SAG'],
+    ['B-02-3', 'STK-BOT'],
+    [null, 'LIST-DEF'],
+    [null, '']
+  ]);
+});
+
+test('each order gets a sort sheet with its own quantities in pick list order', () => {
+  const { orders: sheets } = buildPickList(orders, variants, { bins });
+
+  assert.deepEqual(sheets.map(s => [s.orderNumber, s.shipTo, s.items.map(i => `${i.quantity} ${i.line.sku}`)]), [
+    ['2001', 'Jane Doe', ['1 2026-WKL-SAG', '2 NB-DOT', '1 ']],
+    ['2002', 'Sam Lee', ['1 STK-BOT', '2 2026-WKL-SAG', '1 LIST-DEF']],
+    ['2003', 'Jane Doe', ['1 NB-DOT']]
+  ]);
+});
+
+test('the CSV has one row per line with the flag spelled out', () => {
+  const rows = parseCsv(pickListCsv(buildPickList(orders, variants, { bins })));
+
+  assert.equal(rows.length, 5);
+  assert.deepEqual(rows[1], {
+    pickNumber: '104', location: 'A-01-2-1', sku: '2026-WKL-SAG', name: '2026 Weekly Planner - Sage',
+    quantity: '3', orders: '2', orderNumbers: '2001 2002', flag: ''
+  });
+  assert.deepEqual([rows[2].pickNumber, rows[2].flag], ['', 'No pick number']);
+  assert.equal(rows[3].flag, 'SKU not in the product DB');
+});
+
+// Page count and decompressed content streams of a pdf-writer PDF
+function pdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  const streams = [...text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(m => {
+    const start = m.index + m[0].length;
+    return zlib.inflateSync(buffer.subarray(start, start + Number(m[1]))).toString('latin1');
+  });
+  return { count: Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]), streams };
+}
+
+test('the PDF lists the lines, shades flagged ones and follows with the sort sheets', () => {
+  const heading = { title: 'Pick list - tag VIP', generatedAt: '2026-10-19 14:02 UTC' };
+  const pickList = buildPickList(orders, variants, { bins });
+  const buffer = renderPickListPdf(pickList, heading);
+  assert.deepEqual(buffer, renderPickListPdf(pickList, heading));
+
+  const { count, streams } = pdfPages(buffer);
+  assert.equal(count, 2);
+  assert.match(streams[0], /\(Pick list - tag VIP\) Tj/);
+  assert.match(streams[0], /\(Page 1 of 2\) Tj/);
+  assert.match(streams[0], /\(3 orders \x95 5 lines \x95 9 units \x95 sorted by pick number \x95 3 without a pick number \\\(shaded\\\) \x95 2026-10-19 14:02 UTC\) Tj/);
+  assert.match(streams[0], /\(104\) Tj/);
+  assert.match(streams[0], /\(Orders 2001, 2002\) Tj/);
+  assert.match(streams[0], /\(NO PICK NUMBER\) Tj/);
+  // Three shaded rows, one per flagged line
+  assert.equal(streams[0].match(/0\.88 g/g).length, 3);
+
+  assert.match(streams[1], /\(Pick list - tag VIP - sort sheet\) Tj/);
+  assert.match(streams[1], /\(Order #2002\) Tj/);
+  assert.match(streams[1], /\(3 lines \x95 4 units\) Tj/);
+});
+
+test('long pick lists continue on further pages with the order sheets kept together', () => {
+  const many = Array.from({ length: 60 }, (_, i) => order(String(3000 + i), [[`SKU-${i}`, 1], [`SKU-${i + 1}`, 2]]));
+  const manyVariants = Array.from({ length: 61 }, (_, i) => ({
+    shopify_variant_id: String(7000 + i), sku: `SKU-${i}`, product_title: `Product ${i}`, variant_title: null,
+    pick_number: String(i + 1), warehouse_location: null, is_archived: false
+  }));
+  const pickList = buildPickList(many, manyVariants);
+  const { count, streams } = pdfPages(renderPickListPdf(pickList, { title: 'Pick list', generatedAt: 'now' }));
+
+  // 61 lines of 26 pt on 656 pt of body: 25 per page, then 60 sort sheets of 62 pt: 10 per page
+  assert.equal(count, 3 + 6);
+  assert.match(streams[2], /\(61\) Tj/);
+  assert.match(streams[3], /\(Order #3000\) Tj/);
+  for (const stream of streams.slice(3)) {
+    assert.equal(stream.match(/\(Order #\d+\) Tj/g).length, stream.match(/\(\d+ lines \x95 3 units\) Tj/g).length);
+  }
+});
@@ -0,0 +1,59 @@
+// test/promo-rules.test.js - order line promo classification (utils/promo-rules.js)
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promo-rules-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+// No product DB: loading variant SKUs fails unless a test supplies them
+process.env.PRODUCT_DATABASE_NEON = '';
+process.env.DATABASE_URL = '';
+
+const { classifyLine, addPromoRule, updatePromoSettings, loadPromoRules } = require('../utils/promo-rules');
+const productDb = require('../utils/product-db');
+const { getDB } = require('../utils/database');
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run fn with getActiveVariantSkus answering skus
+async function withVariantSkus(skus, fn) {
+  const original = productDb.getActiveVariantSkus;
+  productDb.getActiveVariantSkus = async () => skus;
+  try {
+    await loadPromoRules();
+    await fn();
+  } finally {
+    productDb.getActiveVariantSkus = original;
+  }
+}
+
+test('a product variant is a product even when a deny pattern matches its name', async () => {
+  await addPromoRule({ list: 'deny', matchType: 'name', pattern: 'gift' }, 'test');
+  await updatePromoSettings({ variantCheck: true, heuristics: true }, 'test');
+
+  await withVariantSkus(['GIFT-WRAP-KRAFT'], async () => {
+    assert.deepEqual(classifyLine('gift-wrap-kraft', 'Gift Wrap - Kraft', '5.00'), { promo: false, reason: 'SKU is a product variant' });
+    assert.deepEqual(classifyLine('GIFTCARD10', 'Gift card discount', '0'), { promo: true, reason: 'deny list #1 (name gift)' });
+  });
+});
+
+test('a failed variant SKU load is reported with the classification', async () => {
+  const status = await loadPromoRules();
+  assert.match(status.variantError, /DATABASE_URL/);
+
+  const result = classifyLine('SPRING-BOX', 'Spring Box', '0');
+  assert.equal(result.promo, true);
+  assert.equal(result.reason, 'price <= 0');
+  assert.match(result.variantError, /DATABASE_URL/);
+
+  // Nothing to report with the variant check off
+  await updatePromoSettings({ variantCheck: false }, 'test');
+  assert.equal(classifyLine('SPRING-BOX', 'Spring Box', '0').variantError, undefined);
+});
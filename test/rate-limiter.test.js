@@ -0,0 +1,103 @@
+// test/rate-limiter.test.js - token bucket refill/exhaustion and the single 429 retry layer
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AxiosError } = require('axios');
+
+// Fast refill so retries after a 429 (which empties the bucket) don't wait seconds
+process.env.SHIPSTATION_RATE_PER_MIN = '6000';
+process.env.SHIPSTATION_API_KEY = 'test-key';
+process.env.SHIPSTATION_API_SECRET = 'test-secret';
+
+const { TokenBucket, getRateLimiter, retryAfterMs } = require('../utils/rate-limiter');
+const { ShipStationAPI } = require('../shipstation-api');
+
+// The bucket's wait timers are unref'd (they never hold the server open); keep the test process alive meanwhile
+let keepAlive;
+before(() => { keepAlive = setInterval(() => {}, 1000); });
+after(() => clearInterval(keepAlive));
+
+// Axios adapter answering with the given statuses in turn (the last one repeats)
+function statusAdapter(statuses, headers = {}) {
+  const requests = [];
+  const adapter = async config => {
+    const status = statuses[Math.min(requests.length, statuses.length - 1)];
+    requests.push(config.url);
+    const response = { data: { orderId: 1 }, status, statusText: String(status), headers, config, request: {} };
+    if (!config.validateStatus(status)) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response);
+    }
+    return response;
+  };
+  return { adapter, requests };
+}
+
+// ===== Token bucket =====
+
+test('a bucket hands out its capacity at once, then waits for refill', async () => {
+  const bucket = new TokenBucket('test', { capacity: 2, refillPerSec: 20 });
+
+  const started = Date.now();
+  await bucket.acquire();
+  await bucket.acquire();
+  assert.ok(Date.now() - started < 30, 'the first two tokens are immediate');
+  assert.equal(bucket.status().tokens < 1, true);
+
+  await bucket.acquire();
+  assert.ok(Date.now() - started >= 40, 'the third waits about 1/20 s for a token');
+  assert.equal(bucket.status().requests, 3);
+
+  // Refills up to capacity and no further
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(bucket.status().tokens, 2);
+});
+
+test('server budgets and pauses lower the tokens', async () => {
+  const bucket = new TokenBucket('test', { capacity: 10, refillPerSec: 100 });
+
+  bucket.observe({ limit: 40, remaining: 3, resetMs: 1000 });
+  assert.equal(Math.floor(bucket.status().tokens), 3);
+  assert.deepEqual({ ...bucket.status().server, at: undefined }, { limit: 40, remaining: 3, resetMs: 1000, at: undefined });
+
+  bucket.pause(60);
+  assert.ok(bucket.status().tokens < 1);
+  const started = Date.now();
+  await bucket.acquire();
+  assert.ok(Date.now() - started >= 50, 'no token until the pause is over');
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  assert.equal(retryAfterMs({ 'retry-after': '2' }), 2000);
+  assert.equal(retryAfterMs({}), null);
+  const inAMinute = new Date(Date.now() + 60000).toUTCString();
+  assert.ok(Math.abs(retryAfterMs({ 'retry-after': inAMinute }) - 60000) < 2000);
+});
+
+// ===== 429 retries =====
+
+test('a 429 is retried by the shared limiter and succeeds', async () => {
+  const api = new ShipStationAPI();
+  const { adapter, requests } = statusAdapter([429, 429, 200], { 'retry-after': '0' });
+  api.client.defaults.adapter = adapter;
+  const throttledBefore = getRateLimiter('shipstation').stats.throttled;
+
+  assert.deepEqual(await api.getOrder(1), { orderId: 1 });
+  assert.equal(requests.length, 3);
+  assert.equal(getRateLimiter('shipstation').stats.throttled - throttledBefore, 2);
+});
+
+test('a 429 that persists is retried 3 times in all, not again by the client', async () => {
+  const api = new ShipStationAPI();
+  const { adapter, requests } = statusAdapter([429], { 'retry-after': '0' });
+  api.client.defaults.adapter = adapter;
+
+  await assert.rejects(api.getOrder(1), err => err.response?.status === 429);
+  assert.equal(requests.length, 4);
+
+  // Other errors are not retried
+  const notFound = statusAdapter([404]);
+  api.client.defaults.adapter = notFound.adapter;
+  await assert.rejects(api.getOrder(1), err => err.response?.status === 404);
+  assert.equal(notFound.requests.length, 1);
+});
@@ -0,0 +1,212 @@
+// test/shipstation-client.test.js - ShipStation client against recorded responses (no network)
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-client-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+process.env.SHIPSTATION_API_KEY = 'test-key';
+process.env.SHIPSTATION_API_SECRET = 'test-secret';
+
+const { ShipStationAPI, buildOrderUpsertPayload } = require('../shipstation-api');
+const { ORDER_UPSERT_FIELDS } = require('../utils/shipstation-helpers');
+const customsManager = require('../utils/customs-manager');
+const { listSnapshots, getSnapshot } = require('../utils/order-snapshots');
+const { getDB } = require('../utils/database');
+const { loadExchanges, createReplayAdapter } = require('./helpers/replay-adapter');
+
+const [{ response: { data: { orders: [order1001] } } }] = loadExchanges('shipstation/orders.json');
+
+// Client whose requests are answered from the given fixture files
+function replayClient(...files) {
+  const api = new ShipStationAPI();
+  const replay = createReplayAdapter(loadExchanges(...files));
+  api.client.defaults.adapter = replay.adapter;
+  return { api, requests: replay.requests };
+}
+
+const writes = requests => requests.filter(r => r.method === 'POST' && r.url === '/orders/createorder');
+
+before(async () => {
+  await customsManager.loadCUSMADatabase(path.join(__dirname, 'fixtures/cusma.csv'));
+});
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ===== buildOrderUpsertPayload =====
+
+test('buildOrderUpsertPayload carries every writable field and drops read-only ones', () => {
+  const payload = buildOrderUpsertPayload(order1001);
+
+  for (const field of ['orderTotal', 'createDate', 'modifyDate', 'userId', 'externallyFulfilled', 'labelMessages']) {
+    assert.equal(field in payload, false, `${field} should not be sent`);
+  }
+  for (const field of Object.keys(payload)) {
+    assert.ok(ORDER_UPSERT_FIELDS.includes(field), `${field} is not writable`);
+  }
+  assert.equal(payload.orderId, order1001.orderId);
+  assert.equal(payload.orderKey, order1001.orderKey);
+  assert.equal(payload.orderNumber, order1001.orderNumber);
+  assert.deepEqual(payload.shipTo, order1001.shipTo);
+  assert.deepEqual(payload.advancedOptions, order1001.advancedOptions);
+  assert.deepEqual(payload.tagIds, [31077]);
+  assert.equal(payload.paymentMethod, 'shopify_payments');
+});
+
+test('buildOrderUpsertPayload fills the values ShipStation rejects as null', () => {
+  const payload = buildOrderUpsertPayload({ ...order1001, paymentDate: null });
+
+  assert.equal(payload.paymentDate, order1001.orderDate);
+  assert.equal(payload.customerNotes, '');
+  assert.equal(payload.giftMessage, '');
+  assert.deepEqual(payload.dimensions, {});
+  assert.equal(payload.internationalOptions.contents, 'merchandise');
+  assert.equal(payload.internationalOptions.nonDelivery, 'return_to_sender');
+
+  const [item] = payload.items;
+  assert.equal(item.orderItemId, 611000001);
+  assert.equal(item.imageUrl, '');
+  assert.equal(item.fulfillmentSku, '');
+  assert.equal(item.taxAmount, 0);
+  assert.equal('createDate' in item, false);
+});
+
+test('buildOrderUpsertPayload applies the patch but never the order identity', () => {
+  const payload = buildOrderUpsertPayload(order1001, {
+    giftMessage: 'Happy birthday!',
+    internationalOptions: { contents: 'gift', nonDelivery: 'treat_as_abandoned', customsItems: [] },
+    orderId: 1,
+    orderKey: 'other',
+    orderTotal: 1
+  });
+
+  assert.equal(payload.giftMessage, 'Happy birthday!');
+  assert.deepEqual(payload.internationalOptions, { contents: 'gift', nonDelivery: 'treat_as_abandoned', customsItems: [] });
+  assert.equal(payload.orderId, order1001.orderId);
+  assert.equal(payload.orderKey, order1001.orderKey);
+  assert.equal('orderTotal' in payload, false);
+  assert.deepEqual(payload.items.map(i => i.sku), ['2025Q4-DAI-AUT', '25-DLP-AUT-IM']);
+});
+
+// ===== Reads =====
+
+test('getOrderByNumber and getOrder read recorded orders', async () => {
+  const { api, requests } = replayClient('shipstation/orders.json');
+
+  const byNumber = await api.getOrderByNumber(1001);
+  assert.equal(byNumber.orderId, 412300101);
+  assert.deepEqual(requests[0].params, { orderNumber: '1001' });
+
+  assert.equal(await api.getOrderByNumber('9999'), null);
+  assert.equal((await api.getOrder(412300101)).orderNumber, '1001');
+});
+
+test('requests without a recording fail instead of reaching the network', async () => {
+  const { api } = replayClient('shipstation/orders.json');
+  await assert.rejects(api.getTagId('Changed'), /No recorded response for GET \/accounts\/listtags/);
+});
+
+// ===== Writes =====
+
+test('addItemToOrder posts the full order with the new item and customs for every item', async () => {
+  const { api, requests } = replayClient('shipstation/orders.json');
+
+  const result = await api.addItemToOrder('1001', null, { runId: 'test-add', actor: 'tester@example.com' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.itemsCount, 3);
+  assert.equal(result.customsCount, 3);
+
+  const [write] = writes(requests);
+  const payload = write.body;
+  const expected = buildOrderUpsertPayload(order1001, {
+    items: payload.items,
+    internalNotes: payload.internalNotes,
+    internationalOptions: payload.internationalOptions
+  });
+  assert.deepEqual(payload, JSON.parse(JSON.stringify(expected)));
+  assert.equal(payload.orderKey, order1001.orderKey);
+  assert.deepEqual(payload.items.map(i => i.sku), ['2025Q4-DAI-AUT', '25-DLP-AUT-IM', 'LIST-DEF']);
+  assert.match(payload.internalNotes, /^\[Auto-added: Complimentary stickers on /);
+  assert.deepEqual(
+    payload.internationalOptions.customsItems.map(c => [c.description, c.harmonizedTariffCode]),
+    [
+      ['Planner agenda (bound diary)', '4820102010'],
+      ['Planner agenda (bound diary)', '4820102010'],
+      ['Paper sticker', '4911998000']
+    ]
+  );
+
+  const [snapshot] = await listSnapshots({ runId: 'test-add' });
+  assert.equal(snapshot.source, 'item-adder');
+  assert.equal(snapshot.status, 'written');
+  assert.equal(snapshot.actor, 'tester@example.com');
+  assert.deepEqual((await getSnapshot(snapshot.id)).payload, payload);
+});
+
+test('addItemToOrder skips orders that already have the item', async () => {
+  const { api, requests } = replayClient('shipstation/orders.json');
+
+  const result = await api.addItemToOrder('1002');
+
+  assert.equal(result.message, 'Item already exists in order');
+  assert.equal(writes(requests).length, 0);
+});
+
+test('batchAddItemToOrders reports added, skipped and missing orders', async () => {
+  const { api } = replayClient('shipstation/orders.json');
+
+  const results = await api.batchAddItemToOrders(['1001', '1002', '9999'], null, { runId: 'test-batch' });
+
+  assert.equal(results.successful, 1);
+  assert.equal(results.skipped, 1);
+  assert.equal(results.failed, 1);
+  assert.equal(results.details[2].error, 'Order 9999 not found');
+});
+
+test('updateOrderCustomsDeclarations sends the whole order, not just the customs lines', async () => {
+  const { api, requests } = replayClient('shipstation/orders.json');
+
+  await api.updateOrderCustomsDeclarations('1002', { runId: 'test-customs' });
+
+  const [{ body }] = writes(requests);
+  assert.equal(body.orderKey, '612310020001');
+  assert.deepEqual(body.shipTo, order1001.shipTo);
+  assert.equal(body.internalNotes, 'Gift wrap requested');
+  assert.equal(body.items.length, 2);
+  assert.equal(body.internationalOptions.customsItems.length, 2);
+});
+
+test('replaceOrderItems keeps totals and notes the sync', async () => {
+  const { api, requests } = replayClient('shipstation/orders.json');
+  const items = [{ ...order1001.items[0], quantity: 2 }];
+  const customsItems = customsManager.createCustomsItems(items);
+
+  await api.replaceOrderItems(order1001, items, customsItems, { runId: 'test-sync' });
+
+  const [{ body }] = writes(requests);
+  assert.equal(body.amountPaid, order1001.amountPaid);
+  assert.deepEqual(body.items.map(i => [i.sku, i.quantity]), [['2025Q4-DAI-AUT', 2]]);
+  assert.match(body.internalNotes, /^\[Items synced from Shopify on /);
+  assert.equal((await listSnapshots({ runId: 'test-sync' }))[0].source, 'item-sync');
+});
+
+test('a rejected upsert is recorded as a failed snapshot', async () => {
+  const { api } = replayClient('shipstation/createorder-invalid.json');
+
+  await assert.rejects(
+    api.upsertOrder(order1001, { giftMessage: 'x' }, { source: 'order-formatter', runId: 'test-invalid' }),
+    err => err.response?.status === 400
+  );
+
+  const [snapshot] = await listSnapshots({ runId: 'test-invalid' });
+  assert.equal(snapshot.status, 'failed');
+  assert.equal(snapshot.error, 'The request is invalid.');
+});
@@ -0,0 +1,89 @@
+// test/shopify-client.test.js - Shopify client against the fake Admin API (test/harness/fake-shopify.js)
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFakeShopify } = require('./harness/fake-shopify');
+
+const seed = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/harness/shopify.json'), 'utf8'));
+
+let fake;
+let server;
+let shopify;
+
+before(async () => {
+  fake = createFakeShopify(seed, { accessToken: 'shpat_test', pageSize: 2 });
+  server = await new Promise(resolve => {
+    const s = fake.app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  process.env.SHOPIFY_STORE = 'test.myshopify.com';
+  process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+  process.env.SHOPIFY_ADMIN_URL = `http://127.0.0.1:${server.address().port}`;
+  const { ShopifyAPI } = require('../shopify-api');
+  shopify = new ShopifyAPI();
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const requestsTo = suffix => fake.state.requests.filter(r => r.path.endsWith(suffix));
+
+test('getAllProductIds pages through ids only', async () => {
+  const before = requestsTo('/products.json').length;
+
+  const ids = await shopify.getAllProductIds('active');
+
+  assert.deepEqual(ids, [8100001, 8100002, 8100003]);
+  const pages = requestsTo('/products.json').slice(before);
+  assert.equal(pages.length, 2);
+  assert.ok(pages.every(p => p.query.fields === 'id'));
+});
+
+test('a comma-separated status list fetches products in any of those statuses', async () => {
+  const ids = await shopify.getAllProductIds('active,draft,archived');
+
+  assert.deepEqual(ids, [8100001, 8100002, 8100003, 8100004]);
+  assert.equal(requestsTo('/products.json').at(-1).query.status, undefined); // carried in page_info
+});
+
+test('getProductsWithMetafieldsUpdatedSince fetches only changed products and their metafields', async () => {
+  fake.state.products[1].updated_at = '2026-10-01T12:00:00.000Z';
+  const graphqlBefore = requestsTo('/graphql.json').length;
+
+  const products = await shopify.getProductsWithMetafieldsUpdatedSince(new Date('2026-09-30T00:00:00Z'));
+
+  assert.deepEqual(products.map(p => p.handle), ['botanical-sticker-sheet']);
+  const [variant] = products[0].variants;
+  assert.equal(variant.pick_number, '205');
+  assert.equal(variant.pick_metafield_id, '3300003');
+  assert.equal(variant.warehouse_location, null);
+  assert.equal(variant.harmonized_system_code, '4911998000');
+
+  const [lookup, ...rest] = requestsTo('/graphql.json').slice(graphqlBefore);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(lookup.body.variables.ids, ['gid://shopify/ProductVariant/4510003']);
+  assert.match(requestsTo('/products.json').at(-1).query.updated_at_min, /^2026-09-30T00:00:00/);
+});
+
+test('getProductsWithMetafieldsUpdatedSince makes no GraphQL call when nothing changed', async () => {
+  const graphqlBefore = requestsTo('/graphql.json').length;
+
+  const products = await shopify.getProductsWithMetafieldsUpdatedSince(new Date('2030-01-01T00:00:00Z'));
+
+  assert.deepEqual(products, []);
+  assert.equal(requestsTo('/graphql.json').length, graphqlBefore);
+});
+
+test('a variant edit counts as a product change', async () => {
+  const since = new Date(Date.now() - 1000);
+  await shopify.updateVariants([{ id: 4510004, price: '26.00' }]);
+
+  const products = await shopify.getProductsWithMetafieldsUpdatedSince(since);
+
+  assert.deepEqual(products.map(p => p.handle), ['dot-grid-notebook']);
+  assert.equal(products[0].variants[0].price, 26);
+});
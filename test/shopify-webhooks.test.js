@@ -0,0 +1,72 @@
+// test/shopify-webhooks.test.js - webhook verification: HMAC, delivery id replays and the delivery age limit
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-webhooks-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+process.env.SHOPIFY_WEBHOOK_SECRET = 'test-secret';
+process.env.SHOPIFY_STORE = 'test-store.myshopify.com';
+
+const { verifyShopifyWebhook } = require('../utils/shopify-webhooks');
+const { getDB } = require('../utils/database');
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run the middleware on a signed delivery; `next` counts as status 'next'
+async function deliver({ id, triggeredAt, hmac }) {
+  const rawBody = Buffer.from(JSON.stringify({ id: 42 }));
+  const headers = {
+    'x-shopify-hmac-sha256': hmac ?? crypto.createHmac('sha256', 'test-secret').update(rawBody).digest('base64'),
+    'x-shopify-shop-domain': 'test-store.myshopify.com',
+    'x-shopify-topic': 'products/update',
+    'x-shopify-webhook-id': id,
+    'x-shopify-triggered-at': triggeredAt
+  };
+  const req = { rawBody, originalUrl: '/api/webhooks/shopify/products/update', ip: '127.0.0.1', get: name => headers[name.toLowerCase()] };
+
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { send: body => resolve({ status: code, body }) };
+      }
+    };
+    verifyShopifyWebhook(req, res, () => resolve({ status: 'next' }));
+  });
+}
+
+test('a signed, recent delivery is processed once; the same id again is acknowledged and skipped', async () => {
+  const delivery = { id: 'wh-recent', triggeredAt: new Date(Date.now() - 60 * 1000).toISOString() };
+
+  assert.equal((await deliver(delivery)).status, 'next');
+  assert.deepEqual(await deliver(delivery), { status: 200, body: 'Duplicate' });
+});
+
+test('a bad signature is rejected before the delivery is recorded', async () => {
+  const triggeredAt = new Date().toISOString();
+
+  assert.equal((await deliver({ id: 'wh-forged', triggeredAt, hmac: 'bm9wZQ==' })).status, 401);
+  assert.equal((await deliver({ id: 'wh-forged', triggeredAt })).status, 'next');
+});
+
+test('deliveries triggered longer ago than the id retention are rejected', async () => {
+  const stale = await deliver({ id: 'wh-stale', triggeredAt: new Date(Date.now() - 8 * DAY_MS).toISOString() });
+  assert.deepEqual(stale, { status: 401, body: 'Delivery too old' });
+
+  // A Shopify retry two days after the event is still accepted
+  const retry = await deliver({ id: 'wh-retry', triggeredAt: new Date(Date.now() - 2 * DAY_MS).toISOString() });
+  assert.equal(retry.status, 'next');
+
+  assert.equal((await deliver({ id: 'wh-no-time' })).status, 400);
+  assert.equal((await deliver({ id: 'wh-bad-time', triggeredAt: 'yesterday' })).status, 400);
+});
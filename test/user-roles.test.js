@@ -0,0 +1,137 @@
+// test/user-roles.test.js - role resolution (ADMIN_EMAILS, assignments, default role), the permission guards,
+// and a check that every route writing to ShipStation, Shopify or the product DB is behind one
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-roles-'));
+process.env.SQLITE_DB_PATH = path.join(tmpDir, 'test.db');
+process.env.ADMIN_EMAILS = 'Boss@hemlockandoak.com, second@hemlockandoak.com';
+delete process.env.DEFAULT_USER_ROLE;
+
+const { getUserRole, setUserRole, removeUserRole, roleHasPermission, permissionsForRole } = require('../utils/user-roles');
+const { requirePermissionApi } = require('../utils/auth-middleware');
+const { getDB } = require('../utils/database');
+
+after(async () => {
+  await (await getDB()).close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run a guard on a fake request; resolves 'next' or the status and JSON body it sent
+function runGuard(guard, session) {
+  return new Promise(resolve => {
+    const req = { session };
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body, req }) };
+      }
+    };
+    guard(req, res, err => resolve(err ? { status: 'error', err } : { status: 'next', req }));
+  });
+}
+
+// ===== Roles =====
+
+test('ADMIN_EMAILS are admin whatever their assignment; others get their assigned role or viewer', async () => {
+  assert.equal(await getUserRole(' boss@HemlockAndOak.com '), 'admin');
+  await setUserRole('second@hemlockandoak.com', 'viewer', 'boss@hemlockandoak.com');
+  assert.equal(await getUserRole('second@hemlockandoak.com'), 'admin');
+
+  assert.equal(await getUserRole('new@hemlockandoak.com'), 'viewer');
+  await setUserRole('Packer@hemlockandoak.com', 'fulfillment', 'boss@hemlockandoak.com');
+  assert.equal(await getUserRole('packer@hemlockandoak.com'), 'fulfillment');
+
+  assert.equal(await removeUserRole('packer@hemlockandoak.com'), true);
+  assert.equal(await getUserRole('packer@hemlockandoak.com'), 'viewer');
+  assert.equal(await getUserRole(''), null);
+});
+
+test('unknown roles and emails are rejected when assigning', async () => {
+  await assert.rejects(setUserRole('x@hemlockandoak.com', 'owner'), err => err.status === 400);
+  await assert.rejects(setUserRole('not-an-email', 'admin'), err => err.status === 400);
+});
+
+test('viewers get no write permissions; unknown permissions throw', () => {
+  assert.deepEqual(permissionsForRole('viewer'), []);
+  assert.equal(roleHasPermission('warehouse', 'products.edit'), true);
+  assert.equal(roleHasPermission('warehouse', 'orders.edit'), false);
+  assert.equal(roleHasPermission('admin', 'users.manage'), true);
+  assert.throws(() => roleHasPermission('admin', 'orders.delete'), /Unknown permission/);
+});
+
+// ===== Guards =====
+
+test('requirePermissionApi: 401 without a session, 403 for a lower role, next for an allowed one', async () => {
+  const guard = requirePermissionApi('orders.edit');
+
+  assert.equal((await runGuard(guard, {})).status, 401);
+
+  const viewer = await runGuard(guard, { userId: 'v', userEmail: 'viewer@hemlockandoak.com' });
+  assert.equal(viewer.status, 403);
+  assert.match(viewer.body.error, /Your role \(viewer\) does not allow orders\.edit/);
+
+  await setUserRole('warehouse@hemlockandoak.com', 'warehouse');
+  assert.equal((await runGuard(guard, { userId: 'w', userEmail: 'warehouse@hemlockandoak.com' })).status, 403);
+
+  const admin = await runGuard(guard, { userId: 'a', userEmail: 'boss@hemlockandoak.com' });
+  assert.equal(admin.status, 'next');
+  assert.equal(admin.req.userRole, 'admin');
+});
+
+// ===== Route gates =====
+
+// POST/PUT/PATCH/DELETE API routes that write nothing upstream or only through their own checks
+const UNGATED_WRITES = new Map([
+  ['POST /api/customs-rules/evaluate', 'runs the rules on the posted title, writes nothing'],
+  ['POST /api/customs-rules/test-bench', 'replays stored exports, writes nothing'],
+  ['POST /api/products/validate-pick-numbers', 'read-only check'],
+  ['POST /api/warehouse/suggest-pick-numbers', 'read-only suggestions'],
+  ['POST /api/jobs', 'checks the job type\'s permission itself'],
+  ['POST /api/jobs/:id/cancel', 'owner or the job type\'s permission']
+]);
+
+// Calls that write to ShipStation, Shopify or the product DB
+const WRITE_CALL = /\b(upsertOrder|tryCreateOrUpdate|createOrUpdateOrder|handleOrderUpdate|productDb\.(update|create|delete|release|archive|batch|bulk|save|set)\w*)\b/;
+
+// Each router.<method>(...) call in routes/, from its first line to the line that closes it
+function routeDefinitions() {
+  const routesDir = path.join(__dirname, '../routes');
+  const defs = [];
+  for (const file of fs.readdirSync(routesDir).filter(f => f.endsWith('.js'))) {
+    const lines = fs.readFileSync(path.join(routesDir, file), 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      const match = line.match(/^router\.(get|post|put|patch|delete)\('([^']+)',\s*(.*)$/);
+      if (!match) return;
+      let end = i;
+      if (!/\);\s*$/.test(line)) {
+        while (end < lines.length - 1 && !/^\s*\}\)?\);?\s*$/.test(lines[end])) end++;
+      }
+      defs.push({
+        where: `${file}:${i + 1}`,
+        route: `${match[1].toUpperCase()} ${match[2]}`,
+        method: match[1],
+        middleware: match[3],
+        body: lines.slice(i, end + 1).join('\n')
+      });
+    });
+  }
+  return defs;
+}
+
+test('every API route that writes is behind a permission (or a webhook signature)', () => {
+  const defs = routeDefinitions();
+  assert.ok(defs.length > 50, 'route definitions were found');
+
+  const ungated = defs.filter(d => d.method !== 'get' && d.route.includes(' /api/'))
+    .filter(d => !/requirePermissionApi\(|verifyShopifyWebhook/.test(d.middleware))
+    .filter(d => !UNGATED_WRITES.has(d.route));
+  assert.deepEqual(ungated.map(d => `${d.route} (${d.where})`), []);
+
+  const writingGets = defs.filter(d => d.method === 'get' && WRITE_CALL.test(d.body));
+  assert.deepEqual(writingGets.map(d => `${d.route} (${d.where})`), []);
+});
@@ -0,0 +1,59 @@
+// test/variant-history.test.js - field-level diffs written to variant_history (utils/product-db.js)
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffVariantRows } = require('../utils/product-db');
+
+// A variants row as node-postgres returns it (NUMERIC and BIGINT come back as strings)
+const row = {
+  shopify_variant_id: '4510001',
+  sku: '2026-WKL-SAG',
+  variant_title: 'Sage',
+  price: '32.00',
+  weight_grams: '410.00',
+  barcode: null,
+  harmonized_system_code: '4820102010',
+  country_code_of_origin: 'CA',
+  pick_number: '101',
+  warehouse_location: 'A-01-1',
+  inventory_quantity: 12,
+  last_synced_at: new Date('2026-10-01T00:00:00Z')
+};
+
+test('reports each changed tracked field with old and new values', () => {
+  const changes = diffVariantRows(row, { ...row, pick_number: '102', harmonized_system_code: '4820100000' });
+
+  assert.deepEqual(changes, [
+    { field: 'harmonized_system_code', old_value: '4820102010', new_value: '4820100000' },
+    { field: 'pick_number', old_value: '101', new_value: '102' }
+  ]);
+});
+
+test('ignores untracked columns and equal values in another form', () => {
+  const changes = diffVariantRows(row, {
+    ...row,
+    price: 32,
+    weight_grams: '410',
+    barcode: '',
+    inventory_quantity: 3,
+    last_synced_at: new Date()
+  });
+
+  assert.deepEqual(changes, []);
+});
+
+test('archiving and unarchiving are recorded', () => {
+  const archived = { ...row, is_archived: false };
+
+  assert.deepEqual(diffVariantRows(archived, { ...archived, is_archived: true }),
+    [{ field: 'is_archived', old_value: 'false', new_value: 'true' }]);
+  assert.deepEqual(diffVariantRows({ ...archived, is_archived: true }, archived),
+    [{ field: 'is_archived', old_value: 'true', new_value: 'false' }]);
+});
+
+test('a cleared value is recorded as null', () => {
+  const changes = diffVariantRows(row, { ...row, warehouse_location: null });
+
+  assert.deepEqual(changes, [{ field: 'warehouse_location', old_value: 'A-01-1', new_value: null }]);
+});
@@ -0,0 +1,207 @@
+// test/variant-import.test.js - CSV/XLSX import of variant fields (utils/variant-import.js, utils/xlsx-reader.js)
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFirstSheet } = require('../utils/xlsx-reader');
+const {
+  readImportRows,
+  normalizeImportValue,
+  isVariantId,
+  planVariantImport,
+  pickNumberUpdates,
+  addPickNumberConflicts,
+  locationUpdates,
+  addLocationProblems,
+  summarizeImport
+} = require('../utils/variant-import');
+const { buildXlsx, buildXlsxSheet } = require('./helpers/xlsx');
+
+// variants rows as getVariantsByIdsOrSkus returns them
+const variants = [
+  { shopify_variant_id: '4510001', sku: '2026-WKL-SAG', variant_title: 'Sage', product_title: '2026 Weekly Planner', pick_number: '101', warehouse_location: 'A-01-1', harmonized_system_code: '4820102010', country_code_of_origin: 'CA', is_archived: false },
+  { shopify_variant_id: '4510003', sku: 'STK-BOT', variant_title: null, product_title: 'Botanical Sticker Sheet', pick_number: '205', warehouse_location: 'B-02-3', harmonized_system_code: '4911998000', country_code_of_origin: 'CA', is_archived: false },
+  { shopify_variant_id: '4510007', sku: 'STK-BOT', variant_title: null, product_title: 'Botanical Sticker Sheet (old)', pick_number: null, warehouse_location: null, harmonized_system_code: null, country_code_of_origin: null, is_archived: true },
+  { shopify_variant_id: '4510008', sku: 'DUP-1', variant_title: 'Red', product_title: 'Pen', pick_number: null, warehouse_location: null, harmonized_system_code: null, country_code_of_origin: null, is_archived: false },
+  { shopify_variant_id: '4510009', sku: 'dup-1', variant_title: 'Blue', product_title: 'Pen', pick_number: null, warehouse_location: null, harmonized_system_code: null, country_code_of_origin: null, is_archived: false }
+];
+
+const csv = text => Buffer.from(text);
+
+// ===== Reading files =====
+
+test('CSV headers are matched by alias and blank cells leave values alone', () => {
+  const { rows, columns, ignoredColumns } = readImportRows(csv(
+    '﻿SKU,Pick #,Bin,HS Code,Country of Origin,Notes\r\n' +
+    '2026-WKL-SAG,102,,4820.10.2010,ca,restock\r\n' +
+    ',,,,,\r\n' +
+    'STK-BOT,,C-04-1,,,\r\n'
+  ));
+
+  assert.deepEqual(columns, ['sku', 'pick_number', 'warehouse_location', 'harmonized_system_code', 'country_code_of_origin']);
+  assert.deepEqual(ignoredColumns, ['Notes']);
+  assert.deepEqual(rows, [
+    { row: 2, variantId: '', sku: '2026-WKL-SAG', values: { pick_number: '102', harmonized_system_code: '4820.10.2010', country_code_of_origin: 'ca' } },
+    { row: 4, variantId: '', sku: 'STK-BOT', values: { warehouse_location: 'C-04-1' } }
+  ]);
+});
+
+test('files without a key column, an importable column or data rows are rejected', () => {
+  const rejects = (text, pattern) =>
+    assert.throws(() => readImportRows(csv(text)), err => err.status === 400 && pattern.test(err.message));
+
+  rejects('title,pick_number\nPlanner,1\n', /variant_id or sku column/);
+  rejects('sku,price\nA,1\n', /none of the importable columns/);
+  rejects('sku,pick_number\n', /no data rows/);
+  rejects('sku,pick,pick_number\nA,1,2\n', /More than one column maps to pick_number/);
+});
+
+test('XLSX files are read from their first sheet with shared strings and numeric cells', () => {
+  const file = buildXlsx([
+    ['Variant ID', 'Pick Number', 'Location', 'Country'],
+    [4510001, 102, 'A-01-2 & up', null],
+    [],
+    [4510003, null, null, 'CN']
+  ]);
+
+  assert.deepEqual(readFirstSheet(file), [
+    ['Variant ID', 'Pick Number', 'Location', 'Country'],
+    ['4510001', '102', 'A-01-2 & up'],
+    [],
+    ['4510003', '', '', 'CN']
+  ]);
+  assert.deepEqual(readImportRows(file).rows, [
+    { row: 2, variantId: '4510001', sku: '', values: { pick_number: '102', warehouse_location: 'A-01-2 & up' } },
+    { row: 3, variantId: '4510003', sku: '', values: { country_code_of_origin: 'CN' } }
+  ]);
+});
+
+test('a corrupt XLSX file is a 400', () => {
+  const file = buildXlsx([['sku', 'pick'], ['A', 1]]).subarray(0, 60);
+  assert.throws(() => readImportRows(file), err => err.status === 400 && /Invalid \.xlsx file/.test(err.message));
+});
+
+test('XLSX rows and columns past the sheet limits, oversized sheets and zip bombs are a 400', () => {
+  const rejects = (file, pattern) =>
+    assert.throws(() => readImportRows(file), err => err.status === 400 && pattern.test(err.message));
+
+  rejects(buildXlsxSheet('<row r="1"><c r="A1"><v>1</v></c></row><row r="3000000"><c r="A3000000"><v>2</v></c></row>'),
+    /row 3000000 is outside the sheet/);
+  rejects(buildXlsxSheet('<row r="1"><c r="XFE1"><v>1</v></c></row>'), /past column XFD/);
+  // 200 rows reaching to column XFD: under every per-reference limit, too many cells in total
+  rejects(buildXlsxSheet(Array.from({ length: 200 }, (_, r) => `<row r="${r + 1}"><c r="XFD${r + 1}"><v>1</v></c></row>`).join('')),
+    /more than 2000000 cells/);
+  // Deflates to well under 1 MB
+  rejects(buildXlsxSheet(' '.repeat(65 * 1024 * 1024)), /sheet1\.xml inflates to more than 64 MB/);
+
+  const xfd = readFirstSheet(buildXlsxSheet('<row r="1"><c r="XFD1"><v>7</v></c></row>'));
+  assert.equal(xfd[0].length, 16384);
+  assert.equal(xfd[0][16383], '7');
+});
+
+// ===== Validation =====
+
+test('HS codes need 6 to 10 digits and countries must be ISO alpha-2 codes', () => {
+  assert.deepEqual(normalizeImportValue('harmonized_system_code', '4820.10.2010'), { value: '4820102010' });
+  assert.deepEqual(normalizeImportValue('harmonized_system_code', '482010'), { value: '482010' });
+  assert.match(normalizeImportValue('harmonized_system_code', '4820').error, /6 to 10 digits/);
+  assert.match(normalizeImportValue('harmonized_system_code', '4820A10201').error, /6 to 10 digits/);
+
+  assert.deepEqual(normalizeImportValue('country_code_of_origin', ' us '), { value: 'US' });
+  assert.match(normalizeImportValue('country_code_of_origin', 'Canada').error, /ISO 3166-1 alpha-2/);
+  assert.match(normalizeImportValue('country_code_of_origin', 'XX').error, /ISO 3166-1 alpha-2/);
+});
+
+test('variant IDs are bounded by the BIGINT column', () => {
+  assert.equal(isVariantId('9223372036854775807'), true);
+  assert.equal(isVariantId('9223372036854775808'), false);
+  assert.equal(isVariantId('00000000000000000001'), false);
+  assert.equal(isVariantId('4510001'), true);
+  assert.equal(isVariantId(''), false);
+});
+
+test('rows resolve by variant ID or SKU and only report fields that change', () => {
+  const planned = planVariantImport([
+    { row: 2, variantId: '4510001', sku: '', values: { pick_number: '102', harmonized_system_code: '4820.10.2010', country_code_of_origin: 'ca' } },
+    { row: 3, variantId: '', sku: 'stk-bot', values: { warehouse_location: 'B-02-3' } },
+    { row: 4, variantId: '', sku: 'DUP-1', values: { pick_number: '300' } },
+    { row: 5, variantId: '', sku: 'NOPE', values: { pick_number: '301' } },
+    { row: 6, variantId: '4510001', sku: 'OTHER', values: { country_code_of_origin: 'Canada' } },
+    { row: 7, variantId: '4510007', sku: '', values: { warehouse_location: 'Z-99-9' } },
+    { row: 8, variantId: 'abc', sku: '', values: { pick_number: '1' } },
+    { row: 9, variantId: '9223372036854775808', sku: '', values: { pick_number: '2' } },
+    { row: 10, variantId: '45100010000000000000', sku: '', values: { pick_number: '3' } }
+  ], variants);
+
+  assert.deepEqual(planned.map(r => [r.row, r.variantId, r.changes, r.errors, r.warnings]), [
+    [2, '4510001', { pick_number: { from: '101', to: '102' } }, [], []],
+    [3, '4510003', {}, [], []],
+    [4, null, {}, ['SKU "DUP-1" matches 2 variants; use variant_id'], []],
+    [5, null, {}, ['No variant with SKU "NOPE"'], []],
+    [6, '4510001', {}, [
+      'Variant is also on row 2',
+      'Country "Canada" is not an ISO 3166-1 alpha-2 code (e.g. CA, US, CN)'
+    ], ['SKU "OTHER" does not match the variant\'s SKU "2026-WKL-SAG"']],
+    [7, '4510007', { warehouse_location: { from: null, to: 'Z-99-9' } }, [], ['Variant is archived']],
+    [8, null, {}, ['Variant ID "abc" is not numeric'], []],
+    [9, null, {}, ['Variant ID "9223372036854775808" is out of range'], []],
+    [10, null, {}, ['Variant ID "45100010000000000000" is out of range'], []]
+  ]);
+  assert.equal(planned[0].product_title, '2026 Weekly Planner');
+
+  assert.deepEqual(summarizeImport(planned), { rows: 9, invalid: 6, changed: 2, unchanged: 1, fieldChanges: 2 });
+});
+
+test('pick-number conflicts are attached to the rows that cause them', () => {
+  const planned = planVariantImport([
+    { row: 2, variantId: '4510001', sku: '', values: { pick_number: '205' } },
+    { row: 3, variantId: '4510008', sku: '', values: { pick_number: '400' } },
+    { row: 4, variantId: '4510009', sku: '', values: { pick_number: '400' } }
+  ], variants);
+
+  assert.deepEqual(pickNumberUpdates(planned), [
+    { id: '4510001', pick_number: '205' },
+    { id: '4510008', pick_number: '400' },
+    { id: '4510009', pick_number: '400' }
+  ]);
+
+  // What validatePickNumberUniqueness returns for this batch
+  addPickNumberConflicts(planned, [
+    { pickNumber: '400', type: 'batch_duplicate', variantIds: ['4510008', '4510009'], message: 'Pick number "400" is assigned to multiple variants in this update' },
+    { pickNumber: '205', type: 'existing_duplicate', existingVariantId: '4510003', newVariantIds: ['4510001'], message: 'Pick number "205" already exists on variant 4510003' }
+  ]);
+
+  assert.deepEqual(planned.map(r => r.errors), [
+    ['Pick number "205" already exists on variant 4510003'],
+    ['Pick number "400" is assigned to multiple variants in this update'],
+    ['Pick number "400" is assigned to multiple variants in this update']
+  ]);
+  assert.equal(summarizeImport(planned).changed, 0);
+});
+
+test('warehouse location problems become row errors and locations take the bin\'s code', () => {
+  const planned = planVariantImport([
+    { row: 2, variantId: '4510001', sku: '', values: { warehouse_location: 'a-01-1 ' } },
+    { row: 3, variantId: '4510003', sku: '', values: { warehouse_location: 'b-02-4' } },
+    { row: 4, variantId: '4510008', sku: '', values: { warehouse_location: 'Z-99-9' } }
+  ], variants);
+
+  assert.deepEqual(locationUpdates(planned), [
+    { id: '4510001', warehouse_location: 'a-01-1' },
+    { id: '4510003', warehouse_location: 'b-02-4' },
+    { id: '4510008', warehouse_location: 'Z-99-9' }
+  ]);
+
+  // What validateWarehouseLocations returns for this batch
+  addLocationProblems(planned, {
+    problems: [{ variantId: '4510008', location: 'Z-99-9', type: 'unknown_bin', message: 'Location "Z-99-9" is not a bin in the warehouse layout' }],
+    locations: { '4510001': 'A-01-1', '4510003': 'B-02-4' }
+  });
+
+  assert.deepEqual(planned.map(r => [r.changes, r.errors]), [
+    [{}, []],
+    [{ warehouse_location: { from: 'B-02-3', to: 'B-02-4' } }, []],
+    [{ warehouse_location: { from: null, to: 'Z-99-9' } }, ['Location "Z-99-9" is not a bin in the warehouse layout']]
+  ]);
+  assert.deepEqual(summarizeImport(planned), { rows: 3, invalid: 1, changed: 1, unchanged: 1, fieldChanges: 1 });
+});
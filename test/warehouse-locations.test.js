@@ -0,0 +1,193 @@
+// test/warehouse-locations.test.js - warehouse layout, location checks and pick suggestions (utils/warehouse-locations.js)
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  nodeFromBody,
+  validateNode,
+  parseBinCodes,
+  buildLayoutTree,
+  checkVariantLocations,
+  legacyPickRange,
+  suggestPickNumbers
+} = require('../utils/warehouse-locations');
+
+// getWarehouseBins rows, in walk order: zone A shares the main sequence, zone B numbers 500-599
+const bin = (location_code, extra = {}) => ({
+  location_code,
+  capacity: null,
+  zone_code: location_code.split('-')[0],
+  pick_start: null,
+  pick_end: null,
+  ...extra
+});
+const bins = [
+  bin('A-01-1-1', { capacity: 2 }),
+  bin('A-01-1-2'),
+  bin('A-01-1-3'),
+  bin('B-01-1-1', { pick_start: '500', pick_end: '599' }),
+  bin('B-01-1-2', { pick_start: '500', pick_end: '599' })
+];
+
+// ===== Layout nodes =====
+
+test('layout nodes take codes only on create and blank numbers as empty', () => {
+  assert.deepEqual(
+    nodeFromBody('zone', { code: ' a ', name: '  ', position: '20', pick_start: '', pick_end: null }, { create: true }),
+    { code: 'A', name: null, position: 20, pick_start: null, pick_end: null }
+  );
+  assert.deepEqual(nodeFromBody('bin', { code: 'X', capacity: '4', pick_start: '1' }), { capacity: 4 });
+  assert.deepEqual(nodeFromBody('shelf', { position: '' }), { position: 0 });
+});
+
+test('layout nodes need a short code, whole numbers and a complete pick range', () => {
+  assert.deepEqual(validateNode('zone', { code: 'A', position: 10, pick_start: 500, pick_end: 599 }), []);
+  assert.deepEqual(validateNode('zone', { code: 'A-1', position: 1.5, pick_start: 500, pick_end: null }), [
+    'code "A-1" must be 1-10 letters or digits',
+    'position must be a whole number',
+    'pick_start and pick_end must be set together'
+  ]);
+  assert.deepEqual(validateNode('zone', { code: 'A', position: 0, pick_start: 600, pick_end: 500 }), [
+    'pick range must be whole numbers with 0 < pick_start <= pick_end'
+  ]);
+  assert.deepEqual(validateNode('bin', { code: '', position: 0, capacity: 0 }), [
+    'code is required',
+    'capacity must be a positive whole number (or empty for no limit)'
+  ]);
+  assert.deepEqual(validateNode('room', { code: 'A' }), ['Unknown layout level: room']);
+});
+
+test('bin codes come from lists and ascending ranges', () => {
+  assert.deepEqual(parseBinCodes('1-3, 7'), ['1', '2', '3', '7']);
+  assert.deepEqual(parseBinCodes('08-11'), ['08', '09', '10', '11']);
+  assert.deepEqual(parseBinCodes('a - c'), ['A', 'B', 'C']);
+
+  for (const spec of ['', '3-1', 'A-1', '1-2, 2', 'TOO-LONG-BIN', 'X_1', '1-201']) {
+    assert.throws(() => parseBinCodes(spec), err => err.status === 400, spec);
+  }
+});
+
+test('the layout tree nests rows under their parents in the given order', () => {
+  const tree = buildLayoutTree(
+    [{ id: 1, code: 'A' }, { id: 2, code: 'B' }],
+    [{ id: 10, zone_id: 1, code: '01' }],
+    [{ id: 20, aisle_id: 10, code: '2' }, { id: 21, aisle_id: 10, code: '1' }],
+    [{ id: 30, shelf_id: 21, code: '1', location_code: 'A-01-1-1' }]
+  );
+  assert.deepEqual(tree.map(z => z.aisles.length), [1, 0]);
+  assert.deepEqual(tree[0].aisles[0].shelves.map(s => [s.code, s.bins.map(b => b.location_code)]), [
+    ['2', []],
+    ['1', ['A-01-1-1']]
+  ]);
+});
+
+// ===== Variant locations =====
+
+test('locations must be bins with room, matched regardless of case and spacing', () => {
+  const { problems, locations } = checkVariantLocations([
+    { id: '1', warehouse_location: ' a-01-1-2' },
+    { id: '2', warehouse_location: 'A-01-9' },
+    { id: '3', warehouse_location: 'A-01-1-1' },
+    { id: '4', warehouse_location: 'A-01-1-1' },
+    { id: '5', warehouse_location: '' },
+    { id: '6', pick_number: '12' }
+  ], bins, new Map([['A-01-1-1', 1]]));
+
+  assert.deepEqual(locations, { 1: 'A-01-1-2' });
+  assert.deepEqual(problems.map(p => [p.variantId, p.type, p.message]), [
+    ['2', 'unknown_bin', 'Location "A-01-9" is not a bin in the warehouse layout'],
+    ['3', 'bin_full', 'Bin A-01-1-1 holds 2 variants; this would put 3 in it'],
+    ['4', 'bin_full', 'Bin A-01-1-1 holds 2 variants; this would put 3 in it']
+  ]);
+});
+
+test('locations are free text until the layout has bins', () => {
+  assert.deepEqual(checkVariantLocations([{ id: '1', warehouse_location: 'Back room' }], []), { problems: [], locations: {} });
+});
+
+// ===== Pick suggestions =====
+
+test('pick suggestions fall between the picks of the neighbouring bins', () => {
+  const variants = [
+    { id: '1', pick_number: '10', warehouse_location: 'A-01-1-1' },
+    { id: '2', pick_number: '20', warehouse_location: 'a-01-1-3' },
+    { id: '3', pick_number: '11', warehouse_location: null, is_archived: true },
+    { id: '4', pick_number: '510', warehouse_location: 'B-01-1-2' },
+    { id: '5', pick_number: '10', warehouse_location: 'A-01-1-2' }
+  ];
+  const suggestions = suggestPickNumbers({
+    bins,
+    variants,
+    targets: [
+      { id: '6', warehouse_location: null },
+      { id: '5', warehouse_location: 'A-01-1-2' },
+      { id: '7', warehouse_location: 'A-01-1-2' },
+      { id: '8', warehouse_location: 'B-01-1-1' },
+      { id: '9', warehouse_location: 'A-01-1-3' }
+    ]
+  });
+
+  assert.deepEqual(suggestions, {
+    5: { pick: 12, bin: 'A-01-1-2', reason: 'bin_order' },
+    7: { pick: 13, bin: 'A-01-1-2', reason: 'bin_order' },
+    9: { pick: 21, bin: 'A-01-1-3', reason: 'bin_order' },
+    8: { pick: 500, bin: 'B-01-1-1', reason: 'bin_order' },
+    6: { pick: 22, bin: null, reason: 'no_bin' }
+  });
+});
+
+test('pick suggestions fall back when there is no room in order or in the zone range', () => {
+  const tight = [bin('A-01-1-1'), bin('A-01-1-2'), bin('A-01-1-3'), bin('C-01-1-1', { pick_start: 500, pick_end: 500 })];
+  const suggestions = suggestPickNumbers({
+    bins: tight,
+    variants: [
+      { id: '1', pick_number: '10', warehouse_location: 'A-01-1-1' },
+      { id: '2', pick_number: '11', warehouse_location: 'A-01-1-3' },
+      { id: '3', pick_number: '499', warehouse_location: null },
+      { id: '4', pick_number: '500', warehouse_location: 'C-01-1-1' }
+    ],
+    targets: [{ id: '5', warehouse_location: 'A-01-1-2' }, { id: '6', warehouse_location: 'C-01-1-1' }]
+  });
+
+  // No free number between 10 and 11, and zone C's range is used: the next shared number after 499 that skips the range
+  assert.deepEqual(suggestions, {
+    5: { pick: 501, bin: 'A-01-1-2', reason: 'out_of_order' },
+    6: { pick: 502, bin: 'C-01-1-1', reason: 'zone_full' }
+  });
+});
+
+test('variants without a bin keep the year/imperfect ranges, then sit next to their SKU prefix or product type', () => {
+  const suggestions = suggestPickNumbers({
+    bins,
+    variants: [
+      { id: '1', pick_number: '9000', sku: '2026-WKL-SAG' },
+      { id: '2', pick_number: '1000', sku: '2025-DAI-AUT' },
+      { id: '3', pick_number: '1001', sku: '25-DLP-AUT' },
+      { id: '4', pick_number: '300', sku: 'PEN-BLK', product_type: 'Pens' },
+      { id: '5', pick_number: '305', sku: 'PEN-RED', product_type: 'Pens' },
+      { id: '6', pick_number: '40', sku: 'CLIP-GLD', product_type: 'Accessories' },
+      { id: '7', pick_number: '10', warehouse_location: 'A-01-1-1' },
+      { id: '11', sku: '2026-WKL-OAT', product_type: 'Planners' },
+      { id: '12', sku: 'NB-A5-DOT', title: 'A5 Notebook - Imperfect' },
+      { id: '13', sku: '25Q4-DAI-WIN' },
+      { id: '14', sku: 'PEN-GRN', product_type: 'Pens' },
+      { id: '15', sku: 'PEN-BLU', product_type: 'Pens' },
+      { id: '16', sku: 'CHARM-STAR', product_type: 'accessories' },
+      { id: '17', sku: 'MYSTERY' }
+    ],
+    targets: ['11', '12', '13', '14', '15', '16', '17'].map(id => ({ id, warehouse_location: null }))
+  });
+
+  assert.deepEqual(suggestions, {
+    11: { pick: 9001, bin: null, reason: 'year_range' },
+    12: { pick: 9002, bin: null, reason: 'year_range' },
+    13: { pick: 1002, bin: null, reason: 'year_range' },
+    14: { pick: 301, bin: null, reason: 'sku_prefix' },
+    15: { pick: 302, bin: null, reason: 'sku_prefix' },
+    16: { pick: 41, bin: null, reason: 'product_type' },
+    17: { pick: 9003, bin: null, reason: 'no_bin' }
+  });
+  assert.deepEqual(legacyPickRange({ sku: 'NB-A5-IM' }), { start: 9000, end: 9999 });
+  assert.equal(legacyPickRange({ sku: 'PEN-BLK', title: 'Gel Pen' }), null);
+});
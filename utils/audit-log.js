@@ -0,0 +1,178 @@
+// utils/audit-log.js
+// Central record of mutations across all tools: who, what, which orders/variants, and the outcome.
+//
+// HTTP mutations are recorded automatically by middleware/audit-log.js; background jobs
+// call recordAudit() directly with actor 'system'.
+'use strict';
+
+const { getDB } = require('./database');
+
+// Keys whose values are never written to the log
+const REDACT_KEY = /secret|token|password|authorization|api[_-]?key/i;
+
+// Body keys that identify what a request touched
+const TARGET_KEYS = ['orderId', 'orderNumber', 'variantId', 'productId', 'email', 'id', 'runId', 'tagId'];
+const TARGET_LIST_KEYS = ['orderIds', 'orderNumbers', 'variantIds', 'ids', 'tagIds'];
+const TARGET_ROW_KEYS = ['orders', 'updates', 'variants'];
+
+const MAX_TARGETS = 200;
+const MAX_SUMMARY_CHARS = 4000;
+
+// Copy of a request body safe to store: secrets redacted, long strings and arrays trimmed
+function summarizeBody(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.length > 200 ? `${value.slice(0, 200)}… (${value.length} chars)` : value;
+  if (depth > 3) return '[…]';
+  if (Array.isArray(value)) {
+    const head = value.slice(0, 20).map(v => summarizeBody(v, depth + 1));
+    if (value.length > 20) head.push(`… ${value.length - 20} more`);
+    return head;
+  }
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = REDACT_KEY.test(key) ? '[redacted]' : summarizeBody(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+// Pull order/variant/etc. identifiers out of route params and a request body
+function extractTargetIds(params = {}, body = {}) {
+  const targets = new Set();
+  const add = v => {
+    if (v !== undefined && v !== null && v !== '' && typeof v !== 'object' && targets.size < MAX_TARGETS) {
+      targets.add(String(v));
+    }
+  };
+
+  for (const v of Object.values(params || {})) add(v);
+  if (!body || typeof body !== 'object') return [...targets];
+
+  for (const key of TARGET_KEYS) add(body[key]);
+  for (const key of TARGET_LIST_KEYS) {
+    if (Array.isArray(body[key])) body[key].forEach(add);
+  }
+  for (const key of TARGET_ROW_KEYS) {
+    if (!Array.isArray(body[key])) continue;
+    for (const row of body[key]) {
+      if (row && typeof row === 'object') {
+        add(row.orderId ?? row.variantId ?? row.id ?? row.orderNumber);
+      } else {
+        add(row);
+      }
+    }
+  }
+  return [...targets];
+}
+
+/**
+ * Write one audit entry. Never throws - a failed audit write is logged, not surfaced.
+ * @param {object} entry
+ * @param {string} entry.actor      - user email, 'system' for jobs, 'shopify-webhook', or null
+ * @param {string} entry.tool       - tool name ('products', 'order-formatter', ...)
+ * @param {string} entry.action     - what was done ('POST /api/products/update', 'auto-tag', ...)
+ * @param {string[]} [entry.targetIds]
+ * @param {object|string} [entry.summary] - request summary (stored as JSON)
+ * @param {string} [entry.outcome]  - 'success' | 'partial' | 'failure'
+ */
+async function recordAudit({
+  actor = null, tool, action, method = null, path = null, targetIds = [], summary = null,
+  statusCode = null, outcome = 'success', error = null, durationMs = null, ip = null
+}) {
+  try {
+    const db = await getDB();
+    let summaryText = summary == null ? null : (typeof summary === 'string' ? summary : JSON.stringify(summary));
+    if (summaryText && summaryText.length > MAX_SUMMARY_CHARS) {
+      summaryText = `${summaryText.slice(0, MAX_SUMMARY_CHARS)}…`;
+    }
+
+    await db.run(`
+      INSERT INTO audit_log (actor, tool, action, method, path, target_ids, summary, status_code, outcome, error, duration_ms, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, actor, tool, action, method, path,
+       targetIds.length ? JSON.stringify(targetIds.slice(0, MAX_TARGETS)) : null,
+       summaryText, statusCode, outcome, error ? String(error).slice(0, 1000) : null, durationMs, ip);
+  } catch (err) {
+    console.error('[Audit Log] Failed to record entry:', err.message);
+  }
+}
+
+function parseEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actor: row.actor,
+    tool: row.tool,
+    action: row.action,
+    method: row.method,
+    path: row.path,
+    targetIds: row.target_ids ? JSON.parse(row.target_ids) : [],
+    summary: row.summary,
+    statusCode: row.status_code,
+    outcome: row.outcome,
+    error: row.error,
+    durationMs: row.duration_ms,
+    ip: row.ip
+  };
+}
+
+/**
+ * Search the log (newest first)
+ * @param {object} filters - { user, tool, outcome, target, q, from, to, limit, offset }
+ *   from/to are dates or datetimes (UTC, 'YYYY-MM-DD' or ISO); a bare `to` date includes that whole day
+ */
+async function searchAudit({ user, tool, outcome, target, q, from, to, limit = 100, offset = 0 } = {}) {
+  const db = await getDB();
+  const where = [];
+  const params = [];
+
+  if (user)    { where.push('actor LIKE ?'); params.push(`%${user}%`); }
+  if (tool)    { where.push('tool = ?'); params.push(tool); }
+  if (outcome) { where.push('outcome = ?'); params.push(outcome); }
+  if (target)  { where.push('target_ids LIKE ?'); params.push(`%"${String(target).replace(/"/g, '')}"%`); }
+  if (q)       { where.push('(action LIKE ? OR summary LIKE ? OR error LIKE ?)'); params.push(`%${q}%`, `%${q}%`, `%${q}%`); }
+  if (from)    { where.push('created_at >= ?'); params.push(toSqlTime(from)); }
+  if (to) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(to);
+    where.push(dateOnly ? 'created_at < date(?, \'+1 day\')' : 'created_at <= ?');
+    params.push(dateOnly ? to : toSqlTime(to));
+  }
+
+  const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+  const pageSize = Math.max(1, Math.min(1000, Number(limit) || 100));
+  const skip = Math.max(0, Number(offset) || 0);
+
+  const { total } = await db.get(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`, ...params);
+  const rows = await db.all(
+    `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    ...params, pageSize, skip
+  );
+  return { total, limit: pageSize, offset: skip, entries: rows.map(parseEntry) };
+}
+
+// SQLite CURRENT_TIMESTAMP format (UTC 'YYYY-MM-DD HH:MM:SS')
+function toSqlTime(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value} 00:00:00`;
+  const d = new Date(value);
+  return isNaN(d) ? String(value) : d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Distinct users and tools seen in the log, for filter dropdowns
+ */
+async function getAuditFacets() {
+  const db = await getDB();
+  const users = await db.all(`SELECT DISTINCT actor FROM audit_log WHERE actor IS NOT NULL ORDER BY actor`);
+  const tools = await db.all(`SELECT DISTINCT tool FROM audit_log ORDER BY tool`);
+  return { users: users.map(r => r.actor), tools: tools.map(r => r.tool) };
+}
+
+module.exports = {
+  recordAudit,
+  searchAudit,
+  getAuditFacets,
+  summarizeBody,
+  extractTargetIds
+};
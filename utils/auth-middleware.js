@@ -1,5 +1,7 @@
 // Authentication middleware utilities
 
+const { getUserRole, roleHasPermission } = require('./user-roles');
+
 // API-only auth (JSON 401)
 const requireAuthApi = (req, res, next) => {
   if (!req.session.userId) return res.status(401).json({ error: 'Not authenticated' });
@@ -12,7 +14,40 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Look up the session user's role and check it against a permission (sets req.userRole)
+async function checkPermission(req, permission) {
+  const role = await getUserRole(req.session.userEmail);
+  req.userRole = role;
+  return !!role && roleHasPermission(role, permission);
+}
+
+// API guard for a permission (JSON 401/403); see PERMISSIONS in utils/user-roles.js
+function requirePermissionApi(permission) {
+  return (req, res, next) => requireAuthApi(req, res, async () => {
+    try {
+      if (await checkPermission(req, permission)) return next();
+      res.status(403).json({ error: `Your role (${req.userRole || 'none'}) does not allow ${permission}` });
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+// Page guard for a permission (redirect to /login, plain 403 page)
+function requirePermission(permission) {
+  return (req, res, next) => requireAuth(req, res, async () => {
+    try {
+      if (await checkPermission(req, permission)) return next();
+      res.status(403).send(`<p>Your role (${req.userRole || 'none'}) does not have access to this page. <a href="/">Back</a></p>`);
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
 module.exports = {
   requireAuth,
-  requireAuthApi
+  requireAuthApi,
+  requirePermission,
+  requirePermissionApi
 };
@@ -0,0 +1,360 @@
+// utils/barcodes.js
+// Barcode encoders for server-rendered shelf labels (utils/label-renderer.js).
+// Code 128 uses code sets B and C (printable ASCII; digit runs packed in pairs). QR codes use byte mode,
+// error correction level M and versions 1-10, i.e. up to 213 bytes - plenty for a SKU inventory URL.
+// Both return geometry only (bar widths / a module matrix); the PDF and ZPL renderers draw it.
+'use strict';
+
+const badValue = message => Object.assign(new Error(message), { status: 400 });
+
+// ============================================================================
+// CODE 128
+// ============================================================================
+
+// Bar/space widths (in modules) of symbol values 0-105; every symbol is 11 modules wide
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const CODE128_STOP = '2331112';
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+
+function digitRun(text, from) {
+  let n = 0;
+  while (from + n < text.length && text[from + n] >= '0' && text[from + n] <= '9') n++;
+  return n;
+}
+
+// Code 128 here uses sets B and C: printable ASCII only
+const canEncodeCode128 = text => /^[\x20-\x7e]+$/.test(String(text ?? ''));
+
+/**
+ * Encode text as Code 128 (throws a 400 for text canEncodeCode128 rejects)
+ * @returns {{codes: number[], widths: number[], modules: number}} codes include start and checksum;
+ *   widths alternate bar, space, bar... (stop included) and add up to `modules`. No quiet zone.
+ */
+function encodeCode128(text) {
+  const value = String(text ?? '');
+  if (!value) throw badValue('Code 128 needs a value');
+  if (!canEncodeCode128(value)) throw badValue(`"${value}" has characters Code 128 set B can't encode`);
+
+  // Set C for leading runs of 4+ digits (or a value of exactly two digits)
+  const leading = digitRun(value, 0);
+  let set = leading >= 4 || (leading === 2 && value.length === 2) ? 'C' : 'B';
+  const codes = [set === 'C' ? START_C : START_B];
+
+  let i = 0;
+  while (i < value.length) {
+    if (set === 'C') {
+      if (digitRun(value, i) >= 2) {
+        codes.push(parseInt(value.slice(i, i + 2), 10));
+        i += 2;
+        continue;
+      }
+      codes.push(CODE_B);
+      set = 'B';
+    }
+
+    const run = digitRun(value, i);
+    if (run >= 4) {
+      // An odd digit goes out in set B so the rest pairs up
+      if (run % 2) codes.push(value.charCodeAt(i++) - 32);
+      codes.push(CODE_C);
+      set = 'C';
+      continue;
+    }
+    codes.push(value.charCodeAt(i++) - 32);
+  }
+
+  const checksum = codes.reduce((sum, code, pos) => sum + code * (pos || 1), 0) % 103;
+  codes.push(checksum);
+
+  const widths = [...codes.map(c => CODE128_PATTERNS[c]).join(''), ...CODE128_STOP].map(Number);
+  return { codes, widths, modules: widths.reduce((a, b) => a + b, 0) };
+}
+
+// ============================================================================
+// QR CODE
+// ============================================================================
+
+// Level M, per version: [EC codewords per block, [blocks, data codewords per block], ...]
+const QR_BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+];
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const QR_MAX_VERSION = QR_BLOCKS_M.length - 1;
+const QR_FORMAT_M = 0b00;
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+const gfMul = (a, b) => (a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0);
+
+// Reed-Solomon error correction codewords for one block
+function reedSolomon(data, degree) {
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coef, j) => {
+      next[j] ^= coef;
+      next[j + 1] ^= gfMul(coef, GF_EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) remainder[i] ^= gfMul(generator[i + 1], factor);
+  }
+  return remainder;
+}
+
+const dataCapacity = version => QR_BLOCKS_M[version].slice(1).reduce((n, [blocks, size]) => n + blocks * size, 0);
+
+// Mode, length, bytes, terminator and padding, split into blocks and interleaved with their EC codewords
+function qrCodewords(bytes, version) {
+  const capacity = dataCapacity(version);
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const [ecPerBlock, ...groups] = QR_BLOCKS_M[version];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let b = 0; b < count; b++) {
+      const block = data.slice(offset, offset + size);
+      blocks.push({ data: block, ec: reedSolomon(block, ecPerBlock) });
+      offset += size;
+    }
+  }
+
+  const out = [];
+  const longest = Math.max(...blocks.map(b => b.data.length));
+  for (let i = 0; i < longest; i++) blocks.forEach(b => { if (i < b.data.length) out.push(b.data[i]); });
+  for (let i = 0; i < ecPerBlock; i++) blocks.forEach(b => out.push(b.ec[i]));
+  return out;
+}
+
+// 15-bit format information (EC level + mask, BCH-protected and masked)
+function qrFormatBits(mask) {
+  const data = (QR_FORMAT_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// 18-bit version information (versions 7+)
+function qrVersionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Matrix with the finder, timing and alignment patterns, dark module and reserved format/version areas
+function qrFunctionPatterns(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finders with their light separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const centers = QR_ALIGNMENT[version];
+  const last = centers.length - 1;
+  centers.forEach((cy, i) => centers.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  drawFormatBits(set, size, 0);
+  if (version >= 7) {
+    const bits = qrVersionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+  return { size, modules, reserved };
+}
+
+function drawFormatBits(set, size, mask) {
+  const bits = qrFormatBits(mask);
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Zig-zag codeword placement over the non-reserved modules (right to left, two columns at a time)
+function placeCodewords(modules, reserved, codewords) {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+// ISO 18004 mask penalty (lower is better)
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const line = (get) => {
+    let score = 0;
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) { run++; continue; }
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+      for (let b = 0; b + 11 <= size; b++) {
+        const seq = Array.from({ length: 11 }, (_, k) => (get(a, b + k) ? 1 : 0)).join('');
+        if (seq === '10111010000' || seq === '00001011101') score += 40;
+      }
+    }
+    return score;
+  };
+  penalty += line((row, col) => modules[row][col]);
+  penalty += line((col, row) => modules[row][col]);
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+  penalty += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+  return penalty;
+}
+
+/**
+ * Encode text (UTF-8) as a QR code at error correction level M
+ * @returns {{version: number, size: number, mask: number, modules: boolean[][]}} modules[y][x], true = dark;
+ *   callers add the 4-module quiet zone
+ */
+function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text ?? ''), 'utf8')];
+  let version = 1;
+  while (version <= QR_MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+  if (version > QR_MAX_VERSION) {
+    throw badValue(`QR data is ${bytes.length} bytes; at most ${dataCapacity(QR_MAX_VERSION) - 3} fit`);
+  }
+
+  const codewords = qrCodewords(bytes, version);
+  const { size, modules: base, reserved } = qrFunctionPatterns(version);
+  placeCodewords(base, reserved, codewords);
+
+  let best = null;
+  QR_MASKS.forEach((maskFn, mask) => {
+    const modules = base.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== maskFn(x, y))));
+    drawFormatBits((x, y, dark) => { modules[y][x] = dark; }, size, mask);
+    const penalty = qrPenalty(modules);
+    if (!best || penalty < best.penalty) best = { mask, modules, penalty };
+  });
+
+  return { version, size, mask: best.mask, modules: best.modules };
+}
+
+module.exports = {
+  canEncodeCode128,
+  encodeCode128,
+  encodeQr,
+  // Exposed for tests
+  reedSolomon,
+  qrFormatBits,
+  qrVersionBits
+};
@@ -1,29 +1,226 @@
-// utils/customs-rules.js - CORRECTED VERSION WITH B5 NOTEBOOK HANDLING
-
-// Title keywords for product identification
-const INSERT_KEYWORDS = /\b(inserts)\b/i;  // Check this FIRST
-const PLANNER_KEYWORDS = /\b(planner)\b/i;
-const NOTEBOOK_KEYWORDS = /\b(notebook|sketchbook)\b/i;
-const STICKY_KEYWORDS = /\b(sticky|stickies|sticky\s*notes?|post-?its?)\b/i;
-const NOTEPAD_KEYWORDS = /\b(notepad)\b/i;
-const STICKER_KEYWORDS = [
-  /monthly\s+tabs?/i,
-  /\bstickers?\b/i,
-  /time\s*management/i,
-  /square\s*bullets?/i,
-  /\bfinance\b/i,
-  /\bwellness\b/i,
-  /wildflowers?/i,
-  /botanical\s+stickers?/i,
-  /sticker\s*sheet/i,
-  /shaded\s+box(es)?/i,        // Add this
-  /lists?\s*-\s*top\s*three/i,  // Add this
-  /\bhighlight(s)?\b/i          // Add this for "Highlight Stickers"
-];
+// utils/customs-rules.js - DATA-DRIVEN RULES ENGINE
+//
+// Title keyword / HS prefix -> product type -> HS code + description mapping.
+// Rules live in the customs_rules table (Postgres product DB) and are edited
+// from /customs-rules. DEFAULT_CUSTOMS_RULES seeds an empty table and is what
+// the engine uses until the DB rules have been loaded.
+
+const { isUS } = require('./shipstation-helpers');
+
+// Rule shape (matches the customs_rules columns):
+//   { id, position, name, product_type, title_pattern, hs_prefix, hs_code, description, enabled }
+// A rule fires when every condition it has matches: title_pattern (case-insensitive
+// regex against the title) and/or hs_prefix (normalized HS starts with it).
+// hs_code, when set, overrides the HS code on the customs line.
+const DEFAULT_CUSTOMS_RULES = [
+  // --- Title rules: checked in order of specificity, these override the HS code ---
+  { name: 'title-sticker', product_type: 'sticker', hs_code: '4911998000', description: 'Paper sticker',
+    title_pattern: 'monthly\\s+tabs?|\\bstickers?\\b|time\\s*management|square\\s*bullets?|\\bfinance\\b|\\bwellness\\b|wildflowers?|botanical\\s+stickers?|sticker\\s*sheet|shaded\\s+box(es)?|lists?\\s*-\\s*top\\s*three|\\bhighlight(s)?\\b' },
+  { name: 'title-insert', product_type: 'insert', hs_code: '4820900000', description: 'Planner inserts (loose refills)',
+    title_pattern: '\\binserts\\b' },
+  { name: 'title-sticky', product_type: 'sticky', hs_code: '4820102020', description: 'Sticky notepad',
+    title_pattern: '\\b(sticky|stickies|sticky\\s*notes?|post-?its?)\\b' },
+  { name: 'title-planner', product_type: 'planner', hs_code: '4820102010', description: 'Planner agenda (bound diary)',
+    title_pattern: '\\bplanner\\b' },
+  { name: 'title-mt-washi', product_type: 'tape', hs_code: '4811412100', description: 'Decorative tape for journaling',
+    title_pattern: '\\bmt\\s+washi\\b' },
+  { name: 'title-notebook-b5', product_type: 'notebook-b5', hs_code: '4820102030', description: 'Notebook (sewn journal, B5 size)',
+    title_pattern: '^(?=.*\\bB5\\b).*\\b(notebook|sketchbook)\\b' },
+  { name: 'title-notebook', product_type: 'notebook', hs_code: '4820102060', description: 'Notebook (bound journal)',
+    title_pattern: '\\b(notebook|sketchbook)\\b' },
+  { name: 'title-notepad', product_type: 'notepad', hs_code: '4820102020', description: 'Notepad',
+    title_pattern: '\\bnotepad\\b' },
+  { name: 'title-pen', product_type: 'pen', hs_code: '9608100000', description: 'Gel ink pen',
+    title_pattern: '\\bpen\\b' },
+  { name: 'title-elastic', product_type: 'elastic', hs_code: '6307909800', description: 'Elastic for notebook',
+    title_pattern: '\\belastic\\b' },
+  { name: 'title-charm', product_type: 'charm', hs_code: '7117909000', description: 'Charm for notebook ribbon',
+    title_pattern: '\\bcharm\\b' },
+  { name: 'title-clip', product_type: 'clip', hs_code: '8305903010', description: 'Office paper clips',
+    title_pattern: '\\bclip' },
+  { name: 'title-tape', product_type: 'tape', hs_code: '4811412100', description: 'Decorative tape for journaling',
+    title_pattern: '\\btape\\b' },
+  { name: 'title-pocket', product_type: 'pocket', hs_code: '4811412100', description: 'Paper pocket for notebook',
+    title_pattern: '\\bpocket\\b' },
+  { name: 'title-jewelry', product_type: 'jewelry', hs_code: '7113115000', description: 'Sterling silver jewellery',
+    title_pattern: 'bracelet|pendant|stud|earring|jewellery|jewelry' },
+
+  // --- HS rules: title unknown, describe by the existing HS code (no override) ---
+  { name: 'hs-planner', hs_prefix: '4820102010', description: 'Planner agenda (bound diary)' },
+  { name: 'hs-notebook', hs_prefix: '4820102060', description: 'Notebook (bound journal)' },
+  { name: 'hs-notebook-b5', hs_prefix: '4820102030', description: 'Notebook (sewn journal, B5 size)' },
+  { name: 'hs-sticky-notepad', hs_prefix: '4820102020', title_pattern: 'sticky|stickies', description: 'Sticky notepad' },
+  { name: 'hs-notepad', hs_prefix: '4820102020', description: 'Notepad' },
+  { name: 'hs-4820-generic', hs_prefix: '48201020', description: 'Notebook (bound journal)' },
+  { name: 'hs-inserts', hs_prefix: '4820900000', description: 'Planner inserts (loose refills)' },
+  { name: 'hs-sticker', hs_prefix: '4911', description: 'Paper sticker' },
+  { name: 'hs-pen', hs_prefix: '960810', description: 'Gel ink pen' },
+  { name: 'hs-pen-refill', hs_prefix: '960860', description: 'Refills for ballpoint pen' },
+  { name: 'hs-clip', hs_prefix: '8305', description: 'Office paper clips' },
+  { name: 'hs-elastic', hs_prefix: '630790', description: 'Elastic for notebook' },
+  { name: 'hs-pocket', hs_prefix: '481141', title_pattern: 'pocket', description: 'Paper pocket for notebook' },
+  { name: 'hs-tape', hs_prefix: '481141', description: 'Decorative tape for journaling' },
+  { name: 'hs-jewelry-bracelets', hs_prefix: '711311', title_pattern: 'bracelet', description: 'Sterling silver jewellery bracelets' },
+  { name: 'hs-jewelry-pendants', hs_prefix: '711311', title_pattern: 'pendant', description: 'Sterling silver jewellery pendants' },
+  { name: 'hs-jewelry-studs', hs_prefix: '711311', title_pattern: 'stud', description: 'Sterling silver jewellery studs' },
+  { name: 'hs-jewelry-earrings', hs_prefix: '711311', title_pattern: 'earring', description: 'Sterling silver jewellery earrings' },
+  { name: 'hs-jewelry', hs_prefix: '711311', description: 'Sterling silver jewellery' },
+  { name: 'hs-charm', hs_prefix: '7117', description: 'Charm for notebook ribbon' }
+].map((rule, i) => ({ id: rule.name, position: (i + 1) * 10, enabled: true, ...rule }));
+
+// Compile a rule's regex once; invalid patterns throw so callers can reject them
+function compileRule(rule) {
+  const titlePattern = String(rule.title_pattern || '').trim();
+  const hsPrefix = normHS(rule.hs_prefix);
+  if (!titlePattern && !hsPrefix) {
+    throw new Error(`Rule "${rule.name || rule.id}" needs a title pattern or an HS prefix`);
+  }
+  return {
+    rule,
+    titleRx: titlePattern ? new RegExp(titlePattern, 'i') : null,
+    hsPrefix
+  };
+}
+
+// Validate a rule before it is saved. Returns a list of error strings.
+function validateCustomsRule(rule) {
+  const errors = [];
+  if (!String(rule.name || '').trim()) errors.push('name is required');
+  if (!String(rule.description || '').trim()) errors.push('description is required');
+  if (!String(rule.title_pattern || '').trim() && !normHS(rule.hs_prefix)) {
+    errors.push('title_pattern or hs_prefix is required');
+  }
+  if (rule.title_pattern) {
+    try { new RegExp(rule.title_pattern, 'i'); }
+    catch (e) { errors.push(`title_pattern is not a valid regex: ${e.message}`); }
+  }
+  if (rule.hs_prefix && !/^[0-9.\s]+$/.test(String(rule.hs_prefix))) {
+    errors.push('hs_prefix must be digits');
+  }
+  if (rule.hs_code && normHS(rule.hs_code).length < 6) {
+    errors.push('hs_code must have at least 6 digits');
+  }
+  // customs_rules.position is an int4
+  if (rule.position !== undefined && rule.position !== null && rule.position !== '') {
+    const position = Number(rule.position);
+    if (!Number.isInteger(position) || Math.abs(position) > 2147483647) errors.push('position must be a whole number');
+  }
+  return errors;
+}
+
+/**
+ * Build an evaluator over a rule set (rows from customs_rules or the same shape).
+ * Disabled rules are dropped; with opts.strict an invalid rule throws instead of
+ * being skipped. Rules without an id get their name (or list position) as id.
+ */
+function createCustomsRuleEngine(rules, opts = {}) {
+  const sorted = [...rules]
+    .map((rule, i) => ({ ...rule, id: rule.id ?? rule.name ?? `rule-${i + 1}`, position: rule.position ?? (i + 1) * 10 }))
+    .sort((a, b) => (a.position - b.position) || (String(a.id) > String(b.id) ? 1 : -1));
+
+  const compiled = [];
+  for (const rule of sorted) {
+    if (rule.enabled === false) continue;
+    try {
+      compiled.push(compileRule(rule));
+    } catch (e) {
+      if (opts.strict) throw new Error(`Rule ${rule.id}: ${e.message}`);
+      console.warn(`[Customs Rules] Skipping rule ${rule.id}: ${e.message}`);
+    }
+  }
+
+  // First rule whose conditions all match. titleOnly restricts to pure title rules.
+  function findMatchingRule(harmonizedCode, title, { titleOnly = false } = {}) {
+    const t = String(title || '');
+    const hs = normHS(fixMalformedHS(harmonizedCode));
+    for (const c of compiled) {
+      if (titleOnly && (c.hsPrefix || !c.titleRx)) continue;
+      if (c.hsPrefix && !hs.startsWith(c.hsPrefix)) continue;
+      if (c.titleRx && !c.titleRx.test(t)) continue;
+      return c.rule;
+    }
+    return null;
+  }
+
+  // Determine product type from title (first matching title rule)
+  function identifyProductFromTitle(title) {
+    const rule = findMatchingRule('', title, { titleOnly: true });
+    return rule?.product_type || null;
+  }
+
+  // Map product type to correct HS and description (first rule for that type with an HS code)
+  function getCorrectHSAndDescription(productType) {
+    if (!productType) return null;
+    const c = compiled.find(c => c.rule.product_type === productType && c.rule.hs_code);
+    return c ? { hs: String(c.rule.hs_code), desc: c.rule.description, ruleId: c.rule.id } : null;
+  }
+
+  // Returns { desc, overrideHS?, rule, ruleName, productType } where rule is the ID
+  // of the rule that fired, or 'fallback' when none did.
+  function pickCustomsDescription(harmonizedCode, titleOrDesc) {
+    const title = String(titleOrDesc || '');
+    const rule = findMatchingRule(harmonizedCode, title);
+
+    if (rule) {
+      const out = { desc: rule.description, rule: rule.id, ruleName: rule.name, productType: rule.product_type || null };
+      if (rule.hs_code) out.overrideHS = String(rule.hs_code);
+      return out;
+    }
+
+    // Last resort - use the title as description
+    return { desc: title, rule: 'fallback', ruleName: 'fallback', productType: null };
+  }
+
+  return {
+    ruleCount: compiled.length,
+    findMatchingRule,
+    identifyProductFromTitle,
+    getCorrectHSAndDescription,
+    pickCustomsDescription
+  };
+}
+
+// Active engine used by the ShipStation routes. Replaced wholesale by setCustomsRules().
+let activeEngine = createCustomsRuleEngine(DEFAULT_CUSTOMS_RULES);
+let activeSource = 'defaults';
+let loadedAt = null;
+
+// Replace the active rule set (rows straight from customs_rules)
+function setCustomsRules(rules, source = 'db') {
+  activeEngine = createCustomsRuleEngine(rules);
+  activeSource = source;
+  loadedAt = new Date().toISOString();
+  return activeEngine.ruleCount;
+}
+
+function getActiveCustomsRuleEngine() {
+  return activeEngine;
+}
+
+function getCustomsRulesStatus() {
+  return { source: activeSource, loadedAt, activeRuleCount: activeEngine.ruleCount };
+}
+
+// Load rules from Postgres, seeding the table with the defaults the first time
+async function loadCustomsRulesFromDb() {
+  const productDb = require('./product-db');
+  let rows = await productDb.getCustomsRules();
+  if (!rows.length) {
+    const seeded = await productDb.seedCustomsRules(DEFAULT_CUSTOMS_RULES);
+    console.log(`[Customs Rules] Seeded ${seeded} default rules`);
+    rows = await productDb.getCustomsRules();
+  }
+  const count = setCustomsRules(rows, 'db');
+  console.log(`[Customs Rules] Loaded ${count} active rules from database`);
+  return rows;
+}
+
+function findMatchingRule(harmonizedCode, title, opts) {
+  return activeEngine.findMatchingRule(harmonizedCode, title, opts);
+}
 
 function titleForcesSticker(title) {
-  const t = String(title || '');
-  return STICKER_KEYWORDS.some(rx => rx.test(t));
+  return identifyProductFromTitle(title) === 'sticker';
 }
 
 // Fix ONLY obviously malformed codes (missing digits, etc)
@@ -48,78 +245,6 @@ function fixMalformedHS(code) {
   return cleaned;
 }
 
-// Determine product type from title
-function identifyProductFromTitle(title) {
-  const t = String(title || '').toLowerCase();
-  
-  // Check in order of specificity - INSERTS FIRST!
-  if (titleForcesSticker(title)) return 'sticker';
-  if (INSERT_KEYWORDS.test(t)) return 'insert';  
-  if (STICKY_KEYWORDS.test(t)) return 'sticky';
-  if (PLANNER_KEYWORDS.test(t)) return 'planner';
-  if (/\bmt\s+washi\b/i.test(title)) return 'tape';
-  
-  // Special handling for notebooks with B5
-  if (NOTEBOOK_KEYWORDS.test(t)) {
-    // Check if it's a B5 notebook specifically
-    if (/\bB5\b/i.test(title)) {
-      return 'notebook-b5';
-    }
-    return 'notebook';
-  }
-  
-  if (NOTEPAD_KEYWORDS.test(t)) return 'notepad';
-  
-  // Check for other specific products
-  if (/\bpen\b/.test(t)) return 'pen';
-  if (/\belastic\b/.test(t)) return 'elastic';
-  if (/\bcharm\b/.test(t)) return 'charm';
-  if (/\bclip/.test(t)) return 'clip';
-  if (/\btape\b/.test(t)) return 'tape';
-  if (/\bpocket\b/.test(t)) return 'pocket';
-  if (/(bracelet|pendant|stud|earring|jewellery|jewelry)/.test(t)) return 'jewelry';
-  
-  return null;
-}
-
-// Map product type to correct HS and description
-function getCorrectHSAndDescription(productType) {
-  switch(productType) {
-    case 'sticker':
-      return { hs: '4911998000', desc: 'Paper sticker' };
-    case 'sticky':
-      return { hs: '4820102020', desc: 'Sticky notepad' };
-    case 'planner':
-      return { hs: '4820102010', desc: 'Planner agenda (bound diary)' };
-    case 'notebook-b5': 
-      return { hs: '4820102030', desc: 'Notebook (sewn journal, B5 size)' };
-    case 'notebook':
-      return { hs: '4820102060', desc: 'Notebook (bound journal)' };
-    case 'notepad':
-      return { hs: '4820102020', desc: 'Notepad' };
-    case 'insert':
-      return { hs: '4820900000', desc: 'Planner inserts (loose refills)' };
-    case 'pen':
-      return { hs: '9608100000', desc: 'Gel ink pen' };
-    case 'elastic':
-      return { hs: '6307909800', desc: 'Elastic for notebook' };
-    case 'charm':
-      return { hs: '7117909000', desc: 'Charm for notebook ribbon' };
-    case 'clip':
-      return { hs: '8305903010', desc: 'Office paper clips' };
-    case 'tape':
-      return { hs: '4811412100', desc: 'Decorative tape for journaling' };
-    case 'pocket':
-      return { hs: '4811412100', desc: 'Paper pocket for notebook' };
-    case 'jewelry':
-      return { hs: '7113115000', desc: 'Sterling silver jewellery' };
-    case 'tape': 
-      return { hs:'4811412100', desc: 'Decorative tape for journaling'};
-    default:
-      return null;
-  }
-}
-
 // normalize HS to digits
 function normHS(code) {
   return String(code ?? '').replace(/[^0-9]/g, '');
@@ -136,109 +261,86 @@ function getHS(ci) {
   return String(raw);
 }
 
+// Active-engine shortcuts (kept as plain functions for existing callers)
+function identifyProductFromTitle(title) {
+  return activeEngine.identifyProductFromTitle(title);
+}
+
+function getCorrectHSAndDescription(productType) {
+  return activeEngine.getCorrectHSAndDescription(productType);
+}
+
 // MAIN PICKER
 function pickCustomsDescription(harmonizedCode, titleOrDesc) {
-  const title = String(titleOrDesc || '');
-  
-  // FIRST: Identify product from title - this takes priority!
-  const productType = identifyProductFromTitle(title);
-  
-  if (productType) {
-    // We know what it is from the title, so use the correct HS
-    const correct = getCorrectHSAndDescription(productType);
-    if (correct) {
-      // Always override with the correct HS for this product type
-      return { 
-        desc: correct.desc, 
-        overrideHS: correct.hs,  // Always override when identified by title
-        rule: `title-${productType}` 
-      };
-    }
-  }
-  
-  // If we couldn't identify from title, try to use the HS code
-  const fixedHS = fixMalformedHS(harmonizedCode);
-  const key = normHS(fixedHS);
-  
-  // Check exact match with fixed HS
-  const exact = HS_DESCRIPTION_RULES[key];
-  if (exact) return { desc: exact(title), rule: 'exact' };
-  
-  // Try prefix matching
-  const fuzzy = pickByPrefix(key, title);
-  if (fuzzy) return { desc: fuzzy, rule: 'prefix' };
-  
-  // Last resort - use the title as description
-  return { desc: title, rule: 'fallback' };
-}
-
-// Your existing HS_DESCRIPTION_RULES...
-const HS_DESCRIPTION_RULES = {
-  '4820102010': () => 'Planner agenda (bound diary)',
-  '4820102060': () => 'Notebook (bound journal)',
-  '4820102030': () => 'Notebook (sewn journal, B5 size)',
-  '4820102020': (title='') => {
-    const t = String(title).toLowerCase();
-    return (t.includes('sticky') || t.includes('stickies')) ? 'Sticky notepad' : 'Notepad';
-  },
-  '4911998000': () => 'Paper sticker',
-  '9608100000': () => 'Gel ink pen',
-  '4820900000': () => 'Planner inserts (loose refills)',
-  '8305903010': () => 'Office paper clips',
-  '6307909800': () => 'Elastic for notebook',
-  '7117909000': () => 'Charm for notebook ribbon',
-  '9608600000': () => 'Refills for ballpoint pen',
-  '4811412100': (title='') => {
-    const t = String(title).toLowerCase();
-    return t.includes('pocket') ? 'Paper pocket for notebook' : 'Decorative tape for journaling';
-  },
-  '7113115000': (title='') => {
-    const t = String(title).toLowerCase();
-    if (/(bracelet|bracelets)/.test(t)) return 'Sterling silver jewellery bracelets';
-    if (/(pendant|pendants)/.test(t))   return 'Sterling silver jewellery pendants';
-    if (/(stud|studs)/.test(t))         return 'Sterling silver jewellery studs';
-    if (/(earring|earrings)/.test(t))   return 'Sterling silver jewellery earrings';
-    return 'Sterling silver jewellery';
-  },
-};
+  return activeEngine.pickCustomsDescription(harmonizedCode, titleOrDesc);
+}
 
-// Keep the prefix function for backward compatibility
-function pickByPrefix(h, title='') {
-  const t = String(title).toLowerCase();
-
-  if (h.startsWith('48201020')) {
-    const last4 = h.slice(-4);
-    if (last4 === '2010') return 'Planner agenda (bound diary)';
-    if (last4 === '2060') return 'Notebook (bound journal)';
-    if (last4 === '2030') return 'Notebook (sewn journal, B5 size)';
-    if (last4 === '2020') return (t.includes('sticky') || t.includes('stickies')) ? 'Sticky notepad' : 'Notepad';
-    return 'Notebook (bound journal)';
-  }
-  if (h.startsWith('4911')) return 'Paper sticker';
-  if (h.startsWith('960810')) return 'Gel ink pen';
-  if (h.startsWith('960860')) return 'Refills for ballpoint pen';
-  if (h.startsWith('8305')) return 'Office paper clips';
-  if (h.startsWith('630790')) return 'Elastic for notebook';
-  if (h.startsWith('481141')) return t.includes('pocket') ? 'Paper pocket for notebook' : 'Decorative tape for journaling';
-  if (h.startsWith('711311')) {
-    if (/(bracelet|bracelets)/.test(t)) return 'Sterling silver jewellery bracelets';
-    if (/(pendant|pendants)/.test(t))   return 'Sterling silver jewellery pendants';
-    if (/(stud|studs)/.test(t))         return 'Sterling silver jewellery studs';
-    if (/(earring|earrings)/.test(t))   return 'Sterling silver jewellery earrings';
-    return 'Sterling silver jewellery';
-  }
-  if (h.startsWith('7117')) return 'Charm for notebook ribbon';
-  return null;
+// Compute customs description + HS patch plan. Pass an engine from
+// createCustomsRuleEngine() to evaluate a candidate rule set instead of the active one.
+function buildCustomsPatch(order, engine = activeEngine) {
+  if (!isUS(order)) return { canUpdate: false, reason: 'Order is not shipping to US.' };
+
+  const intl = order.internationalOptions || {};
+  const existing =
+    Array.isArray(intl.customsItems) ? intl.customsItems :
+    Array.isArray(order.customsItems) ? order.customsItems : [];
+
+  if (!existing.length) return { canUpdate: false, reason: 'No customsItems on this order to edit.' };
+
+  const itemTitles = (order.items || []).map(i => String(i.name || ''));
+  const analysis = [];
+
+  const updated = existing.map((ci, idx) => {
+    const hsRaw  = getHS(ci);
+    const hsNorm = normHS(hsRaw);
+    const cur    = String(ci.description || '');
+    const bestT  = cur || itemTitles.find(t => t) || '';
+
+    const pick = engine.pickCustomsDescription(hsRaw, bestT);
+    const newDesc = pick.desc;
+    const descChanged = cur.trim() !== String(newDesc).trim();
+
+    const newHS = pick.overrideHS ? String(pick.overrideHS) : hsRaw;
+    const hsChanged = pick.overrideHS ? (normHS(hsRaw) !== normHS(pick.overrideHS)) : false;
+
+    analysis.push({
+      index: idx, hs: hsRaw, hsNormalized: hsNorm, hsNew: hsChanged ? newHS : hsRaw,
+      from: cur, mapped: newDesc, rule: pick.rule, ruleName: pick.ruleName, willChange: descChanged || hsChanged
+    });
+
+    const out = { ...ci };
+    if (descChanged) out.description = newDesc;
+    if (hsChanged)   out.harmonizedTariffCode = newHS;
+    return out;
+  });
+
+  const diff = analysis.filter(a => a.willChange).map(a => ({
+    index: a.index, harmonizedCode: a.hs, harmonizedCodeNew: a.hsNew, from: a.from, to: a.mapped
+  }));
+
+  const anyCustomsChange = diff.length > 0;
+  const patchedOrder = anyCustomsChange
+    ? { ...order, internationalOptions: { ...(order.internationalOptions || {}), customsItems: updated } }
+    : { ...order };
+
+  return { canUpdate: true, diff, patchedOrder, analysis, anyCustomsChange };
 }
 
 module.exports = {
+  DEFAULT_CUSTOMS_RULES,
+  createCustomsRuleEngine,
+  getActiveCustomsRuleEngine,
+  buildCustomsPatch,
+  setCustomsRules,
+  loadCustomsRulesFromDb,
+  getCustomsRulesStatus,
+  validateCustomsRule,
+  findMatchingRule,
   titleForcesSticker,
-  HS_DESCRIPTION_RULES,
   normHS,
   getHS,
-  pickByPrefix,
   pickCustomsDescription,
   fixMalformedHS,
   identifyProductFromTitle,
-  getCorrectHSAndDescription  // Add this line
-};
\ No newline at end of file
+  getCorrectHSAndDescription
+};
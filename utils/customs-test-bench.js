@@ -0,0 +1,215 @@
+// utils/customs-test-bench.js
+// Replays stored ShipStation order exports through buildCustomsPatch with the
+// active customs rules and a candidate rule set, and reports what would change.
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { parseCsv } = require('./shipstation-helpers');
+const {
+  createCustomsRuleEngine,
+  getActiveCustomsRuleEngine,
+  buildCustomsPatch,
+  validateCustomsRule,
+  normHS
+} = require('./customs-rules');
+
+const EXPORTS_DIR = path.join(__dirname, '../exports');
+
+// Only ever read plain CSV files that live directly in exports/
+function resolveCorpusFile(file) {
+  const name = path.basename(String(file || ''));
+  if (!name || !name.toLowerCase().endsWith('.csv')) {
+    throw Object.assign(new Error('file must be a .csv in exports/'), { status: 400 });
+  }
+  return path.join(EXPORTS_DIR, name);
+}
+
+/**
+ * List stored order exports, newest first
+ */
+async function listCorpusFiles() {
+  let names = [];
+  try {
+    names = (await fs.readdir(EXPORTS_DIR)).filter(f => f.toLowerCase().endsWith('.csv'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const files = await Promise.all(names.map(async name => {
+    const stat = await fs.stat(path.join(EXPORTS_DIR, name));
+    return { name, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+  }));
+  return files.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+/**
+ * Rebuild order objects (shipTo, items, customsItems) from an export CSV.
+ * Works with export-all.csv (order columns only on an order's first row) and
+ * the per-item exports (order columns on every row). Each row that carries a
+ * current customs description/HS becomes one customs line.
+ */
+function ordersFromExportRows(rows) {
+  const orders = [];
+  let current = null;
+
+  for (const r of rows) {
+    if (r.orderId && (!current || String(current.orderId) !== String(r.orderId))) {
+      current = {
+        orderId: r.orderId,
+        orderNumber: r.orderNumber,
+        orderDate: r.orderDate,
+        orderStatus: r.orderStatus,
+        // export-all only writes US orders and has no country column
+        shipTo: { city: r.shipToCity, state: r.shipToState, country: r.shipToCountry || 'US' },
+        items: [],
+        internationalOptions: { customsItems: [] },
+        _lines: []
+      };
+      orders.push(current);
+    }
+    if (!current) continue;
+
+    const isOrphan = r.matchMethod === 'ORPHANED';
+    if (!isOrphan && r.itemName) {
+      current.items.push({ name: r.itemName, sku: r.itemSku, quantity: Number(r.itemQty) || 1, unitPrice: r.itemUnitPrice });
+    }
+
+    const desc = r.currentCustomsDesc === 'NOT MATCHED' ? '' : (r.currentCustomsDesc || '');
+    if (desc || r.currentCustomsHS) {
+      current.internationalOptions.customsItems.push({
+        description: desc,
+        harmonizedTariffCode: r.currentCustomsHS,
+        quantity: Number(r.currentCustomsQty) || Number(r.itemQty) || 1,
+        value: r.currentCustomsValue,
+        sku: r.itemSku
+      });
+      current._lines.push({ itemName: isOrphan ? '' : r.itemName, itemSku: r.itemSku });
+    }
+  }
+
+  return orders;
+}
+
+async function loadCorpusOrders(file) {
+  const text = await fs.readFile(resolveCorpusFile(file), 'utf8');
+  return ordersFromExportRows(parseCsv(text));
+}
+
+/**
+ * Accept the uploaded candidate as either an array of rules or { rules: [...] }
+ * and build a strict engine from it. Throws a 400 with per-rule errors.
+ */
+function candidateEngineFrom(candidate) {
+  const rules = Array.isArray(candidate) ? candidate : candidate?.rules;
+  if (!Array.isArray(rules) || !rules.length) {
+    throw Object.assign(new Error('Candidate must be a JSON array of rules or { "rules": [...] }'), { status: 400 });
+  }
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const problems = validateCustomsRule(rule || {});
+    if (problems.length) errors.push(`#${i + 1} ${rule?.name || ''}: ${problems.join(', ')}`);
+  });
+  if (errors.length) {
+    throw Object.assign(new Error(`Invalid candidate rules: ${errors.join(' | ')}`), { status: 400 });
+  }
+
+  return createCustomsRuleEngine(rules, { strict: true });
+}
+
+/**
+ * Run the corpus through the active and candidate engines.
+ * Returns summary counts, per-rule groups of changed lines (grouped by the
+ * candidate rule that fired) and the list of changed lines.
+ */
+function compareRuleSets(orders, candidateEngine, baselineEngine = getActiveCustomsRuleEngine()) {
+  const summary = { orders: orders.length, ordersWithCustoms: 0, lines: 0, changedLines: 0, descChanged: 0, hsChanged: 0, ordersAffected: 0 };
+  const groups = new Map();
+  const changes = [];
+
+  for (const order of orders) {
+    const before = buildCustomsPatch(order, baselineEngine);
+    if (!before.canUpdate) continue;
+    const after = buildCustomsPatch(order, candidateEngine);
+
+    summary.ordersWithCustoms++;
+    let orderChanged = false;
+
+    before.analysis.forEach((b, idx) => {
+      const a = after.analysis[idx];
+      summary.lines++;
+
+      const descChanged = String(b.mapped).trim() !== String(a.mapped).trim();
+      const hsChanged = normHS(b.hsNew) !== normHS(a.hsNew);
+      if (!descChanged && !hsChanged) return;
+
+      summary.changedLines++;
+      if (descChanged) summary.descChanged++;
+      if (hsChanged) summary.hsChanged++;
+      orderChanged = true;
+
+      const line = order._lines[idx] || {};
+      const change = {
+        orderId: order.orderId,
+        orderNumber: order.orderNumber,
+        index: idx,
+        itemName: line.itemName || '',
+        itemSku: line.itemSku || '',
+        currentDesc: b.from,
+        currentHS: b.hs,
+        baseline: { rule: b.rule, ruleName: b.ruleName, desc: b.mapped, hs: b.hsNew },
+        candidate: { rule: a.rule, ruleName: a.ruleName, desc: a.mapped, hs: a.hsNew },
+        descChanged,
+        hsChanged
+      };
+      changes.push(change);
+
+      const key = String(a.rule);
+      if (!groups.has(key)) {
+        groups.set(key, { rule: a.rule, ruleName: a.ruleName, count: 0, descChanged: 0, hsChanged: 0, replacedRules: {}, examples: [] });
+      }
+      const g = groups.get(key);
+      g.count++;
+      if (descChanged) g.descChanged++;
+      if (hsChanged) g.hsChanged++;
+      g.replacedRules[b.ruleName] = (g.replacedRules[b.ruleName] || 0) + 1;
+      if (g.examples.length < 5) g.examples.push(change);
+    });
+
+    if (orderChanged) summary.ordersAffected++;
+  }
+
+  return {
+    summary,
+    byRule: [...groups.values()].sort((x, y) => y.count - x.count),
+    changes
+  };
+}
+
+/**
+ * Load a stored export and compare the candidate rules against the active ones
+ */
+async function runCustomsTestBench({ file, candidate, maxChanges = 1000 }) {
+  const candidateEngine = candidateEngineFrom(candidate);
+  const orders = await loadCorpusOrders(file);
+  const result = compareRuleSets(orders, candidateEngine);
+  return {
+    file: path.basename(file),
+    candidateRuleCount: candidateEngine.ruleCount,
+    ...result,
+    changes: result.changes.slice(0, maxChanges),
+    changesTruncated: result.changes.length > maxChanges
+  };
+}
+
+module.exports = {
+  listCorpusFiles,
+  ordersFromExportRows,
+  loadCorpusOrders,
+  candidateEngineFrom,
+  compareRuleSets,
+  runCustomsTestBench
+};
@@ -5,9 +5,12 @@ const path = require('path');
 
 let db;
 
+// SQLITE_DB_PATH points tests (or a second instance) at their own file
+const DB_PATH = process.env.SQLITE_DB_PATH || path.join(__dirname, '../vip_cache.db');
+
 async function initDB() {
   db = await open({
-    filename: path.join(__dirname, '../vip_cache.db'),
+    filename: DB_PATH,
     driver: sqlite3.Database
   });
 
@@ -43,12 +46,218 @@ async function initDB() {
     
     CREATE INDEX IF NOT EXISTS idx_spent ON customers(total_spent);
     CREATE INDEX IF NOT EXISTS idx_customer_orders ON customer_orders(customer_id);
+
+    -- Before/after copies of every ShipStation order write (see utils/order-snapshots.js)
+    CREATE TABLE IF NOT EXISTS order_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      actor TEXT,
+      order_id TEXT NOT NULL,
+      order_number TEXT,
+      before_json TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      after_json TEXT,
+      status TEXT DEFAULT 'pending',
+      error TEXT,
+      rollback_of INTEGER,
+      rolled_back_at TEXT,
+      rolled_back_by TEXT,
+      rollback_snapshot_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_order_snapshots_run ON order_snapshots(run_id);
+    CREATE INDEX IF NOT EXISTS idx_order_snapshots_order ON order_snapshots(order_id);
+
+    -- Who changed what across all tools (see utils/audit-log.js)
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT,
+      tool TEXT NOT NULL,
+      action TEXT NOT NULL,
+      method TEXT,
+      path TEXT,
+      target_ids TEXT,
+      summary TEXT,
+      status_code INTEGER,
+      outcome TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      ip TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_tool ON audit_log(tool);
+
+    -- Role per Google login email (see utils/user-roles.js)
+    CREATE TABLE IF NOT EXISTS user_roles (
+      email TEXT PRIMARY KEY,
+      role TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Background jobs for long scans/exports/bulk runs (see utils/job-queue.js)
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      params_json TEXT,
+      created_by TEXT,
+      progress_done INTEGER DEFAULT 0,
+      progress_total INTEGER,
+      progress_message TEXT,
+      log_json TEXT,
+      result_json TEXT,
+      result_file TEXT,
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+      cancel_requested INTEGER DEFAULT 0,
+      cancelled_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      finished_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+
+    -- Verified Shopify webhook deliveries, keyed by X-Shopify-Webhook-Id for replay protection
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      webhook_id TEXT PRIMARY KEY,
+      topic TEXT,
+      shop_domain TEXT,
+      triggered_at TEXT,
+      received_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at);
+
+    -- Latest order change detector result per ShipStation order (see utils/order-change-state.js)
+    CREATE TABLE IF NOT EXISTS order_change_state (
+      order_id TEXT PRIMARY KEY,
+      order_number TEXT,
+      has_changes INTEGER DEFAULT 0,
+      changes_json TEXT,
+      first_seen_at TEXT,
+      last_checked_at TEXT,
+      last_source TEXT,
+      error TEXT,
+      tagged INTEGER DEFAULT 0,
+      tagged_at TEXT,
+      tagged_by TEXT,
+      resolved_at TEXT,
+      resolved_by TEXT,
+      status TEXT,
+      status_by TEXT,
+      status_at TEXT,
+      status_note TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_order_change_state_number ON order_change_state(order_number);
+
+    -- Detected / changed / cleared / tagged / status change events per order (see utils/order-change-state.js)
+    CREATE TABLE IF NOT EXISTS order_change_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      order_number TEXT,
+      event TEXT NOT NULL,
+      changes_json TEXT,
+      source TEXT,
+      actor TEXT,
+      note TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_order_change_history_order ON order_change_history(order_id);
+    CREATE INDEX IF NOT EXISTS idx_order_change_history_number ON order_change_history(order_number);
+
+    -- Promo/discount line allow and deny lists for the order change detector (see utils/promo-rules.js)
+    CREATE TABLE IF NOT EXISTS order_change_promo_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      list TEXT NOT NULL,
+      match_type TEXT NOT NULL,
+      pattern TEXT NOT NULL,
+      note TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Order change detector settings as key/value pairs (see utils/promo-rules.js)
+    CREATE TABLE IF NOT EXISTS order_change_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Per-user notification subscriptions: topic x channel, instant or daily digest (see utils/notifications.js)
+    CREATE TABLE IF NOT EXISTS notification_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_email TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      target TEXT,
+      mode TEXT NOT NULL DEFAULT 'instant',
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_email, topic, channel)
+    );
+
+    -- Published notifications and one delivery row per subscriber; digest deliveries wait as 'pending'
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      topic TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT,
+      link TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_id INTEGER NOT NULL,
+      user_email TEXT,
+      channel TEXT NOT NULL,
+      target TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      sent_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status);
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notification ON notification_deliveries(notification_id);
   `);
+
+  // Columns added after a table first shipped (CREATE TABLE IF NOT EXISTS won't add them)
+  await addMissingColumns('order_change_state', {
+    status: 'TEXT',
+    status_by: 'TEXT',
+    status_at: 'TEXT',
+    status_note: 'TEXT'
+  }, async () => {
+    await db.run(`UPDATE order_change_state SET status = CASE WHEN resolved_at IS NOT NULL THEN 'resolved' ELSE 'open' END WHERE has_changes = 1`);
+  });
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_order_change_state_status ON order_change_state(status)`);
   
-  console.log('✅ Database initialized at', path.join(__dirname, '../vip_cache.db'));
+  console.log('✅ Database initialized at', DB_PATH);
   return db;
 }
 
+async function addMissingColumns(table, columns, onAdded = null) {
+  const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+  const missing = Object.entries(columns).filter(([name]) => !existing.has(name));
+  for (const [name, type] of missing) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+  if (missing.length && onAdded) await onAdded();
+}
+
 async function getDB() {
   if (!db) {
     await initDB();
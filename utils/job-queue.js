@@ -0,0 +1,351 @@
+// utils/job-queue.js
+// Persistent background jobs for operations that outlive an HTTP request
+// (full scans, export-all, product syncs, bulk order rewrites).
+//
+// Route modules register a handler per job type; jobs are stored in the SQLite `jobs`
+// table and run one at a time by an in-process worker. Jobs that were running when
+// the server stopped are re-queued on startup (up to MAX_ATTEMPTS).
+'use strict';
+
+const { getDB } = require('./database');
+const { recordAudit, summarizeBody, extractTargetIds } = require('./audit-log');
+const { publish } = require('./notifications');
+
+const MAX_ATTEMPTS = 3;
+const MAX_LOG_LINES = 500;
+const FLUSH_INTERVAL_MS = 1000;
+const POLL_INTERVAL_MS = 5000;
+
+const handlers = new Map();      // type -> { run, permission, label }
+const cancelRequested = new Set(); // job ids flagged while running
+
+let workerStarted = false;
+let workerBusy = false;
+let pollTimer = null;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Register a job type
+ * @param {string} type
+ * @param {object} def
+ * @param {function} def.run         - async (params, ctx) => result (JSON-serialisable)
+ * @param {string}  [def.permission] - permission needed to enqueue (utils/user-roles.js); none = any user
+ * @param {string}  [def.label]      - human readable name for the jobs page
+ */
+function registerJobHandler(type, { run, permission = null, label = type }) {
+  if (typeof run !== 'function') throw new Error(`Job handler for ${type} needs a run function`);
+  handlers.set(type, { run, permission, label });
+}
+
+function getJobHandler(type) {
+  return handlers.get(type) || null;
+}
+
+function listJobTypes() {
+  return [...handlers.entries()].map(([type, h]) => ({ type, label: h.label, permission: h.permission }));
+}
+
+function parseJob(row, { full = false } = {}) {
+  if (!row) return null;
+  const job = {
+    id: row.id,
+    type: row.type,
+    label: handlers.get(row.type)?.label || row.type,
+    status: row.status,
+    params: row.params_json ? JSON.parse(row.params_json) : {},
+    createdBy: row.created_by,
+    progress: {
+      done: row.progress_done,
+      total: row.progress_total,
+      message: row.progress_message
+    },
+    resultFile: row.result_file,
+    error: row.error,
+    attempts: row.attempts,
+    cancelRequested: !!row.cancel_requested,
+    cancelledBy: row.cancelled_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+  if (full) {
+    job.log = row.log_json ? JSON.parse(row.log_json) : [];
+    job.result = row.result_json ? JSON.parse(row.result_json) : null;
+  }
+  return job;
+}
+
+/**
+ * Queue a job and wake the worker
+ */
+async function enqueueJob(type, params = {}, { createdBy = null } = {}) {
+  if (!handlers.has(type)) throw Object.assign(new Error(`Unknown job type: ${type}`), { status: 400 });
+
+  const db = await getDB();
+  const { lastID } = await db.run(
+    `INSERT INTO jobs (type, params_json, created_by) VALUES (?, ?, ?)`,
+    type, JSON.stringify(params || {}), createdBy
+  );
+  console.log(`[Jobs] Queued ${type} #${lastID} by ${createdBy || 'system'}`);
+  setImmediate(processQueue);
+  return getJob(lastID);
+}
+
+async function getJob(id, { full = false } = {}) {
+  const db = await getDB();
+  return parseJob(await db.get('SELECT * FROM jobs WHERE id = ?', id), { full });
+}
+
+async function listJobs({ status, type, limit = 50 } = {}) {
+  const db = await getDB();
+  const where = [];
+  const params = [];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (type)   { where.push('type = ?'); params.push(type); }
+
+  const rows = await db.all(`
+    SELECT * FROM jobs
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, ...params, Math.max(1, Math.min(500, Number(limit) || 50)));
+  return rows.map(r => parseJob(r));
+}
+
+/**
+ * Cancel a queued job immediately, or flag a running one (its handler stops at the next checkpoint)
+ */
+async function cancelJob(id, actor = null) {
+  const db = await getDB();
+  const job = await getJob(id);
+  if (!job) throw Object.assign(new Error(`Job ${id} not found`), { status: 404 });
+
+  if (job.status === 'queued') {
+    await db.run(
+      `UPDATE jobs SET status = 'cancelled', cancelled_by = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      actor, id
+    );
+  } else if (job.status === 'running') {
+    cancelRequested.add(Number(id));
+    await db.run(`UPDATE jobs SET cancel_requested = 1, cancelled_by = ? WHERE id = ?`, actor, id);
+  } else {
+    throw Object.assign(new Error(`Job ${id} already ${job.status}`), { status: 400 });
+  }
+  return getJob(id);
+}
+
+// Context handed to a running handler: progress reporting, logging and cancellation checks
+function createJobContext(job) {
+  const db = getDB();
+  const log = [];
+  let done = 0;
+  let total = null;
+  let message = null;
+  let resultFile = null;
+  let lastFlush = 0;
+
+  async function flush(force = false) {
+    if (!force && Date.now() - lastFlush < FLUSH_INTERVAL_MS) return;
+    lastFlush = Date.now();
+    await (await db).run(
+      `UPDATE jobs SET progress_done = ?, progress_total = ?, progress_message = ?, log_json = ? WHERE id = ?`,
+      done, total, message, JSON.stringify(log.slice(-MAX_LOG_LINES)), job.id
+    );
+  }
+
+  const ctx = {
+    jobId: job.id,
+    createdBy: job.createdBy,
+
+    // Throws JobCancelledError if a cancel was requested; call between units of work
+    checkCancelled() {
+      if (cancelRequested.has(job.id)) throw new JobCancelledError(job.id);
+    },
+
+    async progress(doneCount, totalCount = total, msg = message) {
+      done = doneCount;
+      total = totalCount;
+      message = msg;
+      ctx.checkCancelled();
+      await flush();
+    },
+
+    log(line) {
+      log.push(`[${new Date().toISOString().slice(11, 19)}] ${line}`);
+      if (log.length > MAX_LOG_LINES * 2) log.splice(0, log.length - MAX_LOG_LINES);
+    },
+
+    // Record a downloadable file (path relative to the project root) as the job's result
+    setResultFile(relativePath) {
+      resultFile = relativePath;
+    },
+
+    get resultFile() { return resultFile; },
+    flush
+  };
+  return ctx;
+}
+
+/**
+ * Context for running a handler inline inside a request (no persistence, console logging)
+ */
+function createInlineContext(tag) {
+  return {
+    jobId: null,
+    createdBy: null,
+    checkCancelled() {},
+    async progress() {},
+    log(line) { console.log(`[${tag}] ${line}`); },
+    setResultFile() {},
+    resultFile: null,
+    async flush() {}
+  };
+}
+
+// One audit entry per finished job, attributed to whoever queued it (the enqueue request is logged separately)
+function auditJob(job, { outcome, error = null, result = null, durationMs }) {
+  const failedItems = Number(result?.results?.failed ?? result?.failed ?? 0);
+  return recordAudit({
+    actor: job.createdBy || 'system',
+    tool: 'jobs',
+    action: `job ${job.type} #${job.id}`,
+    targetIds: extractTargetIds({}, job.params),
+    summary: summarizeBody({ params: job.params, runId: result?.runId }),
+    outcome: outcome === 'success' && failedItems > 0 ? 'partial' : outcome,
+    error,
+    durationMs
+  });
+}
+
+// 'job-failed' notification for a failed job or one that finished with failed items
+function notifyJobFailed(job, what) {
+  return publish('job-failed', {
+    title: `${handlers.get(job.type)?.label || job.type} #${job.id} ${what}`,
+    body: `Queued by ${job.createdBy || 'system'}.`,
+    link: '/jobs'
+  });
+}
+
+async function runJob(job) {
+  const db = await getDB();
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await db.run(
+      `UPDATE jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      `No handler registered for ${job.type}`, job.id
+    );
+    return;
+  }
+
+  await db.run(
+    `UPDATE jobs SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1 WHERE id = ?`,
+    job.id
+  );
+  console.log(`[Jobs] Running ${job.type} #${job.id}`);
+
+  const ctx = createJobContext(job);
+  const started = Date.now();
+  try {
+    const result = await handler.run(job.params, ctx);
+    await ctx.flush(true);
+    await db.run(
+      `UPDATE jobs SET status = 'completed', result_json = ?, result_file = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      JSON.stringify(result ?? null), ctx.resultFile, job.id
+    );
+    console.log(`[Jobs] Completed ${job.type} #${job.id} in ${Math.round((Date.now() - started) / 1000)}s`);
+    await auditJob(job, { outcome: 'success', result, durationMs: Date.now() - started });
+    const failedItems = Number(result?.results?.failed ?? result?.failed ?? 0);
+    if (failedItems > 0) {
+      await notifyJobFailed(job, `finished with ${failedItems} failed item${failedItems === 1 ? '' : 's'}`);
+    }
+  } catch (err) {
+    const cancelled = err instanceof JobCancelledError;
+    ctx.log(cancelled ? 'Cancelled' : `Failed: ${err.message}`);
+    await ctx.flush(true).catch(() => {});
+    await db.run(
+      `UPDATE jobs SET status = ?, error = ?, result_file = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      cancelled ? 'cancelled' : 'failed',
+      cancelled ? null : (err.response?.data?.message || err.message),
+      ctx.resultFile, job.id
+    );
+    if (cancelled) {
+      console.log(`[Jobs] Cancelled ${job.type} #${job.id}`);
+    } else {
+      console.error(`[Jobs] ${job.type} #${job.id} failed:`, err.message);
+      await notifyJobFailed(job, `failed: ${err.response?.data?.message || err.message}`);
+    }
+    await auditJob(job, {
+      outcome: 'failure',
+      error: cancelled ? 'Cancelled' : err.message,
+      durationMs: Date.now() - started
+    });
+  } finally {
+    cancelRequested.delete(job.id);
+  }
+}
+
+// Run queued jobs oldest first, one at a time
+async function processQueue() {
+  if (!workerStarted || workerBusy) return;
+  workerBusy = true;
+  try {
+    const db = await getDB();
+    for (;;) {
+      const row = await db.get(`SELECT * FROM jobs WHERE status = 'queued' ORDER BY id ASC LIMIT 1`);
+      if (!row) break;
+      await runJob(parseJob(row));
+    }
+  } catch (err) {
+    console.error('[Jobs] Worker error:', err.message);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Start the worker: re-queue jobs interrupted by a restart, then poll for new work
+ */
+async function startJobWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+
+  const db = await getDB();
+  const interrupted = await db.all(`SELECT id, type, attempts, cancel_requested FROM jobs WHERE status = 'running'`);
+  for (const job of interrupted) {
+    if (job.cancel_requested) {
+      await db.run(`UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ?`, job.id);
+    } else if (job.attempts >= MAX_ATTEMPTS) {
+      await db.run(
+        `UPDATE jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        `Interrupted by restart ${job.attempts} times`, job.id
+      );
+    } else {
+      await db.run(`UPDATE jobs SET status = 'queued' WHERE id = ?`, job.id);
+      console.log(`[Jobs] Re-queued ${job.type} #${job.id} after restart`);
+    }
+  }
+
+  pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+  pollTimer.unref?.();
+  setImmediate(processQueue);
+  console.log(`[Jobs] Worker started (${handlers.size} job types)`);
+}
+
+module.exports = {
+  JobCancelledError,
+  registerJobHandler,
+  getJobHandler,
+  listJobTypes,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  createInlineContext,
+  startJobWorker
+};
@@ -0,0 +1,294 @@
+// utils/label-renderer.js
+// Shelf labels rendered on the server (POST /api/labels), replacing the browser-printed HTML from the
+// product manager. Each label type is laid out once, as a list of draw commands in points, and that
+// list is rendered either as a PDF with exact 4x6 in pages or as ZPL for Zebra thermal printers, so the
+// two formats share one geometry. Barcodes are encoded here (utils/barcodes.js) and sent to the
+// printer as graphics, not left to printer firmware. Barcode modules are whole printer dots.
+'use strict';
+
+const { canEncodeCode128, encodeCode128, encodeQr } = require('./barcodes');
+const { createPdf, textWidth, fitText, wrapText } = require('./pdf-writer');
+
+const PAGE_WIDTH_IN = 4;
+const PAGE_HEIGHT_IN = 6;
+const PT_PER_IN = 72;
+const DEFAULT_DPI = 203;
+const PAD = 8;
+
+/**
+ * Label types, matching the product manager's "Shelf Labels" and "QR Labels"
+ * detailed: arrows, pick number, SKU, location, product name and a Code 128 of the SKU (8 per page)
+ * qrinv: QR linking to the SKU's Shopify inventory search, pick number, location and SKU (6 per page)
+ */
+const LABEL_TYPES = {
+  detailed: { perPage: 8, heightIn: 0.75, layout: layoutDetailed },
+  qrinv: { perPage: 6, heightIn: 1, layout: layoutQrInventory }
+};
+
+const FORMATS = ['pdf', 'zpl'];
+
+// Shopify admin inventory search for a SKU (the admin URL uses the shop's myshopify subdomain)
+function inventoryUrl(sku, store = process.env.SHOPIFY_STORE) {
+  const handle = String(store || '').replace(/^https?:\/\//, '').replace(/\.myshopify\.com\/?$/, '') || 'hemlock-oak';
+  return `https://admin.shopify.com/store/${handle}/products/inventory?query=${encodeURIComponent(sku)}`;
+}
+
+const dotsToPt = (dots, dpi) => (dots * PT_PER_IN) / dpi;
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+// Commands are in points relative to the label's top-left corner:
+//   { kind: 'text', text, x, baseline, size, bold, align }
+//   { kind: 'bars', x, top, height, moduleDots, widths }      Code 128
+//   { kind: 'qr', x, top, moduleDots, modules }
+//   { kind: 'arrows', x, top, width, height }
+
+function layoutDetailed(item, { width, height, dpi }) {
+  const commands = [{ kind: 'arrows', x: PAD, top: 13, width: 14, height: 28 }];
+
+  const pickFont = { size: 24, bold: true };
+  const pickX = PAD + 18;
+  commands.push({ kind: 'text', text: String(item.pick), x: pickX, baseline: height / 2 + 8.6, ...pickFont });
+
+  const textX = pickX + textWidth(item.pick, pickFont) + 10;
+  const textWidthPt = width - PAD - textX;
+
+  const locationFont = { size: 9, bold: true };
+  const location = fitText(item.location || '', textWidthPt / 2, locationFont);
+  if (location) commands.push({ kind: 'text', text: location, x: width - PAD, baseline: 11.5, align: 'right', ...locationFont });
+
+  const skuFont = { size: 9, bold: false };
+  const skuRoom = textWidthPt - (location ? textWidth(location, locationFont) + 6 : 0);
+  commands.push({ kind: 'text', text: fitText(item.sku || '', skuRoom, skuFont), x: textX, baseline: 11.5, ...skuFont });
+
+  const nameFont = { size: 8, bold: false };
+  wrapText(item.name || '', textWidthPt, nameFont, 2).forEach((line, i) => {
+    commands.push({ kind: 'text', text: line, x: textX, baseline: 20.5 + i * 9, ...nameFont });
+  });
+
+  // Code 128 of the SKU at up to 2 dots per module; left off when it can't fit at 1 or the SKU has
+  // characters Code 128 can't carry (see skusWithoutBarcode)
+  if (item.sku && canEncodeCode128(item.sku)) {
+    const barcode = encodeCode128(item.sku);
+    const roomDots = Math.floor((textWidthPt * dpi) / PT_PER_IN);
+    const moduleDots = Math.min(2, Math.floor(roomDots / barcode.modules));
+    if (moduleDots >= 1) {
+      commands.push({ kind: 'bars', x: textX, top: 36, height: 15, moduleDots, widths: barcode.widths });
+    }
+  }
+  return commands;
+}
+
+function layoutQrInventory(item, { width, height, dpi }) {
+  const commands = [];
+
+  // 0.85 in square, as in the HTML labels
+  const qrTargetDots = Math.round(0.85 * dpi);
+  let qrWidthPt = 0.85 * PT_PER_IN;
+  if (item.sku) {
+    const qr = encodeQr(inventoryUrl(item.sku));
+    const moduleDots = Math.max(1, Math.floor(qrTargetDots / qr.size));
+    qrWidthPt = dotsToPt(moduleDots * qr.size, dpi);
+    commands.push({ kind: 'qr', x: PAD, top: (height - qrWidthPt) / 2, moduleDots, modules: qr.modules });
+  }
+
+  const pickFont = { size: 48, bold: true };
+  const pickX = PAD + qrWidthPt + 10;
+  commands.push({ kind: 'text', text: String(item.pick), x: pickX, baseline: height / 2 + 17.2, ...pickFont });
+
+  const room = width - PAD - (pickX + textWidth(item.pick, pickFont) + 8);
+  const locationFont = { size: 12, bold: true };
+  const skuFont = { size: 8, bold: false };
+  const location = fitText(item.location || '', room, locationFont);
+  const sku = fitText(item.sku || '', room, skuFont);
+  if (location) commands.push({ kind: 'text', text: location, x: width - PAD, baseline: 34, align: 'right', ...locationFont });
+  if (sku) commands.push({ kind: 'text', text: sku, x: width - PAD, baseline: 48, align: 'right', ...skuFont });
+  return commands;
+}
+
+/**
+ * SKUs whose labels print without a barcode because Code 128 can't encode them (non-ASCII characters);
+ * only detailed labels carry one. The QR label's URL is percent-encoded, so any SKU works there.
+ */
+function skusWithoutBarcode(type, items) {
+  if (type !== 'detailed') return [];
+  return items.filter(item => item.sku && !canEncodeCode128(item.sku)).map(item => item.sku);
+}
+
+// Pages of laid-out labels: [[{ top, commands }]]
+function layoutPages(type, items, dpi) {
+  const spec = LABEL_TYPES[type];
+  if (!spec) throw Object.assign(new Error(`Unknown label type: ${type}`), { status: 400 });
+
+  const width = PAGE_WIDTH_IN * PT_PER_IN;
+  const height = spec.heightIn * PT_PER_IN;
+  const pages = [];
+  items.forEach((item, i) => {
+    if (i % spec.perPage === 0) pages.push([]);
+    pages[pages.length - 1].push({
+      top: (i % spec.perPage) * height,
+      commands: spec.layout(item, { width, height, dpi })
+    });
+  });
+  return { pages, labelHeight: height, perPage: spec.perPage };
+}
+
+// Dark-module test for a Code 128 drawn at moduleDots per module
+function barsBitmap({ widths, moduleDots }) {
+  const dark = [];
+  widths.forEach((w, i) => { for (let k = 0; k < w; k++) dark.push(i % 2 === 0); });
+  return { widthDots: dark.length * moduleDots, isDark: x => dark[Math.floor(x / moduleDots)] };
+}
+
+// Up and down triangles filling width x height with a gap of 1/7 of the height between them
+function arrowShapes({ x, top, width, height }) {
+  const tri = (height * 3) / 7;
+  return [
+    [[x + width / 2, top], [x + width, top + tri], [x, top + tri]],
+    [[x, top + height - tri], [x + width, top + height - tri], [x + width / 2, top + height]]
+  ];
+}
+
+function inTriangle([a, b, c], px, py) {
+  const side = (p, q) => (q[0] - p[0]) * (py - p[1]) - (q[1] - p[1]) * (px - p[0]);
+  const d = [side(a, b), side(b, c), side(c, a)];
+  return !(d.some(v => v < 0) && d.some(v => v > 0));
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+/**
+ * @param {'detailed'|'qrinv'} type
+ * @param {Array<{pick, sku, name, location}>} items - in print order
+ * @returns {Buffer}
+ */
+function renderLabelsPdf(type, items, { dpi = DEFAULT_DPI } = {}) {
+  const { pages, labelHeight, perPage } = layoutPages(type, items, dpi);
+  const width = PAGE_WIDTH_IN * PT_PER_IN;
+  const pdf = createPdf({ width, height: PAGE_HEIGHT_IN * PT_PER_IN });
+
+  for (const labels of pages) {
+    const page = pdf.addPage();
+    // Dashed cut guides between label slots, like the HTML's borders
+    for (let slot = 1; slot < perPage; slot++) {
+      page.line(0, slot * labelHeight, width, slot * labelHeight, { gray: 0.8, dash: [3, 2] });
+    }
+
+    for (const { top, commands } of labels) {
+      for (const cmd of commands) {
+        if (cmd.kind === 'text') {
+          page.text(cmd.text, cmd.x, top + cmd.baseline, cmd);
+        } else if (cmd.kind === 'bars') {
+          const moduleW = dotsToPt(cmd.moduleDots, dpi);
+          let x = cmd.x;
+          cmd.widths.forEach((w, i) => {
+            if (i % 2 === 0) page.rect(x, top + cmd.top, w * moduleW, cmd.height);
+            x += w * moduleW;
+          });
+        } else if (cmd.kind === 'qr') {
+          const m = dotsToPt(cmd.moduleDots, dpi);
+          cmd.modules.forEach((row, y) => {
+            // One rectangle per horizontal run of dark modules
+            for (let x = 0; x < row.length; x++) {
+              if (!row[x]) continue;
+              let end = x;
+              while (end + 1 < row.length && row[end + 1]) end++;
+              page.rect(cmd.x + x * m, top + cmd.top + y * m, (end - x + 1) * m, m);
+              x = end;
+            }
+          });
+        } else if (cmd.kind === 'arrows') {
+          arrowShapes({ ...cmd, top: top + cmd.top }).forEach(points => page.polygon(points));
+        }
+      }
+    }
+  }
+  return pdf.toBuffer();
+}
+
+// ============================================================================
+// ZPL
+// ============================================================================
+
+// ^GFA graphic field (uncompressed hex) for a widthDots x heightDots bitmap
+function graphicField(widthDots, heightDots, isDark) {
+  const bytesPerRow = Math.ceil(widthDots / 8);
+  let hex = '';
+  for (let y = 0; y < heightDots; y++) {
+    for (let bx = 0; bx < bytesPerRow; bx++) {
+      let byte = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        const x = bx * 8 + bit;
+        if (x < widthDots && isDark(x, y)) byte |= 0x80 >> bit;
+      }
+      hex += byte.toString(16).padStart(2, '0').toUpperCase();
+    }
+  }
+  const total = bytesPerRow * heightDots;
+  return `^GFA,${total},${total},${bytesPerRow},${hex}`;
+}
+
+// Field data with ^FH hex escapes for the characters ZPL treats as commands
+const zplText = text => `^FH_^FD${String(text).replace(/[_^~]/g, ch => `_${ch.charCodeAt(0).toString(16).toUpperCase()}`)}^FS`;
+
+/**
+ * @param {'detailed'|'qrinv'} type
+ * @param {Array<{pick, sku, name, location}>} items - in print order
+ * @param {{dpi?: number}} options - printer resolution (203 or 300)
+ * @returns {string} one ^XA...^XZ format per 4x6 page
+ */
+function renderLabelsZpl(type, items, { dpi = DEFAULT_DPI } = {}) {
+  const { pages } = layoutPages(type, items, dpi);
+  const dots = pt => Math.round((pt * dpi) / PT_PER_IN);
+  const width = PAGE_WIDTH_IN * PT_PER_IN;
+
+  return pages.map(labels => {
+    const lines = ['^XA', '^CI28', `^PW${dots(width)}`, `^LL${dots(PAGE_HEIGHT_IN * PT_PER_IN)}`, '^LH0,0'];
+
+    for (const { top, commands } of labels) {
+      for (const cmd of commands) {
+        if (cmd.kind === 'text') {
+          // ^FO is the top of the field; Helvetica's ascent is about 0.75 em
+          const y = dots(top + cmd.baseline - cmd.size * 0.75);
+          const h = dots(cmd.size);
+          const font = `^A0N,${h},0`;
+          if (cmd.align === 'right') {
+            const boxW = dots(cmd.x - PAD);
+            lines.push(`^FO${dots(PAD)},${y}${font}^FB${boxW},1,0,R,0${zplText(cmd.text)}`);
+          } else {
+            lines.push(`^FO${dots(cmd.x)},${y}${font}${zplText(cmd.text)}`);
+          }
+        } else if (cmd.kind === 'bars') {
+          const { widthDots, isDark } = barsBitmap(cmd);
+          lines.push(`^FO${dots(cmd.x)},${dots(top + cmd.top)}${graphicField(widthDots, dots(cmd.height), isDark)}^FS`);
+        } else if (cmd.kind === 'qr') {
+          const n = cmd.modules.length * cmd.moduleDots;
+          const field = graphicField(n, n, (x, y) => cmd.modules[Math.floor(y / cmd.moduleDots)][Math.floor(x / cmd.moduleDots)]);
+          lines.push(`^FO${dots(cmd.x)},${dots(top + cmd.top)}${field}^FS`);
+        } else if (cmd.kind === 'arrows') {
+          const w = dots(cmd.width);
+          const h = dots(cmd.height);
+          const shapes = arrowShapes({ x: 0, top: 0, width: w, height: h });
+          const field = graphicField(w, h, (x, y) => shapes.some(tri => inTriangle(tri, x + 0.5, y + 0.5)));
+          lines.push(`^FO${dots(cmd.x)},${dots(top + cmd.top)}${field}^FS`);
+        }
+      }
+    }
+
+    lines.push('^XZ');
+    return lines.join('\n');
+  }).join('\n') + '\n';
+}
+
+module.exports = {
+  LABEL_TYPES,
+  FORMATS,
+  DEFAULT_DPI,
+  inventoryUrl,
+  renderLabelsPdf,
+  renderLabelsZpl,
+  skusWithoutBarcode
+};
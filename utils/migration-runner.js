@@ -0,0 +1,224 @@
+// utils/migration-runner.js
+// Versioned SQL migrations for the product database (Postgres).
+// Files in migrations/ are named NNN_description.sql, with an optional NNN_description.down.sql that
+// reverts them. Applied versions are recorded in schema_migrations; each file runs once, in a
+// transaction together with its schema_migrations row, so a failed migration leaves nothing behind.
+// Statements that can't run in a transaction (CREATE INDEX CONCURRENTLY, ...) are not supported.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)(\.down)?\.sql$/;
+
+// Advisory lock key: startup, sync jobs and /api/products/db/migrate may all run migrations at once
+const LOCK_KEY = 7420021;
+
+const checksum = sql => crypto.createHash('sha256').update(sql).digest('hex');
+const label = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+/**
+ * Migration files in a directory, ordered by version
+ * @returns {Array<{version: number, name: string, upFile: string, downFile: string|null}>}
+ */
+function discoverMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const name = match[2];
+    const entry = byVersion.get(version) || { version, name, upFile: null, downFile: null };
+    if (entry.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${entry.name} and ${name}`);
+    }
+
+    const key = match[3] ? 'downFile' : 'upFile';
+    if (entry[key]) throw new Error(`Duplicate migration file for version ${version}: ${file}`);
+    entry[key] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const orphan = migrations.find(m => !m.upFile);
+  if (orphan) throw new Error(`Migration ${label(orphan)} has a down file but no up file`);
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(r => [r.version, r]));
+}
+
+// Run fn with one client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply every pending migration up to `target` (default: all), in version order
+ * @returns {Promise<{applied: string[], current: number|null}>}
+ */
+async function migrateUp(pool, { dir = MIGRATIONS_DIR, target = Infinity } = {}) {
+  const migrations = discoverMigrations(dir);
+
+  return withMigrationLock(pool, async client => {
+    const applied = await getAppliedMigrations(client);
+    const versions = [...applied.keys()];
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (migration.version > target) break;
+
+      const sql = fs.readFileSync(migration.upFile, 'utf8');
+      const sum = checksum(sql);
+      const existing = applied.get(migration.version);
+      if (existing) {
+        if (existing.checksum !== sum) {
+          console.warn(`[Migrations] ${label(migration)} was edited after it was applied; the change is not re-run`);
+        }
+        continue;
+      }
+
+      try {
+        await inTransaction(client, async () => {
+          await client.query(sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, sum]
+          );
+        });
+      } catch (error) {
+        error.message = `Migration ${label(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      console.log(`[Migrations] Applied ${label(migration)}`);
+      ran.push(label(migration));
+      versions.push(migration.version);
+    }
+
+    return { applied: ran, current: versions.length ? Math.max(...versions) : null };
+  });
+}
+
+/**
+ * Revert applied migrations, newest first: the last `steps` (default 1), or every one above `target`
+ * (target 0 reverts everything). Fails before changing anything if one has no down file.
+ * @returns {Promise<{reverted: string[], current: number|null}>}
+ */
+async function migrateDown(pool, { dir = MIGRATIONS_DIR, steps = 1, target = null } = {}) {
+  const migrations = new Map(discoverMigrations(dir).map(m => [m.version, m]));
+
+  return withMigrationLock(pool, async client => {
+    const applied = [...(await getAppliedMigrations(client)).keys()].sort((a, b) => b - a);
+    const toRevert = target === null ? applied.slice(0, steps) : applied.filter(v => v > target);
+
+    const blocked = toRevert.filter(v => !migrations.get(v)?.downFile);
+    if (blocked.length) {
+      throw Object.assign(
+        new Error(`No down migration for version ${blocked.join(', ')}; nothing was reverted`),
+        { status: 400 }
+      );
+    }
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = migrations.get(version);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.downFile, 'utf8'));
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+      } catch (error) {
+        error.message = `Down migration ${label(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      console.log(`[Migrations] Reverted ${label(migration)}`);
+      reverted.push(label(migration));
+    }
+
+    const remaining = applied.filter(v => !toRevert.includes(v));
+    return { reverted, current: remaining.length ? remaining[0] : null };
+  });
+}
+
+/**
+ * Every known migration with whether it is applied, plus applied versions whose file is gone
+ */
+async function getMigrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = discoverMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+
+    const list = migrations.map(m => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        applied: !!row,
+        applied_at: row ? row.applied_at : null,
+        reversible: !!m.downFile,
+        modified: row ? row.checksum !== checksum(fs.readFileSync(m.upFile, 'utf8')) : false
+      };
+    });
+    const known = new Set(migrations.map(m => m.version));
+    const missing = [...applied.values()].filter(r => !known.has(r.version))
+      .map(r => ({ version: r.version, name: r.name, applied: true, applied_at: r.applied_at, missingFile: true }));
+
+    const versions = [...applied.keys()];
+    return {
+      current: versions.length ? Math.max(...versions) : null,
+      pending: list.filter(m => !m.applied).length,
+      migrations: [...list, ...missing].sort((a, b) => a.version - b.version)
+    };
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  discoverMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
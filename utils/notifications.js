@@ -0,0 +1,401 @@
+// utils/notifications.js
+// Notifications for things nobody sees in the server console: new order change discrepancies,
+// customs scan results and failed background jobs.
+//
+// Producers call publish(topic, { title, body, link }); it never throws. Each user subscribes per
+// topic and channel (SMTP email to their own or a company address, or one of the Slack/Teams-style
+// incoming webhooks an admin configured) either instantly or in a daily digest. Digest deliveries wait in notification_deliveries as 'pending' until
+// sendDigests() runs (NOTIFY_DIGEST_HOUR, local time). Channels are pluggable via registerChannel().
+'use strict';
+
+const axios = require('axios');
+const { getDB } = require('./database');
+
+const TOPICS = {
+  'order-changes': 'Order change detector found new discrepancies',
+  'customs-scan': 'ShipStation customs scan found orders needing fixes',
+  'job-failed': 'A background job failed or finished with failed items'
+};
+const MODES = ['instant', 'digest'];
+
+const DIGEST_HOUR = parseInt(process.env.NOTIFY_DIGEST_HOUR ?? '8', 10);
+const SCHEDULER_INTERVAL_MS = 10 * 60 * 1000;
+
+const EMAIL_RX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Email can go to the user's own login or another address on the login domain (routes/auth.js)
+const COMPANY_EMAIL_DOMAIN = (process.env.NOTIFY_EMAIL_DOMAIN || 'hemlockandoak.com').toLowerCase();
+
+const channels = new Map(); // name -> { label, isConfigured, defaultTarget, validateTarget, listTargets, send }
+
+let schedulerTimer = null;
+let lastDigestDay = null;
+
+/**
+ * Add a delivery channel
+ * @param {string} name
+ * @param {object} def
+ * @param {string}   def.label
+ * @param {function} def.send            - async (target, { subject, text }) => void; throws on failure
+ * @param {function} [def.isConfigured]  - () => boolean; unconfigured channels can't be subscribed to
+ * @param {function} [def.defaultTarget] - (userEmail) => target used when a subscription has none
+ * @param {function} [def.validateTarget]- (target, { userEmail }) => error message or null
+ * @param {function} [def.listTargets]   - () => target names users pick from, or null for free entry
+ */
+function registerChannel(name, { label = name, send, isConfigured = () => true, defaultTarget = () => null, validateTarget = () => null, listTargets = () => null }) {
+  if (typeof send !== 'function') throw new Error(`Notification channel ${name} needs a send function`);
+  channels.set(name, { label, send, isConfigured, defaultTarget, validateTarget, listTargets });
+}
+
+function listChannels() {
+  return [...channels.entries()].map(([name, c]) => ({
+    name,
+    label: c.label,
+    configured: !!c.isConfigured(),
+    targets: c.listTargets()
+  }));
+}
+
+// ===== Built-in channels =====
+
+let mailTransport = null;
+
+function getMailTransport() {
+  if (!mailTransport) {
+    const nodemailer = require('nodemailer');
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
+
+registerChannel('email', {
+  label: 'Email',
+  isConfigured: () => !!process.env.SMTP_HOST,
+  defaultTarget: userEmail => userEmail,
+  validateTarget(target, { userEmail } = {}) {
+    if (!EMAIL_RX.test(target || '')) return `"${target}" is not an email address`;
+    const address = target.trim().toLowerCase();
+    if (address === String(userEmail || '').trim().toLowerCase() || address.endsWith(`@${COMPANY_EMAIL_DOMAIN}`)) return null;
+    return `Email can only go to your own address or an @${COMPANY_EMAIL_DOMAIN} address`;
+  },
+  async send(target, { subject, text }) {
+    await getMailTransport().sendMail({
+      from: process.env.NOTIFY_FROM || process.env.SMTP_USER || 'notifications@localhost',
+      to: target,
+      subject,
+      text
+    });
+  }
+});
+
+/**
+ * Incoming webhooks an admin configured, by name: NOTIFY_CHAT_WEBHOOKS="ops=https://...,packing=https://..."
+ * plus NOTIFY_CHAT_WEBHOOK_URL as "default". Only https URLs are kept. Users pick a name, so the server
+ * never posts to an address a user typed in.
+ */
+function chatWebhooks() {
+  const entries = String(process.env.NOTIFY_CHAT_WEBHOOKS || '').split(',')
+    .map(entry => entry.trim()).filter(Boolean)
+    .map(entry => {
+      const at = entry.indexOf('=');
+      return at > 0 ? [entry.slice(0, at).trim(), entry.slice(at + 1).trim()] : [null, entry];
+    });
+  if (process.env.NOTIFY_CHAT_WEBHOOK_URL) entries.unshift(['default', process.env.NOTIFY_CHAT_WEBHOOK_URL.trim()]);
+
+  const webhooks = new Map();
+  for (const [name, url] of entries) {
+    if (!name || !/^https:\/\/[^\s/]+\/\S*$/.test(url)) {
+      console.warn(`[Notifications] Ignoring chat webhook "${name || url}": entries must be name=https://...`);
+      continue;
+    }
+    webhooks.set(name, url);
+  }
+  return webhooks;
+}
+
+// Subscriptions saved with a webhook URL before targets were names still work while the URL is configured
+function chatWebhookUrl(target) {
+  const webhooks = chatWebhooks();
+  if (webhooks.has(target)) return webhooks.get(target);
+  return [...webhooks.values()].includes(target) ? target : null;
+}
+
+// Slack and Teams incoming webhooks both accept { text }
+registerChannel('chat', {
+  label: 'Chat webhook',
+  isConfigured: () => chatWebhooks().size > 0,
+  defaultTarget: () => (chatWebhooks().has('default') ? 'default' : null),
+  listTargets: () => [...chatWebhooks().keys()],
+  validateTarget: target => (chatWebhookUrl(target)
+    ? null
+    : `Chat target "${target}" is not one of the configured webhooks (${[...chatWebhooks().keys()].join(', ') || 'none'})`),
+  async send(target, { subject, text }) {
+    const url = chatWebhookUrl(target);
+    if (!url) throw new Error(`Chat webhook "${target}" is no longer configured`);
+    await axios.post(url, { text: `*${subject}*\n${text}` }, { timeout: 10000, maxRedirects: 0 });
+  }
+});
+
+// ===== Subscriptions =====
+
+function parseSubscription(row) {
+  return {
+    id: row.id,
+    userEmail: row.user_email,
+    topic: row.topic,
+    channel: row.channel,
+    target: row.target,
+    mode: row.mode,
+    enabled: !!row.enabled,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getSubscriptions(userEmail) {
+  const db = await getDB();
+  return (await db.all('SELECT * FROM notification_subscriptions WHERE user_email = ? ORDER BY topic, channel', userEmail))
+    .map(parseSubscription);
+}
+
+/**
+ * Replace a user's subscriptions; throws 400 listing every invalid entry
+ * @param {string} userEmail
+ * @param {array} subscriptions - [{ topic, channel, target?, mode, enabled }]
+ */
+async function setSubscriptions(userEmail, subscriptions) {
+  if (!Array.isArray(subscriptions)) {
+    throw Object.assign(new Error('subscriptions must be an array'), { status: 400 });
+  }
+  const errors = [];
+  const rows = subscriptions.map((s, i) => {
+    const channel = channels.get(s.channel);
+    const target = String(s.target || '').trim() || channel?.defaultTarget(userEmail) || null;
+    const enabled = s.enabled !== false;
+    if (!TOPICS[s.topic]) errors.push(`#${i + 1}: unknown topic "${s.topic}"`);
+    if (!channel) errors.push(`#${i + 1}: unknown channel "${s.channel}"`);
+    if (!MODES.includes(s.mode || 'instant')) errors.push(`#${i + 1}: mode must be ${MODES.join(' or ')}`);
+    if (channel && enabled) {
+      const targetError = target ? channel.validateTarget(target, { userEmail }) : `${channel.label} needs a target`;
+      if (targetError) errors.push(`#${i + 1}: ${targetError}`);
+    }
+    return { topic: s.topic, channel: s.channel, target, mode: s.mode || 'instant', enabled };
+  });
+  const keys = rows.map(r => `${r.topic}/${r.channel}`);
+  if (new Set(keys).size !== keys.length) errors.push('Each topic/channel pair can only be listed once');
+  if (errors.length) {
+    throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+  }
+
+  const db = await getDB();
+  await db.run('BEGIN');
+  try {
+    await db.run('DELETE FROM notification_subscriptions WHERE user_email = ?', userEmail);
+    for (const r of rows) {
+      await db.run(
+        `INSERT INTO notification_subscriptions (user_email, topic, channel, target, mode, enabled)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        userEmail, r.topic, r.channel, r.target, r.mode, r.enabled ? 1 : 0
+      );
+    }
+    await db.run('COMMIT');
+  } catch (error) {
+    await db.run('ROLLBACK');
+    throw error;
+  }
+  return getSubscriptions(userEmail);
+}
+
+// ===== Publishing =====
+
+function absoluteLink(link) {
+  if (!link || /^https?:\/\//.test(link)) return link || null;
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${link}` : link;
+}
+
+function formatText(body, link) {
+  return [body, link ? `\n${absoluteLink(link)}` : ''].filter(Boolean).join('\n');
+}
+
+async function deliver(db, deliveryId, channelName, target, message) {
+  try {
+    await channels.get(channelName).send(target, message);
+    await db.run(`UPDATE notification_deliveries SET status = 'sent', sent_at = CURRENT_TIMESTAMP, error = NULL WHERE id = ?`, deliveryId);
+    return true;
+  } catch (error) {
+    const message = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+    await db.run(`UPDATE notification_deliveries SET status = 'failed', error = ? WHERE id = ?`, message, deliveryId);
+    console.error(`[Notifications] ${channelName} delivery to ${target} failed:`, message);
+    return false;
+  }
+}
+
+/**
+ * Publish a notification to everyone subscribed to the topic. Never throws.
+ * @param {string} topic - key of TOPICS
+ * @param {object} notification - { title, body, link } (link may be a path; PUBLIC_BASE_URL makes it absolute)
+ * @returns {Promise<{ notificationId, sent, failed, queued }|null>}
+ */
+async function publish(topic, { title, body = '', link = null }) {
+  try {
+    if (!TOPICS[topic]) throw new Error(`Unknown notification topic ${topic}`);
+    const db = await getDB();
+    const result = await db.run('INSERT INTO notifications (topic, title, body, link) VALUES (?, ?, ?, ?)', topic, title, body, link);
+    const notificationId = result.lastID;
+    const subscriptions = await db.all(
+      'SELECT * FROM notification_subscriptions WHERE topic = ? AND enabled = 1 AND target IS NOT NULL',
+      topic
+    );
+
+    const summary = { notificationId, sent: 0, failed: 0, queued: 0 };
+    for (const sub of subscriptions) {
+      if (!channels.get(sub.channel)?.isConfigured()) continue;
+      const delivery = await db.run(
+        `INSERT INTO notification_deliveries (notification_id, user_email, channel, target, mode) VALUES (?, ?, ?, ?, ?)`,
+        notificationId, sub.user_email, sub.channel, sub.target, sub.mode
+      );
+      if (sub.mode === 'digest') {
+        summary.queued++;
+      } else if (await deliver(db, delivery.lastID, sub.channel, sub.target, { subject: title, text: formatText(body, link) })) {
+        summary.sent++;
+      } else {
+        summary.failed++;
+      }
+    }
+    return summary;
+  } catch (error) {
+    console.error(`[Notifications] Failed to publish ${topic}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Send one message per channel/target with every pending digest delivery
+ * @returns {Promise<{ digests: number, notifications: number, failed: number }>}
+ */
+async function sendDigests() {
+  const db = await getDB();
+  const rows = await db.all(`
+    SELECT d.id, d.channel, d.target, n.topic, n.title, n.body, n.link, n.created_at
+    FROM notification_deliveries d JOIN notifications n ON n.id = d.notification_id
+    WHERE d.status = 'pending' AND d.mode = 'digest'
+    ORDER BY d.channel, d.target, n.topic, n.id
+  `);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.channel}\u0000${row.target}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const summary = { digests: 0, notifications: rows.length, failed: 0 };
+  for (const items of groups.values()) {
+    const { channel, target } = items[0];
+    const text = Object.keys(TOPICS)
+      .map(topic => items.filter(i => i.topic === topic))
+      .filter(list => list.length)
+      .map(list => `== ${TOPICS[list[0].topic]} (${list.length}) ==\n` +
+        list.map(i => `[${i.created_at} UTC] ${i.title}\n${formatText(i.body, i.link)}`).join('\n\n'))
+      .join('\n\n');
+    const ids = items.map(i => i.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    try {
+      if (!channels.get(channel)?.isConfigured()) throw new Error(`Channel ${channel} is not configured`);
+      await channels.get(channel).send(target, { subject: `Daily digest: ${items.length} notification${items.length === 1 ? '' : 's'}`, text });
+      await db.run(`UPDATE notification_deliveries SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`, ...ids);
+      summary.digests++;
+    } catch (error) {
+      // Left pending so the next digest retries
+      summary.failed++;
+      await db.run(`UPDATE notification_deliveries SET error = ? WHERE id IN (${placeholders})`, error.message, ...ids);
+      console.error(`[Notifications] Digest to ${channel} ${target} failed:`, error.message);
+    }
+  }
+  if (rows.length) {
+    console.log(`[Notifications] Sent ${summary.digests} digests covering ${rows.length} notifications (${summary.failed} failed)`);
+  }
+  return summary;
+}
+
+/**
+ * Send a test message to one target (throws 400 on a bad channel/target, 502 when delivery fails)
+ * @param {object} options - { userEmail } the targets are checked for, like a subscription's
+ */
+async function sendTest(channelName, target, { userEmail } = {}) {
+  const channel = channels.get(channelName);
+  if (!channel) throw Object.assign(new Error(`Unknown channel "${channelName}"`), { status: 400 });
+  if (!channel.isConfigured()) throw Object.assign(new Error(`${channel.label} is not configured on this server`), { status: 400 });
+  const targetError = target ? channel.validateTarget(target, { userEmail }) : `${channel.label} needs a target`;
+  if (targetError) throw Object.assign(new Error(targetError), { status: 400 });
+  try {
+    await channel.send(target, { subject: 'Test notification', text: 'Notifications are set up for this address.' });
+  } catch (error) {
+    throw Object.assign(new Error(`Delivery failed: ${error.message}`), { status: 502 });
+  }
+}
+
+/**
+ * Recent notifications with this user's delivery status for each
+ */
+async function listRecentNotifications(userEmail, { limit = 50 } = {}) {
+  const db = await getDB();
+  const rows = await db.all(`
+    SELECT n.*, GROUP_CONCAT(d.channel || ':' || d.status) AS deliveries
+    FROM notifications n
+    LEFT JOIN notification_deliveries d ON d.notification_id = n.id AND d.user_email = ?
+    GROUP BY n.id
+    ORDER BY n.id DESC
+    LIMIT ?
+  `, userEmail, Math.min(Number(limit) || 50, 500));
+  return rows.map(row => ({
+    id: row.id,
+    topic: row.topic,
+    title: row.title,
+    body: row.body,
+    link: row.link,
+    createdAt: row.created_at,
+    deliveries: row.deliveries ? row.deliveries.split(',') : []
+  }));
+}
+
+/**
+ * Check every 10 minutes and send digests once a day after NOTIFY_DIGEST_HOUR (local time)
+ */
+function startNotificationScheduler() {
+  if (schedulerTimer) return;
+  const tick = async () => {
+    const now = new Date();
+    const today = now.toDateString();
+    if (now.getHours() < DIGEST_HOUR || lastDigestDay === today) return;
+    lastDigestDay = today;
+    try {
+      await sendDigests();
+    } catch (error) {
+      console.error('[Notifications] Digest run failed:', error.message);
+    }
+  };
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref?.();
+  setImmediate(tick);
+  console.log(`[Notifications] Digest scheduler started (daily after ${DIGEST_HOUR}:00)`);
+}
+
+module.exports = {
+  TOPICS,
+  MODES,
+  DIGEST_HOUR,
+  registerChannel,
+  listChannels,
+  getSubscriptions,
+  setSubscriptions,
+  publish,
+  sendDigests,
+  sendTest,
+  listRecentNotifications,
+  startNotificationScheduler
+};
@@ -1,16 +1,15 @@
 // utils/order-change-detector-job.js - Background job for automatic order change detection
 const { ShipStationAPI } = require('../shipstation-api.js');
 const { ShopifyAPI } = require('../shopify-api.js');
-const fs = require('fs');
-const path = require('path');
+const { recordAudit } = require('./audit-log');
+const { isActive, getOrderStates, recordCheck, recordCheckError, markTagged } = require('./order-change-state');
+const { isDiscountOrPromoCode, ensurePromoRulesLoaded } = require('./promo-rules');
+const { publish } = require('./notifications');
 
 // Initialize APIs
 const shipstation = new ShipStationAPI();
 const shopify = new ShopifyAPI();
 
-// Cache file to track processed orders (prevents re-checking same orders)
-const CACHE_FILE = path.join(__dirname, '../data/order-change-cache.json');
-
 // Job configuration
 const JOB_CONFIG = {
   enabled: process.env.ORDER_CHANGE_DETECTOR_ENABLED !== 'false', // Enable by default
@@ -20,6 +19,11 @@ const JOB_CONFIG = {
   maxOrdersPerRun: parseInt(process.env.ORDER_CHANGE_DETECTOR_MAX_ORDERS) || 500 // Max orders per scan
 };
 
+// Items added in ShipStation on purpose (never in Shopify): ignored when comparing, kept when syncing items
+const SHIPSTATION_ONLY_SKUS = ['LIST-DEF', ...(process.env.SHIPSTATION_ONLY_SKUS || '').split(',')]
+  .map(sku => sku.trim().toUpperCase())
+  .filter(Boolean);
+
 // Job state
 let lastRunTime = null;
 let isRunning = false;
@@ -30,135 +34,81 @@ let jobStats = {
   ordersScanned: 0,
   changesDetected: 0,
   ordersTagged: 0,
-  errors: []
+  errors: [],
+  webhookChecks: 0,
+  lastWebhookAt: null
 };
 
+// Webhook checks waiting out the debounce window: shopifyOrderId -> { timer, topic }
+const pendingWebhookChecks = new Map();
+const WEBHOOK_DEBOUNCE_MS = 3000;
+
+// SQLite timestamps are UTC 'YYYY-MM-DD HH:MM:SS'
+function timestampMs(value) {
+  return value ? Date.parse(value.replace(' ', 'T') + 'Z') : null;
+}
+
 /**
- * Load order change cache from disk
- * Cache structure: { orderId: { lastChecked, hasChanges, changes, tagged } }
+ * Current quantity of a Shopify line item: order edits lower current_quantity, quantity stays as ordered
  */
-function loadCache() {
-  try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    if (fs.existsSync(CACHE_FILE)) {
-      const data = fs.readFileSync(CACHE_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('[Order Change Job] Failed to load cache:', error.message);
-  }
-  return {};
+function shopifyQuantity(item) {
+  return item.current_quantity ?? item.quantity;
 }
 
 /**
- * Save order change cache to disk
+ * Shopify line items that are real products still on the order
+ * Excludes discount/promo codes, gift cards, tips, other non-product lines and lines edited down to 0
  */
-function saveCache(cache) {
-  try {
-    const dataDir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+function getShopifyProductItems(shopifyOrder) {
+  return (shopifyOrder.line_items || []).filter(item => {
+    // Must have a product_id (real products have this, discounts/tips don't)
+    // However, discount codes might still have a product_id if they're set up as products
+    if (!item.product_id) {
+      return false;
     }
     
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
-  } catch (error) {
-    console.error('[Order Change Job] Failed to save cache:', error.message);
-  }
+    // Exclude gift cards (gift_card = true)
+    if (item.gift_card === true) {
+      return false;
+    }
+    
+    // Removed by an order edit
+    if (shopifyQuantity(item) <= 0) {
+      return false;
+    }
+    
+    // Discount/promo code by allow/deny lists, variant check, price and heuristics (utils/promo-rules.js)
+    if (isDiscountOrPromoCode(item.sku, item.name, item.price)) {
+      console.log(`[Filter] Excluding Shopify item "${item.name}" (SKU: ${item.sku}, Price: $${item.price}) - detected as discount/promo code`);
+      return false;
+    }
+    
+    return true; // This is a real product
+  });
 }
 
 /**
- * Clean old entries from cache (older than 7 days)
+ * True for ShipStation lines that never come from Shopify and are kept when items are synced:
+ * SHIPSTATION_ONLY_SKUS (e.g. the LIST-DEF sticker freebie), adjustments, nameless lines and promo codes
  */
-function cleanCache(cache) {
-  const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-  let cleaned = 0;
-  
-  for (const orderId in cache) {
-    if (cache[orderId].lastChecked < sevenDaysAgo) {
-      delete cache[orderId];
-      cleaned++;
-    }
-  }
+function isShipStationOnlyItem(item) {
+  if (!item.name || item.name.trim() === '') return true;
+  if (item.adjustment) return true;
+  if (SHIPSTATION_ONLY_SKUS.includes(String(item.sku || '').toUpperCase())) return true;
   
-  if (cleaned > 0) {
-    console.log(`[Order Change Job] Cleaned ${cleaned} old entries from cache`);
+  // ShipStation discount items typically have unitPrice = 0
+  if (isDiscountOrPromoCode(item.sku, item.name, item.unitPrice)) {
+    console.log(`[Filter] Excluding ShipStation item "${item.name}" (SKU: ${item.sku}, Price: $${item.unitPrice || 0}) - detected as discount/promo code`);
+    return true;
   }
-  
-  return cache;
+  return false;
 }
 
 /**
- * Check if an item is a discount/promo code based on common patterns
- * Returns true if the item appears to be a discount code
- * 
- * This function checks multiple signals:
- * 1. Price = $0 or negative (discount codes typically have zero/negative price)
- * 2. Keywords like "discount", "referral", "affiliate", "promo", "coupon"
- * 3. Common SKU patterns used for discount codes:
- *    - NAME+NUMBER (e.g., ELIZA10, NICOLE10, AMANDA20)
- *    - Random alphanumeric (e.g., WH4WW9Z7, PS7GB8N8)
- *    - All-caps names (e.g., AMANDASFAVORITES, AIKA)
+ * ShipStation items that should match a Shopify line item
  */
-function isDiscountOrPromoCode(sku, name, price = null) {
-  // FILTER 1: Check if price is $0 or negative (most discount codes have zero/negative price)
-  if (price !== null) {
-    const numPrice = parseFloat(price);
-    if (numPrice <= 0) {
-      return true;
-    }
-  }
-  
-  // FILTER 2: Check name/SKU for discount keywords
-  const text = `${name || ''} ${sku || ''}`.toLowerCase();
-  const discountKeywords = ['discount', 'referral', 'affiliate', 'promo', 'coupon', 'code', 'voucher'];
-  if (discountKeywords.some(keyword => text.includes(keyword))) {
-    return true;
-  }
-  
-  // FILTER 3: Check for common discount code patterns in the SKU
-  const skuUpper = (sku || '').trim().toUpperCase();
-  if (skuUpper) {
-    // Pattern 1: NAME + NUMBER (e.g., ELIZA10, NICOLE10, ELLEN10, AMANDA20)
-    // Letters followed by numbers, all caps, 4-20 chars
-    // This catches referral codes like "FRIENDNAME10" or "INFLUENCER15"
-    if (/^[A-Z]{2,15}\d{1,4}$/.test(skuUpper)) {
-      return true;
-    }
-    
-    // Pattern 2: Random alphanumeric codes (e.g., WH4WW9Z7, PS7GB8N8, HG6NRFNG, 95QNGP4Z)
-    // 6-10 characters, mix of letters and numbers, no spaces
-    // These are often auto-generated discount codes
-    if (/^[A-Z0-9]{6,10}$/.test(skuUpper) && /[A-Z]/.test(skuUpper) && /[0-9]/.test(skuUpper)) {
-      // Additional check: if it has alternating letters/numbers, it's likely a generated code
-      const hasAlternating = /([A-Z]\d|\d[A-Z])/.test(skuUpper);
-      if (hasAlternating) {
-        return true;
-      }
-    }
-    
-    // Pattern 3: All caps names without numbers (e.g., AMANDASFAVORITES, AIKA)
-    // But only if it's unusual (not a typical product SKU format)
-    // Real product SKUs usually have dashes, underscores, or mixed case
-    if (/^[A-Z]{4,20}$/.test(skuUpper) && !skuUpper.includes('-') && !skuUpper.includes('_')) {
-      // Check if it looks like a person's name or contains "favorite/favourite"
-      const nameLikeWords = ['FAVORITES', 'FAVOURITES', 'PICK', 'CHOICE', 'SPECIAL'];
-      if (nameLikeWords.some(word => skuUpper.includes(word))) {
-        return true;
-      }
-      // If it's a short all-caps name (4-12 chars), likely a referral code
-      // (e.g., AIKA, AMANDA, NICOLE)
-      if (skuUpper.length >= 4 && skuUpper.length <= 12) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
+function getShipStationProductItems(shipstationOrder) {
+  return (shipstationOrder.items || []).filter(item => !isShipStationOnlyItem(item));
 }
 
 /**
@@ -176,49 +126,8 @@ function isDiscountOrPromoCode(sku, name, price = null) {
  * not when discount codes or promotional items are added/removed.
  */
 function compareOrderItems(shopifyOrder, shipstationOrder) {
-  const shopifyItems = shopifyOrder.line_items || [];
-  const shipstationItems = shipstationOrder.items || [];
-  
-  // FILTER: Only include actual products from Shopify
-  // Exclude discounts, gift cards, tips, and other non-product items
-  const shopifyProductItems = shopifyItems.filter(item => {
-    // Must have a product_id (real products have this, discounts/tips don't)
-    // However, discount codes might still have a product_id if they're set up as products
-    if (!item.product_id) {
-      return false;
-    }
-    
-    // Exclude gift cards (gift_card = true)
-    if (item.gift_card === true) {
-      return false;
-    }
-    
-    // NEW: Check if this is a discount/promo code based on price and pattern
-    // Most discount codes have price = $0
-    if (isDiscountOrPromoCode(item.sku, item.name, item.price)) {
-      console.log(`[Filter] Excluding Shopify item "${item.name}" (SKU: ${item.sku}, Price: $${item.price}) - detected as discount/promo code`);
-      return false;
-    }
-    
-    return true; // This is a real product
-  });
-  
-  // FILTER: Only include actual products from ShipStation
-  const shipstationProductItems = shipstationItems.filter(item => {
-    // Exclude any items without a name
-    if (!item.name || item.name.trim() === '') {
-      return false;
-    }
-    
-    // NEW: Check if this is a discount/promo code based on price and pattern
-    // ShipStation discount items typically have unitPrice = 0
-    if (isDiscountOrPromoCode(item.sku, item.name, item.unitPrice)) {
-      console.log(`[Filter] Excluding ShipStation item "${item.name}" (SKU: ${item.sku}, Price: $${item.unitPrice || 0}) - detected as discount/promo code`);
-      return false;
-    }
-    
-    return true; // This is a real product
-  });
+  const shopifyProductItems = getShopifyProductItems(shopifyOrder);
+  const shipstationProductItems = getShipStationProductItems(shipstationOrder);
   
   const shopifyItemMap = new Map();
   const shipstationItemMap = new Map();
@@ -229,10 +138,10 @@ function compareOrderItems(shopifyOrder, shipstationOrder) {
     const existing = shopifyItemMap.get(sku);
     
     if (existing) {
-      existing.quantity += item.quantity;
+      existing.quantity += shopifyQuantity(item);
     } else {
       shopifyItemMap.set(sku, {
-        quantity: item.quantity,
+        quantity: shopifyQuantity(item),
         name: item.name,
         price: parseFloat(item.price),
         variantId: item.variant_id
@@ -327,6 +236,164 @@ function compareOrderItems(shopifyOrder, shipstationOrder) {
   };
 }
 
+// Loose text comparison: case, repeated whitespace and trailing punctuation don't count as changes
+function normalizeText(value) {
+  return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').replace(/[.,]+$/, '').trim();
+}
+
+// USPS-style abbreviations ShipStation's address cleanup (and customers) use: street suffixes,
+// directions and unit designators compare in their short form
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', av: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd', lane: 'ln',
+  court: 'ct', place: 'pl', terrace: 'ter', circle: 'cir', highway: 'hwy', parkway: 'pkwy',
+  square: 'sq', trail: 'trl', crescent: 'cres', expressway: 'expy', freeway: 'fwy', center: 'ctr',
+  centre: 'ctr', mount: 'mt', point: 'pt', fort: 'ft', heights: 'hts', junction: 'jct', route: 'rte',
+  north: 'n', south: 's', east: 'e', west: 'w',
+  northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+  apartment: '#', apt: '#', unit: '#', number: '#',
+  suite: 'ste', floor: 'fl', building: 'bldg', room: 'rm', department: 'dept'
+};
+
+/**
+ * Address text for comparison: case, punctuation and the long/short form of street suffixes,
+ * directions and unit designators don't count ("123 North Main Street, Apt. 4" = "123 N MAIN ST #4")
+ */
+function normalizeAddressText(value) {
+  return String(value ?? '').toLowerCase()
+    .replace(/[.,;:'"()]/g, ' ')
+    .replace(/#/g, ' # ')
+    .replace(/\bp\s*o\s+box\b|\bpost\s+office\s+box\b/g, 'po box')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ')
+    .replace(/# #/g, '#')
+    .replace(/# (?=\S)/g, '#');
+}
+
+// Postal codes without spaces/dashes; US ZIP+4 compares on the 5-digit ZIP
+function normalizePostalCode(value, country) {
+  const code = String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return country === 'US' ? code.slice(0, 5) : code;
+}
+
+// Shopify shipping_address field -> ShipStation shipTo field; street lines are also compared joined,
+// since ShipStation may move a unit between street 1 and street 2
+const ADDRESS_FIELDS = [
+  { label: 'name', shopify: a => a.name, shipstation: a => a.name },
+  { label: 'company', shopify: a => a.company, shipstation: a => a.company },
+  { label: 'street 1', shopify: a => a.address1, shipstation: a => a.street1, street: true },
+  { label: 'street 2', shopify: a => a.address2, shipstation: a => [a.street2, a.street3].filter(Boolean).join(' '), street: true },
+  { label: 'city', shopify: a => a.city, shipstation: a => a.city },
+  { label: 'state', shopify: a => a.province_code || a.province, shipstation: a => a.state },
+  { label: 'postal code', shopify: a => a.zip, shipstation: a => a.postalCode, postal: true },
+  { label: 'country', shopify: a => a.country_code, shipstation: a => a.country }
+];
+
+// Non-underscore Shopify line item properties / ShipStation item options as sorted "name: value" lines
+function formatProperties(list) {
+  return (list || [])
+    .filter(p => p.name && !String(p.name).startsWith('_'))
+    .map(p => `${String(p.name).trim()}: ${String(p.value ?? '').trim()}`)
+    .sort();
+}
+
+/**
+ * Compare the non-item parts of an order: ship-to address, requested shipping service,
+ * customer note and line item properties (vs ShipStation item options)
+ * Change types: address_changed, shipping_service_changed, note_changed, properties_changed
+ */
+function compareOrderDetails(shopifyOrder, shipstationOrder) {
+  const changes = [];
+
+  // Ship-to address (skipped when Shopify has none, e.g. local pickup)
+  const shopifyAddress = shopifyOrder.shipping_address;
+  const shipTo = shipstationOrder.shipTo || {};
+  if (shopifyAddress) {
+    const country = String(shopifyAddress.country_code || shipTo.country || '').toUpperCase();
+    const values = ADDRESS_FIELDS
+      .map(field => ({ ...field, shopify: field.shopify(shopifyAddress) || '', shipstation: field.shipstation(shipTo) || '' }));
+    const joinedStreet = side => normalizeAddressText(values.filter(f => f.street).map(f => f[side]).join(' '));
+    const sameStreet = joinedStreet('shopify') === joinedStreet('shipstation');
+    const fields = values
+      .filter(f => {
+        if (f.postal) return normalizePostalCode(f.shopify, country) !== normalizePostalCode(f.shipstation, country);
+        if (f.street && sameStreet) return false;
+        return normalizeAddressText(f.shopify) !== normalizeAddressText(f.shipstation);
+      })
+      .map(({ label, shopify, shipstation }) => ({ field: label, shopify, shipstation }));
+    if (fields.length) {
+      changes.push({
+        type: 'address_changed',
+        fields,
+        description: `Shipping address changed in Shopify: ${fields.map(f => `${f.field} "${f.shipstation}" -> "${f.shopify}"`).join(', ')}`
+      });
+    }
+  }
+
+  // Requested shipping service (ShipStation imports the Shopify shipping line title)
+  const shippingLines = (shopifyOrder.shipping_lines || []).filter(line => !line.is_removed);
+  const shopifyService = shippingLines.map(line => line.title).filter(Boolean).join(', ');
+  const shipstationService = shipstationOrder.requestedShippingService || '';
+  if (shopifyService && normalizeText(shopifyService) !== normalizeText(shipstationService)) {
+    changes.push({
+      type: 'shipping_service_changed',
+      shopify: shopifyService,
+      shipstation: shipstationService,
+      description: `Shipping method changed in Shopify: "${shipstationService || 'none'}" -> "${shopifyService}"`
+    });
+  }
+
+  // Customer note: ShipStation may append its own text, so only a Shopify note it doesn't contain counts
+  const shopifyNote = normalizeText(shopifyOrder.note);
+  const shipstationNote = normalizeText(shipstationOrder.customerNotes);
+  if (shopifyNote && !shipstationNote.includes(shopifyNote)) {
+    changes.push({
+      type: 'note_changed',
+      shopify: shopifyOrder.note,
+      shipstation: shipstationOrder.customerNotes || '',
+      description: `Customer note changed in Shopify: "${String(shopifyOrder.note).trim()}"`
+    });
+  }
+
+  // Line item properties of items present on both sides (matched by line item key, then SKU)
+  const shipstationItems = getShipStationProductItems(shipstationOrder);
+  for (const line of getShopifyProductItems(shopifyOrder)) {
+    const match = shipstationItems.find(item => item.lineItemKey && item.lineItemKey === String(line.id)) ||
+      shipstationItems.find(item => (item.sku || item.name) === (line.sku || line.name));
+    if (!match) continue;
+
+    const shopifyProps = formatProperties(line.properties);
+    const shipstationProps = formatProperties(match.options);
+    if (shopifyProps.map(normalizeText).join('|') !== shipstationProps.map(normalizeText).join('|')) {
+      changes.push({
+        type: 'properties_changed',
+        sku: line.sku || line.name,
+        name: line.name,
+        shopify: shopifyProps,
+        shipstation: shipstationProps,
+        description: `Item "${line.name}" (SKU: ${line.sku || line.name}) properties changed: ${shipstationProps.join('; ') || 'none'} -> ${shopifyProps.join('; ') || 'none'}`
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Full detector comparison: line items (added/removed/quantity_changed) plus address,
+ * shipping service, note and property changes
+ */
+function compareOrders(shopifyOrder, shipstationOrder) {
+  const comparison = compareOrderItems(shopifyOrder, shipstationOrder);
+  const detailChanges = compareOrderDetails(shopifyOrder, shipstationOrder);
+  return {
+    ...comparison,
+    hasChanges: comparison.hasChanges || detailChanges.length > 0,
+    changes: [...comparison.changes, ...detailChanges]
+  };
+}
+
 /**
  * Helper to get Shopify order by order number (with retry)
  */
@@ -340,6 +407,63 @@ async function getShopifyOrderByNumber(orderNumber) {
   }
 }
 
+/**
+ * Publish newly detected discrepancies to 'order-changes' subscribers
+ * @param {array} orders - [{ orderNumber, changes }]
+ */
+async function notifyNewChanges(orders, trigger) {
+  const shown = orders.slice(0, 20);
+  const body = shown
+    .map(o => `Order #${o.orderNumber}:\n${o.changes.map(c => `  - ${c.description}`).join('\n')}`)
+    .join('\n\n') + (orders.length > shown.length ? `\n\n…and ${orders.length - shown.length} more` : '');
+  await publish('order-changes', {
+    title: orders.length === 1
+      ? `Order #${orders[0].orderNumber} changed in Shopify (${trigger})`
+      : `${orders.length} orders changed in Shopify (${trigger})`,
+    body,
+    link: '/order-change-detector'
+  });
+}
+
+/**
+ * Add the ORDER CHANGE tag to a ShipStation order (audited as 'system', recorded in the detector state)
+ * @returns {Promise<boolean>} true if the order carries the tag afterwards
+ */
+async function tagOrderChange(ssOrder, comparison, orderChangeTagId, trigger = 'scheduled scan') {
+  const tagged = { actor: 'system', source: trigger, orderNumber: ssOrder.orderNumber };
+  if ((ssOrder.tagIds || []).includes(orderChangeTagId)) {
+    await markTagged(ssOrder.orderId, tagged);
+    return true;
+  }
+
+  const targetIds = [String(ssOrder.orderId), String(ssOrder.orderNumber)];
+  try {
+    await shipstation.addTagToOrder(ssOrder.orderId, orderChangeTagId);
+    console.log(`[Order Change Job] ✅ Tagged order #${ssOrder.orderNumber}`);
+    await markTagged(ssOrder.orderId, tagged);
+    await recordAudit({
+      actor: 'system',
+      tool: 'order-change-detector',
+      action: 'auto-tag ORDER CHANGE',
+      targetIds,
+      summary: { trigger, changes: comparison.changes.map(c => c.description) }
+    });
+    return true;
+  } catch (tagError) {
+    console.error(`[Order Change Job] Failed to tag order ${ssOrder.orderNumber}:`, tagError.message);
+    await recordAudit({
+      actor: 'system',
+      tool: 'order-change-detector',
+      action: 'auto-tag ORDER CHANGE',
+      targetIds,
+      summary: { trigger },
+      outcome: 'failure',
+      error: tagError.message
+    });
+    throw tagError;
+  }
+}
+
 /**
  * Run the order change detection job
  * This scans recent ShipStation orders and compares them with Shopify
@@ -359,6 +483,7 @@ async function runOrderChangeDetection() {
   console.log(`[Order Change Job] Time: ${lastRunTime.toISOString()}`);
   console.log('========================================\n');
   
+  const newChangeOrders = [];
   const runStats = {
     ordersScanned: 0,
     ordersSkipped: 0,
@@ -369,9 +494,7 @@ async function runOrderChangeDetection() {
   };
   
   try {
-    // Load cache
-    let cache = loadCache();
-    cache = cleanCache(cache);
+    await ensurePromoRulesLoaded();
     
     // Get recent orders from ShipStation
     const now = new Date();
@@ -405,26 +528,29 @@ async function runOrderChangeDetection() {
       }
     }
     
+    // Stored detector state for these orders (skips recently checked ones)
+    const states = await getOrderStates(shipstationOrders.map(o => o.orderId));
+    
     // Process each order
     for (let i = 0; i < shipstationOrders.length; i++) {
       const ssOrder = shipstationOrders[i];
       const orderId = String(ssOrder.orderId);
       
       try {
-        // Check cache first - skip if recently checked and no changes
-        const cachedData = cache[orderId];
-        const cacheAge = cachedData ? Date.now() - cachedData.lastChecked : null;
-        const cacheValidHours = 6; // Re-check after 6 hours
+        // Check stored state first - skip if recently checked and no changes
+        const stored = states.get(orderId);
+        const checkedAge = stored ? Date.now() - timestampMs(stored.lastCheckedAt) : null;
+        const recheckHours = 6; // Re-check after 6 hours
         
-        if (cachedData && cacheAge < (cacheValidHours * 60 * 60 * 1000)) {
+        if (stored && checkedAge < (recheckHours * 60 * 60 * 1000)) {
           // Skip if already checked recently and has no changes
-          if (!cachedData.hasChanges) {
+          if (!stored.hasChanges) {
             runStats.ordersSkipped++;
             continue;
           }
           
-          // Skip if already tagged and has changes
-          if (cachedData.hasChanges && cachedData.tagged) {
+          // Skip if already tagged (or closed by a user) and has changes
+          if (stored.hasChanges && (stored.tagged || !isActive(stored))) {
             runStats.ordersSkipped++;
             continue;
           }
@@ -440,38 +566,36 @@ async function runOrderChangeDetection() {
             error: 'No matching Shopify order found'
           });
           
-          // Cache as "no shopify match"
-          cache[orderId] = {
-            lastChecked: Date.now(),
-            hasChanges: false,
+          await recordCheckError({
+            orderId,
+            orderNumber: ssOrder.orderNumber,
+            source: 'scheduled',
             error: 'no_shopify_match'
-          };
-          
-          // Rate limit
-          await new Promise(resolve => setTimeout(resolve, 550));
+          });
           continue;
         }
         
-        // Compare orders (this now filters out discount codes automatically)
-        const comparison = compareOrderItems(shopifyOrder, ssOrder);
+        // Compare items (discount codes filtered out), address, shipping service, note and properties
+        const comparison = compareOrders(shopifyOrder, ssOrder);
         runStats.ordersScanned++;
         
-        // Update cache
-        cache[orderId] = {
-          lastChecked: Date.now(),
+        // Store the result (history records new, changed and cleared discrepancies)
+        const { state, isNew } = await recordCheck({
+          orderId,
+          orderNumber: ssOrder.orderNumber,
           hasChanges: comparison.hasChanges,
           changes: comparison.changes,
-          orderNumber: ssOrder.orderNumber,
-          tagged: false
-        };
+          source: 'scheduled'
+        });
         
         // If changes detected
         if (comparison.hasChanges) {
           runStats.changesDetected++;
           
-          // Check if this is a new detection (not in cache before or cache was "no changes")
-          if (!cachedData || !cachedData.hasChanges) {
+          // Check if this is a new detection (not open before)
+          if (isNew) {
             runStats.newChanges++;
+            newChangeOrders.push({ orderNumber: ssOrder.orderNumber, changes: comparison.changes });
             
             console.log(`\n[Order Change Job] 🚨 CHANGES DETECTED in Order #${ssOrder.orderNumber}`);
             console.log(`[Order Change Job] Order ID: ${ssOrder.orderId}`);
@@ -483,30 +607,18 @@ async function runOrderChangeDetection() {
           }
           
           // Auto-tag if enabled and tag exists
-          if (JOB_CONFIG.autoTag && orderChangeTagId) {
-            // Check if order already has the tag
-            const currentTags = ssOrder.tagIds || [];
-            const alreadyTagged = currentTags.includes(orderChangeTagId);
-            
-            if (!alreadyTagged) {
-              try {
-                await shipstation.addTagToOrder(ssOrder.orderId, orderChangeTagId);
-                runStats.ordersTagged++;
-                cache[orderId].tagged = true;
-                console.log(`[Order Change Job] ✅ Tagged order #${ssOrder.orderNumber}`);
-                
-                // Rate limit after tagging
-                await new Promise(resolve => setTimeout(resolve, 150));
-              } catch (tagError) {
-                console.error(`[Order Change Job] Failed to tag order ${ssOrder.orderNumber}:`, tagError.message);
-                runStats.errors.push({
-                  orderId: ssOrder.orderId,
-                  orderNumber: ssOrder.orderNumber,
-                  error: `Tagging failed: ${tagError.message}`
-                });
-              }
-            } else {
-              cache[orderId].tagged = true;
+          // Acknowledged discrepancies are tagged too; resolved/ignored ones are left alone
+          if (JOB_CONFIG.autoTag && orderChangeTagId && isActive(state) && !state.tagged) {
+            const alreadyTagged = (ssOrder.tagIds || []).includes(orderChangeTagId);
+            try {
+              await tagOrderChange(ssOrder, comparison, orderChangeTagId);
+              if (!alreadyTagged) runStats.ordersTagged++;
+            } catch (tagError) {
+              runStats.errors.push({
+                orderId: ssOrder.orderId,
+                orderNumber: ssOrder.orderNumber,
+                error: `Tagging failed: ${tagError.message}`
+              });
             }
           }
         }
@@ -516,8 +628,6 @@ async function runOrderChangeDetection() {
           console.log(`[Order Change Job] Progress: ${i + 1}/${shipstationOrders.length} orders checked`);
         }
         
-        await new Promise(resolve => setTimeout(resolve, 550));
-        
       } catch (error) {
         console.error(`[Order Change Job] Error processing order ${ssOrder.orderNumber}:`, error.message);
         runStats.errors.push({
@@ -528,9 +638,6 @@ async function runOrderChangeDetection() {
       }
     }
     
-    // Save updated cache
-    saveCache(cache);
-    
     // Update global job stats
     jobStats.totalRuns++;
     jobStats.lastRunDate = new Date();
@@ -544,7 +651,7 @@ async function runOrderChangeDetection() {
     console.log('[Order Change Job] 📊 Run Summary');
     console.log('========================================');
     console.log(`Orders scanned:      ${runStats.ordersScanned}`);
-    console.log(`Orders skipped:      ${runStats.ordersSkipped} (cached)`);
+    console.log(`Orders skipped:      ${runStats.ordersSkipped} (checked recently)`);
     console.log(`Changes detected:    ${runStats.changesDetected}`);
     console.log(`New changes:         ${runStats.newChanges}`);
     console.log(`Orders tagged:       ${runStats.ordersTagged}`);
@@ -554,6 +661,7 @@ async function runOrderChangeDetection() {
     
     if (runStats.newChanges > 0) {
       console.log(`[Order Change Job] ⚠️  ${runStats.newChanges} orders have NEW changes that need attention!`);
+      await notifyNewChanges(newChangeOrders, 'scheduled scan');
     }
     
   } catch (error) {
@@ -568,6 +676,114 @@ async function runOrderChangeDetection() {
   return runStats;
 }
 
+/**
+ * Compare one Shopify order against its open ShipStation order(s) and update the detector state.
+ * Called from the orders/updated, orders/edited and orders/cancelled webhooks.
+ * @param {string|number} shopifyOrderId
+ * @param {object} options - { topic } webhook topic that triggered the check
+ */
+async function checkOrderFromWebhook(shopifyOrderId, { topic = 'webhook' } = {}) {
+  await ensurePromoRulesLoaded();
+  const shopifyOrder = await shopify.getOrder(shopifyOrderId);
+  if (!shopifyOrder) {
+    console.log(`[Order Change Job] Webhook ${topic}: Shopify order ${shopifyOrderId} not found`);
+    return { checked: 0, results: [] };
+  }
+
+  const orderNumber = String(shopifyOrder.name || shopifyOrder.order_number).replace(/^#/, '');
+  const ssOrders = (await shipstation.searchOrders({ orderNumber }))
+    .filter(o => String(o.orderNumber) === orderNumber && ['awaiting_shipment', 'on_hold'].includes(o.orderStatus));
+
+  jobStats.webhookChecks++;
+  jobStats.lastWebhookAt = new Date();
+
+  if (!ssOrders.length) {
+    return { checked: 0, orderNumber, results: [] };
+  }
+
+  const orderChangeTagId = JOB_CONFIG.autoTag ? await shipstation.getTagId('ORDER CHANGE') : null;
+  const results = [];
+
+  for (const ssOrder of ssOrders) {
+    const comparison = compareOrders(shopifyOrder, ssOrder);
+
+    // A cancellation in Shopify is always a change while the ShipStation order is still open
+    if (shopifyOrder.cancelled_at) {
+      comparison.hasChanges = true;
+      comparison.changes.unshift({
+        type: 'cancelled',
+        description: `Order was cancelled in Shopify (${shopifyOrder.cancel_reason || 'no reason given'}) but is still ${ssOrder.orderStatus} in ShipStation`
+      });
+    }
+
+    const { state, isNew } = await recordCheck({
+      orderId: ssOrder.orderId,
+      orderNumber: ssOrder.orderNumber,
+      hasChanges: comparison.hasChanges,
+      changes: comparison.changes,
+      source: topic
+    });
+    let tagged = state.tagged;
+    let tagError = null;
+
+    if (comparison.hasChanges) {
+      if (isNew) {
+        jobStats.changesDetected++;
+        console.log(`[Order Change Job] 🚨 Webhook ${topic}: changes in order #${ssOrder.orderNumber}`);
+        comparison.changes.forEach(change => console.log(`  - ${change.description}`));
+      }
+
+      if (JOB_CONFIG.autoTag && orderChangeTagId && isActive(state) && !state.tagged) {
+        try {
+          const alreadyTagged = (ssOrder.tagIds || []).includes(orderChangeTagId);
+          tagged = await tagOrderChange(ssOrder, comparison, orderChangeTagId, `webhook ${topic}`);
+          if (!alreadyTagged) jobStats.ordersTagged++;
+        } catch (error) {
+          tagError = `Tagging failed: ${error.message}`;
+        }
+      }
+    }
+
+    results.push({
+      orderId: ssOrder.orderId,
+      orderNumber: ssOrder.orderNumber,
+      hasChanges: comparison.hasChanges,
+      changes: comparison.changes,
+      isNew,
+      status: state.status,
+      tagged,
+      error: tagError
+    });
+  }
+
+  const newResults = results.filter(r => r.isNew);
+  if (newResults.length) {
+    await notifyNewChanges(newResults, `webhook ${topic}`);
+  }
+
+  return { checked: results.length, orderNumber, results };
+}
+
+/**
+ * Debounced checkOrderFromWebhook: Shopify often sends orders/edited and orders/updated
+ * back to back for one edit, so checks for the same order within a few seconds collapse into one.
+ */
+function queueWebhookCheck(shopifyOrderId, topic) {
+  const key = String(shopifyOrderId);
+  const pending = pendingWebhookChecks.get(key);
+  if (pending) clearTimeout(pending.timer);
+
+  const timer = setTimeout(() => {
+    pendingWebhookChecks.delete(key);
+    checkOrderFromWebhook(key, { topic }).catch(error => {
+      console.error(`[Order Change Job] Webhook check for Shopify order ${key} failed:`, error.message);
+      jobStats.errors.push({ shopifyOrderId: key, topic, error: error.message, at: new Date() });
+      if (jobStats.errors.length > 50) jobStats.errors.splice(0, jobStats.errors.length - 50);
+    });
+  }, WEBHOOK_DEBOUNCE_MS);
+  pendingWebhookChecks.set(key, { timer, topic });
+}
+
 /**
  * Start the background job scheduler
  */
@@ -630,5 +846,13 @@ module.exports = {
   startOrderChangeDetectorJob,
   getJobStats,
   triggerManualRun,
+  checkOrderFromWebhook,
+  queueWebhookCheck,
+  compareOrderItems,
+  compareOrderDetails,
+  compareOrders,
+  shopifyQuantity,
+  getShopifyProductItems,
+  isShipStationOnlyItem,
   JOB_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,359 @@
+// utils/order-change-state.js
+// Order change detector state in SQLite: the current result per ShipStation order
+// (order_change_state) plus an append-only event log (order_change_history), so we can
+// tell when a discrepancy was first seen, when it was tagged and who resolved it.
+//
+// Discrepancy status: open -> acknowledged (reviewed, still being worked) -> resolved or ignored.
+// Resolved/ignored discrepancies stay closed while a re-check finds the same changes; different
+// changes reopen them as a new detection.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getDB } = require('./database');
+
+// Pre-database state file; imported once and renamed to *.migrated
+const LEGACY_CACHE_FILE = process.env.ORDER_CHANGE_CACHE_FILE || path.join(__dirname, '../data/order-change-cache.json');
+
+const STATUSES = ['open', 'acknowledged', 'resolved', 'ignored'];
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+let legacyImportChecked = false;
+
+function parseState(row) {
+  if (!row) return null;
+  return {
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    hasChanges: !!row.has_changes,
+    changes: row.changes_json ? JSON.parse(row.changes_json) : [],
+    firstSeenAt: row.first_seen_at,
+    lastCheckedAt: row.last_checked_at,
+    lastSource: row.last_source,
+    error: row.error,
+    tagged: !!row.tagged,
+    taggedAt: row.tagged_at,
+    taggedBy: row.tagged_by,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by,
+    status: row.status,
+    statusBy: row.status_by,
+    statusAt: row.status_at,
+    statusNote: row.status_note
+  };
+}
+
+function parseEvent(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    event: row.event,
+    changes: row.changes_json ? JSON.parse(row.changes_json) : null,
+    source: row.source,
+    actor: row.actor,
+    note: row.note,
+    createdAt: row.created_at
+  };
+}
+
+// True while a discrepancy needs attention (and may be auto-tagged)
+function isActive(state) {
+  return !!state?.hasChanges && ACTIVE_STATUSES.includes(state.status);
+}
+
+// Stable fingerprint of a change list, so re-checks only log history when something differs
+function changesKey(changes = []) {
+  return JSON.stringify(changes.map(c => c.description).sort());
+}
+
+async function addEvent(db, { orderId, orderNumber, event, changes = null, source = null, actor = null, note = null }) {
+  await db.run(
+    `INSERT INTO order_change_history (order_id, order_number, event, changes_json, source, actor, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    String(orderId), orderNumber != null ? String(orderNumber) : null, event,
+    changes ? JSON.stringify(changes) : null, source, actor, note
+  );
+}
+
+/**
+ * One-time import of data/order-change-cache.json into the tables
+ */
+async function importLegacyCache() {
+  if (legacyImportChecked) return;
+  legacyImportChecked = true;
+  if (!fs.existsSync(LEGACY_CACHE_FILE)) return;
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(LEGACY_CACHE_FILE, 'utf8'));
+    const db = await getDB();
+    let imported = 0;
+    for (const [orderId, entry] of Object.entries(cache)) {
+      const checkedAt = new Date(entry.lastChecked || Date.now()).toISOString().replace('T', ' ').slice(0, 19);
+      const { changes } = await db.run(
+        `INSERT OR IGNORE INTO order_change_state
+           (order_id, order_number, has_changes, changes_json, first_seen_at, last_checked_at, last_source, error, tagged, status)
+         VALUES (?, ?, ?, ?, ?, ?, 'legacy-cache', ?, ?, ?)`,
+        orderId, entry.orderNumber != null ? String(entry.orderNumber) : null, entry.hasChanges ? 1 : 0,
+        JSON.stringify(entry.changes || []), entry.hasChanges ? checkedAt : null, checkedAt,
+        entry.error || null, entry.tagged ? 1 : 0, entry.hasChanges ? 'open' : null
+      );
+      if (changes && entry.hasChanges) {
+        await addEvent(db, { orderId, orderNumber: entry.orderNumber, event: 'detected', changes: entry.changes, source: 'legacy-cache' });
+      }
+      imported += changes;
+    }
+    fs.renameSync(LEGACY_CACHE_FILE, `${LEGACY_CACHE_FILE}.migrated`);
+    console.log(`[Order Change State] Imported ${imported} entries from ${path.basename(LEGACY_CACHE_FILE)}`);
+  } catch (error) {
+    console.error('[Order Change State] Legacy cache import failed:', error.message);
+  }
+}
+
+async function getOrderState(orderId) {
+  await importLegacyCache();
+  const db = await getDB();
+  return parseState(await db.get('SELECT * FROM order_change_state WHERE order_id = ?', String(orderId)));
+}
+
+/**
+ * Current state for many orders
+ * @returns {Promise<Map<string, object>>} orderId -> state
+ */
+async function getOrderStates(orderIds) {
+  await importLegacyCache();
+  const db = await getDB();
+  const ids = [...new Set(orderIds.map(String))];
+  const states = new Map();
+  // Chunk to stay under SQLite's bound-parameter limit
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const rows = await db.all(
+      `SELECT * FROM order_change_state WHERE order_id IN (${chunk.map(() => '?').join(',')})`,
+      ...chunk
+    );
+    rows.forEach(row => states.set(row.order_id, parseState(row)));
+  }
+  return states;
+}
+
+/**
+ * Store the result of comparing one order and log what changed since the previous check
+ * @param {object} check - { orderId, orderNumber, hasChanges, changes, source, error }
+ * @returns {Promise<{ previous: object|null, state: object, isNew: boolean }>}
+ *   isNew is true when a discrepancy appeared that wasn't open before
+ */
+async function recordCheck({ orderId, orderNumber, hasChanges = false, changes = [], source = 'scheduled', error = null }) {
+  await importLegacyCache();
+  const db = await getDB();
+  const id = String(orderId);
+  const previous = parseState(await db.get('SELECT * FROM order_change_state WHERE order_id = ?', id));
+  const wasActive = isActive(previous);
+  // Closed by a user with exactly these changes: stays closed
+  const stillClosed = hasChanges && !!previous?.hasChanges && ['resolved', 'ignored'].includes(previous.status) &&
+    changesKey(changes) === changesKey(previous.changes);
+  const isNew = hasChanges && !wasActive && !stillClosed;
+  const changed = hasChanges && wasActive && changesKey(changes) !== changesKey(previous.changes);
+  const number = orderNumber != null ? String(orderNumber) : null;
+
+  if (!previous) {
+    await db.run(
+      `INSERT INTO order_change_state (order_id, order_number, has_changes, changes_json, first_seen_at, last_checked_at, last_source, error, status)
+       VALUES (?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP, ?, ?, ?)`,
+      id, number, hasChanges ? 1 : 0, JSON.stringify(changes), hasChanges ? 1 : 0, source, error, hasChanges ? 'open' : null
+    );
+  } else if (isNew) {
+    // New discrepancy (first one, or a fresh one after the last was cleared/resolved)
+    await db.run(
+      `UPDATE order_change_state
+       SET order_number = COALESCE(?, order_number), has_changes = 1, changes_json = ?, first_seen_at = CURRENT_TIMESTAMP,
+           last_checked_at = CURRENT_TIMESTAMP, last_source = ?, error = ?,
+           tagged = 0, tagged_at = NULL, tagged_by = NULL, resolved_at = NULL, resolved_by = NULL,
+           status = 'open', status_by = NULL, status_at = NULL, status_note = NULL
+       WHERE order_id = ?`,
+      number, JSON.stringify(changes), source, error, id
+    );
+  } else {
+    await db.run(
+      `UPDATE order_change_state
+       SET order_number = COALESCE(?, order_number), has_changes = ?, changes_json = ?,
+           last_checked_at = CURRENT_TIMESTAMP, last_source = ?, error = ?
+       WHERE order_id = ?`,
+      number, hasChanges ? 1 : 0, JSON.stringify(changes), source, error, id
+    );
+  }
+
+  const event = { orderId: id, orderNumber, changes, source };
+  if (isNew) {
+    await addEvent(db, { ...event, event: 'detected' });
+  } else if (changed) {
+    // Different changes need a fresh review
+    await addEvent(db, { ...event, event: 'changed' });
+    await db.run(`UPDATE order_change_state SET status = 'open' WHERE order_id = ?`, id);
+  } else if (!hasChanges && wasActive) {
+    // Shopify and ShipStation agree again (items synced or edited back)
+    await addEvent(db, { ...event, changes: previous.changes, event: 'cleared' });
+    await db.run(
+      `UPDATE order_change_state
+       SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?, status_by = ?, status_at = CURRENT_TIMESTAMP,
+           status_note = 'Shopify and ShipStation match again'
+       WHERE order_id = ?`,
+      `system (${source})`, `system (${source})`, id
+    );
+  }
+  if (error && error !== previous?.error) {
+    await addEvent(db, { ...event, changes: null, event: 'error', note: error });
+  }
+
+  return { previous, state: await getOrderState(id), isNew };
+}
+
+/**
+ * An order that couldn't be compared (e.g. no Shopify match): keep any open discrepancy as-is
+ */
+async function recordCheckError({ orderId, orderNumber, source = 'scheduled', error }) {
+  await importLegacyCache();
+  const db = await getDB();
+  const id = String(orderId);
+  const previous = parseState(await db.get('SELECT * FROM order_change_state WHERE order_id = ?', id));
+
+  await db.run(
+    `INSERT INTO order_change_state (order_id, order_number, has_changes, changes_json, last_checked_at, last_source, error)
+     VALUES (?, ?, 0, '[]', CURRENT_TIMESTAMP, ?, ?)
+     ON CONFLICT(order_id) DO UPDATE SET
+       order_number = COALESCE(excluded.order_number, order_number),
+       last_checked_at = CURRENT_TIMESTAMP, last_source = excluded.last_source, error = excluded.error`,
+    id, orderNumber != null ? String(orderNumber) : null, source, error
+  );
+  if (error !== previous?.error) {
+    await addEvent(db, { orderId: id, orderNumber, event: 'error', source, note: error });
+  }
+  return { previous, state: await getOrderState(id), isNew: false };
+}
+
+/**
+ * Note that an order now carries the ORDER CHANGE tag
+ */
+async function markTagged(orderId, { actor = 'system', source = null, orderNumber = null } = {}) {
+  const db = await getDB();
+  const id = String(orderId);
+  const { changes } = await db.run(
+    `UPDATE order_change_state SET tagged = 1, tagged_at = CURRENT_TIMESTAMP, tagged_by = ? WHERE order_id = ? AND tagged = 0`,
+    actor, id
+  );
+  if (!changes) {
+    // Tagged from the scan page before the detector stored a state for it
+    const exists = await db.get('SELECT 1 FROM order_change_state WHERE order_id = ?', id);
+    if (exists) return;
+    await db.run(
+      `INSERT INTO order_change_state (order_id, order_number, has_changes, last_checked_at, last_source, tagged, tagged_at, tagged_by)
+       VALUES (?, ?, 0, CURRENT_TIMESTAMP, ?, 1, CURRENT_TIMESTAMP, ?)`,
+      id, orderNumber != null ? String(orderNumber) : null, source, actor
+    );
+  }
+  const row = await db.get('SELECT order_number FROM order_change_state WHERE order_id = ?', id);
+  await addEvent(db, { orderId: id, orderNumber: orderNumber ?? row?.order_number, event: 'tagged', source, actor });
+}
+
+/**
+ * Note that the ORDER CHANGE tag was removed from an order
+ */
+async function markUntagged(orderId, { actor = 'system', source = null } = {}) {
+  const db = await getDB();
+  const id = String(orderId);
+  const { changes } = await db.run(
+    `UPDATE order_change_state SET tagged = 0, tagged_at = NULL, tagged_by = NULL WHERE order_id = ? AND tagged = 1`,
+    id
+  );
+  if (!changes) return;
+  const row = await db.get('SELECT order_number FROM order_change_state WHERE order_id = ?', id);
+  await addEvent(db, { orderId: id, orderNumber: row?.order_number, event: 'untagged', source, actor });
+}
+
+/**
+ * Move a discrepancy to a new status on behalf of a user
+ * @param {string} status - open | acknowledged | resolved | ignored
+ * @param {object} options - { actor, note }
+ */
+async function setStatus(orderId, status, { actor, note = null } = {}) {
+  if (!STATUSES.includes(status)) {
+    throw Object.assign(new Error(`Invalid status "${status}" (use ${STATUSES.join(', ')})`), { status: 400 });
+  }
+  await importLegacyCache();
+  const db = await getDB();
+  const id = String(orderId);
+  const previous = await getOrderState(id);
+  if (!previous?.status) {
+    throw Object.assign(new Error(`No detected change for order ${id}`), { status: 404 });
+  }
+  if (ACTIVE_STATUSES.includes(status) && !previous.hasChanges) {
+    throw Object.assign(new Error(`Order ${id} no longer differs from Shopify`), { status: 409 });
+  }
+
+  await db.run(
+    `UPDATE order_change_state
+     SET status = ?, status_by = ?, status_at = CURRENT_TIMESTAMP, status_note = ?,
+         resolved_at = CASE WHEN ? = 'resolved' THEN CURRENT_TIMESTAMP WHEN ? = 'ignored' THEN resolved_at END,
+         resolved_by = CASE WHEN ? = 'resolved' THEN ? WHEN ? = 'ignored' THEN resolved_by END
+     WHERE order_id = ?`,
+    status, actor, note, status, status, status, actor, status, id
+  );
+  await addEvent(db, {
+    orderId: id,
+    orderNumber: previous.orderNumber,
+    event: status === 'open' ? 'reopened' : status,
+    changes: previous.changes,
+    source: 'manual',
+    actor,
+    note
+  });
+  return getOrderState(id);
+}
+
+/**
+ * Discrepancies by status (default: open and acknowledged), oldest first
+ * @param {object} options - { status: string[], limit }
+ */
+async function listDiscrepancies({ status = ACTIVE_STATUSES, limit = 500 } = {}) {
+  await importLegacyCache();
+  const db = await getDB();
+  const statuses = status.filter(s => STATUSES.includes(s));
+  if (!statuses.length) return [];
+  const rows = await db.all(
+    `SELECT * FROM order_change_state
+     WHERE status IN (${statuses.map(() => '?').join(',')})
+     ORDER BY first_seen_at ASC
+     LIMIT ?`,
+    ...statuses,
+    Math.max(1, Math.min(2000, Number(limit) || 500))
+  );
+  return rows.map(parseState);
+}
+
+/**
+ * Event history for one order (ShipStation order ID or order number), newest first
+ */
+async function getOrderHistory(orderIdOrNumber) {
+  await importLegacyCache();
+  const db = await getDB();
+  const rows = await db.all(
+    `SELECT * FROM order_change_history WHERE order_id = ? OR order_number = ? ORDER BY id DESC`,
+    String(orderIdOrNumber), String(orderIdOrNumber)
+  );
+  return rows.map(parseEvent);
+}
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  isActive,
+  getOrderState,
+  getOrderStates,
+  recordCheck,
+  recordCheckError,
+  markTagged,
+  markUntagged,
+  setStatus,
+  listDiscrepancies,
+  getOrderHistory
+};
@@ -0,0 +1,181 @@
+// utils/order-item-sync.js
+// Rebuild a ShipStation order's items from the current Shopify line items, for orders the
+// change detector flagged (items added/removed/quantity changed in Shopify after import).
+//
+// ShipStation-only lines (LIST-DEF freebie, SHIPSTATION_ONLY_SKUS, adjustments, promo codes) are
+// kept as-is. Shopify lines are matched to ShipStation items by lineItemKey (the Shopify line item
+// id), then by SKU; a match keeps the ShipStation item (orderItemId, location, image) and takes the
+// Shopify quantity and line properties. Kept items keep their customs lines (with any fixes the customs
+// rules made); only items without one get a new line, run through the customs rules. The plan carries a
+// hash so apply can refuse to write a stale preview.
+'use strict';
+
+const crypto = require('crypto');
+const customsManager = require('./customs-manager');
+const { buildCustomsPatch } = require('./customs-rules');
+const { shopifyQuantity, getShopifyProductItems, isShipStationOnlyItem } = require('./order-change-detector-job');
+
+// ShipStation statuses we may still rewrite items on
+const SYNCABLE_STATUSES = ['awaiting_payment', 'awaiting_shipment', 'on_hold'];
+
+function itemKey(item) {
+  return item.sku || item.name;
+}
+
+// ShipStation options from Shopify line properties (underscore properties are hidden in Shopify too)
+function lineOptions(line) {
+  return (line.properties || [])
+    .filter(p => p.name && !String(p.name).startsWith('_'))
+    .map(p => ({ name: p.name, value: String(p.value) }));
+}
+
+// A matched item's options: the Shopify properties, plus options set only in ShipStation
+function mergeOptions(item, line) {
+  const fromShopify = lineOptions(line);
+  const names = new Set(fromShopify.map(o => o.name));
+  return [...fromShopify, ...(item.options || []).filter(o => !names.has(o.name))];
+}
+
+// New ShipStation item for a Shopify line that has no counterpart yet
+function shipStationItemFromShopify(line) {
+  const sku = line.sku || null;
+  return {
+    lineItemKey: String(line.id),
+    sku,
+    name: line.name,
+    imageUrl: null,
+    weight: line.grams ? { value: line.grams, units: 'grams' } : null,
+    quantity: shopifyQuantity(line),
+    unitPrice: parseFloat(line.price) || 0,
+    taxAmount: null,
+    shippingAmount: null,
+    warehouseLocation: null,
+    options: lineOptions(line),
+    productId: null,
+    fulfillmentSku: sku,
+    adjustment: false,
+    upc: null
+  };
+}
+
+/**
+ * The order's current customs line for each ShipStation item, by index into ssItems (null when it has none).
+ * Lines are matched by SKU, then by the orderItemId they were created with, then by position when the
+ * order has one line per item.
+ */
+function existingCustomsLines(ssOrder) {
+  const ssItems = ssOrder.items || [];
+  const customs = ssOrder.internationalOptions?.customsItems || [];
+  const used = new Set();
+  const take = predicate => {
+    const index = customs.findIndex((ci, i) => !used.has(i) && predicate(ci));
+    if (index === -1) return null;
+    used.add(index);
+    return customs[index];
+  };
+
+  const lines = ssItems.map(item => {
+    const sku = String(item.sku || '').trim();
+    return (sku && take(ci => String(ci.sku || '').trim() === sku)) ||
+      (item.orderItemId != null && take(ci => ci.customsItemId != null && String(ci.customsItemId) === String(item.orderItemId))) ||
+      null;
+  });
+  if (customs.length === ssItems.length) {
+    lines.forEach((line, index) => {
+      if (!line && !used.has(index)) {
+        used.add(index);
+        lines[index] = customs[index];
+      }
+    });
+  }
+  return lines;
+}
+
+/**
+ * Customs lines for the synced items: kept items keep their line with the new quantity; the others get a
+ * line from the CUSMA data, which the customs rules then fix like any other order's (US orders only)
+ */
+function buildCustomsItems(ssOrder, items, keptLines) {
+  const created = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ index }) => !keptLines.get(index));
+  const newLines = customsManager.createCustomsItems(created.map(({ item }) => item));
+
+  const patch = newLines.length
+    ? buildCustomsPatch({
+      ...ssOrder,
+      items: created.map(({ item }) => item),
+      internationalOptions: { ...(ssOrder.internationalOptions || {}), customsItems: newLines }
+    })
+    : null;
+  const fixedLines = patch?.anyCustomsChange ? patch.patchedOrder.internationalOptions.customsItems : newLines;
+
+  const fixedByIndex = new Map(created.map(({ index }, n) => [index, fixedLines[n]]));
+  return items.map((item, index) => {
+    const kept = keptLines.get(index);
+    return kept ? { ...kept, quantity: item.quantity } : fixedByIndex.get(index);
+  });
+}
+
+/**
+ * Work out the items a ShipStation order should have given the current Shopify order
+ * @returns {{ items: array, customsItems: array, preserved: array, diff: { added: array, removed: array, quantityChanged: array }, hasChanges: boolean, planHash: string }}
+ *   diff is from ShipStation's point of view: added = lines that will be added to ShipStation
+ */
+function buildItemSyncPlan(shopifyOrder, ssOrder) {
+  const ssItems = ssOrder.items || [];
+  const customsLines = existingCustomsLines(ssOrder);
+  const customsLineOf = new Map(ssItems.map((item, index) => [item, customsLines[index]]));
+  const preserved = ssItems.filter(isShipStationOnlyItem);
+  const unmatched = ssItems.filter(item => !isShipStationOnlyItem(item));
+
+  const items = [];
+  const keptLines = new Map(); // index into items -> the customs line the ShipStation item already had
+  const diff = { added: [], removed: [], quantityChanged: [] };
+
+  for (const line of getShopifyProductItems(shopifyOrder)) {
+    const quantity = shopifyQuantity(line);
+    let index = unmatched.findIndex(item => item.lineItemKey && item.lineItemKey === String(line.id));
+    if (index === -1) index = unmatched.findIndex(item => itemKey(item) === itemKey(line));
+
+    if (index === -1) {
+      items.push(shipStationItemFromShopify(line));
+      diff.added.push({ sku: itemKey(line), name: line.name, quantity });
+      continue;
+    }
+
+    const [match] = unmatched.splice(index, 1);
+    items.push({ ...match, quantity, options: mergeOptions(match, line) });
+    keptLines.set(items.length - 1, customsLineOf.get(match));
+    if (match.quantity !== quantity) {
+      diff.quantityChanged.push({ sku: itemKey(match), name: match.name, from: match.quantity, to: quantity });
+    }
+  }
+
+  for (const item of unmatched) {
+    diff.removed.push({ sku: itemKey(item), name: item.name, quantity: item.quantity });
+  }
+
+  for (const item of preserved) {
+    items.push(item);
+    keptLines.set(items.length - 1, customsLineOf.get(item));
+  }
+
+  const planHash = crypto.createHash('sha1')
+    .update(JSON.stringify({ modifyDate: ssOrder.modifyDate, items }))
+    .digest('hex');
+
+  return {
+    items,
+    customsItems: buildCustomsItems(ssOrder, items, keptLines),
+    preserved: preserved.map(item => ({ sku: itemKey(item), name: item.name, quantity: item.quantity })),
+    diff,
+    hasChanges: diff.added.length + diff.removed.length + diff.quantityChanged.length > 0,
+    planHash
+  };
+}
+
+module.exports = {
+  SYNCABLE_STATUSES,
+  buildItemSyncPlan
+};
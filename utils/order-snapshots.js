@@ -0,0 +1,245 @@
+// utils/order-snapshots.js
+// Before/after snapshots for ShipStation order writes, and rollback from them.
+//
+// Every write to /orders/createorder goes through recordOrderWrite() (usually via
+// ShipStationAPI.upsertOrder) with the order as it was fetched ("before"), the payload
+// it is about to send and a write function. Writes made in one request share a run_id so a whole bulk run
+// can be rolled back together.
+'use strict';
+
+const crypto = require('crypto');
+const { getDB } = require('./database');
+const { isOpen, buildOrderUpsertPayload } = require('./shipstation-helpers');
+
+function newRunId(source) {
+  return `${source}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function parseSnapshot(row, { full = false } = {}) {
+  if (!row) return null;
+  const out = {
+    id: row.id,
+    runId: row.run_id,
+    source: row.source,
+    actor: row.actor,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    status: row.status,
+    error: row.error,
+    rollbackOf: row.rollback_of,
+    rolledBackAt: row.rolled_back_at,
+    rolledBackBy: row.rolled_back_by,
+    rollbackSnapshotId: row.rollback_snapshot_id,
+    createdAt: row.created_at
+  };
+  if (full) {
+    out.before = JSON.parse(row.before_json);
+    out.payload = JSON.parse(row.payload_json);
+    out.after = row.after_json ? JSON.parse(row.after_json) : null;
+  }
+  return out;
+}
+
+/**
+ * Persist a snapshot, perform the write, then record the result.
+ * If the snapshot can't be stored the write is not attempted.
+ * @param {object} opts
+ * @param {string} opts.source   - tool making the write ('customs-single', 'customs-bulk', 'order-formatter', 'item-adder', 'item-sync', 'rollback', ...)
+ * @param {string} [opts.runId]  - groups writes from one request; generated when omitted
+ * @param {string} [opts.actor]  - user email
+ * @param {object} opts.before   - the order as fetched before the write
+ * @param {object} opts.payload  - body being posted to /orders/createorder
+ * @param {function} opts.write  - async (payload) => updated order
+ * @param {number} [opts.rollbackOf] - snapshot id this write is restoring
+ * @returns {Promise<object>} whatever write() returned
+ */
+async function recordOrderWrite({ source, runId, actor = null, before, payload, write, rollbackOf = null }) {
+  const db = await getDB();
+  const orderId = String(payload?.orderId ?? before?.orderId ?? '');
+  if (!orderId) throw new Error('Cannot snapshot an order write without an orderId');
+
+  const { lastID: snapshotId } = await db.run(`
+    INSERT INTO order_snapshots (run_id, source, actor, order_id, order_number, before_json, payload_json, rollback_of)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, runId || newRunId(source), source, actor, orderId,
+     String(before?.orderNumber ?? payload?.orderNumber ?? ''),
+     JSON.stringify(before || {}), JSON.stringify(payload), rollbackOf);
+
+  try {
+    const after = await write(payload);
+    await db.run(
+      `UPDATE order_snapshots SET status = 'written', after_json = ? WHERE id = ?`,
+      JSON.stringify(after ?? null), snapshotId
+    );
+    return after;
+  } catch (error) {
+    const message = error.response?.data?.Message || error.response?.data?.message || error.message;
+    await db.run(`UPDATE order_snapshots SET status = 'failed', error = ? WHERE id = ?`, String(message), snapshotId);
+    throw error;
+  }
+}
+
+/**
+ * List snapshots (newest first) without the JSON bodies
+ */
+async function listSnapshots({ orderId, runId, source, limit = 100 } = {}) {
+  const db = await getDB();
+  const where = [];
+  const params = [];
+  if (orderId) { where.push('(order_id = ? OR order_number = ?)'); params.push(String(orderId), String(orderId)); }
+  if (runId)   { where.push('run_id = ?'); params.push(runId); }
+  if (source)  { where.push('source = ?'); params.push(source); }
+
+  const rows = await db.all(`
+    SELECT * FROM order_snapshots
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, ...params, Math.max(1, Math.min(1000, Number(limit) || 100)));
+  return rows.map(r => parseSnapshot(r));
+}
+
+/**
+ * Summaries of recent runs (one row per run_id)
+ */
+async function listRuns({ limit = 50, source } = {}) {
+  const db = await getDB();
+  return db.all(`
+    SELECT run_id AS runId, source, actor,
+           MIN(created_at) AS startedAt, MAX(created_at) AS finishedAt,
+           COUNT(*) AS writes,
+           COUNT(DISTINCT order_id) AS orders,
+           SUM(CASE WHEN status = 'written' THEN 1 ELSE 0 END) AS written,
+           SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+           SUM(CASE WHEN rolled_back_at IS NOT NULL THEN 1 ELSE 0 END) AS rolledBack
+    FROM order_snapshots
+    ${source ? 'WHERE source = ?' : ''}
+    GROUP BY run_id
+    ORDER BY MAX(id) DESC
+    LIMIT ?
+  `, ...(source ? [source] : []), Math.max(1, Math.min(500, Number(limit) || 50)));
+}
+
+async function getSnapshot(id) {
+  const db = await getDB();
+  return parseSnapshot(await db.get('SELECT * FROM order_snapshots WHERE id = ?', id), { full: true });
+}
+
+/**
+ * Restore one order to the "before" of `earliest`, after checking it hasn't been
+ * modified since `latest` was written (unless force). Marks every snapshot in
+ * `covered` as rolled back.
+ */
+async function restoreOrder(client, { earliest, latest, covered, actor, runId, force }) {
+  const db = await getDB();
+  const current = await client.getOrder(earliest.orderId);
+  if (!current) {
+    return { orderId: earliest.orderId, ok: false, error: 'Order not found in ShipStation' };
+  }
+  if (!isOpen(current)) {
+    return { orderId: earliest.orderId, orderNumber: earliest.orderNumber, ok: false, error: `Status ${current.orderStatus} - only open orders can be restored` };
+  }
+
+  const expectedModify = latest.after?.modifyDate;
+  if (!force && expectedModify && current.modifyDate && current.modifyDate !== expectedModify) {
+    return {
+      orderId: earliest.orderId,
+      orderNumber: earliest.orderNumber,
+      ok: false,
+      conflict: true,
+      error: `Order was modified after this write (${current.modifyDate}); pass force to restore anyway`
+    };
+  }
+
+  const restored = await recordOrderWrite({
+    source: 'rollback',
+    runId,
+    actor,
+    before: current,
+    payload: buildOrderUpsertPayload(earliest.before),
+    write: p => client.createOrUpdateOrder(p),
+    rollbackOf: earliest.id
+  });
+
+  const restoreRow = await db.get('SELECT MAX(id) AS id FROM order_snapshots WHERE run_id = ?', runId);
+  for (const s of covered) {
+    await db.run(
+      `UPDATE order_snapshots SET rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = ?, rollback_snapshot_id = ? WHERE id = ?`,
+      actor, restoreRow?.id || null, s.id
+    );
+  }
+
+  return { orderId: earliest.orderId, orderNumber: earliest.orderNumber, ok: true, restoredFrom: earliest.id, updatedOrderId: restored?.orderId };
+}
+
+/**
+ * Re-post the "before" payload of a single snapshot
+ */
+async function rollbackSnapshot(client, snapshotId, { actor = null, force = false } = {}) {
+  const snap = await getSnapshot(snapshotId);
+  if (!snap) throw Object.assign(new Error(`Snapshot ${snapshotId} not found`), { status: 404 });
+  if (snap.status !== 'written') throw Object.assign(new Error(`Snapshot ${snapshotId} was not written (status ${snap.status})`), { status: 400 });
+  if (snap.rolledBackAt) throw Object.assign(new Error(`Snapshot ${snapshotId} was already rolled back at ${snap.rolledBackAt}`), { status: 400 });
+
+  const runId = newRunId('rollback');
+  const result = await restoreOrder(client, { earliest: snap, latest: snap, covered: [snap], actor, runId, force });
+  return { runId, ...result };
+}
+
+/**
+ * Roll back every order written in a run. Orders written more than once in the
+ * run are restored to their state before the first write.
+ */
+async function rollbackRun(client, runId, { actor = null, force = false } = {}) {
+  const db = await getDB();
+  const rows = await db.all(
+    `SELECT id FROM order_snapshots WHERE run_id = ? AND status = 'written' AND rolled_back_at IS NULL ORDER BY id ASC`,
+    runId
+  );
+  if (!rows.length) throw Object.assign(new Error(`Nothing to roll back for run ${runId}`), { status: 404 });
+
+  const byOrder = new Map();
+  for (const { id } of rows) {
+    const snap = await getSnapshot(id);
+    if (!byOrder.has(snap.orderId)) byOrder.set(snap.orderId, []);
+    byOrder.get(snap.orderId).push(snap);
+  }
+
+  const rollbackRunId = newRunId('rollback');
+  const results = [];
+  for (const snaps of byOrder.values()) {
+    try {
+      results.push(await restoreOrder(client, {
+        earliest: snaps[0],
+        latest: snaps[snaps.length - 1],
+        covered: snaps,
+        actor,
+        runId: rollbackRunId,
+        force
+      }));
+    } catch (error) {
+      const message = error.response?.data?.Message || error.response?.data?.message || error.message;
+      results.push({ orderId: snaps[0].orderId, orderNumber: snaps[0].orderNumber, ok: false, error: message });
+    }
+  }
+
+  console.log(`[Order Snapshots] Rolled back run ${runId}: ${results.filter(r => r.ok).length}/${results.length} orders restored`);
+  return {
+    runId: rollbackRunId,
+    rolledBackRunId: runId,
+    restored: results.filter(r => r.ok).length,
+    failed: results.filter(r => !r.ok).length,
+    conflicts: results.filter(r => r.conflict).length,
+    results
+  };
+}
+
+module.exports = {
+  newRunId,
+  recordOrderWrite,
+  listSnapshots,
+  listRuns,
+  getSnapshot,
+  rollbackSnapshot,
+  rollbackRun
+};
@@ -0,0 +1,194 @@
+// utils/pdf-writer.js
+// Minimal PDF 1.4 writer for server-rendered labels: fixed-size pages with filled rectangles and
+// polygons, lines and Helvetica / Helvetica-Bold text (the standard fonts every viewer has, so nothing
+// is embedded). Coordinates are points from the top-left corner; text y is the baseline.
+// Output is deterministic (no dates or IDs), so identical input gives identical bytes.
+'use strict';
+
+const zlib = require('zlib');
+
+// Advance widths (1/1000 em) of ASCII 32-126 from the Adobe Helvetica AFMs
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+const EXTRA_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x97: 1000, 0x99: 1000 };
+
+// WinAnsiEncoding bytes for the common non-Latin-1 punctuation
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// Text -> WinAnsi byte values; anything else becomes "?"
+function winAnsiBytes(text) {
+  return [...String(text ?? '')].map(ch => {
+    if (WIN_ANSI_EXTRA[ch]) return WIN_ANSI_EXTRA[ch];
+    const code = ch.codePointAt(0);
+    return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+  });
+}
+
+/**
+ * Width of text in points
+ * @param {{size: number, bold?: boolean}} font
+ */
+function textWidth(text, { size, bold = false }) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = winAnsiBytes(text)
+    .reduce((sum, b) => sum + (b >= 0x20 && b <= 0x7e ? widths[b - 0x20] : EXTRA_WIDTHS[b] || DEFAULT_WIDTH), 0);
+  return (units * size) / 1000;
+}
+
+/**
+ * Longest prefix of text (with an ellipsis when cut) that fits maxWidth
+ */
+function fitText(text, maxWidth, font) {
+  const value = String(text ?? '');
+  if (textWidth(value, font) <= maxWidth) return value;
+  let end = value.length;
+  while (end > 0 && textWidth(`${value.slice(0, end).trimEnd()}…`, font) > maxWidth) end--;
+  return end > 0 ? `${value.slice(0, end).trimEnd()}…` : '';
+}
+
+/**
+ * Word-wrap text into at most maxLines lines of maxWidth; the last line is ellipsized if text is left over
+ */
+function wrapText(text, maxWidth, font, maxLines) {
+  const words = String(text ?? '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let i = 0;
+  while (i < words.length && lines.length < maxLines) {
+    let line = words[i++];
+    while (i < words.length && textWidth(`${line} ${words[i]}`, font) <= maxWidth) line += ` ${words[i++]}`;
+    lines.push(line);
+  }
+  if (lines.length) {
+    const rest = words.slice(i).join(' ');
+    const last = lines.length - 1;
+    lines[last] = fitText(rest ? `${lines[last]} ${rest}` : lines[last], maxWidth, font);
+    if (rest && !lines[last].endsWith('…')) lines[last] = fitText(`${lines[last]}…`, maxWidth, font);
+  }
+  return lines;
+}
+
+const num = n => String(Math.round(n * 1000) / 1000);
+
+function pdfString(text) {
+  return `(${Buffer.from(winAnsiBytes(text)).toString('latin1').replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * Start a PDF document with every page width x height points
+ * @returns {{addPage: Function, toBuffer: Function, pageCount: Function}}
+ */
+function createPdf({ width, height }) {
+  const pages = [];
+
+  function addPage() {
+    const ops = [];
+    const y = top => height - top;
+
+    const page = {
+      // Filled rectangle; gray 0 = black, 1 = white
+      rect(x, top, w, h, { gray = 0 } = {}) {
+        ops.push(`${num(gray)} g ${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re f`);
+        return page;
+      },
+      polygon(points, { gray = 0 } = {}) {
+        const path = points.map(([px, py], i) => `${num(px)} ${num(y(py))} ${i ? 'l' : 'm'}`).join(' ');
+        ops.push(`${num(gray)} g ${path} h f`);
+        return page;
+      },
+      line(x1, top1, x2, top2, { width: lineWidth = 0.5, gray = 0, dash = null } = {}) {
+        const dashOp = dash ? `[${dash.map(num).join(' ')}] 0 d` : '[] 0 d';
+        ops.push(`${num(gray)} G ${num(lineWidth)} w ${dashOp} ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S`);
+        return page;
+      },
+      // align: left (x is the start), right (x is the end) or center
+      text(value, x, baseline, { size, bold = false, align = 'left', gray = 0 }) {
+        const w = textWidth(value, { size, bold });
+        const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+        ops.push(`BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(y(baseline))} Td ${pdfString(value)} Tj ET`);
+        return page;
+      }
+    };
+    pages.push(ops);
+    return page;
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const add = body => { objects.push(body); return objects.length; };
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const kids = pages.map(ops => {
+      const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const contents = add(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+      return add(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const offset = length;
+      const chunk = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  return { addPage, toBuffer, pageCount: () => pages.length };
+}
+
+module.exports = {
+  createPdf,
+  textWidth,
+  fitText,
+  wrapText
+};
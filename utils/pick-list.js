@@ -0,0 +1,308 @@
+// utils/pick-list.js
+// Pick lists for a set of ShipStation orders: order items totalled by SKU, matched to variants for their
+// pick number and warehouse location, sorted into one walk of the warehouse, and written as CSV or as a
+// Letter-size PDF followed by a sort sheet per order. No API or database access here - routes/pick-list.js
+// fetches the orders, variants and bins.
+'use strict';
+
+const { csvLine } = require('./shipstation-helpers');
+const { createPdf, fitText } = require('./pdf-writer');
+const { normalizeLocation } = require('./warehouse-locations');
+
+const SORTS = ['pick', 'location'];
+
+// Why a line has no pick number
+const FLAGS = {
+  no_pick: 'No pick number',
+  unknown_sku: 'SKU not in the product DB',
+  no_sku: 'No SKU on the order item'
+};
+
+const skuKey = sku => String(sku ?? '').trim().toUpperCase();
+const numericPick = pick => (/^\d+$/.test(String(pick ?? '')) ? Number(pick) : null);
+
+// Live variants before archived ones, and ones with a pick number before those without
+const variantRank = v => (v.is_archived ? 2 : 0) + (String(v.pick_number ?? '').trim() ? 0 : 1);
+
+function variantName(variant) {
+  const variantTitle = variant.variant_title && !/^Default( Title)?$/i.test(variant.variant_title) ? variant.variant_title : '';
+  return variantTitle ? `${variant.product_title} - ${variantTitle}` : variant.product_title || '';
+}
+
+// ============================================================================
+// BUILDING THE LIST
+// ============================================================================
+
+// Numeric pick numbers in order, then other pick numbers alphabetically, then lines without one
+function comparePicks(a, b) {
+  if ((a.pick === null) !== (b.pick === null)) return a.pick === null ? 1 : -1;
+  const numA = numericPick(a.pick);
+  const numB = numericPick(b.pick);
+  if ((numA === null) !== (numB === null)) return numA === null ? 1 : -1;
+  return (numA ?? 0) - (numB ?? 0) || String(a.pick ?? '').localeCompare(String(b.pick ?? ''));
+}
+
+// Bins in walk order, then locations that aren't bins alphabetically, then lines without a location
+function locationComparer(bins) {
+  const binIndex = new Map(bins.map((b, i) => [b.location_code, i]));
+  const rank = line => {
+    const code = normalizeLocation(line.location);
+    if (!code) return [2, ''];
+    return binIndex.has(code) ? [0, binIndex.get(code)] : [1, code];
+  };
+  return (a, b) => {
+    const [groupA, keyA] = rank(a);
+    const [groupB, keyB] = rank(b);
+    return groupA - groupB || (groupA === 0 ? keyA - keyB : String(keyA).localeCompare(String(keyB)));
+  };
+}
+
+/**
+ * Total the items of the orders by SKU and sort the lines for picking
+ * @param {Array<object>} orders - ShipStation orders with items
+ * @param {Array<object>} variants - variants rows for the items' SKUs (getVariantsByIdsOrSkus)
+ * @param {Object} options
+ * @param {Array<{location_code}>} options.bins - warehouse bins in walk order (getWarehouseBins)
+ * @param {'pick'|'location'} options.sort - pick number first, or bin walk order first
+ * @returns {{sort, lines: Array<object>, orders: Array<object>, summary: Object}} lines are
+ *   { sku, name, variantId, pick, location, quantity, orderNumbers, flag, flagMessage }; orders are the
+ *   per-order sort sheets { orderId, orderNumber, shipTo, items: [{ line, quantity }] } in line order
+ */
+function buildPickList(orders, variants, { bins = [], sort = 'pick' } = {}) {
+  const bySku = new Map();
+  for (const variant of variants) {
+    const key = skuKey(variant.sku);
+    if (!key) continue;
+    const current = bySku.get(key);
+    if (!current || variantRank(variant) < variantRank(current)) bySku.set(key, variant);
+  }
+
+  const lines = new Map();
+  const sheets = [];
+  for (const order of orders) {
+    const orderNumber = String(order.orderNumber);
+    const items = new Map();
+
+    for (const item of order.items || []) {
+      const quantity = Number(item.quantity) || 0;
+      if (item.adjustment || quantity <= 0) continue;
+
+      // Items without a SKU are totalled by name so they still get picked
+      const sku = String(item.sku ?? '').trim();
+      const key = sku ? `sku:${skuKey(sku)}` : `name:${String(item.name ?? '').trim().toLowerCase()}`;
+      let line = lines.get(key);
+      if (!line) {
+        const variant = sku ? bySku.get(skuKey(sku)) : null;
+        const pick = String(variant?.pick_number ?? '').trim();
+        const flag = !sku ? 'no_sku' : !variant ? 'unknown_sku' : !pick ? 'no_pick' : null;
+        line = {
+          sku: variant ? String(variant.sku).trim() : sku,
+          name: variant ? variantName(variant) : String(item.name ?? '').trim(),
+          variantId: variant ? String(variant.shopify_variant_id) : null,
+          pick: pick || null,
+          location: String(variant?.warehouse_location ?? '').trim() || null,
+          quantity: 0,
+          orderNumbers: [],
+          flag,
+          flagMessage: flag ? FLAGS[flag] : null
+        };
+        lines.set(key, line);
+      }
+
+      line.quantity += quantity;
+      if (!line.orderNumbers.includes(orderNumber)) line.orderNumbers.push(orderNumber);
+      if (items.has(line)) items.set(line, items.get(line) + quantity);
+      else items.set(line, quantity);
+    }
+
+    if (items.size > 0) {
+      sheets.push({
+        orderId: order.orderId,
+        orderNumber,
+        shipTo: order.shipTo?.name || '',
+        items: [...items].map(([line, quantity]) => ({ line, quantity }))
+      });
+    }
+  }
+
+  const byLocation = locationComparer(bins);
+  const bySkuName = (a, b) => (!a.sku - !b.sku) || a.sku.localeCompare(b.sku) || a.name.localeCompare(b.name);
+  const compare = sort === 'location'
+    ? (a, b) => byLocation(a, b) || comparePicks(a, b) || bySkuName(a, b)
+    : (a, b) => comparePicks(a, b) || byLocation(a, b) || bySkuName(a, b);
+  const sorted = [...lines.values()].sort(compare);
+
+  const position = new Map(sorted.map((line, i) => [line, i]));
+  for (const sheet of sheets) sheet.items.sort((a, b) => position.get(a.line) - position.get(b.line));
+
+  return {
+    sort,
+    lines: sorted,
+    orders: sheets,
+    summary: {
+      orders: orders.length,
+      lines: sorted.length,
+      units: sorted.reduce((n, line) => n + line.quantity, 0),
+      flagged: sorted.filter(line => line.flag).length
+    }
+  };
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const CSV_HEADERS = ['pickNumber', 'location', 'sku', 'name', 'quantity', 'orders', 'orderNumbers', 'flag'];
+
+function pickListCsv(pickList) {
+  const out = [csvLine(CSV_HEADERS)];
+  for (const line of pickList.lines) {
+    out.push(csvLine([
+      line.pick, line.location, line.sku, line.name, line.quantity,
+      line.orderNumbers.length, line.orderNumbers.join(' '), line.flagMessage
+    ]));
+  }
+  return out.join('\n');
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+const PAGE_WIDTH = 612;   // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BODY_TOP = 100;     // below the page heading and column titles
+const BODY_BOTTOM = PAGE_HEIGHT - MARGIN;
+
+const LINE_ROW = 26;
+const ORDER_HEADING = 22;
+const ORDER_ROW = 15;
+const ORDER_GAP = 10;
+
+// Pick list columns: x of each column's left edge (right edge for the numbers)
+const COL = { box: MARGIN, pick: 54, location: 108, sku: 186, name: 292, nameWidth: 196, quantity: 528, orders: RIGHT };
+
+function checkbox(page, x, top, size) {
+  page.line(x, top, x + size, top).line(x + size, top, x + size, top + size)
+    .line(x + size, top + size, x, top + size).line(x, top + size, x, top);
+}
+
+// Pick list rows: pick, location, SKU and quantity large enough to read off a cart
+function lineBlock(line) {
+  return {
+    section: 'lines',
+    height: LINE_ROW,
+    draw(page, top) {
+      if (line.flag) page.rect(MARGIN - 4, top, RIGHT - MARGIN + 8, LINE_ROW - 2, { gray: 0.88 });
+      checkbox(page, COL.box, top + 6, 10);
+      page.text(line.pick ?? '—', COL.pick, top + 15, { size: 12, bold: true });
+      page.text(fitText(line.location ?? '', COL.sku - COL.location - 6, { size: 10, bold: true }), COL.location, top + 15, { size: 10, bold: true });
+      page.text(fitText(line.sku, COL.name - COL.sku - 6, { size: 9 }), COL.sku, top + 15, { size: 9 });
+      page.text(fitText(line.name, COL.nameWidth, { size: 9 }), COL.name, top + 11, { size: 9 });
+      const detail = line.flagMessage ? line.flagMessage.toUpperCase() : `Orders ${line.orderNumbers.join(', ')}`;
+      page.text(fitText(detail, COL.nameWidth, { size: 7, bold: !!line.flag }), COL.name, top + 20, { size: 7, bold: !!line.flag, gray: line.flag ? 0 : 0.35 });
+      page.text(String(line.quantity), COL.quantity, top + 15, { size: 12, bold: true, align: 'right' });
+      page.text(String(line.orderNumbers.length), COL.orders, top + 15, { size: 9, align: 'right' });
+      page.line(MARGIN, top + LINE_ROW - 1, RIGHT, top + LINE_ROW - 1, { gray: 0.75, width: 0.25 });
+    }
+  };
+}
+
+// Sort sheet for one order: a heading kept together with its items where the page allows
+function orderBlocks(sheet) {
+  const units = sheet.items.reduce((n, item) => n + item.quantity, 0);
+  const total = ORDER_HEADING + sheet.items.length * ORDER_ROW + ORDER_GAP;
+  const heading = {
+    section: 'orders',
+    height: ORDER_HEADING,
+    keep: Math.min(total, BODY_BOTTOM - BODY_TOP),
+    draw(page, top) {
+      page.rect(MARGIN, top, RIGHT - MARGIN, ORDER_HEADING - 4, { gray: 0.9 });
+      page.text(`Order #${sheet.orderNumber}`, MARGIN + 4, top + 13, { size: 11, bold: true });
+      page.text(fitText(sheet.shipTo, 260, { size: 9 }), 150, top + 13, { size: 9 });
+      page.text(`${sheet.items.length} lines • ${units} units`, RIGHT - 4, top + 13, { size: 9, align: 'right' });
+    }
+  };
+  const rows = sheet.items.map(({ line, quantity }, i) => ({
+    section: 'orders',
+    height: ORDER_ROW + (i === sheet.items.length - 1 ? ORDER_GAP : 0),
+    draw(page, top) {
+      checkbox(page, MARGIN + 4, top + 2, 8);
+      page.text(`${quantity} ×`, 78, top + 10, { size: 9, bold: true, align: 'right' });
+      page.text(line.pick ?? '—', 86, top + 10, { size: 9, bold: true });
+      page.text(fitText(line.location ?? '', 74, { size: 9 }), 132, top + 10, { size: 9 });
+      page.text(fitText(line.sku, 100, { size: 9 }), 210, top + 10, { size: 9 });
+      page.text(fitText(line.name, RIGHT - 316, { size: 9 }), 316, top + 10, { size: 9 });
+    }
+  }));
+  return [heading, ...rows];
+}
+
+function drawPageHeading(page, section, { title, subtitle, pageNo, pageCount }) {
+  page.text(fitText(section === 'orders' ? `${title} - sort sheet` : title, 440, { size: 14, bold: true }), MARGIN, 52, { size: 14, bold: true });
+  page.text(`Page ${pageNo} of ${pageCount}`, RIGHT, 52, { size: 8, align: 'right', gray: 0.35 });
+  page.text(fitText(subtitle, RIGHT - MARGIN, { size: 9 }), MARGIN, 68, { size: 9, gray: 0.2 });
+
+  if (section === 'lines') {
+    const head = { size: 7, bold: true, gray: 0.35 };
+    page.text('PICK #', COL.pick, 90, head);
+    page.text('LOCATION', COL.location, 90, head);
+    page.text('SKU', COL.sku, 90, head);
+    page.text('NAME', COL.name, 90, head);
+    page.text('QTY', COL.quantity, 90, { ...head, align: 'right' });
+    page.text('ORDERS', COL.orders, 90, { ...head, align: 'right' });
+  }
+  page.line(MARGIN, 95, RIGHT, 95, { width: 1 });
+}
+
+/**
+ * Pick list PDF: the lines (flagged ones shaded), then a sort sheet per order starting on a new page
+ * @param {Object} pickList - from buildPickList
+ * @param {{title: string, generatedAt: string}} heading - printed on every page
+ * @returns {Buffer}
+ */
+function renderPickListPdf(pickList, { title, generatedAt }) {
+  const { summary } = pickList;
+  const subtitle = [
+    `${summary.orders} orders`,
+    `${summary.lines} lines`,
+    `${summary.units} units`,
+    `sorted by ${pickList.sort === 'location' ? 'location' : 'pick number'}`,
+    summary.flagged ? `${summary.flagged} without a pick number (shaded)` : null,
+    generatedAt
+  ].filter(Boolean).join(' • ');
+
+  const blocks = [...pickList.lines.map(lineBlock), ...pickList.orders.flatMap(orderBlocks)];
+  const pages = [];
+  let current = null;
+  let top = BODY_TOP;
+  for (const block of blocks) {
+    if (!current || current.section !== block.section || top + (block.keep ?? block.height) > BODY_BOTTOM) {
+      current = { section: block.section, draws: [] };
+      pages.push(current);
+      top = BODY_TOP;
+    }
+    const at = top;
+    current.draws.push(page => block.draw(page, at));
+    top += block.height;
+  }
+  if (pages.length === 0) pages.push({ section: 'lines', draws: [] });
+
+  const pdf = createPdf({ width: PAGE_WIDTH, height: PAGE_HEIGHT });
+  pages.forEach(({ section, draws }, i) => {
+    const page = pdf.addPage();
+    drawPageHeading(page, section, { title, subtitle, pageNo: i + 1, pageCount: pages.length });
+    draws.forEach(draw => draw(page));
+  });
+  return pdf.toBuffer();
+}
+
+module.exports = {
+  SORTS,
+  FLAGS,
+  buildPickList,
+  pickListCsv,
+  renderPickListPdf
+};
@@ -3,8 +3,8 @@
 'use strict';
 
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { migrateUp, migrateDown, getMigrationStatus: migrationStatus } = require('./migration-runner');
+const warehouseLocations = require('./warehouse-locations');
 
 // ============================================================================
 // CONFIGURATION
@@ -58,24 +58,28 @@ function getPool() {
 // MIGRATION RUNNER
 // ============================================================================
 
-async function runMigrations() {
-  const client = await getPool().connect();
-  try {
-    console.log('[Product DB] Running migrations...');
-
-    const migrationPath = path.join(__dirname, '../migrations/001_create_products_tables.sql');
-    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+/**
+ * Apply pending migrations from migrations/ (see utils/migration-runner.js), optionally only up to
+ * { target }; a no-op when up to date
+ */
+async function runMigrations({ target } = {}) {
+  console.log('[Product DB] Running migrations...');
+  const result = await migrateUp(getPool(), target !== undefined ? { target } : {});
+  console.log(result.applied.length
+    ? `[Product DB] Applied ${result.applied.length} migrations, schema at version ${result.current}`
+    : `[Product DB] Schema up to date at version ${result.current}`);
+  return { success: true, ...result };
+}
 
-    await client.query(migrationSQL);
+/**
+ * Revert applied migrations: { steps } most recent (default 1) or everything above { target }
+ */
+async function rollbackMigrations(options = {}) {
+  return migrateDown(getPool(), options);
+}
 
-    console.log('[Product DB] Migrations completed successfully');
-    return { success: true };
-  } catch (error) {
-    console.error('[Product DB] Migration failed:', error.message);
-    throw error;
-  } finally {
-    client.release();
-  }
+async function getMigrationStatus() {
+  return migrationStatus(getPool());
 }
 
 // ============================================================================
@@ -180,8 +184,9 @@ async function upsertVariant(variant, productId) {
 
 /**
  * Bulk upsert products and variants from Shopify data
+ * @param {object} options - { source, user } recorded in variant_history ('sync' or 'webhook')
  */
-async function bulkUpsertProducts(products) {
+async function bulkUpsertProducts(products, { source = 'sync', user = null } = {}) {
   const client = await getPool().connect();
   const stats = { products: 0, variants: 0, errors: [] };
 
@@ -221,6 +226,17 @@ async function bulkUpsertProducts(products) {
         ]);
         stats.products++;
 
+        // Variants of archived products are archived with them (their pick numbers stop counting
+        // as taken); unarchiving the product in Shopify brings them back on the next sync
+        const variantArchived = product.status === 'archived';
+
+        // Current rows, to record what the upsert changes
+        const previous = await client.query(
+          'SELECT * FROM variants WHERE shopify_variant_id = ANY($1::bigint[])',
+          [(product.variants || []).map(v => v.id)]
+        );
+        const previousById = new Map(previous.rows.map(r => [String(r.shopify_variant_id), r]));
+
         // Upsert each variant
         for (const variant of (product.variants || [])) {
           const variantQuery = `
@@ -248,9 +264,10 @@ async function bulkUpsertProducts(products) {
               location_metafield_id = COALESCE(EXCLUDED.location_metafield_id, variants.location_metafield_id),
               is_archived = EXCLUDED.is_archived,
               last_synced_at = NOW()
+            RETURNING *
           `;
 
-          await client.query(variantQuery, [
+          const upserted = await client.query(variantQuery, [
             variant.id,
             product.id,
             variant.sku || null,
@@ -267,8 +284,9 @@ async function bulkUpsertProducts(products) {
             variant.warehouse_location || null,
             variant.pick_metafield_id || null,
             variant.location_metafield_id || null,
-            false
+            variantArchived
           ]);
+          await recordVariantHistory(client, previousById.get(String(variant.id)), upserted.rows[0], { source, user });
           stats.variants++;
         }
       } catch (err) {
@@ -287,16 +305,87 @@ async function bulkUpsertProducts(products) {
   return stats;
 }
 
+/**
+ * Archive products that no longer exist in Shopify (deleted there) together with their variants.
+ * An empty list is ignored so a bad fetch can't archive everything.
+ * @param {Array<number|string>} productIds - every product ID Shopify currently lists, in any status
+ * @param {{source?: string, user?: string|null}} [options] - recorded on the is_archived history rows
+ * @returns {Promise<{products: number, variants: number}>}
+ */
+async function archiveProductsNotIn(productIds, { source = 'sync', user = null } = {}) {
+  if (!productIds.length) return { products: 0, variants: 0 };
+
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const gone = await client.query(`
+      UPDATE products SET status = 'archived', last_synced_at = NOW()
+      WHERE status <> 'archived' AND NOT (shopify_product_id = ANY($1::bigint[]))
+      RETURNING shopify_product_id
+    `, [productIds]);
+
+    const goneIds = gone.rows.map(r => r.shopify_product_id);
+    const variants = goneIds.length
+      ? await client.query(`
+          WITH archived AS (
+            UPDATE variants SET is_archived = TRUE, last_synced_at = NOW()
+            WHERE shopify_product_id = ANY($1::bigint[]) AND is_archived = FALSE
+            RETURNING shopify_variant_id
+          )
+          INSERT INTO variant_history (shopify_variant_id, field, old_value, new_value, source, changed_by)
+          SELECT shopify_variant_id, 'is_archived', 'false', 'true', $2, $3 FROM archived
+        `, [goneIds, source, user])
+      : { rowCount: 0 };
+
+    await client.query('COMMIT');
+    return { products: gone.rowCount, variants: variants.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Archive variants that were removed from the given (freshly fetched) products
+ * @param {{source?: string, user?: string|null}} [options] - recorded on the is_archived history rows
+ * @returns {Promise<number>} variants archived
+ */
+async function archiveVariantsNotIn(products, { source = 'sync', user = null } = {}) {
+  const pool = getPool();
+  let archived = 0;
+  for (const product of products) {
+    const variantIds = (product.variants || []).map(v => v.id);
+    const result = await pool.query(`
+      WITH archived AS (
+        UPDATE variants SET is_archived = TRUE, last_synced_at = NOW()
+        WHERE shopify_product_id = $1 AND is_archived = FALSE
+          AND NOT (shopify_variant_id = ANY($2::bigint[]))
+        RETURNING shopify_variant_id
+      )
+      INSERT INTO variant_history (shopify_variant_id, field, old_value, new_value, source, changed_by)
+      SELECT shopify_variant_id, 'is_archived', 'false', 'true', $3, $4 FROM archived
+    `, [product.id, variantIds, source, user]);
+    archived += result.rowCount;
+  }
+  return archived;
+}
+
 // ============================================================================
 // QUERY OPERATIONS
 // ============================================================================
 
 /**
- * Get all products with their variants from the database
+ * Get all products with their variants from the database.
+ * status 'archived' lists archived variants - those of archived products and those deleted from
+ * products that are still live - so their pick numbers and locations can be released.
  */
 async function getAllProductsWithVariants(options = {}) {
   const pool = getPool();
-  const { includeArchived = false, status = 'active' } = options;
+  const { status = 'active' } = options;
+  const archivedView = status === 'archived';
+  const includeArchived = options.includeArchived || archivedView;
 
   // Get products
   let productQuery = `
@@ -305,7 +394,11 @@ async function getAllProductsWithVariants(options = {}) {
   `;
   const params = [];
 
-  if (status) {
+  if (archivedView) {
+    productQuery += ` AND (status = 'archived' OR shopify_product_id IN (
+      SELECT shopify_product_id FROM variants WHERE is_archived = TRUE
+    ))`;
+  } else if (status) {
     params.push(status);
     productQuery += ` AND status = $${params.length}`;
   }
@@ -327,7 +420,9 @@ async function getAllProductsWithVariants(options = {}) {
     WHERE shopify_product_id = ANY($1)
   `;
 
-  if (!includeArchived) {
+  if (archivedView) {
+    variantQuery += ' AND is_archived = TRUE';
+  } else if (!includeArchived) {
     variantQuery += ' AND is_archived = FALSE';
   }
 
@@ -374,7 +469,8 @@ async function getAllProductsWithVariants(options = {}) {
       location_metafield_id: v.location_metafield_id,
       last_synced_at: v.last_synced_at,
       last_shipstation_synced_at: v.last_shipstation_synced_at,
-      dirty_flags: v.dirty_flags
+      dirty_flags: v.dirty_flags,
+      is_archived: v.is_archived
     }))
   }));
 }
@@ -392,11 +488,52 @@ async function getVariantById(shopifyVariantId) {
 }
 
 /**
- * Update a variant in the database
+ * Archived variants (of the given IDs) that still hold a pick number or warehouse location
+ */
+async function getReleasableVariants(shopifyVariantIds) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT shopify_variant_id, sku, pick_number, warehouse_location, pick_metafield_id, location_metafield_id
+    FROM variants
+    WHERE shopify_variant_id = ANY($1::bigint[])
+      AND is_archived = TRUE
+      AND (COALESCE(pick_number, '') <> '' OR COALESCE(warehouse_location, '') <> '')
+  `, [shopifyVariantIds]);
+  return result.rows;
+}
+
+/**
+ * Variants matching any of the given Shopify variant IDs or SKUs (SKUs compared trimmed and
+ * case-insensitively), archived ones included, with their product title and status
+ */
+async function getVariantsByIdsOrSkus(shopifyVariantIds = [], skus = []) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT v.*, p.title AS product_title, p.status AS product_status
+    FROM variants v
+    JOIN products p ON p.shopify_product_id = v.shopify_product_id
+    WHERE v.shopify_variant_id = ANY($1::bigint[])
+       OR UPPER(TRIM(v.sku)) = ANY($2::text[])
+  `, [shopifyVariantIds, skus.map(s => String(s).trim().toUpperCase())]);
+  return result.rows;
+}
+
+/**
+ * Upper-cased SKUs of all non-archived variants (order change detector: real products are never promo lines)
  */
-async function updateVariant(shopifyVariantId, updates) {
+async function getActiveVariantSkus() {
   const pool = getPool();
+  const result = await pool.query(
+    "SELECT DISTINCT UPPER(TRIM(sku)) AS sku FROM variants WHERE is_archived = FALSE AND sku IS NOT NULL AND TRIM(sku) <> ''"
+  );
+  return result.rows.map(row => row.sku);
+}
 
+/**
+ * Update a variant in the database
+ * @param {object} options - { source, user } recorded in variant_history
+ */
+async function updateVariant(shopifyVariantId, updates, { source = 'product_manager', user = null } = {}) {
   const fields = [];
   const values = [];
   let paramIndex = 1;
@@ -430,14 +567,30 @@ async function updateVariant(shopifyVariantId, updates) {
     RETURNING *
   `;
 
-  const result = await pool.query(query, values);
-  return result.rows[0] || null;
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      'SELECT * FROM variants WHERE shopify_variant_id = $1 FOR UPDATE',
+      [shopifyVariantId]
+    );
+    const result = await client.query(query, values);
+    await recordVariantHistory(client, before.rows[0], result.rows[0], { source, user });
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
 /**
  * Batch update variants
+ * @param {object} options - { source, user } recorded in variant_history
  */
-async function batchUpdateVariants(updates) {
+async function batchUpdateVariants(updates, { source = 'product_manager', user = null } = {}) {
   const client = await getPool().connect();
   const results = { updated: 0, failed: 0, errors: [] };
 
@@ -473,10 +626,15 @@ async function batchUpdateVariants(updates) {
 
         values.push(id);
 
-        await client.query(
-          `UPDATE variants SET ${setClauses.join(', ')} WHERE shopify_variant_id = $${i}`,
+        const before = await client.query(
+          'SELECT * FROM variants WHERE shopify_variant_id = $1 FOR UPDATE',
+          [id]
+        );
+        const after = await client.query(
+          `UPDATE variants SET ${setClauses.join(', ')} WHERE shopify_variant_id = $${i} RETURNING *`,
           values
         );
+        await recordVariantHistory(client, before.rows[0], after.rows[0], { source, user });
 
         results.updated++;
       } catch (err) {
@@ -496,6 +654,80 @@ async function batchUpdateVariants(updates) {
   return results;
 }
 
+// ============================================================================
+// VARIANT HISTORY
+// ============================================================================
+
+// Variant columns whose changes are recorded in variant_history
+const HISTORY_FIELDS = [
+  'sku', 'variant_title', 'price', 'weight_grams', 'barcode',
+  'harmonized_system_code', 'country_code_of_origin',
+  'pick_number', 'warehouse_location', 'is_archived'
+];
+
+const NUMERIC_HISTORY_FIELDS = ['price', 'weight_grams'];
+
+// Text form of a column value; '' and NULL are the same, and NUMERIC '25.00' equals 25
+function historyValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (NUMERIC_HISTORY_FIELDS.includes(field)) return String(Number(value));
+  return String(value);
+}
+
+/**
+ * Field-level diff of two variant rows (before/after a write)
+ * @returns {Array<{field: string, old_value: string|null, new_value: string|null}>}
+ */
+function diffVariantRows(before, after) {
+  const changes = [];
+  for (const field of HISTORY_FIELDS) {
+    const oldValue = historyValue(field, before[field]);
+    const newValue = historyValue(field, after[field]);
+    if (oldValue !== newValue) changes.push({ field, old_value: oldValue, new_value: newValue });
+  }
+  return changes;
+}
+
+/**
+ * Insert variant_history rows for what changed between two rows of one variant, on the caller's
+ * client so history commits with the write. New variants (no `before`) are not recorded.
+ * @returns {Promise<number>} fields recorded
+ */
+async function recordVariantHistory(client, before, after, { source, user = null }) {
+  if (!before || !after) return 0;
+  const changes = diffVariantRows(before, after);
+  if (changes.length === 0) return 0;
+
+  await client.query(`
+    INSERT INTO variant_history (shopify_variant_id, field, old_value, new_value, source, changed_by)
+    SELECT $1, c.field, c.old_value, c.new_value, $5, $6
+    FROM unnest($2::text[], $3::text[], $4::text[]) AS c(field, old_value, new_value)
+  `, [
+    after.shopify_variant_id,
+    changes.map(c => c.field),
+    changes.map(c => c.old_value),
+    changes.map(c => c.new_value),
+    source,
+    user
+  ]);
+  return changes.length;
+}
+
+/**
+ * History of one variant, newest first
+ */
+async function getVariantHistory(shopifyVariantId, { limit = 200 } = {}) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT id, field, old_value, new_value, source, changed_by, changed_at
+    FROM variant_history
+    WHERE shopify_variant_id = $1
+    ORDER BY changed_at DESC, id DESC
+    LIMIT $2
+  `, [shopifyVariantId, limit]);
+  return result.rows;
+}
+
 // ============================================================================
 // DUPLICATE & VALIDATION OPERATIONS
 // ============================================================================
@@ -647,17 +879,19 @@ async function completeSyncLog(id, success, counts = {}, errorSummary = null) {
 }
 
 /**
- * Get last successful sync timestamp
+ * Get when the last successful inbound sync of the given type(s) started
+ * The start time is the incremental cursor: anything Shopify changed while that sync ran is fetched again next time.
+ * @param {string|string[]} syncType - e.g. ['full', 'incremental']
  */
 async function getLastSyncTimestamp(syncType = 'full') {
   const pool = getPool();
   const result = await pool.query(`
-    SELECT finished_at FROM product_sync_log
-    WHERE sync_type = $1 AND success = TRUE
-    ORDER BY finished_at DESC
+    SELECT started_at FROM product_sync_log
+    WHERE sync_type = ANY($1::text[]) AND sync_direction = 'inbound' AND success = TRUE
+    ORDER BY started_at DESC
     LIMIT 1
-  `, [syncType]);
-  return result.rows[0]?.finished_at || null;
+  `, [[].concat(syncType)]);
+  return result.rows[0]?.started_at || null;
 }
 
 /**
@@ -786,6 +1020,420 @@ async function getStats() {
   };
 }
 
+// ============================================================================
+// CUSTOMS RULES
+// ============================================================================
+
+const CUSTOMS_RULE_FIELDS = [
+  'position', 'name', 'product_type', 'title_pattern', 'hs_prefix',
+  'hs_code', 'description', 'enabled', 'notes', 'updated_by'
+];
+
+/**
+ * Get all customs rules in evaluation order
+ */
+async function getCustomsRules() {
+  const pool = getPool();
+  const result = await pool.query('SELECT * FROM customs_rules ORDER BY position ASC, id ASC');
+  return result.rows;
+}
+
+/**
+ * Get a single customs rule by ID
+ */
+async function getCustomsRuleById(id) {
+  const pool = getPool();
+  const result = await pool.query('SELECT * FROM customs_rules WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a customs rule. Without an explicit position it goes to the end.
+ */
+async function createCustomsRule(rule) {
+  const pool = getPool();
+  const fields = CUSTOMS_RULE_FIELDS.filter(f => rule[f] !== undefined);
+  const values = fields.map(f => rule[f]);
+
+  if (rule.position === undefined) {
+    fields.push('position');
+    values.push((await pool.query('SELECT COALESCE(MAX(position), 0) + 10 AS next FROM customs_rules')).rows[0].next);
+  }
+
+  const placeholders = fields.map((_, i) => `$${i + 1}`);
+  const result = await pool.query(
+    `INSERT INTO customs_rules (${fields.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update a customs rule (only whitelisted fields)
+ */
+async function updateCustomsRule(id, updates) {
+  const pool = getPool();
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (CUSTOMS_RULE_FIELDS.includes(key)) {
+      fields.push(`${key} = $${paramIndex}`);
+      values.push(value);
+      paramIndex++;
+    }
+  }
+
+  if (fields.length === 0) {
+    return getCustomsRuleById(id);
+  }
+
+  values.push(id);
+  const result = await pool.query(
+    `UPDATE customs_rules SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a customs rule
+ */
+async function deleteCustomsRule(id) {
+  const pool = getPool();
+  const result = await pool.query('DELETE FROM customs_rules WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Re-number rules to match the given ID order (positions 10, 20, 30, ...)
+ */
+async function reorderCustomsRules(orderedIds, updatedBy = null) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    for (let i = 0; i < orderedIds.length; i++) {
+      await client.query(
+        'UPDATE customs_rules SET position = $1, updated_by = COALESCE($2, updated_by) WHERE id = $3',
+        [(i + 1) * 10, updatedBy, orderedIds[i]]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return getCustomsRules();
+}
+
+/**
+ * Insert the given rules only if the table is empty. Returns number inserted.
+ */
+async function seedCustomsRules(rules) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT COUNT(*) AS count FROM customs_rules');
+    if (parseInt(existing.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    for (const rule of rules) {
+      await client.query(`
+        INSERT INTO customs_rules (position, name, product_type, title_pattern, hs_prefix, hs_code, description, enabled, notes, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'seed')
+      `, [
+        rule.position, rule.name, rule.product_type || null, rule.title_pattern || null,
+        rule.hs_prefix || null, rule.hs_code || null, rule.description,
+        rule.enabled !== false, rule.notes || null
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return rules.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// WAREHOUSE LOCATIONS
+// ============================================================================
+// Zone > aisle > shelf > bin layout (migration 005). Rules and pick suggestions are in
+// utils/warehouse-locations.js.
+
+const WALK_ORDER = 'z.position, z.id, a.position, a.id, s.position, s.id, b.position, b.id';
+
+const WAREHOUSE_NODE_FIELDS = {
+  zone: ['code', 'name', 'position', 'pick_start', 'pick_end'],
+  aisle: ['zone_id', 'code', 'name', 'position'],
+  shelf: ['aisle_id', 'code', 'name', 'position'],
+  bin: ['name', 'position', 'capacity']
+};
+
+/**
+ * The whole layout as zones[].aisles[].shelves[].bins[], in walk order; each bin has
+ * variant_count (live variants whose warehouse_location is the bin)
+ */
+async function getWarehouseLayout() {
+  const pool = getPool();
+  const [zones, aisles, shelves, bins] = await Promise.all([
+    pool.query('SELECT * FROM warehouse_zones ORDER BY position, id'),
+    pool.query('SELECT * FROM warehouse_aisles ORDER BY position, id'),
+    pool.query('SELECT * FROM warehouse_shelves ORDER BY position, id'),
+    pool.query(`
+      SELECT b.*, COUNT(v.id)::int AS variant_count
+      FROM warehouse_bins b
+      LEFT JOIN variants v ON UPPER(TRIM(v.warehouse_location)) = b.location_code AND v.is_archived = FALSE
+      GROUP BY b.id
+      ORDER BY b.position, b.id
+    `)
+  ]);
+  return warehouseLocations.buildLayoutTree(zones.rows, aisles.rows, shelves.rows, bins.rows);
+}
+
+/**
+ * Every bin in walk order, with its zone's code and pick range
+ */
+async function getWarehouseBins() {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT b.id, b.location_code, b.capacity, z.code AS zone_code, z.pick_start, z.pick_end
+    FROM warehouse_bins b
+    JOIN warehouse_shelves s ON s.id = b.shelf_id
+    JOIN warehouse_aisles a ON a.id = s.aisle_id
+    JOIN warehouse_zones z ON z.id = a.zone_id
+    ORDER BY ${WALK_ORDER}
+  `);
+  return result.rows;
+}
+
+async function getWarehouseNode(level, id) {
+  const { table } = warehouseLocations.LEVELS[level];
+  const result = await getPool().query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a zone, aisle or shelf (bins: createWarehouseBins). Without a position it goes last
+ * among its siblings. A missing parent is a 404 error.
+ */
+async function createWarehouseNode(level, node) {
+  const pool = getPool();
+  const { table, parentKey } = warehouseLocations.LEVELS[level];
+  const fields = WAREHOUSE_NODE_FIELDS[level].filter(f => node[f] !== undefined);
+  const values = fields.map(f => node[f]);
+
+  if (node.position === undefined) {
+    const siblings = parentKey
+      ? await pool.query(`SELECT COALESCE(MAX(position), 0) + 10 AS next FROM ${table} WHERE ${parentKey} = $1`, [node[parentKey]])
+      : await pool.query(`SELECT COALESCE(MAX(position), 0) + 10 AS next FROM ${table}`);
+    fields.push('position');
+    values.push(siblings.rows[0].next);
+  }
+
+  try {
+    const placeholders = fields.map((_, i) => `$${i + 1}`);
+    const result = await pool.query(
+      `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  } catch (err) {
+    throw warehouseWriteError(err, level, node.code);
+  }
+}
+
+/**
+ * Add bins to a shelf, after its existing bins; location codes are built from the zone, aisle and
+ * shelf codes. All or nothing.
+ */
+async function createWarehouseBins(shelfId, codes, { capacity = null } = {}) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const shelf = await client.query(`
+      SELECT s.code AS shelf_code, a.code AS aisle_code, z.code AS zone_code,
+             (SELECT COALESCE(MAX(position), 0) FROM warehouse_bins WHERE shelf_id = s.id) AS last_position
+      FROM warehouse_shelves s
+      JOIN warehouse_aisles a ON a.id = s.aisle_id
+      JOIN warehouse_zones z ON z.id = a.zone_id
+      WHERE s.id = $1
+    `, [shelfId]);
+    if (shelf.rows.length === 0) {
+      throw Object.assign(new Error('Shelf not found'), { status: 404 });
+    }
+
+    const { zone_code: zone, aisle_code: aisle, shelf_code: shelfCode, last_position: last } = shelf.rows[0];
+    const bins = [];
+    for (const [i, code] of codes.entries()) {
+      const result = await client.query(`
+        INSERT INTO warehouse_bins (shelf_id, code, position, capacity, location_code)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [shelfId, code, last + (i + 1) * 10, capacity, warehouseLocations.locationCode(zone, aisle, shelfCode, code)]);
+      bins.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    return bins;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw warehouseWriteError(err, 'bin');
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update a layout node's name, position, capacity or pick range (codes never change)
+ */
+async function updateWarehouseNode(level, id, node) {
+  const { table } = warehouseLocations.LEVELS[level];
+  const fields = WAREHOUSE_NODE_FIELDS[level].filter(f => f !== 'code' && !f.endsWith('_id') && node[f] !== undefined);
+  if (fields.length === 0) return getWarehouseNode(level, id);
+
+  const result = await getPool().query(
+    `UPDATE ${table} SET ${fields.map((f, i) => `${f} = $${i + 1}`).join(', ')} WHERE id = $${fields.length + 1} RETURNING *`,
+    [...fields.map(f => node[f]), id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a layout node and everything under it. Refused (409) while live variants are located
+ * in any of its bins - move or clear them first.
+ */
+async function deleteWarehouseNode(level, id) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const scope = { zone: 'z.id', aisle: 'a.id', shelf: 's.id', bin: 'b.id' }[level];
+    const inUse = await client.query(`
+      SELECT COUNT(v.id)::int AS count
+      FROM warehouse_bins b
+      JOIN warehouse_shelves s ON s.id = b.shelf_id
+      JOIN warehouse_aisles a ON a.id = s.aisle_id
+      JOIN warehouse_zones z ON z.id = a.zone_id
+      JOIN variants v ON UPPER(TRIM(v.warehouse_location)) = b.location_code AND v.is_archived = FALSE
+      WHERE ${scope} = $1
+    `, [id]);
+    if (inUse.rows[0].count > 0) {
+      throw Object.assign(
+        new Error(`${inUse.rows[0].count} variants are located in this ${level}'s bins; move them first`),
+        { status: 409 }
+      );
+    }
+
+    const { table } = warehouseLocations.LEVELS[level];
+    const result = await client.query(`DELETE FROM ${table} WHERE id = $1 RETURNING *`, [id]);
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Duplicate codes and missing parents as 400/404 errors with a readable message
+function warehouseWriteError(err, level, code) {
+  if (err.code === '23505') {
+    return Object.assign(new Error(`A ${level} with ${code ? `code ${code}` : 'that code'} already exists there`), { status: 409 });
+  }
+  if (err.code === '23503') {
+    const parent = { aisle: 'Zone', shelf: 'Aisle', bin: 'Shelf' }[level] || 'Parent';
+    return Object.assign(new Error(`${parent} not found`), { status: 404 });
+  }
+  return err;
+}
+
+/**
+ * Check the warehouse_location of each update against the bins and their capacity (live variants
+ * not in this batch already count toward it). Nothing is enforced until the layout has a bin.
+ * @returns {{enforced: boolean, problems: Array, locations: Object}} see checkVariantLocations
+ */
+async function validateWarehouseLocations(updates) {
+  const pool = getPool();
+  const withLocation = updates.filter(u => u.warehouse_location !== undefined && u.warehouse_location !== null);
+  const bins = withLocation.length > 0
+    ? (await pool.query('SELECT location_code, capacity FROM warehouse_bins')).rows
+    : [];
+  if (bins.length === 0) return { enforced: false, problems: [], locations: {} };
+
+  const codes = [...new Set(withLocation.map(u => warehouseLocations.normalizeLocation(u.warehouse_location)))];
+  const occupancy = await pool.query(`
+    SELECT UPPER(TRIM(warehouse_location)) AS code, COUNT(*)::int AS count
+    FROM variants
+    WHERE is_archived = FALSE
+      AND UPPER(TRIM(warehouse_location)) = ANY($1::text[])
+      AND NOT (shopify_variant_id = ANY($2::bigint[]))
+    GROUP BY 1
+  `, [codes, updates.map(u => String(u.id))]);
+
+  const counts = new Map(occupancy.rows.map(r => [r.code, r.count]));
+  return { enforced: true, ...warehouseLocations.checkVariantLocations(withLocation, bins, counts) };
+}
+
+/**
+ * Live variants whose warehouse_location is set but isn't a bin (e.g. free text from before the
+ * layout existed, or values set directly in Shopify)
+ */
+async function getVariantsWithUnknownLocations({ limit = 500 } = {}) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT v.shopify_variant_id, v.sku, v.variant_title, v.pick_number, v.warehouse_location,
+           p.title AS product_title
+    FROM variants v
+    JOIN products p ON p.shopify_product_id = v.shopify_product_id
+    WHERE v.is_archived = FALSE
+      AND COALESCE(TRIM(v.warehouse_location), '') <> ''
+      AND NOT EXISTS (SELECT 1 FROM warehouse_bins b WHERE b.location_code = UPPER(TRIM(v.warehouse_location)))
+    ORDER BY UPPER(TRIM(v.warehouse_location)), v.sku
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Pick number suggestions (see suggestPickNumbers) for the given variants. staged holds unsaved
+ * { id, pick_number?, warehouse_location?, sku? } edits from the product manager, applied over the DB
+ * values; a target's own location comes from staged, then the DB.
+ */
+async function suggestPickNumbersFor(variantIds, staged = []) {
+  const pool = getPool();
+  const [bins, variants] = await Promise.all([
+    getWarehouseBins(),
+    pool.query(`
+      SELECT v.shopify_variant_id::text AS id, v.pick_number, v.warehouse_location, v.sku, p.title, p.product_type
+      FROM variants v
+      LEFT JOIN products p ON p.shopify_product_id = v.shopify_product_id
+      WHERE COALESCE(TRIM(v.pick_number), '') <> '' OR v.shopify_variant_id = ANY($1::bigint[])
+    `, [variantIds])
+  ]);
+
+  const edits = new Map(staged.map(e => [String(e.id), e]));
+  const merged = new Map(variants.rows.map(v => [v.id, { ...v }]));
+  for (const [id, edit] of edits) {
+    const row = merged.get(id) || { id, pick_number: null, warehouse_location: null, sku: null };
+    if (edit.pick_number !== undefined) row.pick_number = edit.pick_number;
+    if (edit.warehouse_location !== undefined) row.warehouse_location = edit.warehouse_location;
+    if (edit.sku !== undefined) row.sku = edit.sku;
+    merged.set(id, row);
+  }
+
+  const targets = variantIds.map(id => ({ id: String(id), warehouse_location: merged.get(String(id))?.warehouse_location || null }));
+  return warehouseLocations.suggestPickNumbers({ bins, variants: [...merged.values()], targets });
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -797,18 +1445,30 @@ module.exports = {
   // Connection
   getPool,
   runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
 
   // Product operations
   upsertProduct,
   upsertVariant,
   bulkUpsertProducts,
+  archiveProductsNotIn,
+  archiveVariantsNotIn,
 
   // Query operations
   getAllProductsWithVariants,
   getVariantById,
+  getReleasableVariants,
+  getVariantsByIdsOrSkus,
+  getActiveVariantSkus,
   updateVariant,
   batchUpdateVariants,
 
+  // Variant history
+  HISTORY_FIELDS,
+  diffVariantRows,
+  getVariantHistory,
+
   // Validation
   getDuplicateSkus,
   getDuplicatePickNumbers,
@@ -827,5 +1487,26 @@ module.exports = {
   markShipStationDirty,
 
   // Stats
-  getStats
+  getStats,
+
+  // Customs rules
+  getCustomsRules,
+  getCustomsRuleById,
+  createCustomsRule,
+  updateCustomsRule,
+  deleteCustomsRule,
+  reorderCustomsRules,
+  seedCustomsRules,
+
+  // Warehouse locations
+  getWarehouseLayout,
+  getWarehouseBins,
+  getWarehouseNode,
+  createWarehouseNode,
+  createWarehouseBins,
+  updateWarehouseNode,
+  deleteWarehouseNode,
+  validateWarehouseLocations,
+  getVariantsWithUnknownLocations,
+  suggestPickNumbersFor
 };
@@ -0,0 +1,88 @@
+// utils/product-sync-scheduler.js
+// Queues the 'products-sync' background job (routes/products.js) on a timer.
+// Each run is incremental, except that a full sync is queued once the last successful full sync is
+// older than PRODUCT_SYNC_FULL_EVERY_HOURS: edits to inventory items (HS code, origin) and metafields
+// made directly in Shopify don't change a product's updated_at, so only a full sync picks them up.
+'use strict';
+
+const { enqueueJob, listJobs } = require('./job-queue');
+const productDb = require('./product-db');
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  return raw === undefined || raw === '' ? fallback : Number(raw);
+}
+
+const SCHEDULE = {
+  intervalMinutes: envNumber('PRODUCT_SYNC_INTERVAL_MINUTES', 60), // 0 disables the schedule
+  fullEveryHours: envNumber('PRODUCT_SYNC_FULL_EVERY_HOURS', 24),
+  startDelayMs: 60 * 1000
+};
+
+let timer = null;
+let nextRunAt = null;
+
+/**
+ * Queue the next scheduled sync unless one is already queued or running
+ * @returns {Promise<object|null>} the queued job, or null when skipped
+ */
+async function queueScheduledSync() {
+  const pending = [
+    ...await listJobs({ type: 'products-sync', status: 'queued' }),
+    ...await listJobs({ type: 'products-sync', status: 'running' })
+  ];
+  if (pending.length) {
+    console.log(`[Product Sync] Job #${pending[0].id} still ${pending[0].status}, skipping this run`);
+    return null;
+  }
+
+  const lastFull = await productDb.getLastSyncTimestamp('full');
+  const fullDue = !lastFull || Date.now() - new Date(lastFull).getTime() >= SCHEDULE.fullEveryHours * 60 * 60 * 1000;
+  return enqueueJob('products-sync', { mode: fullDue ? 'full' : 'incremental' });
+}
+
+function scheduleNext(delayMs) {
+  nextRunAt = new Date(Date.now() + delayMs);
+  timer = setTimeout(async () => {
+    try {
+      await queueScheduledSync();
+    } catch (error) {
+      console.error('[Product Sync] Scheduled run failed:', error.message);
+    }
+    scheduleNext(SCHEDULE.intervalMinutes * 60 * 1000);
+  }, delayMs);
+  timer.unref?.();
+}
+
+/**
+ * Start the schedule (needs the product DB and an interval above 0)
+ */
+function startProductSyncScheduler() {
+  if (timer) return;
+  if (!(SCHEDULE.intervalMinutes > 0)) {
+    console.log('[Product Sync] Schedule disabled (PRODUCT_SYNC_INTERVAL_MINUTES=0)');
+    return;
+  }
+  if (!process.env.PRODUCT_DATABASE_NEON && !process.env.DATABASE_URL) {
+    console.log('[Product Sync] Schedule not started: no product database configured');
+    return;
+  }
+
+  scheduleNext(SCHEDULE.startDelayMs);
+  console.log(`[Product Sync] Scheduled every ${SCHEDULE.intervalMinutes} min (full sync every ${SCHEDULE.fullEveryHours}h)`);
+}
+
+function getProductSyncSchedule() {
+  return {
+    enabled: !!timer,
+    intervalMinutes: SCHEDULE.intervalMinutes,
+    fullEveryHours: SCHEDULE.fullEveryHours,
+    nextRunAt: timer ? nextRunAt : null
+  };
+}
+
+module.exports = {
+  startProductSyncScheduler,
+  queueScheduledSync,
+  getProductSyncSchedule
+};
@@ -0,0 +1,310 @@
+// utils/promo-rules.js
+// Decides which order lines are discount/promo codes rather than products, so the order change
+// detector doesn't report them. Checked in order:
+//   1. allow list (SKU or name pattern)    -> product
+//   2. variant check: SKU is a live variant in the product DB (variants table) -> product
+//   3. deny list (SKU or name pattern)     -> promo
+//   4. price <= 0                          -> promo
+//   5. SKU/name heuristics (referral-code shapes, "discount"/"promo" keywords) -> promo
+// A real product is never hidden by a broad deny pattern. When the variant SKUs can't be loaded the
+// classification says so (variantError) rather than quietly leaving it to steps 3-5.
+// Lists and the on/off switches for 2 and 5 live in SQLite and are edited from /order-change-detector.
+// Rules are cached in memory: comparisons are synchronous, callers refresh with ensurePromoRulesLoaded().
+'use strict';
+
+const { getDB } = require('./database');
+
+const LISTS = ['allow', 'deny'];
+const MATCH_TYPES = ['sku', 'name'];
+
+const DEFAULT_SETTINGS = {
+  heuristics: true,    // step 5
+  variantCheck: false  // step 2
+};
+const SETTING_KEYS = {
+  heuristics: 'promo_heuristics',
+  variantCheck: 'promo_variant_check'
+};
+
+// Variant SKUs are re-read at most this often
+const CACHE_MAX_AGE_MS = 10 * 60 * 1000;
+
+let rules = [];
+let settings = { ...DEFAULT_SETTINGS };
+let variantSkus = null;
+let variantError = null;
+let loadedAt = null;
+
+function parseRule(row) {
+  return {
+    id: row.id,
+    list: row.list,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Compile once; invalid name patterns throw so callers can reject them
+function compileRule(rule) {
+  return {
+    ...rule,
+    sku: rule.matchType === 'sku' ? String(rule.pattern).trim().toUpperCase() : null,
+    nameRx: rule.matchType === 'name' ? new RegExp(rule.pattern, 'i') : null
+  };
+}
+
+function ruleMatches(rule, skuUpper, name) {
+  return rule.sku ? rule.sku === skuUpper : rule.nameRx.test(name || '');
+}
+
+/**
+ * Keyword and SKU-shape guesses for promo lines (used when the heuristics setting is on)
+ *
+ * This function checks:
+ * 1. Keywords like "discount", "referral", "affiliate", "promo", "coupon"
+ * 2. Common SKU patterns used for discount codes:
+ *    - NAME+NUMBER (e.g., ELIZA10, NICOLE10, AMANDA20)
+ *    - Random alphanumeric (e.g., WH4WW9Z7, PS7GB8N8)
+ *    - All-caps names (e.g., AMANDASFAVORITES, AIKA)
+ */
+function matchesPromoHeuristics(sku, name) {
+  // Keywords in the name/SKU
+  const text = `${name || ''} ${sku || ''}`.toLowerCase();
+  const discountKeywords = ['discount', 'referral', 'affiliate', 'promo', 'coupon', 'code', 'voucher'];
+  if (discountKeywords.some(keyword => text.includes(keyword))) {
+    return true;
+  }
+
+  // Common discount code patterns in the SKU
+  const skuUpper = (sku || '').trim().toUpperCase();
+  if (skuUpper) {
+    // Pattern 1: NAME + NUMBER (e.g., ELIZA10, NICOLE10, ELLEN10, AMANDA20)
+    // Letters followed by numbers, all caps, 4-20 chars
+    // This catches referral codes like "FRIENDNAME10" or "INFLUENCER15"
+    if (/^[A-Z]{2,15}\d{1,4}$/.test(skuUpper)) {
+      return true;
+    }
+
+    // Pattern 2: Random alphanumeric codes (e.g., WH4WW9Z7, PS7GB8N8, HG6NRFNG, 95QNGP4Z)
+    // 6-10 characters, mix of letters and numbers, no spaces
+    // These are often auto-generated discount codes
+    if (/^[A-Z0-9]{6,10}$/.test(skuUpper) && /[A-Z]/.test(skuUpper) && /[0-9]/.test(skuUpper)) {
+      // Additional check: if it has alternating letters/numbers, it's likely a generated code
+      const hasAlternating = /([A-Z]\d|\d[A-Z])/.test(skuUpper);
+      if (hasAlternating) {
+        return true;
+      }
+    }
+
+    // Pattern 3: All caps names without numbers (e.g., AMANDASFAVORITES, AIKA)
+    // But only if it's unusual (not a typical product SKU format)
+    // Real product SKUs usually have dashes, underscores, or mixed case
+    if (/^[A-Z]{4,20}$/.test(skuUpper) && !skuUpper.includes('-') && !skuUpper.includes('_')) {
+      // Check if it looks like a person's name or contains "favorite/favourite"
+      const nameLikeWords = ['FAVORITES', 'FAVOURITES', 'PICK', 'CHOICE', 'SPECIAL'];
+      if (nameLikeWords.some(word => skuUpper.includes(word))) {
+        return true;
+      }
+      // If it's a short all-caps name (4-12 chars), likely a referral code
+      // (e.g., AIKA, AMANDA, NICOLE)
+      if (skuUpper.length >= 4 && skuUpper.length <= 12) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Classify an order line with the cached rules
+ * @returns {{ promo: boolean, reason: string, variantError?: string }} variantError is set when the
+ *   variant check is on but the SKUs couldn't be loaded (an older SKU set, if any, is still used)
+ */
+function classifyLine(sku, name, price = null) {
+  const result = classifyWithRules(sku, name, price);
+  return settings.variantCheck && variantError ? { ...result, variantError } : result;
+}
+
+function classifyWithRules(sku, name, price) {
+  const skuUpper = String(sku || '').trim().toUpperCase();
+
+  const allow = rules.find(rule => rule.list === 'allow' && ruleMatches(rule, skuUpper, name));
+  if (allow) return { promo: false, reason: `allow list #${allow.id} (${allow.matchType} ${allow.pattern})` };
+
+  if (settings.variantCheck && skuUpper && variantSkus?.has(skuUpper)) {
+    return { promo: false, reason: 'SKU is a product variant' };
+  }
+
+  const deny = rules.find(rule => rule.list === 'deny' && ruleMatches(rule, skuUpper, name));
+  if (deny) return { promo: true, reason: `deny list #${deny.id} (${deny.matchType} ${deny.pattern})` };
+
+  // Most discount codes have price = $0 or negative
+  if (price !== null && parseFloat(price) <= 0) {
+    return { promo: true, reason: 'price <= 0' };
+  }
+
+  if (settings.heuristics && matchesPromoHeuristics(sku, name)) {
+    return { promo: true, reason: 'SKU/name heuristics' };
+  }
+
+  return { promo: false, reason: 'default (product)' };
+}
+
+/**
+ * Check if an item is a discount/promo code (see the order at the top of this file)
+ */
+function isDiscountOrPromoCode(sku, name, price = null) {
+  return classifyLine(sku, name, price).promo;
+}
+
+// ===== Loading =====
+
+/**
+ * Reload lists and settings from SQLite and, with the variant check on, variant SKUs from the product DB
+ * A product DB failure keeps the previous SKU set and is reported in getPromoRulesStatus()
+ */
+async function loadPromoRules() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM order_change_promo_rules ORDER BY id');
+  const compiled = [];
+  for (const rule of rows.map(parseRule)) {
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      console.error(`[Promo Rules] Skipping rule #${rule.id}: ${error.message}`);
+    }
+  }
+  rules = compiled;
+  settings = await readSettings(db);
+
+  if (settings.variantCheck) {
+    try {
+      const productDb = require('./product-db');
+      variantSkus = new Set(await productDb.getActiveVariantSkus());
+      variantError = null;
+    } catch (error) {
+      variantError = error.message;
+      console.error('[Promo Rules] Failed to load variant SKUs:', error.message);
+    }
+  }
+  loadedAt = Date.now();
+  return getPromoRulesStatus();
+}
+
+/**
+ * Load the rules if they were never loaded or are older than CACHE_MAX_AGE_MS
+ */
+async function ensurePromoRulesLoaded() {
+  if (!loadedAt || Date.now() - loadedAt > CACHE_MAX_AGE_MS) {
+    await loadPromoRules();
+  }
+}
+
+function getPromoRulesStatus() {
+  return {
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    ruleCount: rules.length,
+    settings: { ...settings },
+    variantSkuCount: variantSkus ? variantSkus.size : null,
+    variantError
+  };
+}
+
+// ===== Lists =====
+
+async function listPromoRules() {
+  const db = await getDB();
+  return (await db.all('SELECT * FROM order_change_promo_rules ORDER BY list, match_type, pattern')).map(parseRule);
+}
+
+/**
+ * Add an allow/deny entry; throws 400 on bad input
+ * @param {object} rule - { list: 'allow'|'deny', matchType: 'sku'|'name', pattern, note }
+ */
+async function addPromoRule({ list, matchType, pattern, note = null }, actor = null) {
+  const errors = [];
+  if (!LISTS.includes(list)) errors.push(`list must be one of ${LISTS.join(', ')}`);
+  if (!MATCH_TYPES.includes(matchType)) errors.push(`matchType must be one of ${MATCH_TYPES.join(', ')}`);
+  if (!pattern || !String(pattern).trim()) errors.push('pattern is required');
+  if (!errors.length && matchType === 'name') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      errors.push(`Invalid name pattern: ${error.message}`);
+    }
+  }
+  if (errors.length) {
+    throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+  }
+
+  const db = await getDB();
+  const value = matchType === 'sku' ? String(pattern).trim().toUpperCase() : String(pattern).trim();
+  const result = await db.run(
+    'INSERT INTO order_change_promo_rules (list, match_type, pattern, note, created_by) VALUES (?, ?, ?, ?, ?)',
+    list, matchType, value, note, actor
+  );
+  await loadPromoRules();
+  return parseRule(await db.get('SELECT * FROM order_change_promo_rules WHERE id = ?', result.lastID));
+}
+
+async function deletePromoRule(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM order_change_promo_rules WHERE id = ?', id);
+  if (!row) {
+    throw Object.assign(new Error(`Promo rule ${id} not found`), { status: 404 });
+  }
+  await db.run('DELETE FROM order_change_promo_rules WHERE id = ?', id);
+  await loadPromoRules();
+  return parseRule(row);
+}
+
+// ===== Settings =====
+
+async function readSettings(db) {
+  const rows = await db.all(
+    `SELECT key, value FROM order_change_settings WHERE key IN (${Object.values(SETTING_KEYS).map(() => '?').join(', ')})`,
+    ...Object.values(SETTING_KEYS)
+  );
+  const values = new Map(rows.map(row => [row.key, row.value]));
+  const result = { ...DEFAULT_SETTINGS };
+  for (const [name, key] of Object.entries(SETTING_KEYS)) {
+    if (values.has(key)) result[name] = values.get(key) === 'true';
+  }
+  return result;
+}
+
+/**
+ * Turn heuristics / the variant check on or off
+ * @param {object} updates - { heuristics?: boolean, variantCheck?: boolean }
+ */
+async function updatePromoSettings(updates, actor = null) {
+  const db = await getDB();
+  for (const [name, key] of Object.entries(SETTING_KEYS)) {
+    if (updates[name] === undefined) continue;
+    await db.run(
+      `INSERT INTO order_change_settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      key, String(!!updates[name]), actor
+    );
+  }
+  return loadPromoRules();
+}
+
+module.exports = {
+  LISTS,
+  MATCH_TYPES,
+  matchesPromoHeuristics,
+  classifyLine,
+  isDiscountOrPromoCode,
+  loadPromoRules,
+  ensurePromoRulesLoaded,
+  getPromoRulesStatus,
+  listPromoRules,
+  addPromoRule,
+  deletePromoRule,
+  updatePromoSettings
+};
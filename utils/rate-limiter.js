@@ -0,0 +1,271 @@
+// utils/rate-limiter.js
+// Process-wide token buckets, one per upstream API. Every ShopifyAPI / ShipStationAPI
+// instance attaches its axios client here, so background jobs, the
+// VIP sync and user requests share one budget instead of pacing themselves independently.
+//
+// Buckets start from configured limits and are corrected by the server: rate-limit headers
+// lower the local token count, and a 429 pauses the whole bucket for Retry-After before the
+// request is retried.
+'use strict';
+
+const MAX_429_RETRIES = 3;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// name -> { capacity, refillPerSec, description }; read lazily so .env is loaded first
+const limitConfig = () => ({
+  shipstation: {
+    // ShipStation allows 40 requests/minute per API key
+    capacity: envNumber('SHIPSTATION_RATE_BURST', 40),
+    refillPerSec: envNumber('SHIPSTATION_RATE_PER_MIN', 40) / 60,
+    description: 'ShipStation REST (per API key)'
+  },
+  shopify: {
+    // Shopify REST leaky bucket: 40 deep, 2/s (Plus stores get more)
+    capacity: envNumber('SHOPIFY_RATE_BURST', 20),
+    refillPerSec: envNumber('SHOPIFY_RATE_PER_SEC', 2),
+    description: 'Shopify Admin REST'
+  },
+  'shopify-graphql': {
+    // GraphQL has its own cost-based budget; throttleStatus in responses corrects this
+    capacity: envNumber('SHOPIFY_GRAPHQL_RATE_BURST', 10),
+    refillPerSec: envNumber('SHOPIFY_GRAPHQL_RATE_PER_SEC', 2),
+    description: 'Shopify Admin GraphQL'
+  }
+});
+
+const UPSTREAMS = ['shipstation', 'shopify', 'shopify-graphql'];
+
+class TokenBucket {
+  constructor(name, { capacity, refillPerSec, description = name }) {
+    this.name = name;
+    this.description = description;
+    this.capacity = capacity;
+    this.refillPerSec = refillPerSec;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.waiters = [];          // FIFO of { cost, resolve }
+    this.timer = null;
+    this.stats = { requests: 0, throttled: 0, totalWaitMs: 0, lastThrottledAt: null };
+    this.server = null;         // last budget reported by the upstream
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.refillPerSec);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token (FIFO). cost 0 waits for capacity without spending it.
+   */
+  acquire(cost = 1) {
+    const queuedAt = Date.now();
+    return new Promise(resolve => {
+      this.waiters.push({
+        cost,
+        resolve: () => {
+          this.stats.totalWaitMs += Date.now() - queuedAt;
+          resolve();
+        }
+      });
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) return;
+    while (this.waiters.length) {
+      this.refill();
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.schedule(this.pausedUntil - now);
+        return;
+      }
+      const { cost, resolve } = this.waiters[0];
+      const needed = Math.max(cost, 1);
+      if (this.tokens < needed) {
+        this.schedule(((needed - this.tokens) / this.refillPerSec) * 1000);
+        return;
+      }
+      this.waiters.shift();
+      this.tokens -= cost;
+      if (cost > 0) this.stats.requests++;
+      resolve();
+    }
+  }
+
+  schedule(ms) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(10, Math.ceil(ms)));
+    this.timer.unref?.();
+  }
+
+  /**
+   * Apply the budget the server reported: { limit, remaining, resetMs }
+   */
+  observe({ limit = null, remaining = null, resetMs = null } = {}) {
+    if (remaining == null || !Number.isFinite(remaining)) return;
+    this.refill();
+    this.server = { limit, remaining, resetMs, at: new Date().toISOString() };
+
+    // Other consumers (apps, integrations) share the upstream budget: never believe we have more than it says
+    if (remaining < this.tokens) this.tokens = Math.max(0, remaining);
+    if (remaining <= 0 && resetMs) this.pause(resetMs);
+  }
+
+  /**
+   * Stop handing out tokens for ms (429 / Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  status() {
+    this.refill();
+    return {
+      name: this.name,
+      description: this.description,
+      capacity: this.capacity,
+      refillPerSec: Math.round(this.refillPerSec * 1000) / 1000,
+      tokens: Math.floor(this.tokens * 10) / 10,
+      queued: this.waiters.length,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+      server: this.server,
+      ...this.stats
+    };
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Shared bucket for an upstream ('shipstation', 'shopify', 'shopify-graphql')
+ */
+function getRateLimiter(name) {
+  if (!buckets.has(name)) {
+    const config = limitConfig()[name];
+    if (!config) throw new Error(`No rate limit configured for ${name}`);
+    buckets.set(name, new TokenBucket(name, config));
+  }
+  return buckets.get(name);
+}
+
+function getRateLimitStatus() {
+  return UPSTREAMS.map(name => getRateLimiter(name).status());
+}
+
+// ---- header parsing --------------------------------------------------------
+
+function headerNumber(headers, name) {
+  const raw = headers?.[name] ?? headers?.[name.toLowerCase()];
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Retry-After is seconds (or an HTTP date)
+function retryAfterMs(headers) {
+  const raw = headers?.['retry-after'];
+  if (raw == null) return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const when = Date.parse(raw);
+  return Number.isFinite(when) ? Math.max(0, when - Date.now()) : null;
+}
+
+// X-Rate-Limit-Limit / -Remaining / -Reset (seconds until the window resets)
+function parseShipStationHeaders(headers) {
+  const reset = headerNumber(headers, 'x-rate-limit-reset');
+  return {
+    limit: headerNumber(headers, 'x-rate-limit-limit'),
+    remaining: headerNumber(headers, 'x-rate-limit-remaining'),
+    resetMs: reset != null ? reset * 1000 : null
+  };
+}
+
+// X-Shopify-Shop-Api-Call-Limit: "used/limit"
+function parseShopifyHeaders(headers) {
+  const raw = headers?.['x-shopify-shop-api-call-limit'];
+  const match = raw && /^(\d+)\/(\d+)$/.exec(String(raw).trim());
+  if (!match) return {};
+  const used = Number(match[1]);
+  const limit = Number(match[2]);
+  return { limit, remaining: limit - used, resetMs: null };
+}
+
+// GraphQL reports budget in the body: extensions.cost.throttleStatus
+function parseShopifyGraphqlResponse(headers, data) {
+  const cost = data?.extensions?.cost;
+  const throttle = cost?.throttleStatus;
+  if (!throttle) return {};
+  const perRequest = Math.max(1, cost.requestedQueryCost || cost.actualQueryCost || 1);
+  const remaining = Math.floor(throttle.currentlyAvailable / perRequest);
+  return {
+    limit: Math.floor(throttle.maximumAvailable / perRequest),
+    remaining,
+    resetMs: remaining <= 0 ? ((perRequest - throttle.currentlyAvailable) / throttle.restoreRate) * 1000 : null
+  };
+}
+
+const PARSERS = {
+  shipstation: parseShipStationHeaders,
+  shopify: parseShopifyHeaders,
+  'shopify-graphql': parseShopifyGraphqlResponse
+};
+
+/**
+ * Route every request of an axios instance through the named bucket.
+ * 429 responses pause the bucket (Retry-After, else exponential backoff) and are retried up to 3 times.
+ */
+function attachRateLimiter(client, name) {
+  const limiter = getRateLimiter(name);
+  const parse = PARSERS[name];
+
+  client.interceptors.request.use(async config => {
+    await limiter.acquire();
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => {
+      limiter.observe(parse(response.headers, response.data));
+      return response;
+    },
+    async error => {
+      const { response, config } = error;
+      if (response) limiter.observe(parse(response.headers, response.data));
+
+      if (response?.status === 429 && config) {
+        const attempt = (config.__rateLimitRetries || 0) + 1;
+        const waitMs = retryAfterMs(response.headers) ?? Math.pow(2, attempt - 1) * 2000;
+        limiter.stats.throttled++;
+        limiter.stats.lastThrottledAt = new Date().toISOString();
+        limiter.pause(waitMs);
+
+        if (attempt <= MAX_429_RETRIES) {
+          console.log(`[Rate Limit] ${name} 429 on ${config.method?.toUpperCase()} ${config.url}, retry ${attempt} in ${Math.round(waitMs)}ms`);
+          config.__rateLimitRetries = attempt;
+          return client.request(config);
+        }
+      }
+      throw error;
+    }
+  );
+  return limiter;
+}
+
+module.exports = {
+  TokenBucket,
+  getRateLimiter,
+  getRateLimitStatus,
+  attachRateLimiter,
+  retryAfterMs
+};
@@ -55,6 +55,85 @@ function ensureIntlDefaults(intl = {}) {
   return out;
 }
 
+// Writable fields on /orders/createorder. Everything else on a fetched order (orderTotal,
+// createDate, modifyDate, userId, ...) is read-only and left out of the payload.
+const ORDER_UPSERT_FIELDS = [
+  'orderId', 'orderKey', 'orderNumber', 'orderDate', 'paymentDate', 'shipByDate', 'orderStatus',
+  'customerId', 'customerUsername', 'customerEmail', 'billTo', 'shipTo', 'items',
+  'amountPaid', 'taxAmount', 'shippingAmount', 'customerNotes', 'internalNotes',
+  'gift', 'giftMessage', 'paymentMethod', 'requestedShippingService', 'carrierCode',
+  'serviceCode', 'packageCode', 'confirmation', 'shipDate', 'holdUntilDate',
+  'weight', 'dimensions', 'insuranceOptions', 'internationalOptions', 'advancedOptions', 'tagIds'
+];
+
+// Identify the order being updated; a patch can't change them
+const ORDER_IDENTITY_FIELDS = ['orderId', 'orderKey', 'orderNumber'];
+
+// Order item in the shape createorder expects (no nulls where ShipStation wants a value)
+function normalizeOrderItem(item) {
+  return {
+    orderItemId: item.orderItemId,
+    lineItemKey: item.lineItemKey || '',
+    sku: item.sku || '',
+    name: item.name || '',
+    imageUrl: item.imageUrl || '',
+    weight: item.weight || {},
+    quantity: item.quantity || 1,
+    unitPrice: item.unitPrice || 0,
+    taxAmount: item.taxAmount || 0,
+    shippingAmount: item.shippingAmount || 0,
+    warehouseLocation: item.warehouseLocation || '',
+    options: item.options || [],
+    productId: item.productId,
+    fulfillmentSku: item.fulfillmentSku || '',
+    adjustment: item.adjustment || false,
+    upc: item.upc || ''
+  };
+}
+
+/**
+ * Body for /orders/createorder that updates `order` in place with `patch` applied.
+ * createorder replaces the whole order when orderId is set: any writable field left out is
+ * cleared, and without orderKey ShipStation creates a duplicate. So every writable field of
+ * the fetched order is carried over, and each patch field replaces the order's value whole
+ * (pass the complete internationalOptions / advancedOptions / items you want).
+ * @param {object} order - the order as fetched from ShipStation
+ * @param {object} [patch] - writable fields to change; orderId/orderKey/orderNumber are ignored
+ * @returns {object} payload
+ */
+function buildOrderUpsertPayload(order, patch = {}) {
+  const merged = { ...order, ...patch };
+  for (const field of ORDER_IDENTITY_FIELDS) merged[field] = order[field];
+
+  const payload = {};
+  for (const field of ORDER_UPSERT_FIELDS) {
+    if (merged[field] !== undefined) payload[field] = merged[field];
+  }
+
+  payload.paymentDate = payload.paymentDate || payload.orderDate;
+  payload.customerUsername = payload.customerUsername || '';
+  payload.customerEmail = payload.customerEmail || '';
+  payload.amountPaid = payload.amountPaid || 0;
+  payload.taxAmount = payload.taxAmount || 0;
+  payload.shippingAmount = payload.shippingAmount || 0;
+  payload.customerNotes = payload.customerNotes || '';
+  payload.internalNotes = payload.internalNotes || '';
+  payload.gift = payload.gift || false;
+  payload.giftMessage = payload.giftMessage || '';
+  payload.weight = payload.weight || {};
+  payload.dimensions = payload.dimensions || {};
+  payload.insuranceOptions = payload.insuranceOptions || {};
+  payload.advancedOptions = payload.advancedOptions || {};
+  payload.tagIds = payload.tagIds || [];
+  payload.items = (payload.items || []).map(normalizeOrderItem);
+  payload.internationalOptions = {
+    ...(payload.internationalOptions || {}),
+    contents: payload.internationalOptions?.contents || 'merchandise',
+    nonDelivery: payload.internationalOptions?.nonDelivery || 'return_to_sender'
+  };
+  return payload;
+}
+
 // Flatten ShipStation ModelState into a readable string
 function formatShipStationError(e) {
   const status = e?.response?.status;
@@ -78,6 +157,35 @@ function csvCell(v) {
 }
 function csvLine(arr) { return arr.map(csvCell).join(','); }
 
+// Parse CSV text (as written by csvLine, RFC 4180 quoting) into objects keyed by the header row
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', inQuotes = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+
+  const [headers = [], ...body] = rows.filter(r => r.length > 1 || r[0] !== '');
+  return body.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ''])));
+}
+
 module.exports = {
   OPEN_STATUSES,
   isOpen,
@@ -85,7 +193,11 @@ module.exports = {
   normCountry,
   sanitizeCustomsItems,
   ensureIntlDefaults,
+  ORDER_UPSERT_FIELDS,
+  normalizeOrderItem,
+  buildOrderUpsertPayload,
   formatShipStationError,
   csvCell,
-  csvLine
+  csvLine,
+  parseCsv
 };
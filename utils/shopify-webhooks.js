@@ -0,0 +1,143 @@
+// utils/shopify-webhooks.js
+// Shopify webhook authentication (HMAC-SHA256 over the raw body + replay protection via
+// X-Shopify-Webhook-Id and X-Shopify-Triggered-At) and the topic -> local route map used to manage subscriptions.
+'use strict';
+
+const crypto = require('crypto');
+const { getDB } = require('./database');
+
+// Deliveries older than this are pruned; Shopify retries a failed delivery for up to 48 hours
+const DELIVERY_RETENTION_DAYS = 7;
+// Deliveries triggered longer ago than the retention are rejected: their id may already be pruned,
+// so a replayed old payload would otherwise be processed again
+const MAX_DELIVERY_AGE_MS = DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Topics this server handles and the path each is delivered to
+const WEBHOOK_TOPICS = {
+  'products/create': '/api/webhooks/shopify/products/create',
+  'products/update': '/api/webhooks/shopify/products/update',
+  'products/delete': '/api/webhooks/shopify/products/delete',
+  'orders/updated': '/api/webhooks/shopify/orders/updated',
+  'orders/edited': '/api/webhooks/shopify/orders/edited',
+  'orders/cancelled': '/api/webhooks/shopify/orders/cancelled'
+};
+
+let lastPrune = 0;
+
+function getWebhookSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET || null;
+}
+
+/**
+ * express.json({ verify }) hook: keep the exact bytes of webhook bodies for HMAC checks
+ */
+function captureRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/api/webhooks/')) {
+    req.rawBody = Buffer.from(buf);
+  }
+}
+
+/**
+ * True if the base64 HMAC header matches the body signed with the secret
+ */
+function isValidHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Record a delivery id; false if it was already processed (a replay or a Shopify retry we already handled)
+async function recordDelivery({ webhookId, topic, shopDomain, triggeredAt }) {
+  const db = await getDB();
+  const { changes } = await db.run(
+    `INSERT OR IGNORE INTO webhook_deliveries (webhook_id, topic, shop_domain, triggered_at) VALUES (?, ?, ?, ?)`,
+    webhookId, topic, shopDomain, triggeredAt
+  );
+
+  if (Date.now() - lastPrune > 60 * 60 * 1000) {
+    lastPrune = Date.now();
+    await db.run(
+      `DELETE FROM webhook_deliveries WHERE received_at < datetime('now', ?)`,
+      `-${DELIVERY_RETENTION_DAYS} days`
+    );
+  }
+  return changes > 0;
+}
+
+/**
+ * Middleware for Shopify webhook routes.
+ * 401 unless the HMAC matches (and the shop domain is ours) and X-Shopify-Triggered-At is within
+ * DELIVERY_RETENTION_DAYS; duplicates are acknowledged with 200 and skipped.
+ * Sets req.shopifyWebhook = { id, topic, shopDomain, triggeredAt }.
+ */
+async function verifyShopifyWebhook(req, res, next) {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    console.error('[Webhook] Rejected: SHOPIFY_WEBHOOK_SECRET is not configured');
+    return res.status(401).send('Webhook secret not configured');
+  }
+
+  if (!isValidHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+    console.warn(`[Webhook] Rejected ${req.originalUrl}: invalid HMAC (ip ${req.ip})`);
+    return res.status(401).send('Invalid signature');
+  }
+
+  const shopDomain = req.get('X-Shopify-Shop-Domain') || null;
+  const store = process.env.SHOPIFY_STORE;
+  if (store && shopDomain && shopDomain.toLowerCase() !== store.toLowerCase()) {
+    console.warn(`[Webhook] Rejected ${req.originalUrl}: unexpected shop ${shopDomain}`);
+    return res.status(401).send('Unknown shop');
+  }
+
+  const webhook = {
+    id: req.get('X-Shopify-Webhook-Id') || null,
+    topic: req.get('X-Shopify-Topic') || null,
+    shopDomain,
+    triggeredAt: req.get('X-Shopify-Triggered-At') || null
+  };
+  req.shopifyWebhook = webhook;
+
+  if (!webhook.id) {
+    console.warn(`[Webhook] Rejected ${req.originalUrl}: missing X-Shopify-Webhook-Id`);
+    return res.status(400).send('Missing webhook id');
+  }
+
+  const triggeredMs = Date.parse(webhook.triggeredAt || '');
+  if (Number.isNaN(triggeredMs)) {
+    console.warn(`[Webhook] Rejected ${req.originalUrl}: missing or invalid X-Shopify-Triggered-At`);
+    return res.status(400).send('Missing trigger time');
+  }
+  if (Date.now() - triggeredMs > MAX_DELIVERY_AGE_MS) {
+    console.warn(`[Webhook] Rejected ${req.originalUrl}: delivery ${webhook.id} triggered ${webhook.triggeredAt}, older than ${DELIVERY_RETENTION_DAYS} days`);
+    return res.status(401).send('Delivery too old');
+  }
+
+  try {
+    if (!(await recordDelivery({ webhookId: webhook.id, topic: webhook.topic, shopDomain, triggeredAt: webhook.triggeredAt }))) {
+      console.log(`[Webhook] Duplicate delivery ${webhook.id} (${webhook.topic}) ignored`);
+      return res.status(200).send('Duplicate');
+    }
+  } catch (err) {
+    // Never drop a verified webhook because the replay table is unavailable
+    console.error('[Webhook] Failed to record delivery:', err.message);
+  }
+  next();
+}
+
+async function listRecentDeliveries(limit = 50) {
+  const db = await getDB();
+  return db.all(
+    `SELECT webhook_id AS webhookId, topic, shop_domain AS shopDomain, triggered_at AS triggeredAt, received_at AS receivedAt
+     FROM webhook_deliveries ORDER BY received_at DESC LIMIT ?`,
+    Math.max(1, Math.min(500, Number(limit) || 50))
+  );
+}
+
+module.exports = {
+  WEBHOOK_TOPICS,
+  captureRawBody,
+  isValidHmac,
+  verifyShopifyWebhook,
+  listRecentDeliveries
+};
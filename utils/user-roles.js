@@ -0,0 +1,133 @@
+// utils/user-roles.js
+// Server-side roles assigned by email, and the permissions each role grants.
+//
+// Admins listed in ADMIN_EMAILS are always admin (so the first admin can log in
+// and assign everyone else). Users with no assignment get DEFAULT_USER_ROLE (viewer).
+'use strict';
+
+const { getDB } = require('./database');
+
+const ROLES = ['viewer', 'warehouse', 'fulfillment', 'admin'];
+
+// Permission -> roles allowed. Viewers can open every page and read every GET endpoint.
+const PERMISSIONS = {
+  'products.edit':      ['warehouse', 'fulfillment', 'admin'], // pick numbers, locations, tags
+  'labels.print':       ['warehouse', 'fulfillment', 'admin'],
+  'notifications.subscribe': ['warehouse', 'fulfillment', 'admin'], // own subscriptions and test messages
+  'warehouse.layout':   ['warehouse', 'admin'],                // zones, aisles, shelves and bins
+  'orders.edit':        ['fulfillment', 'admin'],              // single-order ShipStation writes and tags
+  'orders.bulk':        ['fulfillment', 'admin'],              // bulk customs/format/tag runs and run rollback
+  'products.sync':      ['admin'],                             // Shopify/ShipStation re-syncs and imports
+  'customs-rules.edit': ['admin'],
+  'promo-rules.edit':   ['admin'],                             // order change detector promo allow/deny lists
+  'vip.clear-cache':    ['admin'],
+  'audit.view':         ['admin'],
+  'users.manage':       ['admin'],
+  'system.admin':       ['admin']                              // migrations, data file loads
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map(); // email -> { role, expires }
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function adminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+}
+
+function defaultRole() {
+  const role = (process.env.DEFAULT_USER_ROLE || 'viewer').trim().toLowerCase();
+  return ROLES.includes(role) ? role : 'viewer';
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Resolve the role for an email (cached for a minute; cleared on every change)
+ */
+async function getUserRole(email) {
+  const key = normalizeEmail(email);
+  if (!key) return null;
+  if (adminEmails().includes(key)) return 'admin';
+
+  const cached = roleCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.role;
+
+  const db = await getDB();
+  const row = await db.get('SELECT role FROM user_roles WHERE email = ?', key);
+  const role = row && isValidRole(row.role) ? row.role : defaultRole();
+  roleCache.set(key, { role, expires: Date.now() + CACHE_TTL_MS });
+  return role;
+}
+
+function roleHasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission: ${permission}`);
+  return allowed.includes(role);
+}
+
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(role));
+}
+
+/**
+ * All explicit assignments plus the env-configured admins
+ */
+async function listUserRoles() {
+  const db = await getDB();
+  const rows = await db.all('SELECT email, role, updated_by, updated_at FROM user_roles ORDER BY email');
+  const admins = adminEmails();
+  return {
+    defaultRole: defaultRole(),
+    envAdmins: admins,
+    users: rows.map(r => ({
+      email: r.email,
+      role: admins.includes(r.email) ? 'admin' : r.role,
+      assignedRole: r.role,
+      fromEnv: admins.includes(r.email),
+      updatedBy: r.updated_by,
+      updatedAt: r.updated_at
+    }))
+  };
+}
+
+async function setUserRole(email, role, updatedBy = null) {
+  const key = normalizeEmail(email);
+  if (!key || !key.includes('@')) throw Object.assign(new Error('A valid email is required'), { status: 400 });
+  if (!isValidRole(role)) throw Object.assign(new Error(`Role must be one of: ${ROLES.join(', ')}`), { status: 400 });
+
+  const db = await getDB();
+  await db.run(`
+    INSERT INTO user_roles (email, role, updated_by, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(email) DO UPDATE SET role = excluded.role, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+  `, key, role, updatedBy);
+  roleCache.delete(key);
+  return { email: key, role };
+}
+
+async function removeUserRole(email) {
+  const key = normalizeEmail(email);
+  const db = await getDB();
+  const { changes } = await db.run('DELETE FROM user_roles WHERE email = ?', key);
+  roleCache.delete(key);
+  return changes > 0;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getUserRole,
+  roleHasPermission,
+  permissionsForRole,
+  listUserRoles,
+  setUserRole,
+  removeUserRole
+};
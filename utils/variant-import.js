@@ -0,0 +1,271 @@
+// utils/variant-import.js
+// Spreadsheet (CSV/XLSX) import of variant fields for the product manager (POST /api/products/import/preview).
+// Rows are keyed by variant ID or SKU and may set pick number, warehouse location, HS code and country of
+// origin. The preview only validates and diffs; staged changes are saved through /api/products/update.
+'use strict';
+
+const { parseCsv } = require('./shipstation-helpers');
+const { normHS } = require('./customs-rules');
+const { isXlsx, readFirstSheet } = require('./xlsx-reader');
+
+// Fields a file may set, in the order they are reported
+const IMPORT_FIELDS = ['pick_number', 'warehouse_location', 'harmonized_system_code', 'country_code_of_origin'];
+
+// Accepted header names per column (compared lower-cased, with _ and repeated spaces read as one space)
+const COLUMN_ALIASES = {
+  variant_id: ['variant id', 'id', 'shopify variant id'],
+  sku: ['sku'],
+  pick_number: ['pick number', 'pick #', 'pick#', 'pick'],
+  warehouse_location: ['warehouse location', 'location', 'bin'],
+  harmonized_system_code: ['harmonized system code', 'hs code', 'hs', 'hs tariff code'],
+  country_code_of_origin: ['country code of origin', 'country of origin', 'country', 'coo', 'origin']
+};
+
+// ISO 3166-1 alpha-2
+const ISO_COUNTRIES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW ' +
+  'BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI ' +
+  'FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN ' +
+  'IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME ' +
+  'MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF ' +
+  'PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV ' +
+  'SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE ' +
+  'YT ZA ZM ZW'
+).split(' '));
+
+const headerKey = h => String(h || '').trim().toLowerCase().replace(/[\s_]+/g, ' ');
+
+const COLUMN_BY_HEADER = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([column, aliases]) =>
+    [column, ...aliases].map(alias => [headerKey(alias), column]))
+);
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+// Header row + data rows -> objects keyed by header, like parseCsv
+function sheetRecords(rows) {
+  const [headers = [], ...body] = rows.filter(r => r.some(cell => String(cell).trim() !== ''));
+  return body.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ''])));
+}
+
+/**
+ * Parse an uploaded file into import rows
+ * @param {Buffer} buffer - CSV (UTF-8) or XLSX contents; XLSX is recognised by its zip signature
+ * @returns {{rows: Array<{row: number, variantId: string, sku: string, values: object}>, columns: string[], ignoredColumns: string[]}}
+ *   row is the line number counting the header as 1 (blank lines are not counted)
+ */
+function readImportRows(buffer) {
+  const records = isXlsx(buffer) ? sheetRecords(readFirstSheet(buffer)) : parseCsv(buffer.toString('utf8'));
+  if (records.length === 0) throw badRequest('The file has no data rows');
+
+  const columnFor = {};
+  const ignoredColumns = [];
+  for (const header of Object.keys(records[0])) {
+    const column = COLUMN_BY_HEADER.get(headerKey(header));
+    if (!column) {
+      if (String(header).trim()) ignoredColumns.push(header);
+      continue;
+    }
+    if (Object.values(columnFor).includes(column)) throw badRequest(`More than one column maps to ${column}`);
+    columnFor[header] = column;
+  }
+
+  const columns = Object.values(columnFor);
+  if (!columns.includes('variant_id') && !columns.includes('sku')) {
+    throw badRequest('The file needs a variant_id or sku column');
+  }
+  if (!IMPORT_FIELDS.some(f => columns.includes(f))) {
+    throw badRequest(`The file has none of the importable columns: ${IMPORT_FIELDS.join(', ')}`);
+  }
+
+  const rows = [];
+  records.forEach((record, i) => {
+    const cells = {};
+    for (const [header, column] of Object.entries(columnFor)) cells[column] = String(record[header] ?? '').trim();
+    if (Object.values(cells).every(v => v === '')) return;
+
+    // Blank cells leave the current value alone
+    const values = {};
+    for (const field of IMPORT_FIELDS) {
+      if (cells[field]) values[field] = cells[field];
+    }
+    rows.push({ row: i + 2, variantId: cells.variant_id || '', sku: cells.sku || '', values });
+  });
+
+  return { rows, columns, ignoredColumns };
+}
+
+/**
+ * Normalise one imported value
+ * @returns {{value: string, error?: string}}
+ */
+function normalizeImportValue(field, raw) {
+  const value = String(raw ?? '').trim();
+  if (field === 'harmonized_system_code') {
+    const digits = normHS(value);
+    if (!/^[0-9.\s-]+$/.test(value) || digits.length < 6 || digits.length > 10) {
+      return { value, error: `HS code "${value}" must have 6 to 10 digits` };
+    }
+    return { value: digits };
+  }
+  if (field === 'country_code_of_origin') {
+    const code = value.toUpperCase();
+    if (!ISO_COUNTRIES.has(code)) {
+      return { value, error: `Country "${value}" is not an ISO 3166-1 alpha-2 code (e.g. CA, US, CN)` };
+    }
+    return { value: code };
+  }
+  return { value };
+}
+
+const skuKey = sku => String(sku || '').trim().toUpperCase();
+
+// variants.shopify_variant_id is a BIGINT; larger IDs can't exist and would fail the lookup query
+const MAX_VARIANT_ID = 9223372036854775807n;
+
+/**
+ * True for a variant ID the product DB can hold: digits only, at most 19, no larger than the BIGINT max
+ */
+function isVariantId(id) {
+  const text = String(id ?? '');
+  return /^\d{1,19}$/.test(text) && BigInt(text) <= MAX_VARIANT_ID;
+}
+
+/**
+ * Resolve import rows against product DB variants and diff them
+ * @param {Array} rows - from readImportRows
+ * @param {Array} variants - variants rows (with product_title) matching the rows' IDs and SKUs
+ * @returns {Array<{row, variantId, sku, product_title, variant_title, changes, errors, warnings}>}
+ *   changes: { field: { from, to } } for values that differ from the DB
+ */
+function planVariantImport(rows, variants) {
+  const byId = new Map(variants.map(v => [String(v.shopify_variant_id), v]));
+  const bySku = new Map();
+  for (const v of variants) {
+    const key = skuKey(v.sku);
+    if (!key) continue;
+    if (!bySku.has(key)) bySku.set(key, []);
+    bySku.get(key).push(v);
+  }
+
+  const seen = new Map();
+  return rows.map(({ row, variantId, sku, values }) => {
+    const result = { row, variantId: null, sku: sku || null, product_title: null, variant_title: null, changes: {}, errors: [], warnings: [] };
+
+    let variant = null;
+    if (variantId) {
+      if (!/^\d+$/.test(variantId)) {
+        result.errors.push(`Variant ID "${variantId}" is not numeric`);
+      } else if (!isVariantId(variantId)) {
+        result.errors.push(`Variant ID "${variantId}" is out of range`);
+      } else if (!(variant = byId.get(variantId))) {
+        result.errors.push(`Variant ${variantId} not found`);
+      } else if (sku && skuKey(sku) !== skuKey(variant.sku)) {
+        result.warnings.push(`SKU "${sku}" does not match the variant's SKU "${variant.sku || ''}"`);
+      }
+    } else {
+      // Archived variants keep their SKUs; only fall back to them when no live variant matches
+      const matches = bySku.get(skuKey(sku)) || [];
+      const live = matches.filter(v => !v.is_archived);
+      const candidates = live.length ? live : matches;
+      if (candidates.length === 0) result.errors.push(`No variant with SKU "${sku}"`);
+      else if (candidates.length > 1) result.errors.push(`SKU "${sku}" matches ${candidates.length} variants; use variant_id`);
+      else variant = candidates[0];
+    }
+
+    if (!variant) return result;
+
+    const id = String(variant.shopify_variant_id);
+    Object.assign(result, {
+      variantId: id,
+      sku: variant.sku || sku || null,
+      product_title: variant.product_title || null,
+      variant_title: variant.variant_title || null
+    });
+
+    if (seen.has(id)) result.errors.push(`Variant is also on row ${seen.get(id)}`);
+    else seen.set(id, row);
+    if (variant.is_archived) result.warnings.push('Variant is archived');
+
+    for (const field of IMPORT_FIELDS) {
+      if (values[field] === undefined) continue;
+      const { value, error } = normalizeImportValue(field, values[field]);
+      if (error) {
+        result.errors.push(error);
+        continue;
+      }
+      const current = String(variant[field] ?? '').trim();
+      if (value !== current) result.changes[field] = { from: variant[field] ?? null, to: value };
+    }
+    return result;
+  });
+}
+
+/**
+ * Pick-number updates to check with validatePickNumberUniqueness: [{ id, pick_number }]
+ */
+function pickNumberUpdates(planned) {
+  return planned
+    .filter(r => r.variantId && r.changes.pick_number)
+    .map(r => ({ id: r.variantId, pick_number: r.changes.pick_number.to }));
+}
+
+/**
+ * Attach validatePickNumberUniqueness conflicts to the rows that cause them
+ */
+function addPickNumberConflicts(planned, conflicts) {
+  for (const conflict of conflicts) {
+    const ids = (conflict.variantIds || conflict.newVariantIds || []).map(String);
+    planned
+      .filter(r => ids.includes(r.variantId))
+      .forEach(r => r.errors.push(conflict.message));
+  }
+  return planned;
+}
+
+function locationUpdates(planned) {
+  return planned
+    .filter(r => r.variantId && r.changes.warehouse_location)
+    .map(r => ({ id: r.variantId, warehouse_location: r.changes.warehouse_location.to }));
+}
+
+/**
+ * Apply a validateWarehouseLocations result: problems become row errors, and locations that matched
+ * a bin with different case or spacing take the bin's code (dropping the change if that's the current value)
+ */
+function addLocationProblems(planned, { problems = [], locations = {} }) {
+  for (const row of planned) {
+    if (!row.variantId || !row.changes.warehouse_location) continue;
+    problems.filter(p => p.variantId === row.variantId).forEach(p => row.errors.push(p.message));
+
+    const code = locations[row.variantId];
+    if (!code) continue;
+    if (code === row.changes.warehouse_location.from) delete row.changes.warehouse_location;
+    else row.changes.warehouse_location.to = code;
+  }
+  return planned;
+}
+
+function summarizeImport(planned) {
+  const valid = planned.filter(r => r.errors.length === 0);
+  return {
+    rows: planned.length,
+    invalid: planned.length - valid.length,
+    changed: valid.filter(r => Object.keys(r.changes).length > 0).length,
+    unchanged: valid.filter(r => Object.keys(r.changes).length === 0).length,
+    fieldChanges: valid.reduce((n, r) => n + Object.keys(r.changes).length, 0)
+  };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  readImportRows,
+  normalizeImportValue,
+  isVariantId,
+  planVariantImport,
+  pickNumberUpdates,
+  addPickNumberConflicts,
+  locationUpdates,
+  addLocationProblems,
+  summarizeImport
+};
@@ -0,0 +1,365 @@
+// utils/warehouse-locations.js
+// Warehouse layout rules: zone > aisle > shelf > bin codes, bin location codes (A-01-2-B), checking
+// variants' warehouse_location against the bins, and pick number suggestions that follow the walk
+// order of the bins. No database access here - the queries live in utils/product-db.js.
+'use strict';
+
+const badValue = message => Object.assign(new Error(message), { status: 400 });
+
+// Levels of the layout, parent first
+const LEVELS = {
+  zone: { table: 'warehouse_zones', parentKey: null },
+  aisle: { table: 'warehouse_aisles', parentKey: 'zone_id' },
+  shelf: { table: 'warehouse_shelves', parentKey: 'aisle_id' },
+  bin: { table: 'warehouse_bins', parentKey: 'shelf_id' }
+};
+
+const CODE_PATTERN = /^[A-Z0-9]{1,10}$/;
+const MAX_BINS_PER_REQUEST = 200;
+
+const normalizeCode = raw => String(raw ?? '').trim().toUpperCase();
+
+// What a variant's warehouse_location is compared on (the SQL side uses UPPER(TRIM(...)))
+const normalizeLocation = value => String(value ?? '').trim().toUpperCase();
+
+const locationCode = (zone, aisle, shelf, bin) => [zone, aisle, shelf, bin].join('-');
+
+// ============================================================================
+// LAYOUT NODES
+// ============================================================================
+
+/**
+ * Pull the editable fields for a layout node out of a request body, normalizing blanks to null.
+ * code is only taken when creating: it is part of every bin's location code, so it can't change.
+ */
+function nodeFromBody(level, body = {}, { create = false } = {}) {
+  const node = {};
+  if (create && body.code !== undefined) node.code = normalizeCode(body.code);
+  if (body.name !== undefined) node.name = String(body.name ?? '').trim() || null;
+
+  const intFields = ['position'];
+  if (level === 'zone') intFields.push('pick_start', 'pick_end');
+  if (level === 'bin') intFields.push('capacity');
+  for (const key of intFields) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null ? '' : String(body[key]).trim();
+    node[key] = value === '' ? null : Number(value);
+  }
+  if (node.position === null) node.position = 0;
+  return node;
+}
+
+/**
+ * Validate a layout node (the merged row on updates)
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateNode(level, node) {
+  const errors = [];
+  if (!LEVELS[level]) return [`Unknown layout level: ${level}`];
+
+  if (!node.code) errors.push('code is required');
+  else if (!CODE_PATTERN.test(node.code)) errors.push(`code "${node.code}" must be 1-10 letters or digits`);
+  if (!Number.isInteger(node.position)) errors.push('position must be a whole number');
+
+  if (level === 'bin' && node.capacity !== null && node.capacity !== undefined &&
+      !(Number.isInteger(node.capacity) && node.capacity > 0)) {
+    errors.push('capacity must be a positive whole number (or empty for no limit)');
+  }
+
+  if (level === 'zone') {
+    const { pick_start: start = null, pick_end: end = null } = node;
+    if ((start === null) !== (end === null)) {
+      errors.push('pick_start and pick_end must be set together');
+    } else if (start !== null && !(Number.isInteger(start) && Number.isInteger(end) && start > 0 && end >= start)) {
+      errors.push('pick range must be whole numbers with 0 < pick_start <= pick_end');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Bin codes from a list and/or ranges: "1-6", "01-12" (keeps the padding), "A-D", "1-3, 7"
+ * @returns {string[]}
+ */
+function parseBinCodes(spec) {
+  const codes = [];
+  for (const part of String(spec ?? '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const range = part.match(/^(\w+)\s*-\s*(\w+)$/);
+    if (!range) {
+      codes.push(normalizeCode(part));
+      continue;
+    }
+
+    const [, from, to] = range.map(normalizeCode);
+    if (/^\d+$/.test(from) && /^\d+$/.test(to) && Number(from) <= Number(to)) {
+      const width = from.length === to.length ? from.length : 0;
+      for (let n = Number(from); n <= Number(to) && codes.length <= MAX_BINS_PER_REQUEST; n++) {
+        codes.push(String(n).padStart(width, '0'));
+      }
+    } else if (/^[A-Z]$/.test(from) && /^[A-Z]$/.test(to) && from <= to) {
+      for (let c = from.charCodeAt(0); c <= to.charCodeAt(0); c++) codes.push(String.fromCharCode(c));
+    } else {
+      throw badValue(`"${part}" is not an ascending range of numbers or single letters`);
+    }
+  }
+
+  if (codes.length === 0) throw badValue('No bin codes given');
+  if (codes.length > MAX_BINS_PER_REQUEST) throw badValue(`At most ${MAX_BINS_PER_REQUEST} bins at a time`);
+  const invalid = codes.find(c => !CODE_PATTERN.test(c));
+  if (invalid) throw badValue(`Bin code "${invalid}" must be 1-10 letters or digits`);
+  const repeated = codes.find((c, i) => codes.indexOf(c) !== i);
+  if (repeated) throw badValue(`Bin code "${repeated}" is listed twice`);
+  return codes;
+}
+
+/**
+ * Nest the flat zone/aisle/shelf/bin rows (each already in walk order) into zones[].aisles[].shelves[].bins[]
+ */
+function buildLayoutTree(zones, aisles, shelves, bins) {
+  const group = (rows, key) => rows.reduce((map, row) => {
+    if (!map.has(row[key])) map.set(row[key], []);
+    map.get(row[key]).push(row);
+    return map;
+  }, new Map());
+
+  const binsByShelf = group(bins, 'shelf_id');
+  const shelvesByAisle = group(shelves, 'aisle_id');
+  const aislesByZone = group(aisles, 'zone_id');
+
+  return zones.map(zone => ({
+    ...zone,
+    aisles: (aislesByZone.get(zone.id) || []).map(aisle => ({
+      ...aisle,
+      shelves: (shelvesByAisle.get(aisle.id) || []).map(shelf => ({
+        ...shelf,
+        bins: binsByShelf.get(shelf.id) || []
+      }))
+    }))
+  }));
+}
+
+// ============================================================================
+// VARIANT LOCATIONS
+// ============================================================================
+
+/**
+ * Check the warehouse_location of each update against the bins. Only applies once a layout exists
+ * (bins is not empty); an empty location is left to the caller's "empty" warning.
+ * @param {Array<{id, warehouse_location?}>} updates
+ * @param {Array<{location_code, capacity}>} bins
+ * @param {Map<string, number>} occupancy - live variants already in each bin, not counting the updated ones
+ * @returns {{problems: Array<{variantId, location, type, message}>, locations: Object}} locations maps
+ *   variant ID -> the bin's location_code, for values that matched with different case or spacing
+ */
+function checkVariantLocations(updates, bins, occupancy = new Map()) {
+  const problems = [];
+  const locations = {};
+  if (bins.length === 0) return { problems, locations };
+
+  const byCode = new Map(bins.map(b => [b.location_code, b]));
+  const incoming = new Map();
+
+  for (const update of updates) {
+    if (update.warehouse_location === undefined || update.warehouse_location === null) continue;
+    const code = normalizeLocation(update.warehouse_location);
+    if (!code) continue;
+
+    const bin = byCode.get(code);
+    if (!bin) {
+      problems.push({
+        variantId: String(update.id),
+        location: update.warehouse_location,
+        type: 'unknown_bin',
+        message: `Location "${update.warehouse_location}" is not a bin in the warehouse layout`
+      });
+      continue;
+    }
+    if (update.warehouse_location !== code) locations[String(update.id)] = code;
+    if (!incoming.has(code)) incoming.set(code, []);
+    incoming.get(code).push(String(update.id));
+  }
+
+  for (const [code, variantIds] of incoming) {
+    const { capacity } = byCode.get(code);
+    const total = (occupancy.get(code) || 0) + variantIds.length;
+    if (capacity && total > capacity) {
+      for (const variantId of variantIds) {
+        problems.push({
+          variantId,
+          location: code,
+          type: 'bin_full',
+          message: `Bin ${code} holds ${capacity} variants; this would put ${total} in it`
+        });
+      }
+    }
+  }
+  return { problems, locations };
+}
+
+// ============================================================================
+// PICK NUMBER SUGGESTIONS
+// ============================================================================
+
+const numericPick = pick => (/^\d+$/.test(String(pick ?? '').trim()) ? Number(String(pick).trim()) : null);
+
+/**
+ * The pick range a variant without a bin goes in, from the numbering used before the warehouse layout:
+ * 2026 products and imperfects in the 9000s, 2025 products in the 1000s. null when neither applies.
+ */
+function legacyPickRange({ sku, title }) {
+  const upper = String(sku || '').toUpperCase();
+  const is2026 = upper.includes('2026') || upper.startsWith('26-') || upper.startsWith('26Q');
+  const is2025 = upper.includes('2025') || upper.startsWith('25-') || upper.startsWith('25Q');
+  const isImperfect = upper.includes('-IM') || upper.endsWith('IM') || /imperfect/i.test(title || '');
+  if (is2026 || isImperfect) return { start: 9000, end: 9999 };
+  if (is2025) return { start: 1000, end: 1999 };
+  return null;
+}
+
+// Grouping keys for variants without a bin: the SKU's first segment, then the product type
+const skuPrefix = sku => String(sku || '').split('-')[0].trim().toUpperCase();
+const productType = type => String(type || '').trim().toLowerCase();
+
+/**
+ * Suggest pick numbers that keep pick order the same as the walk order of the bins: a variant's
+ * suggestion lies between the picks of the bins before and after its own. Zones with a pick range
+ * number their bins inside it; the other zones share one sequence that stays clear of those ranges.
+ *
+ * @param {Object} input
+ * @param {Array<{location_code, zone_code, pick_start, pick_end}>} input.bins - in walk order
+ * Variants without a bin (no location, or one that isn't a bin) keep the older numbering: the
+ * year/imperfect range (legacyPickRange), else next to the picks of the same SKU prefix, else of the
+ * same product type, else the next number after the highest.
+ *
+ * @param {Object} input
+ * @param {Array<{location_code, zone_code, pick_start, pick_end}>} input.bins - in walk order
+ * @param {Array<{id, pick_number, warehouse_location, sku?, title?, product_type?}>} input.variants - everything
+ *   holding a pick number (archived too, so their numbers aren't reused before they're released) and the targets
+ * @param {Array<{id, warehouse_location}>} input.targets - variants to suggest for
+ * @returns {Object} variant ID -> { pick, bin, reason }; reason is 'bin_order', 'out_of_order'
+ *   (no free number between the neighbours), 'zone_full' (the zone's range is used up), or for variants
+ *   without a bin 'year_range', 'sku_prefix', 'product_type' or 'no_bin' (next number after the highest)
+ */
+function suggestPickNumbers({ bins, variants, targets }) {
+  const binIndex = new Map(bins.map((b, i) => [b.location_code, i]));
+  const ranges = bins.filter(b => b.pick_start !== null && b.pick_start !== undefined)
+    .map(b => [Number(b.pick_start), Number(b.pick_end)]);
+  const inRange = n => ranges.some(([start, end]) => n >= start && n <= end);
+  // The sequence a bin's picks belong to: its zone when the zone has a range, else the shared one
+  const sequenceOf = bin => (bin.pick_start !== null && bin.pick_start !== undefined ? bin.zone_code : null);
+
+  const targetIds = new Set(targets.map(t => String(t.id)));
+  const details = new Map(variants.map(v => [String(v.id), v]));
+  const used = new Set();
+  const placed = [];
+  const picksByPrefix = new Map();
+  const picksByType = new Map();
+  const addTo = (groups, key, pick) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pick);
+  };
+  for (const v of variants) {
+    const pick = numericPick(v.pick_number);
+    if (pick === null) continue;
+    used.add(pick);
+    if (skuPrefix(v.sku)) addTo(picksByPrefix, skuPrefix(v.sku), pick);
+    if (productType(v.product_type)) addTo(picksByType, productType(v.product_type), pick);
+    const index = binIndex.get(normalizeLocation(v.warehouse_location));
+    if (!targetIds.has(String(v.id)) && index !== undefined) {
+      placed.push({ index, pick, sequence: sequenceOf(bins[index]) });
+    }
+  }
+
+  const firstFree = (from, to, skipRanges) => {
+    for (let n = Math.max(from, 1); n <= to; n++) {
+      if (!used.has(n) && !(skipRanges && inRange(n))) return n;
+    }
+    return null;
+  };
+  const afterShared = () => {
+    const max = Math.max(0, ...[...used].filter(n => !inRange(n)));
+    return firstFree(max + 1, Infinity, true);
+  };
+  const isFree = n => n > 0 && !used.has(n) && !inRange(n);
+  // Next to a group's picks: a gap of up to 10 inside them, else just past the highest, else just before the lowest
+  const nearGroup = picks => {
+    if (!picks?.length) return null;
+    const sorted = [...picks].sort((a, b) => a - b);
+    for (let i = 0; i < sorted.length - 1; i++) {
+      if (sorted[i + 1] - sorted[i] > 10) continue;
+      for (let n = sorted[i] + 1; n < sorted[i + 1]; n++) if (isFree(n)) return n;
+    }
+    for (let n = sorted[sorted.length - 1] + 1; n <= sorted[sorted.length - 1] + 100; n++) if (isFree(n)) return n;
+    for (let n = sorted[0] - 1; n >= Math.max(sorted[0] - 50, 1); n--) if (isFree(n)) return n;
+    return null;
+  };
+  const withoutBin = target => {
+    const variant = { ...details.get(String(target.id)), ...target };
+    const prefix = skuPrefix(variant.sku);
+    const type = productType(variant.product_type);
+    const range = legacyPickRange(variant);
+
+    let pick = range && firstFree(range.start, range.end, true);
+    let reason = 'year_range';
+    if (!pick && prefix) [pick, reason] = [nearGroup(picksByPrefix.get(prefix)), 'sku_prefix'];
+    if (!pick && type) [pick, reason] = [nearGroup(picksByType.get(type)), 'product_type'];
+    if (!pick) [pick, reason] = [afterShared(), 'no_bin'];
+
+    // The next variant of the same group lands next to this one
+    if (prefix) addTo(picksByPrefix, prefix, pick);
+    if (type) addTo(picksByType, type, pick);
+    return { pick, bin: null, reason };
+  };
+
+  const ordered = targets
+    .map((t, order) => ({ ...t, order, index: binIndex.get(normalizeLocation(t.warehouse_location)) }))
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || a.order - b.order);
+
+  const suggestions = {};
+  for (const target of ordered) {
+    let suggestion;
+    if (target.index === undefined) {
+      suggestion = withoutBin(target);
+    } else {
+      const bin = bins[target.index];
+      const sequence = sequenceOf(bin);
+      const ranged = sequence !== null;
+      const peers = placed.filter(p => p.sequence === sequence);
+      const before = peers.filter(p => p.index <= target.index).map(p => p.pick);
+      const after = peers.filter(p => p.index > target.index).map(p => p.pick);
+      const lower = before.length ? Math.max(...before) : (ranged ? Number(bin.pick_start) - 1 : 0);
+      const upper = after.length ? Math.min(...after) : (ranged ? Number(bin.pick_end) + 1 : Infinity);
+
+      let pick = firstFree(lower + 1, upper - 1, !ranged);
+      let reason = 'bin_order';
+      if (pick === null) {
+        pick = ranged ? firstFree(Number(bin.pick_start), Number(bin.pick_end), false) : afterShared();
+        reason = 'out_of_order';
+      }
+      if (pick === null) {
+        pick = afterShared();
+        reason = 'zone_full';
+      }
+      suggestion = { pick, bin: bin.location_code, reason };
+      placed.push({ index: target.index, pick, sequence });
+    }
+    used.add(suggestion.pick);
+    suggestions[String(target.id)] = suggestion;
+  }
+  return suggestions;
+}
+
+module.exports = {
+  LEVELS,
+  MAX_BINS_PER_REQUEST,
+  normalizeCode,
+  normalizeLocation,
+  locationCode,
+  nodeFromBody,
+  validateNode,
+  parseBinCodes,
+  buildLayoutTree,
+  checkVariantLocations,
+  legacyPickRange,
+  suggestPickNumbers
+};
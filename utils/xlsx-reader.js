@@ -0,0 +1,173 @@
+// utils/xlsx-reader.js
+// Minimal reader for the first worksheet of an .xlsx workbook (cell text only; no formulas, styles or dates).
+// An .xlsx file is a zip of XML parts: the zip is walked through its central directory and entries are
+// inflated with zlib, so no spreadsheet dependency is needed for the product manager's imports.
+'use strict';
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Excel's own sheet limits (1048576 rows, columns A..XFD)
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+// Rows and cells (gaps included) a sheet may expand to, and the inflated size of one zip entry
+const MAX_CELLS = 2000000;
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+
+const isXlsx = buffer => Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid .xlsx file: ${message}`), { status: 400 });
+}
+
+// Zip entry name -> contents
+function readZipEntries(buffer) {
+  // End of central directory record: 22 bytes plus an optional comment of up to 64 KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+  }
+  if (eocd < 0) throw invalid('zip directory not found');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw invalid('corrupt zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw invalid(`corrupt entry ${name}`);
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+        } catch (err) {
+          if (err.code === 'ERR_BUFFER_TOO_LARGE') throw invalid(`${name} inflates to more than ${MAX_ENTRY_BYTES / 1024 / 1024} MB`);
+          throw invalid(`corrupt entry ${name}`);
+        }
+      }
+      throw invalid(`unsupported compression method ${method} in ${name}`);
+    });
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-f]+|#\d+);/gi, (_, entity) => {
+    switch (entity.toLowerCase()) {
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'amp': return '&';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default:
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+const attr = (attrs, name) => attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`))?.[1];
+
+// Text of a shared string or inline string: every <t> run, without phonetic (<rPh>) runs
+function runText(xml) {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+  return runs.map(t => decodeXml(t.replace(/^<t[^>]*>|<\/t>$/g, ''))).join('');
+}
+
+// "AB12" -> 27 (zero-based column index)
+function columnIndex(ref) {
+  const letters = String(ref || '').match(/^[A-Z]+/i)?.[0];
+  if (!letters) return null;
+  let index = 0;
+  for (const ch of letters.toUpperCase()) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function resolveSheetPath(entries) {
+  const read = name => entries.has(name) ? entries.get(name)().toString('utf8') : null;
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw invalid('xl/workbook.xml is missing');
+
+  const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+  const relId = sheet && (attr(sheet[1], 'r:id') || attr(sheet[1], 'id'));
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  for (const [, attrs] of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    if (attr(attrs, 'Id') !== relId) continue;
+    const target = attr(attrs, 'Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  // Workbooks written without relationships still use the default name
+  if (entries.has('xl/worksheets/sheet1.xml')) return 'xl/worksheets/sheet1.xml';
+  throw invalid('no worksheet found');
+}
+
+/**
+ * Cell text of the first worksheet, one array of strings per row (gaps filled with '').
+ * Throws a 400 for references past Excel's limits or sheets that would expand past MAX_CELLS.
+ * @param {Buffer} buffer - .xlsx file contents
+ * @returns {string[][]}
+ */
+function readFirstSheet(buffer) {
+  if (!isXlsx(buffer)) throw invalid('not a zip archive');
+  const entries = readZipEntries(buffer);
+
+  const sharedXml = entries.has('xl/sharedStrings.xml') ? entries.get('xl/sharedStrings.xml')().toString('utf8') : '';
+  const shared = (sharedXml.match(/<si\b[\s\S]*?<\/si>/g) || []).map(runText);
+
+  const sheetPath = resolveSheetPath(entries);
+  if (!entries.has(sheetPath)) throw invalid(`${sheetPath} is missing`);
+  const sheetXml = entries.get(sheetPath)().toString('utf8');
+
+  const rows = [];
+  let size = 0; // rows plus cells allocated so far, padding included
+  const grow = count => {
+    size += count;
+    if (size > MAX_CELLS) throw invalid(`the sheet has more than ${MAX_CELLS} cells`);
+  };
+
+  for (const [, rowAttrs, rowXml] of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(attr(rowAttrs, 'r'), 10);
+    if (rowNumber < 1 || rowNumber > MAX_ROWS) throw invalid(`row ${rowNumber} is outside the sheet (1-${MAX_ROWS})`);
+    const cells = [];
+    for (const [, cellAttrs, cellXml = ''] of (rowXml || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const col = columnIndex(attr(cellAttrs, 'r')) ?? cells.length;
+      if (col >= MAX_COLUMNS) throw invalid(`cell ${attr(cellAttrs, 'r') || col + 1} is past column XFD`);
+      const type = attr(cellAttrs, 't');
+      const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[parseInt(raw, 10)] ?? '';
+      else if (type === 'inlineStr') value = runText(cellXml.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      grow(Math.max(col + 1 - cells.length, 0));
+      while (cells.length < col) cells.push('');
+      cells[col] = value;
+    }
+    const index = Number.isInteger(rowNumber) ? rowNumber - 1 : rows.length;
+    grow(Math.max(index + 1 - rows.length, 1));
+    while (rows.length < index) rows.push([]);
+    rows[index] = cells;
+  }
+  return rows;
+}
+
+module.exports = {
+  isXlsx,
+  readFirstSheet
+};